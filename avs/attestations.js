@@ -0,0 +1,85 @@
+const { ethers } = require('ethers');
+
+/**
+ * EIP-712 signed verification attestations
+ *
+ * In multi-operator mode each operator signs its verdict for a
+ * verification request instead of submitting it. The domain is bound to
+ * the chain and the CarbonFlowHook address, and requestId identifies the
+ * AVSVerificationRequested log, so an attestation cannot be replayed for
+ * another request, chain or deployment.
+ */
+const ATTESTATION_TYPES = {
+    VerificationAttestation: [
+        { name: 'creditId', type: 'uint256' },
+        { name: 'requestId', type: 'bytes32' },
+        { name: 'isValid', type: 'bool' },
+        { name: 'qualityScore', type: 'uint256' },
+        { name: 'sources', type: 'string[]' },
+        { name: 'policyVersion', type: 'string' }
+    ]
+};
+
+function buildDomain(chainId, verifyingContract) {
+    return {
+        name: 'GreenSync AVS',
+        version: '1',
+        chainId,
+        verifyingContract
+    };
+}
+
+/**
+ * Request IDs are derived from the job id (block number and log index),
+ * which is identical for every operator watching the same log.
+ */
+function requestIdFor(jobId) {
+    return ethers.id(`AVSVerificationRequested:${jobId}`);
+}
+
+/**
+ * Downgrades found by re-verification sweeps have no request log; their
+ * request ID is derived from the on-chain verdict being downgraded, which
+ * every operator reads the same way.
+ */
+function reverificationRequestIdFor(creditId, { qualityScore, sources }) {
+    return ethers.id(`Reverification:${creditId}:${qualityScore}:${sources.join(',')}`);
+}
+
+function buildAttestation({ creditId, requestId, isValid, qualityScore, sources, policyVersion }) {
+    return {
+        creditId: creditId.toString(),
+        requestId,
+        isValid: Boolean(isValid),
+        qualityScore: qualityScore.toString(),
+        sources: [...sources],
+        policyVersion
+    };
+}
+
+function signAttestation(signer, domain, attestation) {
+    return signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+}
+
+function recoverAttestationSigner(domain, attestation, signature) {
+    return ethers.verifyTypedData(domain, ATTESTATION_TYPES, attestation, signature);
+}
+
+/**
+ * Hash of the signed struct. Attestations for the same request with the
+ * same digest agree on the verdict.
+ */
+function attestationDigest(attestation) {
+    return ethers.TypedDataEncoder.hashStruct('VerificationAttestation', ATTESTATION_TYPES, attestation);
+}
+
+module.exports = {
+    ATTESTATION_TYPES,
+    buildDomain,
+    requestIdFor,
+    reverificationRequestIdFor,
+    buildAttestation,
+    signAttestation,
+    recoverAttestationSigner,
+    attestationDigest
+};
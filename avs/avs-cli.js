@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const CarbonVerificationAVS = require('./carbon-verifier');
+const { VerificationJobQueue } = require('./job-queue');
+const { logger } = require('./logger');
+const { formatBreakdown } = require('./scoring-policy');
+const { evidenceHashesIn } = require('./evidence-store');
+
+const USAGE = `Usage: node avs-cli.js <command> [options]
+
+Commands:
+  verify <creditId>            Verify a credit and submit the verdict (skipped if already verified)
+  verify <creditId> --dry-run  Query registries and print the verdict without submitting
+  verify-batch <creditId>...   Verify several credits and submit their verdicts in one transaction
+  resubmit <creditId>          Verify again and submit even if the credit is already verified
+  backfill --from-block <n>    Queue and process verification requests emitted since block n
+  status <creditId>            Show on-chain verification details and the local job/submission state
+  sweep                        Re-verify verified credits that are due and submit downgraded verdicts
+  evidence <hash>              Show a stored evidence bundle after checking it against its hash
+  registries check             Health-check every enabled registry adapter
+
+Options:
+  --dry-run                    verify, sweep: don't submit; backfill: only list the requests found
+  --all                        sweep: re-verify every due credit, not just one batch
+  --fresh                      verify, verify-batch: query registries even if cached results haven't expired
+  --from-block <n>             First block to scan (backfill)
+  --to-block <n>               Last block to scan (backfill, default: latest)
+  --json                       Print JSON output
+  --verbose                    Print debug logs (logs go to stderr)
+
+Submitting commands use this operator's wallet directly (single mode), even if AVS_MODE=operator.`;
+
+function parseBlock(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${name} must be a block number, got "${value}"`);
+    }
+    return Number(value);
+}
+
+function parseCreditId(value) {
+    if (!value || !/^\d+$/.test(value)) {
+        throw new Error(`A numeric credit ID is required, got "${value || ''}"`);
+    }
+    return value;
+}
+
+function print(result, json, lines) {
+    if (json) {
+        console.log(JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+        return;
+    }
+    lines().forEach(line => console.log(line));
+}
+
+function verdictLines(creditId, verification) {
+    if (!verification) {
+        return [`Credit ${creditId}: no registry mapping (add one with mappings-cli.js)`];
+    }
+    return [
+        `Credit ${creditId}: ${verification.isValid ? 'VALID' : 'INVALID'}, quality score ${verification.qualityScore}/100`,
+        `Sources: ${verification.sources.join(', ')}`,
+        ...formatBreakdown(verification.breakdown).map(line => `  ${line}`)
+    ];
+}
+
+function submissionLines(submission) {
+    if (!submission) {
+        return [];
+    }
+    if (!submission.success) {
+        return [`Submission failed: ${submission.error}`];
+    }
+    return submission.attested
+        ? [`Attested: ${submission.digest} (aggregator round ${submission.aggregatorStatus})`]
+        : [`Submitted: ${submission.hash} (gas used ${submission.gasUsed})`];
+}
+
+async function verify(avs, creditId, values) {
+    if (values['dry-run']) {
+        const verification = await avs.evaluateCredit(creditId, { record: false, fresh: values.fresh });
+        return {
+            result: { creditId, dryRun: true, verification },
+            lines: () => verdictLines(creditId, verification)
+        };
+    }
+
+    await avs.connect();
+    const outcome = await avs.processVerificationRequest(creditId, avs.wallet.address, { fresh: values.fresh });
+    if (outcome.skipped) {
+        return {
+            result: { creditId, skipped: true, reason: 'already_verified' },
+            lines: () => [`Credit ${creditId} is already verified on-chain; use "resubmit" to submit a new verdict`]
+        };
+    }
+    return {
+        result: { creditId, ...outcome },
+        lines: () => [...verdictLines(creditId, outcome.verification), ...submissionLines(outcome.submission)],
+        failed: !outcome.submission.success
+    };
+}
+
+async function verifyBatch(avs, creditIds, values) {
+    if (creditIds.length === 0) {
+        throw new Error('verify-batch requires at least one credit ID');
+    }
+
+    await avs.connect();
+    const outcomes = await avs.processVerificationBatch(creditIds.map(creditId => ({ creditId })), { fresh: values.fresh });
+    const results = outcomes.map((outcome, index) => ({ creditId: creditIds[index], ...outcome }));
+    const submission = (results.find(result => result.submission) || {}).submission;
+    return {
+        result: { credits: results, submission },
+        lines: () => [
+            ...results.flatMap(({ creditId, skipped, verification }) => (skipped
+                ? [`Credit ${creditId} is already verified on-chain, skipped`]
+                : verdictLines(creditId, verification))),
+            ...(submission ? submissionLines(submission) : ['Nothing to submit'])
+        ],
+        failed: Boolean(submission) && !submission.success
+    };
+}
+
+async function resubmit(avs, creditId) {
+    await avs.connect();
+    const outcome = await avs.processVerificationRequest(creditId, avs.wallet.address, { force: true });
+    return {
+        result: { creditId, ...outcome },
+        lines: () => [...verdictLines(creditId, outcome.verification), ...submissionLines(outcome.submission)],
+        failed: !outcome.submission.success
+    };
+}
+
+async function backfill(avs, values) {
+    const fromBlock = parseBlock(values['from-block'], '--from-block');
+    const toBlock = parseBlock(values['to-block'], '--to-block');
+    if (fromBlock === undefined) {
+        throw new Error('backfill requires --from-block <n>');
+    }
+
+    await avs.connect();
+
+    if (values['dry-run']) {
+        const logs = await avs.hookContract.queryFilter(
+            avs.hookContract.filters.AVSVerificationRequested(),
+            fromBlock,
+            toBlock !== undefined ? toBlock : 'latest'
+        );
+        const requests = logs.map(log => ({
+            creditId: log.args[0].toString(),
+            requester: log.args[1],
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            transactionHash: log.transactionHash,
+            queued: Boolean(avs.jobs.get(VerificationJobQueue.jobId(log.blockNumber, log.index)))
+        }));
+        return {
+            result: { fromBlock, toBlock, requests },
+            lines: () => requests.length === 0
+                ? [`No verification requests from block ${fromBlock}`]
+                : requests.map(r => `Block ${r.blockNumber} log ${r.logIndex}: credit ${r.creditId} from ${r.requester}${r.queued ? ' (already queued)' : ''}`)
+        };
+    }
+
+    const queued = await avs.backfillMissedEvents({ fromBlock, toBlock });
+    // Submit everything now rather than waiting out the batch window
+    await avs.processJobs({ flush: true });
+
+    const jobs = avs.jobs.list().filter(job => job.blockNumber >= fromBlock && (toBlock === undefined || job.blockNumber <= toBlock));
+    return {
+        result: { fromBlock, toBlock, queued, jobs },
+        lines: () => [
+            `Queued ${queued} new request(s) from block ${fromBlock}`,
+            ...jobs.map(job => `Job ${job.id}: credit ${job.creditId} ${job.status}${job.status === 'failed' && job.error ? ` (${job.error})` : ''}`)
+        ],
+        failed: jobs.some(job => job.status === 'failed')
+    };
+}
+
+async function status(avs, creditId) {
+    await avs.connect();
+
+    const [verified, qualityScore, sources] = await avs.hookContract.getAVSVerificationDetails(creditId);
+    const job = avs.jobs.latestForCredit(creditId);
+    const submission = avs.txManager.outcomeFor(creditId);
+    const evidence = evidenceHashesIn([...sources]).map(hash => ({ hash, stored: avs.evidence.has(hash) }));
+    const result = {
+        creditId,
+        onChain: { verified, qualityScore: Number(qualityScore), sources: [...sources] },
+        evidence,
+        job,
+        submission
+    };
+
+    return {
+        result,
+        lines: () => [
+            `Credit ${creditId}: ${verified ? 'verified' : 'not verified'} on-chain, quality score ${qualityScore}/100`,
+            `Sources: ${sources.length > 0 ? sources.join(', ') : '(none)'}`,
+            ...evidence.map(entry => `Evidence ${entry.hash}: ${entry.stored ? 'stored locally' : 'not in the local store'}`),
+            job ? `Latest job ${job.id}: ${job.status} (attempts ${job.attempts})` : 'No local verification job',
+            submission ? `Latest submission: ${submission.status} ${submission.hash || ''}`.trim() : 'No local submission record'
+        ]
+    };
+}
+
+function cacheNote(result) {
+    const cache = result.cache;
+    if (!cache || !['fresh', 'stale'].includes(cache.status)) {
+        return '';
+    }
+    return ` (${cache.status === 'stale' ? 'stale ' : ''}cached result from ${cache.fetchedAt})`;
+}
+
+function registryLine(result) {
+    if (!result.success) {
+        return `  ${result.source || result.registry}: ${result.error}${cacheNote(result)}`;
+    }
+    return `  ${result.source}: quality ${result.quality}, status ${result.status || 'unknown'}${result.isRetired ? ', retired' : ''}${cacheNote(result)}`;
+}
+
+function evidence(avs, target) {
+    const hash = (target || '').replace(/^evidence:/, '');
+    if (!hash) {
+        throw new Error('evidence requires a bundle hash (the part after "evidence:" in the on-chain sources)');
+    }
+
+    const bundle = avs.evidence.get(hash);
+    if (!bundle) {
+        throw new Error(`No evidence bundle ${hash} in ${avs.evidence.dir}`);
+    }
+    return {
+        result: bundle,
+        lines: () => [
+            `Evidence ${hash} (content matches hash)`,
+            `Credit ${bundle.creditId}: ${bundle.verdict.isValid ? 'VALID' : 'INVALID'}, quality score ${bundle.verdict.qualityScore}/100, policy ${bundle.policy.version}`,
+            `Operator ${bundle.operator} on chain ${bundle.chainId}, evaluated ${bundle.timestamps.evaluatedAt}`,
+            ...bundle.registryResults.map(registryLine)
+        ]
+    };
+}
+
+function sweepLines(result) {
+    const score = result.current ? `, score ${result.previous.qualityScore} -> ${result.current.qualityScore}` : '';
+    const changes = result.statusChanges && result.statusChanges.length > 0 ? ` [${result.statusChanges.join('; ')}]` : '';
+    const hash = result.submission && (result.submission.hash || result.submission.digest)
+        ? ` (${result.submission.hash || result.submission.digest})`
+        : '';
+    return `Credit ${result.creditId} (${result.risk} risk): ${result.outcome}${score}${changes}${hash}`;
+}
+
+async function sweep(avs, values) {
+    await avs.connect();
+
+    const results = await avs.reverification.sweep({ all: values.all, dryRun: values['dry-run'] });
+    if (!results) {
+        throw new Error('Re-verification sweep failed (run with --verbose for details)');
+    }
+    return {
+        result: results,
+        lines: () => results.length === 0
+            ? ['No verified credits are due for re-verification']
+            : results.map(sweepLines),
+        failed: results.some(result => ['error', 'submission_failed'].includes(result.outcome))
+    };
+}
+
+async function checkRegistries(avs) {
+    const health = await avs.registries.healthCheck();
+    return {
+        result: health,
+        lines: () => health.map(entry => `${entry.healthy ? 'OK  ' : 'FAIL'} ${entry.source} (${entry.id})` +
+            `${entry.latencyMs !== undefined ? ` ${entry.latencyMs}ms` : ''}${entry.error ? `: ${entry.error}` : ''}`),
+        failed: health.some(entry => !entry.healthy)
+    };
+}
+
+async function run(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            'dry-run': { type: 'boolean', default: false },
+            all: { type: 'boolean', default: false },
+            fresh: { type: 'boolean', default: false },
+            'from-block': { type: 'string' },
+            'to-block': { type: 'string' },
+            json: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command, target] = positionals;
+    if (!command || values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // stdout is reserved for command output
+    logger.configure({ stream: process.stderr, level: values.verbose ? 'debug' : (process.env.LOG_LEVEL || 'warn') });
+
+    const avs = new CarbonVerificationAVS({ mode: 'single', statusPort: 'off' });
+
+    try {
+        let outcome;
+        switch (command) {
+            case 'verify':
+                outcome = await verify(avs, parseCreditId(target), values);
+                break;
+            case 'verify-batch':
+                outcome = await verifyBatch(avs, positionals.slice(1).map(parseCreditId), values);
+                break;
+            case 'resubmit':
+                outcome = await resubmit(avs, parseCreditId(target));
+                break;
+            case 'backfill':
+                outcome = await backfill(avs, values);
+                break;
+            case 'status':
+                outcome = await status(avs, parseCreditId(target));
+                break;
+            case 'evidence':
+                outcome = evidence(avs, target);
+                break;
+            case 'sweep':
+                outcome = await sweep(avs, values);
+                break;
+            case 'registries':
+                if (target !== 'check') {
+                    throw new Error(`Unknown registries subcommand "${target || ''}" (expected: registries check)`);
+                }
+                outcome = await checkRegistries(avs);
+                break;
+            default:
+                throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+        }
+
+        print(outcome.result, values.json, outcome.lines);
+        return outcome.failed ? 1 : 0;
+    } finally {
+        await avs.stop();
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { run };
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+/**
+ * Recent block hash tracker for reorg detection
+ *
+ * Remembers the hashes of the last `window` blocks seen. update() checks
+ * that the stored head is still canonical and that every new block links
+ * to its stored parent; when either check fails it walks back to the
+ * last block whose stored hash still matches the chain (the fork point).
+ * Hashes are persisted so a reorg that happens while the AVS is down is
+ * noticed on restart.
+ */
+class BlockTracker {
+    constructor({
+        window = 128,
+        file = path.join(process.env.AVS_DATA_DIR || DEFAULT_DATA_DIR, 'recent-blocks.json')
+    } = {}) {
+        this.window = window;
+        this.file = path.resolve(file);
+        this.hashes = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : {};
+    }
+
+    get head() {
+        const numbers = Object.keys(this.hashes).map(Number);
+        return numbers.length > 0 ? Math.max(...numbers) : null;
+    }
+
+    /**
+     * Record blocks up to the chain head. Returns the head and, if the
+     * chain was reorganized, { forkBlock, depth } where forkBlock is the
+     * last block that is still canonical.
+     */
+    async update(provider) {
+        const latest = await provider.getBlockNumber();
+        const previousHead = this.head;
+        let forkBlock = null;
+
+        if (previousHead !== null) {
+            const top = Math.min(previousHead, latest);
+            const block = this.hashes[top] ? await provider.getBlock(top) : null;
+            if (this.hashes[top] && (!block || block.hash !== this.hashes[top])) {
+                forkBlock = await this.findForkPoint(provider, top - 1);
+            }
+        }
+
+        const start = this.head === null ? latest : Math.max(this.head + 1, latest - this.window + 1);
+        for (let number = start; number <= latest; number++) {
+            const block = await provider.getBlock(number);
+            if (!block) {
+                break;
+            }
+
+            const parentHash = this.hashes[number - 1];
+            if (parentHash && block.parentHash !== parentHash) {
+                // Reorganized while we were catching up: restart from the fork
+                const fork = await this.findForkPoint(provider, number - 1);
+                forkBlock = forkBlock === null ? fork : Math.min(forkBlock, fork);
+                number = fork;
+                continue;
+            }
+            this.hashes[number] = block.hash;
+        }
+
+        this.prune();
+        this.save();
+
+        return {
+            latest,
+            reorg: forkBlock === null ? null : { forkBlock, depth: previousHead - forkBlock }
+        };
+    }
+
+    /**
+     * Walk back from `from` to the newest stored block that is still
+     * canonical, forgetting the stale hashes above it.
+     */
+    async findForkPoint(provider, from) {
+        let number = from;
+        while (this.hashes[number] !== undefined) {
+            const block = await provider.getBlock(number);
+            if (block && block.hash === this.hashes[number]) {
+                break;
+            }
+            number--;
+        }
+
+        for (const key of Object.keys(this.hashes)) {
+            if (Number(key) > number) {
+                delete this.hashes[key];
+            }
+        }
+        return number;
+    }
+
+    prune() {
+        const head = this.head;
+        for (const key of Object.keys(this.hashes)) {
+            if (Number(key) <= head - this.window) {
+                delete this.hashes[key];
+            }
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.hashes));
+        fs.renameSync(tmpFile, this.file);
+    }
+}
+
+module.exports = { BlockTracker };
@@ -1,30 +1,203 @@
+const path = require('path');
 const { ethers } = require('ethers');
-require('dotenv').config();
+// quiet: stdout carries command output (avs-cli.js --json)
+require('dotenv').config({ quiet: true });
+const { RegistryManager, RegistryResponseCache, defaultRegistryConfig } = require('./registries');
+const { CreditMappingStore } = require('./mapping-store');
+const { VerificationJobQueue, JOB_STATES } = require('./job-queue');
+const { ScoringPolicy, formatBreakdown } = require('./scoring-policy');
+const { ConsistencyChecker } = require('./consistency-checker');
+const { TransactionManager } = require('./tx-manager');
+const { createAvsMetrics } = require('./metrics');
+const { createStatusServer } = require('./status-server');
+const { logger, withLogContext, correlationIdFor } = require('./logger');
+const { ConnectionSupervisor } = require('./connection-supervisor');
+const { BlockTracker } = require('./block-tracker');
+const { ReverificationScheduler } = require('./reverification-scheduler');
+const { EvidenceStore, buildEvidenceBundle } = require('./evidence-store');
+const { loadConfig, withOverrides, assertSafeForChain, summarizeConfig, ConfigError, REGISTRIES, LOCAL_CHAIN_IDS } = require('./config');
+const { createSigner } = require('./signers');
+const { buildDomain, requestIdFor, buildAttestation, signAttestation, attestationDigest } = require('./attestations');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Map items through an async function with at most `limit` calls in
+ * flight, keeping results in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Sources submitted on-chain with a verdict. Operators' bundles differ
+ * (operator, timestamps), so in operator mode the aggregator adds their
+ * hashes after quorum instead.
+ */
+function withEvidence(sources, evidenceHash) {
+    return evidenceHash ? [...sources, `evidence:${evidenceHash}`] : sources;
+}
+
+/**
+ * Log fields of a verification job: every log written while handling the
+ * job carries its correlation ID.
+ */
+function jobLogContext(job) {
+    return { correlationId: correlationIdFor(job), creditId: job.creditId, jobId: job.id };
+}
 
 /**
  * Real EigenLayer AVS for Carbon Credit Verification
  * Integrates with multiple carbon registries for decentralized verification
  */
 class CarbonVerificationAVS {
-    constructor() {
-        this.registryAPIs = {
-            verra: {
-                baseUrl: 'https://registry.verra.org/app/search/VCS',
-                apiKey: process.env.VERRA_API_KEY || 'demo_key'
-            },
-            goldStandard: {
-                baseUrl: 'https://registry.goldstandard.org/projects',
-                apiKey: process.env.GOLD_STANDARD_API_KEY || 'demo_key'
+    constructor(options = {}) {
+        this.options = options;
+        this.log = options.logger || logger;
+
+        // Validated file + environment settings (see config.js); explicit
+        // options take precedence
+        this.config = withOverrides(options.config || loadConfig(), {
+            contractAddress: options.contractAddress,
+            rpcUrls: options.rpcUrls,
+            dataDir: options.dataDir,
+            startBlock: options.startBlock,
+            confirmations: options.confirmations,
+            statusPort: options.statusPort,
+            mode: options.mode,
+            aggregatorUrl: options.aggregatorUrl,
+            batch: options.batch,
+            signer: options.privateKey ? { type: 'privateKey', privateKey: options.privateKey } : undefined
+        });
+        const config = this.config;
+
+        // Chain and storage settings
+        this.contractAddress = config.contractAddress;
+        this.rpcUrls = config.rpcUrls;
+        this.startBlock = config.startBlock !== undefined ? config.startBlock : null;
+        this.dataDir = config.dataDir;
+        // null: chosen from the chain ID once connected
+        this.confirmationDepth = config.confirmations !== undefined ? config.confirmations : null;
+
+        // Live registry clients: endpoint, API key and shared HTTP settings
+        this.registryAPIs = Object.fromEntries(Object.keys(REGISTRIES).map(id => [id, {
+            baseUrl: config.registries[id].baseUrl,
+            apiKey: config.registries[id].apiKey,
+            timeoutMs: config.registries.timeoutMs,
+            maxRetries: config.registries.maxRetries
+        }]));
+
+        // Registry adapters queried for every verification request
+        this.registries = options.registries || RegistryManager.fromConfig(
+            options.registryConfig || defaultRegistryConfig(this.registryAPIs, {
+                REGISTRY_MODE: config.registries.mode,
+                REGISTRY_ADAPTERS: (config.registries.adapters || []).join(',')
+            })
+        );
+
+        // Normalized registry results, reused within each registry's TTL and
+        // served stale while a registry is down
+        this.registryCache = options.registryCache || new RegistryResponseCache({
+            file: path.join(this.dataDir, 'registry-cache.json'),
+            ttlMs: config.registries.cacheTtlSeconds * 1000,
+            registryTtlMs: Object.fromEntries(Object.keys(REGISTRIES)
+                .filter(id => config.registries[id].cacheTtlSeconds !== undefined)
+                .map(id => [id, config.registries[id].cacheTtlSeconds * 1000])),
+            maxStaleMs: config.registries.cacheMaxStaleSeconds * 1000,
+            log: this.log
+        });
+        this.registries.useCache(this.registryCache);
+
+        // Credit ID -> registry identifier mappings (see mappings-cli.js)
+        this.mappingStore = options.mappingStore || new CreditMappingStore({ file: config.creditMappingsFile });
+
+        // Versioned scoring rules applied in aggregateVerificationResults
+        this.scoringPolicy = options.scoringPolicy || ScoringPolicy.load(config.scoringPolicyFile);
+
+        // Cross-registry attribute and double-counting checks
+        this.consistencyChecker = options.consistencyChecker || new ConsistencyChecker({
+            mappingStore: this.mappingStore,
+            file: path.join(this.dataDir, 'project-index.json')
+        });
+
+        // Content-addressed evidence bundles backing every submitted verdict
+        this.evidence = options.evidenceStore || new EvidenceStore({ dir: path.join(this.dataDir, 'evidence') });
+
+        // Persisted verification jobs, used to backfill and resume after restarts
+        this.jobs = options.jobQueue || new VerificationJobQueue({ file: path.join(this.dataDir, 'verification-jobs.json') });
+        this.backfillChunkSize = config.backfillChunkSize;
+        // Failed jobs wait this long in the queue before they are retried
+        this.jobRetryDelayMs = 5000;
+        this.processingJobs = false;
+        this.processJobsAgain = false;
+
+        // Batch mode: requests within windowMs of the oldest pending one are
+        // verified together and submitted in one transaction
+        this.batch = config.batch.enabled && config.mode === 'single' ? config.batch : null;
+        this.batchTimer = null;
+        this.retryTimer = null;
+
+        // Recent block hashes, compared on every new block to detect reorgs
+        this.blockTracker = options.blockTracker || new BlockTracker({
+            window: config.reorgTrackingWindow,
+            file: path.join(this.dataDir, 'recent-blocks.json')
+        });
+
+        // Periodic re-checks of credits that are already verified on-chain
+        this.reverification = options.reverificationScheduler || new ReverificationScheduler(this, {
+            intervalMs: config.reverify.intervalMs,
+            maxAgeMs: {
+                high: config.reverify.highRiskHours * HOUR_MS,
+                medium: config.reverify.mediumRiskHours * HOUR_MS,
+                low: config.reverify.lowRiskHours * HOUR_MS
             },
-            climateAction: {
-                baseUrl: 'https://thereserve.apx.com/mymodule/reg',
-                apiKey: process.env.CLIMATE_ACTION_API_KEY || 'demo_key'
+            highRiskScore: config.reverify.highRiskScore,
+            lowRiskScore: config.reverify.lowRiskScore,
+            minScoreDrop: config.reverify.minScoreDrop,
+            batchSize: config.reverify.batchSize,
+            file: path.join(this.dataDir, 'reverification.json'),
+            ...options.reverification
+        });
+
+        // Prometheus metrics and the /healthz, /metrics, /jobs endpoint
+        this.metrics = options.metrics || createAvsMetrics({ jobQueue: this.jobs, jobStates: JOB_STATES });
+        this.statusPort = config.statusPort;
+        this.registries.observe(({ registry, durationMs, result }) => {
+            const cacheStatus = result && result.cache ? result.cache.status : null;
+            if (cacheStatus) {
+                this.metrics.registryCache.inc({ registry, result: cacheStatus });
             }
-        };
+            if (cacheStatus === 'fresh') {
+                // Served from the cache, the registry wasn't queried
+                return;
+            }
+            const outcome = !result || cacheStatus === 'stale' ? 'error'
+                : result.success ? 'found' : result.exists === false ? 'not_found' : 'error';
+            this.metrics.registryRequests.inc({ registry, result: outcome });
+            this.metrics.registryLatency.observe({ registry }, durationMs / 1000);
+        });
+
+        // "single" submits verdicts directly; "operator" signs attestations
+        // and sends them to a quorum aggregator (see quorum-aggregator.js)
+        this.mode = config.mode;
+        this.aggregatorUrl = config.aggregatorUrl;
+        if (!['single', 'operator'].includes(this.mode)) {
+            throw new Error(`Unknown AVS_MODE "${this.mode}" (expected single or operator)`);
+        }
         
         this.contractABI = [
             'event AVSVerificationRequested(uint256 indexed creditId, address requester)',
             'function submitAVSVerification(uint256 creditId, bool isVerified, uint256 qualityScore, string[] memory sources) external',
+            'function submitAVSVerificationBatch(uint256[] creditIds, bool[] isVerified, uint256[] qualityScores, string[][] sources) external',
             'function avsVerified(uint256) external view returns (bool)',
             'function avsQualityScore(uint256) external view returns (uint256)',
             'function getCorporateStats(address) external view returns (uint256, uint256, bool, bool)',
@@ -33,471 +206,1056 @@ class CarbonVerificationAVS {
     }
 
     async initialize() {
-        console.log('🚀 Initializing Carbon Verification AVS...');
+        this.log.info('Initializing Carbon Verification AVS');
+
+        await this.connect();
         
+        // Start listening first so nothing is missed while backfilling
+        this.startListening();
+
+        // Pick up requests missed or interrupted while the service was down
+        await this.recoverJobs();
+
+        this.reverification.start();
+        this.startStatusServer();
+
+        this.log.info('Carbon Verification AVS is running, listening for verification requests', {
+            contract: this.hookContract.target,
+            mode: this.mode
+        });
+    }
+
+    async connect() {
+        // Redacted: no keys, passwords or URL credentials
+        this.log.info('Configuration', summarizeConfig(this.config));
+
         // Check environment variables
-        if (!process.env.HOOK_CONTRACT_ADDRESS) {
-            console.error('❌ HOOK_CONTRACT_ADDRESS not found in .env file');
-            console.log('Please set HOOK_CONTRACT_ADDRESS in avs/.env file');
-            console.log('Get it from deployment output or use: 0x2f11783E75f5D0BF0dB3DD6A5Ca05ed375aE80c0');
-            process.exit(1);
+        if (!this.contractAddress) {
+            this.log.error('HOOK_CONTRACT_ADDRESS not found in .env file', {
+                hint: 'Set HOOK_CONTRACT_ADDRESS in avs/.env (from the deployment output, e.g. 0x2f11783E75f5D0BF0dB3DD6A5Ca05ed375aE80c0)'
+            });
+            throw new Error('HOOK_CONTRACT_ADDRESS is not set');
         }
-        
-        // Connect to blockchain
-        this.provider = new ethers.JsonRpcProvider(
-            process.env.RPC_URL || 'http://localhost:8545'
-        );
-        
-        this.wallet = new ethers.Wallet(
-            process.env.PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
-            this.provider
-        );
-        
-        // Connect to CarbonFlowHook contract
-        this.hookContract = new ethers.Contract(
-            process.env.HOOK_CONTRACT_ADDRESS,
-            this.contractABI,
-            this.wallet
-        );
-        
-        console.log(`📋 Connected to contract: ${this.hookContract.target}`);
-        console.log(`🔑 AVS Operator address: ${this.wallet.address}`);
+
+        // Private key, decrypted keystore or external signer
+        this.signer = this.options.signer || await createSigner(this.config.signer);
+
+        // Connect to blockchain; the supervisor handles failover and reconnects
+        this.supervisor = this.options.supervisor || new ConnectionSupervisor({
+            urls: this.rpcUrls,
+            ...this.config.rpc,
+            log: this.log
+        });
+        this.supervisor.on('disconnected', () => this.unsubscribe());
+        this.supervisor.on('reconnected', provider => this.handleReconnect(provider));
+        this.bindProvider(await this.supervisor.start());
+
+        // Development keys, mock registries and placeholder API keys are
+        // refused before anything is signed on a non-local chain
+        const { chainId } = await this.provider.getNetwork();
+        try {
+            assertSafeForChain(this.config, chainId, {
+                address: this.wallet.address,
+                registriesInjected: Boolean(this.options.registries || this.options.registryConfig)
+            });
+        } catch (error) {
+            await this.supervisor.stop();
+            throw error;
+        }
+
+        this.log.info('Connected to contract', { contract: this.hookContract.target, operator: this.wallet.address, chainId });
         
         // Test contract connection
         try {
-            console.log('🧪 Testing contract connection...');
+            this.log.debug('Testing contract connection');
             const testCall = await this.hookContract.getCorporateStats(this.wallet.address);
-            console.log('✅ Contract connection successful');
+            this.log.info('Contract connection successful');
             
             // Test AVS functions
             const avsDetails = await this.hookContract.getAVSVerificationDetails(1);
-            console.log('✅ AVS functions working');
-            console.log(`📊 Credit 1 status: Verified=${avsDetails[0]}, Score=${avsDetails[1]}`);
+            this.log.info('AVS functions working', { creditId: '1', verified: avsDetails[0], qualityScore: avsDetails[1] });
         } catch (error) {
-            console.error('❌ Contract connection failed:', error.message);
-            console.log('🔍 Debug info:');
-            console.log(`   Contract: ${process.env.HOOK_CONTRACT_ADDRESS}`);
-            console.log(`   RPC: ${process.env.RPC_URL || 'http://localhost:8545'}`);
-            console.log('   Make sure Anvil is running and contracts are deployed');
-            process.exit(1);
+            this.log.error('Contract connection failed', {
+                error,
+                contract: this.contractAddress,
+                rpc: this.supervisor.redactedUrl,
+                hint: 'Make sure Anvil is running and contracts are deployed'
+            });
+            await this.supervisor.stop();
+            throw new Error(`Contract connection failed: ${error.shortMessage || error.message}`);
         }
+
+        const { tx } = this.config;
+        this.txManager = this.options.txManager || new TransactionManager({
+            wallet: this.wallet,
+            gasHeadroomPercent: tx.gasHeadroomPercent,
+            bumpPercent: tx.feeBumpPercent,
+            maxFeePerGasCap: tx.maxFeePerGasGwei !== undefined ? ethers.parseUnits(String(tx.maxFeePerGasGwei), 'gwei') : null,
+            stuckTimeoutMs: tx.stuckTimeoutMs,
+            file: path.join(this.dataDir, 'submissions.json')
+        });
+
+        this.attestationDomain = buildDomain(chainId, this.hookContract.target);
+
+        // Requests are processed once they are this many blocks deep
+        this.confirmations = this.confirmationDepth !== null
+            ? this.confirmationDepth
+            : (LOCAL_CHAIN_IDS.includes(Number(chainId)) ? 0 : 12);
+        this.log.info('Confirmation depth', { chainId, confirmations: this.confirmations });
+
+        if (this.mode === 'operator') {
+            this.log.info('Operator mode: attestations are sent to the aggregator', { aggregatorUrl: this.aggregatorUrl });
+        }
+    }
+
+    /**
+     * Point the wallet, contract and transaction manager at a (new) provider.
+     */
+    bindProvider(provider) {
+        this.provider = provider;
+
+        this.wallet = this.signer.connect(this.provider);
         
-        // Start listening for verification requests
-        this.startListening();
-        
-        console.log('✅ Carbon Verification AVS is running...');
-        console.log('👂 Listening for verification requests...');
+        // Connect to CarbonFlowHook contract
+        this.hookContract = new ethers.Contract(
+            this.contractAddress,
+            this.contractABI,
+            this.wallet
+        );
+
+        if (this.txManager) {
+            this.txManager.useWallet(this.wallet);
+        }
+    }
+
+    async handleReconnect(provider) {
+        this.metrics.rpcReconnects.inc();
+        this.bindProvider(provider);
+
+        if (!this.listening) {
+            return;
+        }
+
+        try {
+            this.subscribe();
+            // Requests emitted while we were disconnected
+            await this.backfillMissedEvents();
+            this.processJobs();
+        } catch (error) {
+            // The supervisor notices if the new connection is already gone
+            this.log.error('Failed to resume after reconnect', { error });
+        }
     }
 
     startListening() {
-        // Listen for verification requests from the hook
-        this.hookContract.on('AVSVerificationRequested', async (creditId, requester, event) => {
-            console.log(`\n🔍 Verification request received:`);
-            console.log(`   Credit ID: ${creditId}`);
-            console.log(`   Requester: ${requester}`);
-            console.log(`   Block: ${event.log.blockNumber}`);
-            
-            try {
-                await this.processVerificationRequest(creditId, requester);
-            } catch (error) {
-                console.error(`❌ Error processing verification for credit ${creditId}:`, error.message);
-                
-                // Submit failed verification
-                await this.submitVerificationResult(creditId, false, 0, ['error']);
-            }
-        });
-        
-        // Handle disconnections with better error handling
-        this.provider.on('error', (error) => {
-            console.error('🔌 Provider error:', error);
-            console.log('🔄 Attempting to reconnect in 5 seconds...');
-            setTimeout(() => {
-                console.log('🔄 Reconnecting...');
-                this.initialize().catch(console.error);
-            }, 5000);
-        });
+        this.listening = true;
+        this.subscribe();
 
         // Heartbeat to show service is alive
-        setInterval(() => {
-            console.log(`💓 AVS Service alive - listening on ${process.env.HOOK_CONTRACT_ADDRESS}`);
-        }, 30000);
+        if (!this.heartbeat) {
+            this.heartbeat = setInterval(() => {
+                this.log.info('AVS service alive', {
+                    contract: this.contractAddress,
+                    rpc: this.supervisor.redactedUrl,
+                    connected: Boolean(this.supervisor.provider),
+                    pendingJobs: this.jobs.list('pending').length
+                });
+            }, 30000);
+        }
     }
 
-    async processVerificationRequest(creditId, requester) {
-        console.log(`\n🔬 Starting verification for Credit ID: ${creditId}`);
-        
-        // Check if already verified to avoid duplicate work
-        const alreadyVerified = await this.hookContract.avsVerified(creditId);
-        if (alreadyVerified) {
-            console.log(`✅ Credit ${creditId} already verified, skipping...`);
+    subscribe() {
+        this.unsubscribe();
+
+        // Listen for verification requests from the hook
+        this.requestListener = (creditId, requester, event) => {
+            this.log.info('Verification request received', {
+                correlationId: correlationIdFor({
+                    creditId,
+                    transactionHash: event.log.transactionHash,
+                    logIndex: event.log.index
+                }),
+                creditId: creditId.toString(),
+                requester,
+                blockNumber: event.log.blockNumber
+            });
+
+            // Persist the request before doing any work so a crash can't lose it
+            this.enqueueVerificationRequest(event.log);
+            // Live logs arrive in block order, so a gap backfill can start here
+            this.jobs.setLastProcessedBlock(event.log.blockNumber);
+            this.processJobs();
+        };
+        // New blocks confirm waiting requests and are checked for reorgs
+        this.blockListener = () => this.processJobs();
+
+        this.subscribedContract = this.hookContract;
+        this.subscribedProvider = this.provider;
+        this.subscribedContract.on('AVSVerificationRequested', this.requestListener);
+        this.subscribedProvider.on('block', this.blockListener);
+    }
+
+    unsubscribe() {
+        if (!this.requestListener) {
             return;
         }
-        
-        // Map credit ID to registry identifiers
-        const registryMappings = this.getCreditRegistryMapping(creditId);
-        
-        // Perform parallel verification across multiple registries
-        console.log('🌐 Querying multiple carbon registries...');
-        const verificationPromises = [
-            this.verifyWithVerra(registryMappings.verra),
-            this.verifyWithGoldStandard(registryMappings.goldStandard),
-            this.verifyWithClimateAction(registryMappings.climateAction)
-        ];
-        
-        const results = await Promise.allSettled(verificationPromises);
-        
-        // Aggregate results from all registries
-        const verification = this.aggregateVerificationResults(results, creditId);
-        
-        // Submit verification result to contract
-        await this.submitVerificationResult(
+
+        // Removing a subscription from a dead provider can fail; it is destroyed anyway
+        Promise.resolve(this.subscribedContract.off('AVSVerificationRequested', this.requestListener)).catch(() => {});
+        Promise.resolve(this.subscribedProvider.off('block', this.blockListener)).catch(() => {});
+        this.requestListener = null;
+        this.blockListener = null;
+        this.subscribedContract = null;
+        this.subscribedProvider = null;
+    }
+
+    async stop() {
+        this.listening = false;
+        this.reverification.stop();
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.unsubscribe();
+
+        if (this.statusServer) {
+            this.statusServer.close();
+            this.statusServer = null;
+        }
+        if (this.supervisor) {
+            await this.supervisor.stop();
+        }
+    }
+
+    startStatusServer() {
+        if (this.statusServer || !this.statusPort || this.statusPort === 'off') {
+            return;
+        }
+
+        this.statusServer = createStatusServer(this, {
+            timeoutMs: this.config.health.timeoutMs,
+            minBalance: ethers.parseEther(this.config.health.minOperatorBalanceEth)
+        });
+        this.statusServer.on('error', error => {
+            this.log.error('Status server failed', { port: this.statusPort, error });
+        });
+        this.statusServer.listen(Number(this.statusPort), () => {
+            this.log.info('Status endpoint listening (/healthz, /metrics, /jobs/:creditId)', {
+                url: `http://localhost:${this.statusServer.address().port}`
+            });
+        });
+    }
+
+    enqueueVerificationRequest(log) {
+        const [creditId, requester] = log.args;
+        const job = this.jobs.enqueue({
             creditId,
-            verification.isValid,
-            verification.qualityScore,
-            verification.sources
-        );
-        
-        console.log(`✅ Verification completed for Credit ${creditId}:`);
-        console.log(`   Valid: ${verification.isValid}`);
-        console.log(`   Quality Score: ${verification.qualityScore}/100`);
-        console.log(`   Sources: ${verification.sources.join(', ')}`);
+            requester,
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            transactionHash: log.transactionHash,
+            blockHash: log.blockHash
+        });
+
+        if (job) {
+            this.metrics.requestsReceived.inc();
+            this.log.info('Queued verification job', {
+                correlationId: correlationIdFor(job),
+                creditId: job.creditId,
+                jobId: job.id
+            });
+        }
+        return job;
     }
 
-    getCreditRegistryMapping(creditId) {
-        // Map internal credit IDs to external registry identifiers
-        // In production, this would come from a database or API
-        const mappings = {
-            1: { verra: 'VCS-12345', goldStandard: 'GS-001', climateAction: 'CAR-789' },
-            2: { verra: 'VCS-67890', goldStandard: 'GS-002', climateAction: 'CAR-456' },
-            3: { verra: 'VCS-11111', goldStandard: 'GS-003', climateAction: 'CAR-123' }
-        };
-        
-        return mappings[creditId.toString()] || {
-            verra: `VCS-${creditId}`,
-            goldStandard: `GS-${creditId}`, 
-            climateAction: `CAR-${creditId}`
-        };
+    async recoverJobs() {
+        const { requeued, submitted } = this.jobs.recoverInterrupted();
+        if (requeued.length > 0) {
+            this.log.warn('Re-queued jobs interrupted while running', { count: requeued.length });
+        }
+
+        // Transactions sent before the restart may have been mined since
+        for (const job of submitted) {
+            await this.confirmSubmittedJob(job);
+        }
+
+        await this.backfillMissedEvents();
+        this.processJobs();
     }
 
-    async verifyWithVerra(creditId) {
-        console.log(`📋 Verifying with Verra Registry: ${creditId}`);
-        
-        try {
-            // Simulate Verra API call (replace with real API in production)
-            await this.delay(800); // Simulate network latency
-            
-            const mockVerraDatabase = {
-                'VCS-12345': {
-                    exists: true,
-                    status: 'active',
-                    vintage: 2023,
-                    projectType: 'AFOLU',
-                    methodology: 'VM0007',
-                    location: 'Brazil',
-                    quality: 85,
-                    isRetired: false,
-                    lastUpdated: '2024-01-15'
-                },
-                'VCS-67890': {
-                    exists: true,
-                    status: 'active', 
-                    vintage: 2021,
-                    projectType: 'Renewable Energy',
-                    methodology: 'ACM0002',
-                    location: 'India',
-                    quality: 70,
-                    isRetired: false,
-                    lastUpdated: '2023-12-10'
-                },
-                'VCS-11111': {
-                    exists: true,
-                    status: 'active',
-                    vintage: 2022,
-                    projectType: 'Wind Energy',
-                    methodology: 'ACM0002',
-                    location: 'Texas, USA',
-                    quality: 75,
-                    isRetired: false,
-                    lastUpdated: '2024-02-10'
+    /**
+     * Queue AVSVerificationRequested logs from the last processed block (or
+     * an explicit range) up to the latest block.
+     */
+    async backfillMissedEvents({ fromBlock: explicitFrom, toBlock } = {}) {
+        const latestBlock = toBlock !== undefined ? toBlock : await this.provider.getBlockNumber();
+        let fromBlock = explicitFrom !== undefined ? explicitFrom : this.jobs.lastProcessedBlock;
+
+        if (fromBlock === null) {
+            if (this.startBlock === null) {
+                // First run: nothing was missed, start tracking from here
+                this.jobs.setLastProcessedBlock(latestBlock);
+                return 0;
+            }
+            fromBlock = this.startBlock;
+        }
+
+        // The last processed block is re-scanned; recorded logs are deduplicated
+        this.log.info('Backfilling verification requests', { fromBlock, toBlock: latestBlock });
+        const filter = this.hookContract.filters.AVSVerificationRequested();
+        let recorded = 0;
+
+        for (let start = fromBlock; start <= latestBlock; start += this.backfillChunkSize) {
+            const end = Math.min(latestBlock, start + this.backfillChunkSize - 1);
+            const logs = await this.hookContract.queryFilter(filter, start, end);
+
+            for (const log of logs) {
+                if (this.enqueueVerificationRequest(log)) {
+                    recorded++;
                 }
-            };
-            
-            const data = mockVerraDatabase[creditId];
-            
-            if (!data || !data.exists) {
-                return {
-                    source: 'Verra',
-                    success: false,
-                    error: 'Credit not found in Verra registry'
-                };
             }
-            
-            return {
-                source: 'Verra',
-                success: true,
-                exists: true,
-                quality: data.quality,
-                vintage: data.vintage,
-                projectType: data.projectType,
-                isRetired: data.isRetired,
-                methodology: data.methodology,
-                location: data.location
-            };
-            
-        } catch (error) {
-            console.error('❌ Verra verification failed:', error.message);
-            return {
-                source: 'Verra',
-                success: false,
-                error: error.message
-            };
+            this.jobs.setLastProcessedBlock(end);
         }
+
+        this.log.info('Backfill complete', { queued: recorded });
+        return recorded;
     }
 
-    async verifyWithGoldStandard(creditId) {
-        console.log(`🥇 Verifying with Gold Standard: ${creditId}`);
-        
+    async confirmSubmittedJob(job) {
+        this.log.info('Checking earlier submission', {
+            correlationId: correlationIdFor(job),
+            jobId: job.id,
+            hash: job.submissionHash
+        });
+
         try {
-            await this.delay(600);
-            
-            const mockGoldStandardDatabase = {
-                'GS-001': {
-                    exists: true,
-                    status: 'registered',
-                    vintage: 2022,
-                    projectType: 'Energy Efficiency',
-                    sdgImpacts: ['SDG 7', 'SDG 13'],
-                    location: 'Kenya',
-                    quality: 80,
-                    isRetired: false
-                },
-                'GS-002': {
-                    exists: true,
-                    status: 'registered',
-                    vintage: 2020,
-                    projectType: 'Clean Cookstoves',
-                    sdgImpacts: ['SDG 3', 'SDG 7', 'SDG 13'],
-                    location: 'Ghana',
-                    quality: 75,
-                    isRetired: true
-                },
-                'GS-003': {
-                    exists: true,
-                    status: 'registered',
-                    vintage: 2022,
-                    projectType: 'Wind Energy',
-                    sdgImpacts: ['SDG 7', 'SDG 13'],
-                    location: 'Morocco',
-                    quality: 78,
-                    isRetired: false
-                }
-            };
-            
-            const data = mockGoldStandardDatabase[creditId];
-            
-            if (!data || !data.exists) {
-                return {
-                    source: 'Gold Standard',
-                    success: false,
-                    error: 'Credit not found in Gold Standard registry'
-                };
+            const receipt = await this.provider.waitForTransaction(job.submissionHash, 1, 60000);
+
+            if (receipt && receipt.status === 1) {
+                this.jobs.markConfirmed(job.id, {
+                    gasUsed: receipt.gasUsed.toString(),
+                    confirmedBlock: receipt.blockNumber
+                });
+            } else {
+                this.jobs.markFailed(job.id, 'Submission transaction reverted');
             }
-            
-            return {
-                source: 'Gold Standard',
-                success: true,
-                exists: true,
-                quality: data.quality,
-                vintage: data.vintage,
-                projectType: data.projectType,
-                isRetired: data.isRetired,
-                sdgImpacts: data.sdgImpacts
-            };
-            
         } catch (error) {
-            return {
-                source: 'Gold Standard',
-                success: false,
-                error: error.message
-            };
+            // Dropped or still unmined: verify and submit again
+            this.jobs.markFailed(job.id, `Submission not confirmed: ${error.message}`);
         }
     }
 
-    async verifyWithClimateAction(creditId) {
-        console.log(`🌡️ Verifying with Climate Action Reserve: ${creditId}`);
-        
+    /**
+     * Process pending jobs whose requests have enough confirmations. In
+     * batch mode `flush` submits partial batches without waiting out the
+     * coalescing window.
+     */
+    async processJobs({ flush = false } = {}) {
+        if (this.processingJobs) {
+            // Blocks that arrive mid-run are reconciled once the run finishes
+            this.processJobsAgain = true;
+            return;
+        }
+
+        this.processingJobs = true;
         try {
-            await this.delay(500);
-            
-            const mockClimateActionDatabase = {
-                'CAR-789': {
-                    exists: true,
-                    status: 'issued',
-                    vintage: 2023,
-                    projectType: 'Forest',
-                    protocol: 'Forest Project Protocol',
-                    location: 'California, USA',
-                    quality: 78,
-                    isRetired: false
-                },
-                'CAR-456': {
-                    exists: true,
-                    status: 'issued',
-                    vintage: 2021,
-                    projectType: 'Solar',
-                    protocol: 'Solar Project Protocol',
-                    location: 'Arizona, USA',
-                    quality: 65,
-                    isRetired: false
-                },
-                'CAR-123': {
-                    exists: true,
-                    status: 'issued',
-                    vintage: 2022,
-                    projectType: 'Wind',
-                    protocol: 'Wind Project Protocol',
-                    location: 'Oklahoma, USA',
-                    quality: 72,
-                    isRetired: false
+            do {
+                this.processJobsAgain = false;
+                const { latest } = await this.reconcileChain();
+                if (this.mode === 'operator') {
+                    await this.checkAttestedJobs();
                 }
-            };
-            
-            const data = mockClimateActionDatabase[creditId];
-            
-            if (!data || !data.exists) {
-                return {
-                    source: 'Climate Action Reserve',
-                    success: false,
-                    error: 'Credit not found in CAR registry'
-                };
+
+                // Leave requests in recent blocks until they have enough confirmations
+                const confirmedBlock = latest - this.confirmations;
+                if (this.batch) {
+                    await this.processBatches(confirmedBlock, { flush });
+                } else {
+                    let job;
+                    while ((job = this.jobs.nextPending(confirmedBlock))) {
+                        // Reorgs deeper than the tracked window are caught here
+                        if (!(await this.isCanonical(job))) {
+                            await this.handleReorg(job.blockNumber - 1, await this.provider.getBlockNumber());
+                            continue;
+                        }
+                        await this.runJob(job);
+                    }
+                }
+
+                // Jobs waiting out their retry delay are picked up by a later run
+                const retryAt = this.jobs.nextRetryAt(confirmedBlock);
+                if (retryAt !== null) {
+                    this.scheduleRetry(retryAt - Date.now());
+                }
+            } while (this.processJobsAgain);
+        } catch (error) {
+            // Retried on the next block or request
+            this.log.error('Job processing interrupted', { error });
+        } finally {
+            this.processingJobs = false;
+        }
+    }
+
+    /**
+     * Batch mode: run ready jobs in batches of up to maxSize. A partial batch
+     * waits until its oldest job is windowMs old, so that requests arriving
+     * close together share a transaction.
+     */
+    async processBatches(confirmedBlock, { flush = false } = {}) {
+        let jobs;
+        while ((jobs = this.jobs.nextPendingBatch(confirmedBlock, this.batch.maxSize)).length > 0) {
+            const waitMs = Date.parse(jobs[0].createdAt) + this.batch.windowMs - Date.now();
+            if (!flush && jobs.length < this.batch.maxSize && waitMs > 0) {
+                this.scheduleBatch(waitMs);
+                return;
             }
-            
-            return {
-                source: 'Climate Action Reserve',
-                success: true,
-                exists: true,
-                quality: data.quality,
-                vintage: data.vintage,
-                projectType: data.projectType,
-                isRetired: data.isRetired,
-                protocol: data.protocol
-            };
-            
+
+            // Reorgs deeper than the tracked window are caught here
+            let reorged = null;
+            for (const job of jobs) {
+                if (!(await this.isCanonical(job))) {
+                    reorged = job;
+                    break;
+                }
+            }
+            if (reorged) {
+                await this.handleReorg(reorged.blockNumber - 1, await this.provider.getBlockNumber());
+                continue;
+            }
+
+            await this.runBatch(jobs);
+        }
+    }
+
+    scheduleBatch(delayMs) {
+        if (this.batchTimer) {
+            return;
+        }
+        this.batchTimer = setTimeout(() => {
+            this.batchTimer = null;
+            this.processJobs();
+        }, delayMs);
+    }
+
+    scheduleRetry(delayMs) {
+        if (this.retryTimer) {
+            return;
+        }
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.processJobs();
+        }, delayMs);
+    }
+
+    /**
+     * Record the latest blocks and handle a reorg if the tracked chain changed.
+     */
+    async reconcileChain() {
+        const { latest, reorg } = await this.blockTracker.update(this.provider);
+        if (reorg) {
+            await this.handleReorg(reorg.forkBlock, latest, reorg.depth);
+        }
+        return { latest };
+    }
+
+    /**
+     * Re-read verification requests above the fork point. Jobs whose log is
+     * gone are marked reorged, logs that moved or appeared are queued, and
+     * verdicts whose submission was reorged out are re-checked.
+     */
+    async handleReorg(forkBlock, latest, depth) {
+        this.metrics.reorgs.inc();
+        this.log.warn('Chain reorganization detected', { forkBlock, latest, ...(depth !== undefined && { depth }) });
+
+        const logs = await this.hookContract.queryFilter(
+            this.hookContract.filters.AVSVerificationRequested(),
+            forkBlock + 1,
+            latest
+        );
+        const canonical = new Map(logs.map(log => [VerificationJobQueue.jobId(log.blockNumber, log.index), log]));
+
+        for (const job of this.jobs.list()) {
+            if (job.blockNumber <= forkBlock || job.status === 'reorged') {
+                continue;
+            }
+
+            const log = canonical.get(job.id);
+            if (!log || (job.blockHash && log.blockHash !== job.blockHash)) {
+                const processed = ['submitted', 'attested', 'confirmed'].includes(job.status);
+                this.log.warn(processed ? 'Processed verification request was reorged out' : 'Verification request was reorged out', {
+                    correlationId: correlationIdFor(job),
+                    jobId: job.id,
+                    creditId: job.creditId
+                });
+                this.jobs.markReorged(job.id, `Log removed by a reorg above block ${forkBlock}`);
+            }
+        }
+
+        for (const log of logs) {
+            this.enqueueVerificationRequest(log);
+        }
+        // The new branch may be shorter: backfill must resume from its head
+        this.jobs.rewindLastProcessedBlock(forkBlock);
+        this.jobs.setLastProcessedBlock(latest);
+
+        // The request survived but our submission may not have
+        if (this.mode === 'single') {
+            const resubmissions = this.jobs.list('confirmed')
+                .filter(job => job.submissionHash && job.confirmedBlock > forkBlock);
+            for (const job of resubmissions) {
+                const receipt = await this.provider.getTransactionReceipt(job.submissionHash);
+                if (!receipt) {
+                    this.log.warn('Submission was reorged out, waiting for it to be re-mined', {
+                        correlationId: correlationIdFor(job),
+                        jobId: job.id
+                    });
+                    // Not awaited: the wait must not hold up other jobs
+                    this.confirmSubmittedJob(this.jobs.transition(job.id, 'submitted'));
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether the block a job's log was seen in is still canonical.
+     */
+    async isCanonical(job) {
+        if (!job.blockHash) {
+            return true;
+        }
+        const block = await this.provider.getBlock(job.blockNumber);
+        return Boolean(block) && block.hash === job.blockHash;
+    }
+
+    runJob(job) {
+        return withLogContext(jobLogContext(job), () => this.executeJob(job));
+    }
+
+    async executeJob(job) {
+        this.jobs.markRunning(job.id);
+        const onSubmitted = hash => this.jobs.markSubmitted(job.id, hash);
+        const requestId = requestIdFor(job.id);
+
+        let outcome;
+        try {
+            outcome = await this.processVerificationRequest(job.creditId, job.requester, { onSubmitted, requestId });
         } catch (error) {
-            return {
-                source: 'Climate Action Reserve',
-                success: false,
-                error: error.message
+            this.log.error('Error processing verification', { error });
+
+            // Submit failed verification
+            outcome = {
+                submission: await this.submitVerificationResult(job.creditId, false, 0, ['error'], { onSubmitted, requestId })
             };
         }
+
+        this.finishJob(job, outcome);
     }
 
-    aggregateVerificationResults(results, creditId) {
-        const successfulResults = results
-            .filter(result => result.status === 'fulfilled' && result.value.success)
-            .map(result => result.value);
-        
-        console.log(`📊 Aggregating results from ${successfulResults.length} registries...`);
-        
-        if (successfulResults.length === 0) {
-            return {
-                isValid: false,
-                qualityScore: 0,
-                sources: ['verification_failed']
-            };
+    /**
+     * Verify a batch of jobs and submit their verdicts in one transaction.
+     * Each job still gets its own log context, evidence and recorded outcome.
+     */
+    async runBatch(jobs) {
+        jobs.forEach(job => this.jobs.markRunning(job.id));
+        this.log.info('Processing verification batch', { size: jobs.length, jobIds: jobs.map(job => job.id) });
+
+        const outcomes = await this.processVerificationBatch(jobs.map(job => ({
+            creditId: job.creditId,
+            requestId: requestIdFor(job.id),
+            logContext: jobLogContext(job),
+            onSubmitted: hash => this.jobs.markSubmitted(job.id, hash)
+        })));
+
+        jobs.forEach((job, index) => withLogContext(jobLogContext(job), () => this.finishJob(job, outcomes[index])));
+    }
+
+    /**
+     * Record the outcome of a job. Returns true if it failed and will be
+     * retried.
+     */
+    finishJob(job, outcome) {
+        this.metrics.verifications.inc({ outcome: CarbonVerificationAVS.outcomeLabel(outcome) });
+
+        if (outcome.skipped) {
+            this.jobs.markConfirmed(job.id, { outcome: 'already_verified' });
+            return false;
         }
-        
-        // Check if credit exists in at least one registry
-        const existsInRegistries = successfulResults.filter(r => r.exists);
-        
-        if (existsInRegistries.length === 0) {
-            return {
-                isValid: false,
-                qualityScore: 0,
-                sources: ['not_found_in_registries']
-            };
+
+        const { submission, verification } = outcome;
+        const verdict = {
+            evidenceHash: outcome.evidenceHash,
+            ...(verification && {
+                isValid: verification.isValid,
+                qualityScore: verification.qualityScore,
+                policyVersion: verification.policyVersion,
+                scoreBreakdown: verification.breakdown
+            })
+        };
+
+        if (submission.success && submission.attested) {
+            // The aggregator submits once quorum is reached; see checkAttestedJobs
+            this.jobs.markAttested(job.id, submission.digest, verdict);
+            return false;
         }
-        
-        // Check if credit is retired in any registry (red flag)
-        const isRetiredAnywhere = existsInRegistries.some(r => r.isRetired);
-        
-        // Calculate consensus quality score
-        const qualityScores = existsInRegistries.map(r => r.quality);
-        const avgQuality = qualityScores.reduce((sum, score) => sum + score, 0) / qualityScores.length;
-        
-        // Apply penalties for inconsistencies
-        let finalScore = Math.round(avgQuality);
-        
-        if (isRetiredAnywhere) {
-            finalScore = Math.max(0, finalScore - 20); // Retirement penalty
+        if (submission.success) {
+            this.jobs.markConfirmed(job.id, {
+                // For batches: gas of the whole transaction
+                gasUsed: submission.gasUsed,
+                ...(submission.batchSize && { batchSize: submission.batchSize }),
+                confirmedBlock: submission.blockNumber,
+                ...verdict
+            });
+            return false;
         }
-        
-        if (existsInRegistries.length < 2) {
-            finalScore = Math.max(0, finalScore - 10); // Single registry penalty
+
+        return this.retryJob(job, submission.error);
+    }
+
+    /**
+     * Put a job back in the queue after a failed attempt, or fail it for good
+     * once it has used up its attempts. Returns true if it will be retried.
+     */
+    retryJob(job, error) {
+        const updated = this.jobs.markFailed(job.id, error, this.jobRetryDelayMs);
+        if (updated.status === 'pending') {
+            this.log.warn('Job will be retried', {
+                attempt: updated.attempts,
+                maxAttempts: this.jobs.maxAttempts,
+                notBefore: updated.notBefore,
+                error
+            });
+            return true;
         }
-        
+        this.log.error('Job failed', { attempts: updated.attempts, error });
+        return false;
+    }
+
+    /**
+     * Operator mode: follow the quorum round of each attested job at the
+     * aggregator. A submitted round confirms the job. A failed round, or one
+     * the aggregator no longer has or that lacks our attestation (it failed and
+     * was restarted), puts the job back in the queue to be attested again.
+     */
+    async checkAttestedJobs() {
+        for (const job of this.jobs.list('attested')) {
+            let rounds;
+            try {
+                const response = await fetch(`${this.aggregatorUrl}/rounds/${job.creditId}`);
+                if (!response.ok) {
+                    throw new Error(`Aggregator responded with HTTP ${response.status}`);
+                }
+                rounds = await response.json();
+            } catch (error) {
+                // Asked again on the next run
+                this.log.warn('Could not check quorum rounds', { aggregatorUrl: this.aggregatorUrl, error });
+                return;
+            }
+
+            const requestId = requestIdFor(job.id);
+            const round = rounds.find(entry => entry.requestId === requestId);
+            withLogContext(jobLogContext(job), () => this.settleAttestedJob(job, round));
+        }
+    }
+
+    settleAttestedJob(job, round) {
+        const attested = round && round.verdicts.some(verdict => verdict.operators.includes(this.wallet.address));
+        if (!attested) {
+            this.retryJob(job, round ? 'Quorum round was restarted without our attestation' : 'Quorum round not found at the aggregator');
+            return;
+        }
+
+        if (round.status === 'submitted') {
+            this.log.info('Quorum verdict confirmed', { hash: round.submission.hash });
+            this.jobs.markConfirmed(job.id, {
+                submissionHash: round.submission.hash,
+                gasUsed: round.submission.gasUsed,
+                confirmedBlock: round.submission.blockNumber
+            });
+        } else if (round.status === 'failed') {
+            this.retryJob(job, `Quorum round failed: ${round.failureReason}`);
+        }
+    }
+
+    /**
+     * Metric label for a finished job: skipped, valid, invalid, error
+     * (no verdict reached) or submission_failed.
+     */
+    static outcomeLabel({ skipped, verification, submission }) {
+        if (skipped) {
+            return 'skipped';
+        }
+        if (!submission.success) {
+            return 'submission_failed';
+        }
+        if (!verification) {
+            return 'error';
+        }
+        return verification.isValid ? 'valid' : 'invalid';
+    }
+
+    registerRegistryAdapter(adapter) {
+        return this.registries.register(adapter);
+    }
+
+    /**
+     * Verify a credit and submit the verdict. Credits that are already
+     * verified on-chain are skipped unless `force` is set (resubmission).
+     * Resubmissions and `fresh` requests don't reuse cached registry results.
+     */
+    async processVerificationRequest(creditId, requester, { onSubmitted, requestId, force = false, fresh = force } = {}) {
+        const verdict = await this.prepareVerdict(creditId, { requestId, force, fresh });
+        if (verdict.skipped) {
+            return { skipped: true };
+        }
+
+        const { verification, evidenceHash } = verdict;
+
+        // Submit verification result to contract
+        const submission = await this.submitVerificationResult(
+            creditId,
+            verdict.isValid,
+            verdict.qualityScore,
+            verdict.sources,
+            { onSubmitted, requestId, policyVersion: verdict.policyVersion, evidenceHash }
+        );
+
+        if (!verification) {
+            return { submission };
+        }
+        this.logCompletion(verification, evidenceHash, submission);
+        return { verification, submission, evidenceHash };
+    }
+
+    /**
+     * Verify several credits and submit their verdicts in one
+     * submitAVSVerificationBatch transaction, querying registries for at
+     * most `concurrency` credits at a time. Requests are
+     * { creditId, requestId, logContext, onSubmitted } (all but creditId
+     * optional). Resolves to one outcome per request, in order, shaped like
+     * processVerificationRequest's; submitted credits share the submission.
+     */
+    async processVerificationBatch(requests, { force = false, fresh = force, concurrency = this.config.batch.concurrency } = {}) {
+        if (this.mode !== 'single') {
+            throw new Error('Batch submission requires AVS_MODE=single');
+        }
+        const contextFor = request => request.logContext || { creditId: request.creditId.toString() };
+
+        const verdicts = await mapWithConcurrency(requests, concurrency, request => withLogContext(contextFor(request), async () => {
+            try {
+                return await this.prepareVerdict(request.creditId, { requestId: request.requestId, force, fresh });
+            } catch (error) {
+                this.log.error('Error processing verification', { error });
+                return { isValid: false, qualityScore: 0, sources: ['error'] };
+            }
+        }));
+
+        const items = requests.map((request, index) => ({ request, verdict: verdicts[index] }));
+        const submitted = items.filter(({ verdict }) => !verdict.skipped);
+        const submission = submitted.length > 0 ? await this.submitVerificationBatch(submitted) : null;
+
+        return items.map(({ request, verdict }) => {
+            if (verdict.skipped) {
+                return { skipped: true };
+            }
+            const { verification, evidenceHash } = verdict;
+            if (!verification) {
+                return { submission };
+            }
+            withLogContext(contextFor(request), () => this.logCompletion(verification, evidenceHash, submission));
+            return { verification, submission, evidenceHash };
+        });
+    }
+
+    /**
+     * Decide a credit's verdict without submitting it. Returns
+     * { skipped: true } for credits already verified on-chain, otherwise the
+     * fields to submit plus, for mapped credits, the verification and the
+     * hash of its stored evidence.
+     */
+    async prepareVerdict(creditId, { requestId, force = false, fresh = force } = {}) {
+        this.log.info('Starting verification', { creditId: creditId.toString() });
+
+        // Check if already verified to avoid duplicate work
+        const alreadyVerified = !force && await this.hookContract.avsVerified(creditId);
+        if (alreadyVerified) {
+            this.log.info('Credit already verified, skipping');
+            return { skipped: true };
+        }
+
+        const verification = await this.evaluateCredit(creditId, { fresh });
+        if (!verification) {
+            return { isValid: false, qualityScore: 0, sources: ['unmapped_credit'] };
+        }
+
         return {
-            isValid: !isRetiredAnywhere && finalScore >= 40, // Minimum threshold
-            qualityScore: finalScore,
-            sources: successfulResults.map(r => r.source)
+            verification,
+            evidenceHash: this.recordEvidence(creditId, verification, { requestId }),
+            isValid: verification.isValid,
+            qualityScore: verification.qualityScore,
+            sources: verification.sources,
+            policyVersion: verification.policyVersion
         };
     }
 
-    async submitVerificationResult(creditId, isValid, qualityScore, sources) {
-        console.log(`📤 Submitting verification result for Credit ${creditId}...`);
+    logCompletion(verification, evidenceHash, submission) {
+        this.log.info('Verification completed', {
+            isValid: verification.isValid,
+            qualityScore: verification.qualityScore,
+            sources: verification.sources,
+            policyVersion: verification.policyVersion,
+            scoreBreakdown: formatBreakdown(verification.breakdown),
+            evidenceHash,
+            submitted: submission.success
+        });
+    }
+
+    /**
+     * Query the registries and score a credit without submitting anything.
+     * Returns null for unmapped credits. With `record: false` (dry runs) the
+     * credit's projects are not added to the double-counting index; `fresh`
+     * queries registries even if their cached results haven't expired.
+     */
+    async evaluateCredit(creditId, { record = true, fresh = false } = {}) {
+        const startedAt = new Date().toISOString();
+
+        // Map credit ID to registry identifiers
+        const registryMappings = this.getCreditRegistryMapping(creditId);
+
+        if (!registryMappings) {
+            this.log.warn('Credit has no registry mapping, refusing to verify', {
+                hint: `node mappings-cli.js add ${creditId} --verra <id> ...`
+            });
+            return null;
+        }
         
-        try {
-            const tx = await this.hookContract.submitAVSVerification(
-                creditId,
-                isValid,
-                qualityScore,
-                sources,
-                { gasLimit: 300000 } // Add gas limit for reliability
-            );
-            
-            console.log(`⛓️ Transaction sent: ${tx.hash}`);
-            
-            const receipt = await tx.wait();
-            console.log(`✅ Verification submitted successfully (Gas used: ${receipt.gasUsed})`);
-            
-        } catch (error) {
-            console.error('❌ Failed to submit verification:', error.message);
+        // Perform parallel verification across multiple registries
+        this.log.info('Querying carbon registries', { registries: this.registries.list().map(adapter => adapter.id) });
+        const results = await this.registries.verifyAll(registryMappings, { fresh });
+        const registryResults = results
+            .filter(result => result.status === 'fulfilled')
+            .map(result => result.value);
+
+        // Compare what the registries report and look for double counting
+        const findings = this.consistencyChecker.check(creditId, registryMappings, registryResults);
+        findings.forEach(finding => this.log.warn('Consistency finding', {
+            finding: finding.type,
+            severity: finding.severity,
+            detail: finding.detail
+        }));
+        if (record) {
+            this.consistencyChecker.recordProjects(creditId, registryResults);
+        }
+        
+        // Aggregate results from all registries
+        const verification = this.aggregateVerificationResults(results, creditId, findings);
+
+        // Inputs of the verdict, kept for its evidence bundle
+        verification.evidence = {
+            registryMappings,
+            registryResults: results.map(result => (result.status === 'fulfilled'
+                ? result.value
+                : { success: false, error: result.reason ? result.reason.message : 'unknown error' })),
+            findings,
+            startedAt,
+            evaluatedAt: new Date().toISOString()
+        };
+        return verification;
+    }
+
+    /**
+     * Store the evidence bundle for a verdict and return its hash, which is
+     * submitted with the verdict as an `evidence:<hash>` source.
+     */
+    recordEvidence(creditId, verification, { requestId = null } = {}) {
+        const bundle = buildEvidenceBundle({
+            creditId,
+            verification,
+            policy: this.scoringPolicy,
+            operator: this.wallet.address,
+            chainId: this.attestationDomain ? this.attestationDomain.chainId : undefined,
+            contract: this.hookContract.target,
+            requestId
+        });
+        const hash = this.evidence.put(bundle);
+        this.log.info('Evidence bundle stored', { evidenceHash: hash, file: this.evidence.pathFor(hash) });
+        return hash;
+    }
+
+    getCreditRegistryMapping(creditId) {
+        // Map internal credit IDs to external registry identifiers.
+        // Returns null for unmapped credits: guessing identifiers would
+        // verify against records that have nothing to do with this credit.
+        return this.mappingStore.get(creditId);
+    }
+
+    aggregateVerificationResults(results, creditId, findings = []) {
+        const successfulCount = results.filter(result => result.status === 'fulfilled' && result.value.success).length;
+        this.log.info('Aggregating registry results', {
+            successfulRegistries: successfulCount,
+            policyVersion: this.scoringPolicy.version
+        });
+
+        return this.scoringPolicy.score(results, { findings });
+    }
+
+    async submitVerificationResult(creditId, isValid, qualityScore, sources, { onSubmitted, requestId, policyVersion, evidenceHash } = {}) {
+        if (this.mode === 'operator') {
+            return this.publishAttestation(creditId, isValid, qualityScore, sources, {
+                requestId,
+                policyVersion: policyVersion || this.scoringPolicy.version,
+                evidenceHash
+            });
+        }
+
+        this.log.info('Submitting verification result', { isValid, qualityScore });
+
+        // Nonces, gas, fee bumping and retries are handled by the transaction manager
+        const outcome = await this.txManager.send({
+            creditId,
+            contract: this.hookContract,
+            method: 'submitAVSVerification',
+            args: [creditId, isValid, qualityScore, withEvidence(sources, evidenceHash)],
+            onSent: hash => {
+                this.log.info('Transaction sent', { hash });
+                if (onSubmitted) {
+                    onSubmitted(hash);
+                }
+            }
+        });
+        return this.submissionResult(outcome);
+    }
+
+    /**
+     * Submit several verdicts in one submitAVSVerificationBatch transaction.
+     * Items are { request, verdict } pairs; every request's onSubmitted gets
+     * the shared transaction hash.
+     */
+    async submitVerificationBatch(items) {
+        const creditIds = items.map(({ request }) => request.creditId);
+        this.log.info('Submitting verification batch', { size: items.length, creditIds: creditIds.map(String) });
+
+        const outcome = await this.txManager.send({
+            creditId: creditIds,
+            contract: this.hookContract,
+            method: 'submitAVSVerificationBatch',
+            args: [
+                creditIds,
+                items.map(({ verdict }) => verdict.isValid),
+                items.map(({ verdict }) => verdict.qualityScore),
+                items.map(({ verdict }) => withEvidence(verdict.sources, verdict.evidenceHash))
+            ],
+            onSent: hash => {
+                this.log.info('Transaction sent', { hash, size: items.length });
+                items.forEach(({ request }) => request.onSubmitted && request.onSubmitted(hash));
+            }
+        });
+        this.metrics.submissionBatchSize.observe({}, items.length);
+        return { ...this.submissionResult(outcome), batchSize: items.length };
+    }
+
+    /**
+     * Count a transaction manager outcome and turn it into the submission
+     * result returned to callers.
+     */
+    submissionResult(outcome) {
+        this.metrics.submissions.inc({ status: outcome.status });
+        if (outcome.gasUsed) {
+            this.metrics.submissionGas.observe({}, Number(outcome.gasUsed));
+        }
+
+        if (outcome.status !== 'confirmed') {
             // Don't throw - let service continue running
-            console.log('🔄 Service will continue for next verification requests');
+            this.log.error('Failed to submit verification', { status: outcome.status, error: outcome.error, hash: outcome.hash });
+            return { success: false, error: outcome.error, hash: outcome.hash };
         }
+
+        this.log.info('Verification submitted', {
+            hash: outcome.hash,
+            gasUsed: outcome.gasUsed,
+            attempts: outcome.attempts,
+            blockNumber: outcome.blockNumber
+        });
+        return {
+            success: true,
+            hash: outcome.hash,
+            gasUsed: outcome.gasUsed,
+            blockNumber: outcome.blockNumber
+        };
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * Sign a verdict and hand it to the quorum aggregator. Success means the
+     * aggregator accepted the attestation, not that anything was submitted:
+     * the result carries the attestation digest and no transaction hash.
+     */
+    async publishAttestation(creditId, isValid, qualityScore, sources, { requestId, policyVersion, evidenceHash }) {
+        this.log.info('Signing attestation', { isValid, qualityScore });
+
+        try {
+            if (!requestId) {
+                throw new Error('Attestations require the request ID of the verification job');
+            }
+
+            const attestation = buildAttestation({ creditId, requestId, isValid, qualityScore, sources, policyVersion });
+            const signature = await signAttestation(this.wallet, this.attestationDomain, attestation);
+            const digest = attestationDigest(attestation);
+
+            const response = await fetch(`${this.aggregatorUrl}/attestations`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ operator: this.wallet.address, attestation, signature, evidenceHash })
+            });
+            const body = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(body.error || `Aggregator responded with HTTP ${response.status}`);
+            }
+
+            this.log.info('Attestation accepted by aggregator', { digest, aggregatorStatus: body.status });
+            return { success: true, attested: true, digest, aggregatorStatus: body.status };
+        } catch (error) {
+            this.log.error('Failed to publish attestation', { error });
+            return { success: false, error: error.message };
+        }
     }
 }
 
 // Main execution
 async function main() {
-    console.log('🌱 Starting Carbon Credit Verification AVS...\n');
-    
-    const avs = new CarbonVerificationAVS();
+    logger.info('Starting Carbon Credit Verification AVS');
     
+    let avs;
     try {
+        avs = new CarbonVerificationAVS();
         await avs.initialize();
     } catch (error) {
-        console.error('💥 Failed to initialize AVS:', error.message);
-        console.log('\n🔧 Troubleshooting:');
-        console.log('1. Make sure Anvil is running: anvil --code-size-limit 30000');
-        console.log('2. Make sure contracts are deployed');
-        console.log('3. Check avs/.env has correct HOOK_CONTRACT_ADDRESS');
+        if (error instanceof ConfigError) {
+            logger.error(error.message);
+            process.exit(1);
+        }
+        logger.error('Failed to initialize AVS', {
+            error,
+            troubleshooting: [
+                'Make sure Anvil is running: anvil --code-size-limit 30000',
+                'Make sure contracts are deployed',
+                'Check avs/.env has correct HOOK_CONTRACT_ADDRESS'
+            ]
+        });
         process.exit(1);
     }
     
     // Graceful shutdown
-    process.on('SIGINT', () => {
-        console.log('\n🛑 Shutting down Carbon Verification AVS...');
-        console.log('👋 Goodbye!');
+    process.on('SIGINT', async () => {
+        logger.info('Shutting down Carbon Verification AVS');
+        await avs.stop();
         process.exit(0);
     });
     
-    process.on('SIGTERM', () => {
-        console.log('\n🛑 Received SIGTERM, shutting down...');
+    process.on('SIGTERM', async () => {
+        logger.info('Received SIGTERM, shutting down');
+        await avs.stop();
         process.exit(0);
     });
 }
@@ -507,5 +1265,5 @@ module.exports = CarbonVerificationAVS;
 
 // Run if called directly
 if (require.main === module) {
-    main().catch(console.error);
+    main().catch(error => logger.error('AVS crashed', { error }));
 }
\ No newline at end of file
@@ -0,0 +1,551 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { redactUrl } = require('./connection-supervisor');
+const { DEFAULT_MAPPINGS_FILE } = require('./mapping-store');
+const { DEFAULT_POLICY_FILE } = require('./scoring-policy');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'avs.config.json');
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// Local development chains (Anvil, Hardhat) only mine on demand and don't reorg
+const LOCAL_CHAIN_IDS = [31337, 1337];
+
+// First Anvil account, used in local mode when no signer is configured
+const ANVIL_DEFAULT_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Accounts of the public "test test ... junk" mnemonic that Anvil and
+// Hardhat fund by default. Their keys are known to everyone.
+const DEV_ACCOUNTS = [
+    '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+    '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+    '0x90F79bf6EB2c4f870365E785982E1f101E93b906',
+    '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65',
+    '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc',
+    '0x976EA74026E726554dB657fA54763abd0C3a0aa9',
+    '0x14dC79964da2C08b23698B3D3cc7Ca32193d9955',
+    '0x23618e81E3f5cdF7f54C3d65f7FBc0aBf5B21E8f',
+    '0xa0Ee7A142d267C1f36714E4a8F75612F20a79720'
+];
+
+// Placeholder registry API key, only accepted on local chains
+const DEMO_API_KEY = 'demo_key';
+
+const REGISTRIES = {
+    verra: { env: 'VERRA', baseUrl: 'https://registry.verra.org/app/search/VCS' },
+    goldStandard: { env: 'GOLD_STANDARD', baseUrl: 'https://registry.goldstandard.org/projects' },
+    climateAction: { env: 'CLIMATE_ACTION', baseUrl: 'https://thereserve.apx.com/mymodule/reg' }
+};
+
+/**
+ * Settings the AVS reads at startup. `env` lists the variables that set a
+ * key (the first one set wins) and override the config file.
+ */
+const SCHEMA = [
+    { key: 'environment', env: ['AVS_ENVIRONMENT'], type: 'enum', values: ['local', 'network'], default: 'local' },
+    { key: 'mode', env: ['AVS_MODE'], type: 'enum', values: ['single', 'operator'], default: 'single' },
+    { key: 'contractAddress', env: ['HOOK_CONTRACT_ADDRESS'], type: 'address' },
+    { key: 'rpcUrls', env: ['RPC_URLS', 'RPC_URL'], type: 'urlList', default: ['http://localhost:8545'] },
+    { key: 'aggregatorUrl', env: ['AGGREGATOR_URL'], type: 'url', default: 'http://localhost:4100' },
+    { key: 'dataDir', env: ['AVS_DATA_DIR'], type: 'path', default: DEFAULT_DATA_DIR },
+    { key: 'statusPort', env: ['STATUS_PORT'], type: 'port', default: 9090 },
+    { key: 'confirmations', env: ['CONFIRMATION_DEPTH'], type: 'integer', min: 0 },
+    { key: 'startBlock', env: ['AVS_START_BLOCK'], type: 'integer', min: 0 },
+    { key: 'backfillChunkSize', env: ['BACKFILL_CHUNK_SIZE'], type: 'integer', min: 1, default: 2000 },
+    { key: 'reorgTrackingWindow', env: ['REORG_TRACKING_WINDOW'], type: 'integer', min: 1, default: 128 },
+    { key: 'creditMappingsFile', env: ['CREDIT_MAPPINGS_FILE'], type: 'path', default: DEFAULT_MAPPINGS_FILE },
+    { key: 'scoringPolicyFile', env: ['SCORING_POLICY_FILE'], type: 'file', default: DEFAULT_POLICY_FILE },
+    { key: 'rpc.pollingIntervalMs', env: ['RPC_POLLING_INTERVAL_MS'], type: 'integer', min: 1, default: 4000 },
+    { key: 'rpc.healthCheckIntervalMs', env: ['RPC_HEALTH_CHECK_INTERVAL_MS'], type: 'integer', min: 1, default: 10000 },
+    { key: 'rpc.connectTimeoutMs', env: ['RPC_CONNECT_TIMEOUT_MS'], type: 'integer', min: 1, default: 5000 },
+    { key: 'tx.gasHeadroomPercent', env: ['GAS_HEADROOM_PERCENT'], type: 'integer', min: 0, default: 20 },
+    // Nodes reject replacements that raise fees by less than ~10%
+    { key: 'tx.feeBumpPercent', env: ['FEE_BUMP_PERCENT'], type: 'integer', min: 10, default: 15 },
+    { key: 'tx.maxFeePerGasGwei', env: ['MAX_FEE_PER_GAS_GWEI'], type: 'decimal' },
+    { key: 'tx.stuckTimeoutMs', env: ['TX_STUCK_TIMEOUT_MS'], type: 'integer', min: 1, default: 45000 },
+    { key: 'health.timeoutMs', env: ['HEALTH_CHECK_TIMEOUT_MS'], type: 'integer', min: 1, default: 3000 },
+    { key: 'health.minOperatorBalanceEth', env: ['MIN_OPERATOR_BALANCE_ETH'], type: 'ether', default: '0.01' },
+    { key: 'reverify.intervalMs', env: ['REVERIFY_INTERVAL_MS'], type: 'interval', default: 15 * 60 * 1000 },
+    { key: 'reverify.highRiskHours', env: ['REVERIFY_HIGH_RISK_HOURS'], type: 'decimal', default: 6 },
+    { key: 'reverify.mediumRiskHours', env: ['REVERIFY_MEDIUM_RISK_HOURS'], type: 'decimal', default: 24 },
+    { key: 'reverify.lowRiskHours', env: ['REVERIFY_LOW_RISK_HOURS'], type: 'decimal', default: 168 },
+    { key: 'reverify.highRiskScore', env: ['REVERIFY_HIGH_RISK_SCORE'], type: 'integer', min: 0, max: 100, default: 60 },
+    { key: 'reverify.lowRiskScore', env: ['REVERIFY_LOW_RISK_SCORE'], type: 'integer', min: 0, max: 100, default: 80 },
+    { key: 'reverify.minScoreDrop', env: ['REVERIFY_MIN_SCORE_DROP'], type: 'integer', min: 0, max: 100, default: 5 },
+    { key: 'reverify.batchSize', env: ['REVERIFY_BATCH_SIZE'], type: 'integer', min: 1, default: 10 },
+    { key: 'quorum.operators', env: ['OPERATOR_ADDRESSES'], type: 'addressList' },
+    { key: 'quorum.threshold', env: ['QUORUM'], type: 'integer', min: 1 },
+    { key: 'quorum.port', env: ['AGGREGATOR_PORT'], type: 'integer', min: 0, max: 65535, default: 4100 },
+    { key: 'quorum.timeoutMs', env: ['QUORUM_TIMEOUT_MS'], type: 'integer', min: 1, default: 60000 },
+    { key: 'batch.enabled', env: ['BATCH_MODE'], type: 'boolean', default: false },
+    { key: 'batch.windowMs', env: ['BATCH_WINDOW_MS'], type: 'integer', min: 0, default: 2000 },
+    { key: 'batch.maxSize', env: ['BATCH_MAX_SIZE'], type: 'integer', min: 1, default: 50 },
+    { key: 'batch.concurrency', env: ['BATCH_CONCURRENCY'], type: 'integer', min: 1, default: 4 },
+    { key: 'signer.type', env: ['SIGNER_TYPE'], type: 'enum', values: ['privateKey', 'keystore', 'external'] },
+    { key: 'signer.privateKey', env: ['PRIVATE_KEY'], type: 'privateKey' },
+    { key: 'signer.keystoreFile', env: ['KEYSTORE_FILE'], type: 'file' },
+    { key: 'signer.keystorePassword', env: ['KEYSTORE_PASSWORD'], type: 'string' },
+    { key: 'signer.keystorePasswordFile', env: ['KEYSTORE_PASSWORD_FILE'], type: 'file' },
+    { key: 'signer.url', env: ['EXTERNAL_SIGNER_URL'], type: 'url' },
+    { key: 'signer.address', env: ['EXTERNAL_SIGNER_ADDRESS'], type: 'address' },
+    { key: 'registries.mode', env: ['REGISTRY_MODE'], type: 'enum', values: ['mock', 'live'], default: 'mock' },
+    { key: 'registries.adapters', env: ['REGISTRY_ADAPTERS'], type: 'list' },
+    { key: 'registries.timeoutMs', env: ['REGISTRY_TIMEOUT_MS'], type: 'integer', min: 1, default: 5000 },
+    { key: 'registries.maxRetries', env: ['REGISTRY_MAX_RETRIES'], type: 'integer', min: 0, default: 3 },
+    { key: 'registries.cacheTtlSeconds', env: ['REGISTRY_CACHE_TTL_SECONDS'], type: 'integer', min: 0, default: 3600 },
+    { key: 'registries.cacheMaxStaleSeconds', env: ['REGISTRY_CACHE_MAX_STALE_SECONDS'], type: 'integer', min: 0, default: 604800 },
+    ...Object.entries(REGISTRIES).flatMap(([id, registry]) => [
+        { key: `registries.${id}.baseUrl`, env: [`${registry.env}_API_URL`], type: 'url', default: registry.baseUrl },
+        { key: `registries.${id}.apiKey`, env: [`${registry.env}_API_KEY`], type: 'string' },
+        { key: `registries.${id}.cacheTtlSeconds`, env: [`${registry.env}_CACHE_TTL_SECONDS`], type: 'integer', min: 0 }
+    ])
+];
+
+/**
+ * Raised for missing, malformed or unsafe settings. `problems` lists every
+ * issue found, not just the first.
+ */
+class ConfigError extends Error {
+    constructor(problems, { context = null } = {}) {
+        super(`Invalid AVS configuration${context ? ` for ${context}` : ''}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const PARSERS = {
+    string: value => {
+        if (typeof value !== 'string' || value === '') {
+            throw new Error('must be a non-empty string');
+        }
+        return value;
+    },
+    enum: (value, field) => {
+        if (!field.values.includes(value)) {
+            throw new Error(`must be one of ${field.values.join(', ')}`);
+        }
+        return value;
+    },
+    address: value => {
+        if (typeof value !== 'string' || !ethers.isAddress(value)) {
+            throw new Error('must be a 0x-prefixed 20-byte address');
+        }
+        return ethers.getAddress(value);
+    },
+    url: value => {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new Error('must be a URL');
+        }
+        if (!['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+            throw new Error('must be an http(s) or ws(s) URL');
+        }
+        return value;
+    },
+    addressList: value => PARSERS.list(value).map(address => PARSERS.address(address)),
+    urlList: value => {
+        const urls = PARSERS.list(value);
+        if (urls.length === 0) {
+            throw new Error('must list at least one URL');
+        }
+        return urls.map(url => PARSERS.url(url));
+    },
+    list: value => {
+        const entries = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+            throw new Error('must be a comma-separated string or an array of strings');
+        }
+        return entries.map(entry => entry.trim()).filter(Boolean);
+    },
+    boolean: value => {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (!['true', 'false'].includes(value)) {
+            throw new Error('must be true or false');
+        }
+        return value === 'true';
+    },
+    integer: (value, field) => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (field.max !== undefined && (!Number.isInteger(number) || number < field.min || number > field.max)) {
+            throw new Error(`must be an integer from ${field.min} to ${field.max}`);
+        }
+        if (!Number.isInteger(number) || number < field.min) {
+            throw new Error(`must be an integer >= ${field.min}`);
+        }
+        return number;
+    },
+    decimal: value => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || number <= 0) {
+            throw new Error('must be a number > 0');
+        }
+        return number;
+    },
+    // Ether amount, kept as a decimal string so no precision is lost
+    ether: value => {
+        let wei;
+        try {
+            wei = ethers.parseEther(String(value));
+        } catch (error) {
+            wei = -1n;
+        }
+        if (wei < 0n) {
+            throw new Error('must be an amount of ether, e.g. 0.01');
+        }
+        return String(value);
+    },
+    interval: value => {
+        if (value === 'off') {
+            return 0;
+        }
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error('must be a number of milliseconds or "off"');
+        }
+        return number;
+    },
+    port: value => {
+        if (value === 'off') {
+            return value;
+        }
+        const port = PARSERS.integer(value, { min: 0 });
+        if (port > 65535) {
+            throw new Error('must be a port number or "off"');
+        }
+        return port;
+    },
+    privateKey: value => {
+        if (typeof value !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(value)) {
+            throw new Error('must be a 32-byte hex private key');
+        }
+        return value.startsWith('0x') ? value : `0x${value}`;
+    },
+    path: (value, field, baseDir) => path.resolve(baseDir, PARSERS.string(value)),
+    file: (value, field, baseDir) => {
+        const file = PARSERS.path(value, field, baseDir);
+        if (!fs.existsSync(file)) {
+            throw new Error(`file ${file} does not exist`);
+        }
+        return file;
+    }
+};
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((parent, part) => {
+        parent[part] = parent[part] || {};
+        return parent[part];
+    }, object);
+    target[last] = value;
+}
+
+/**
+ * Keys present in a config file that the schema doesn't know, e.g. typos.
+ */
+function unknownKeys(object, prefix = '') {
+    const known = SCHEMA.map(field => field.key);
+    return Object.entries(object).flatMap(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (known.includes(key)) {
+            return [];
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value) && known.some(entry => entry.startsWith(`${key}.`))) {
+            return unknownKeys(value, key);
+        }
+        return [key];
+    });
+}
+
+function readConfigFile(file, required) {
+    if (!fs.existsSync(file)) {
+        if (required) {
+            throw new ConfigError([`config file ${file} does not exist`]);
+        }
+        return null;
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('not a JSON object');
+        }
+        return data;
+    } catch (error) {
+        throw new ConfigError([`cannot read config file ${file}: ${error.message}`]);
+    }
+}
+
+/**
+ * Load and validate the AVS configuration from an optional JSON config
+ * file (AVS_CONFIG_FILE, or avs/avs.config.json if present) and the
+ * environment, which takes precedence. Each value's origin is recorded in
+ * `config.sources` for error messages and the startup summary. `file: false`
+ * reads the environment only. `signer: false` skips resolving the signer,
+ * for tools that never sign (config.signer then holds only the settings
+ * given, if any).
+ */
+function loadConfig({ env = process.env, file = env.AVS_CONFIG_FILE, signer = true } = {}) {
+    const configFile = path.resolve(file || DEFAULT_CONFIG_FILE);
+    const fileData = file === false ? null : readConfigFile(configFile, Boolean(file));
+    const config = { configFile: fileData ? configFile : null, sources: {} };
+    const problems = fileData ? unknownKeys(fileData).map(key => `${key} (${configFile}): unknown setting`) : [];
+    // Keys set to invalid values, already reported
+    const invalid = new Set();
+
+    for (const field of SCHEMA) {
+        const envName = field.env.find(name => env[name] !== undefined && env[name] !== '');
+        const fileValue = fileData ? getPath(fileData, field.key) : undefined;
+
+        let raw;
+        let source;
+        let baseDir = process.cwd();
+        if (envName) {
+            [raw, source] = [env[envName], envName];
+        } else if (fileValue !== undefined && fileValue !== null) {
+            [raw, source, baseDir] = [fileValue, `${field.key} in ${configFile}`, path.dirname(configFile)];
+        } else {
+            if (field.default !== undefined) {
+                setPath(config, field.key, field.default);
+                config.sources[field.key] = 'default';
+            }
+            continue;
+        }
+
+        try {
+            setPath(config, field.key, PARSERS[field.type](raw, field, baseDir));
+            config.sources[field.key] = source;
+        } catch (error) {
+            problems.push(`${source}: ${error.message}`);
+            invalid.add(field.key);
+        }
+    }
+
+    if (signer) {
+        problems.push(...resolveSigner(config, invalid));
+    }
+    if (config.batch.enabled && config.mode === 'operator') {
+        problems.push('BATCH_MODE requires AVS_MODE=single: operators sign one attestation per request');
+    }
+    if (config.environment === 'local') {
+        useDemoApiKeys(config);
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+
+/**
+ * Pick the signer type from the settings present. Local mode falls back to
+ * the first Anvil account; network mode requires an explicit signer.
+ */
+function resolveSigner(config, invalid = new Set()) {
+    const signer = config.signer || {};
+    config.signer = signer;
+    const missing = key => !signer[key] && !invalid.has(`signer.${key}`);
+    const configured = {
+        privateKey: Boolean(signer.privateKey),
+        keystore: Boolean(signer.keystoreFile),
+        external: Boolean(signer.url || signer.address)
+    };
+    const present = Object.keys(configured).filter(type => configured[type]);
+
+    if (!signer.type) {
+        if (present.length > 1) {
+            return [`several signers configured (${present.join(', ')}); set SIGNER_TYPE to choose one`];
+        }
+        if (present.length === 0) {
+            if (config.environment === 'network') {
+                return ['no signer configured: network mode requires PRIVATE_KEY, KEYSTORE_FILE or EXTERNAL_SIGNER_URL'];
+            }
+            signer.type = 'privateKey';
+            signer.privateKey = ANVIL_DEFAULT_KEY;
+            config.sources['signer.privateKey'] = 'default Anvil key';
+            return [];
+        }
+        signer.type = present[0];
+    }
+
+    const problems = [];
+    if (signer.type === 'privateKey' && missing('privateKey')) {
+        problems.push('signer type privateKey requires PRIVATE_KEY');
+    }
+    if (signer.type === 'keystore') {
+        if (missing('keystoreFile')) {
+            problems.push('signer type keystore requires KEYSTORE_FILE');
+        }
+        if (missing('keystorePassword') && missing('keystorePasswordFile')) {
+            problems.push('keystore signer requires KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD');
+        }
+    }
+    if (signer.type === 'external' && (missing('url') || missing('address'))) {
+        problems.push('external signer requires EXTERNAL_SIGNER_URL and EXTERNAL_SIGNER_ADDRESS');
+    }
+    return problems;
+}
+
+/**
+ * Registry API keys default to the demo placeholder in local mode only.
+ */
+function useDemoApiKeys(config) {
+    for (const id of Object.keys(REGISTRIES)) {
+        if (!config.registries[id].apiKey) {
+            config.registries[id].apiKey = DEMO_API_KEY;
+            config.sources[`registries.${id}.apiKey`] = 'default';
+        }
+    }
+}
+
+/**
+ * Copy of a loaded config with explicit values (e.g. constructor options
+ * in tests) replacing the file and environment settings.
+ */
+function withOverrides(config, overrides) {
+    const result = { ...config, sources: { ...config.sources } };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) {
+            result[key] = value;
+            result.sources[key] = 'option';
+        }
+    }
+    return result;
+}
+
+/**
+ * Address of the configured signer, read without decrypting or contacting
+ * anything. Null when it can't be determined (unreadable keystore).
+ */
+function signerAddress(signer) {
+    try {
+        if (signer.type === 'privateKey') {
+            return new ethers.Wallet(signer.privateKey).address;
+        }
+        if (signer.type === 'keystore') {
+            return ethers.getAddress(`0x${JSON.parse(fs.readFileSync(signer.keystoreFile, 'utf8')).address.replace(/^0x/, '')}`);
+        }
+        return signer.address;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isDevAccount(address) {
+    return Boolean(address) && DEV_ACCOUNTS.includes(ethers.getAddress(address));
+}
+
+/**
+ * Refuse to run on a non-local chain with settings that only make sense
+ * on a development chain: local mode, a well-known development key, mock
+ * registries or placeholder registry API keys.
+ */
+function assertSafeForChain(config, chainId, { address = signerAddress(config.signer), registriesInjected = false } = {}) {
+    if (LOCAL_CHAIN_IDS.includes(Number(chainId))) {
+        return;
+    }
+
+    const problems = [];
+    if (config.environment !== 'network') {
+        problems.push(`AVS_ENVIRONMENT is "${config.environment}": set AVS_ENVIRONMENT=network to run on chain ${chainId}`);
+    }
+    if (isDevAccount(address)) {
+        problems.push(`signer ${address} is a well-known development account (${config.sources['signer.privateKey'] || 'Anvil/Hardhat test mnemonic'}); its key is public`);
+    }
+    if (!registriesInjected) {
+        const enabled = config.registries.adapters && config.registries.adapters.length > 0
+            ? config.registries.adapters
+            : Object.keys(REGISTRIES);
+        if (config.registries.mode !== 'live') {
+            problems.push('REGISTRY_MODE is "mock": verdicts would come from fixture data, set REGISTRY_MODE=live');
+        } else {
+            for (const id of enabled.filter(id => REGISTRIES[id])) {
+                const apiKey = config.registries[id].apiKey;
+                if (!apiKey || apiKey === DEMO_API_KEY) {
+                    problems.push(`${REGISTRIES[id].env}_API_KEY is ${apiKey ? `the placeholder "${DEMO_API_KEY}"` : 'not set'}`);
+                }
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems, { context: `chain ${chainId}` });
+    }
+}
+
+function describeSecret(value) {
+    if (!value) {
+        return '(not set)';
+    }
+    return value === DEMO_API_KEY ? `${DEMO_API_KEY} (placeholder)` : '***';
+}
+
+/**
+ * Configuration with secrets removed and URLs redacted, for the startup log.
+ */
+function summarizeConfig(config) {
+    const { signer, registries } = config;
+    const signerSummary = { type: signer.type, address: signerAddress(signer) };
+    if (signer.type === 'privateKey') {
+        signerSummary.source = config.sources['signer.privateKey'];
+    } else if (signer.type === 'keystore') {
+        signerSummary.keystoreFile = signer.keystoreFile;
+    } else {
+        signerSummary.url = redactUrl(signer.url);
+    }
+
+    return {
+        environment: config.environment,
+        mode: config.mode,
+        configFile: config.configFile,
+        contract: config.contractAddress || '(not set)',
+        rpcUrls: config.rpcUrls.map(redactUrl),
+        signer: signerSummary,
+        ...(config.mode === 'operator' && { aggregatorUrl: redactUrl(config.aggregatorUrl) }),
+        dataDir: config.dataDir,
+        statusPort: config.statusPort,
+        confirmations: config.confirmations !== undefined ? config.confirmations : 'auto',
+        startBlock: config.startBlock !== undefined ? config.startBlock : 'latest',
+        batch: config.batch.enabled
+            ? { windowMs: config.batch.windowMs, maxSize: config.batch.maxSize, concurrency: config.batch.concurrency }
+            : 'off',
+        registries: {
+            mode: registries.mode,
+            adapters: registries.adapters && registries.adapters.length > 0 ? registries.adapters : 'all',
+            cache: {
+                ttlSeconds: registries.cacheTtlSeconds,
+                maxStaleSeconds: registries.cacheMaxStaleSeconds,
+                ...Object.fromEntries(Object.keys(REGISTRIES)
+                    .filter(id => registries[id].cacheTtlSeconds !== undefined)
+                    .map(id => [`${id}TtlSeconds`, registries[id].cacheTtlSeconds]))
+            },
+            ...Object.fromEntries(Object.keys(REGISTRIES).map(id => [id, registries.mode === 'live'
+                ? { baseUrl: redactUrl(registries[id].baseUrl), apiKey: describeSecret(registries[id].apiKey) }
+                : 'fixtures']))
+        },
+        // Where each non-default setting came from (variable name, file or option)
+        sources: Object.fromEntries(Object.entries(config.sources).filter(([, source]) => !source.startsWith('default')))
+    };
+}
+
+module.exports = {
+    loadConfig,
+    withOverrides,
+    assertSafeForChain,
+    summarizeConfig,
+    signerAddress,
+    isDevAccount,
+    ConfigError,
+    SCHEMA,
+    REGISTRIES,
+    LOCAL_CHAIN_IDS,
+    ANVIL_DEFAULT_KEY,
+    DEMO_API_KEY
+};
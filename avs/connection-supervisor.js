@@ -0,0 +1,282 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+/**
+ * Supervised RPC connection with failover
+ *
+ * Connects to the first reachable endpoint in RPC_URLS (comma-separated,
+ * falling back to RPC_URL), using a WebSocketProvider for ws(s):// URLs
+ * and a polling JsonRpcProvider otherwise. A periodic health check (and
+ * WebSocket close events) detect a lost connection; the dead provider is
+ * torn down and the supervisor reconnects with backoff, trying the other
+ * endpoints first. Listeners get:
+ *   - 'disconnected' ({ url, error })  before the old provider is destroyed
+ *   - 'reconnected'  (provider)        once a replacement is connected
+ */
+function withTimeout(promise, timeoutMs, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Strip credentials and API keys (often part of the path) from an RPC URL.
+ */
+function redactUrl(url) {
+    try {
+        const { protocol, host, pathname } = new URL(url);
+        return `${protocol}//${host}${pathname && pathname !== '/' ? '/***' : ''}`;
+    } catch (error) {
+        return '(invalid url)';
+    }
+}
+
+class ConnectionSupervisor extends EventEmitter {
+    constructor({
+        urls = ConnectionSupervisor.urlsFromEnv(),
+        pollingIntervalMs = 4000,
+        healthCheckIntervalMs = 10000,
+        connectTimeoutMs = 5000,
+        reconnectDelayMs = 1000,
+        maxReconnectDelayMs = 30000,
+        createProvider = null,
+        log = logger
+    } = {}) {
+        super();
+
+        if (urls.length === 0) {
+            throw new Error('At least one RPC URL is required (RPC_URLS or RPC_URL)');
+        }
+
+        this.urls = urls;
+        this.pollingIntervalMs = pollingIntervalMs;
+        this.healthCheckIntervalMs = healthCheckIntervalMs;
+        this.connectTimeoutMs = connectTimeoutMs;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.maxReconnectDelayMs = maxReconnectDelayMs;
+        this.createProvider = createProvider || ((url, network) => this.defaultProvider(url, network));
+        this.log = log;
+
+        this.provider = null;
+        this.url = null;
+        this.urlIndex = 0;
+        this.network = null;
+        this.reconnecting = false;
+        this.stopped = false;
+        this.healthTimer = null;
+        this.retryTimer = null;
+        this.wakeRetry = null;
+    }
+
+    static urlsFromEnv(env = process.env) {
+        return (env.RPC_URLS || env.RPC_URL || 'http://localhost:8545')
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean);
+    }
+
+    get redactedUrl() {
+        return this.url ? redactUrl(this.url) : null;
+    }
+
+    defaultProvider(url, network) {
+        // Once the chain is known, skip network detection on failover
+        const options = { pollingInterval: this.pollingIntervalMs, staticNetwork: network || undefined };
+
+        if (/^wss?:\/\//i.test(url)) {
+            const provider = new ethers.WebSocketProvider(url, network || undefined, options);
+            const socket = provider.websocket;
+            if (socket && typeof socket.addEventListener === 'function') {
+                // Without a listener a failed handshake would be an unhandled error
+                socket.addEventListener('error', event => {
+                    this.log.debug('WebSocket error', { url: redactUrl(url), error: event.message || String(event.error || 'unknown') });
+                });
+            }
+            return provider;
+        }
+        // Poll eth_getLogs per block rather than relying on eth_newFilter,
+        // which load-balanced HTTP endpoints often don't keep across nodes
+        return new ethers.JsonRpcProvider(url, network || undefined, { ...options, polling: true });
+    }
+
+    /**
+     * Connect and start health monitoring. Rejects if no endpoint is reachable.
+     */
+    async start() {
+        this.stopped = false;
+        await this.connect();
+
+        if (!this.healthTimer) {
+            this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckIntervalMs);
+        }
+        return this.provider;
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+        clearTimeout(this.retryTimer);
+        // End a reconnect backoff now instead of leaving handleDisconnect waiting
+        if (this.wakeRetry) {
+            this.wakeRetry();
+        }
+
+        const provider = this.provider;
+        this.provider = null;
+        await this.destroyProvider(provider);
+    }
+
+    /**
+     * Try every endpoint once, starting with the preferred one.
+     */
+    async connect() {
+        const errors = [];
+
+        for (let offset = 0; offset < this.urls.length; offset++) {
+            const index = (this.urlIndex + offset) % this.urls.length;
+            const url = this.urls[index];
+
+            try {
+                const { provider, network, blockNumber } = await this.tryConnect(url);
+                // stop() may have been called while the endpoint was answering
+                if (this.stopped) {
+                    await this.destroyProvider(provider);
+                    throw new Error('Connection supervisor stopped');
+                }
+                this.attach(provider, url, index, network);
+                this.log.info('Connected to RPC endpoint', {
+                    url: redactUrl(url),
+                    chainId: network.chainId,
+                    blockNumber
+                });
+                return provider;
+            } catch (error) {
+                if (this.stopped) {
+                    throw error;
+                }
+                this.log.warn('RPC endpoint unavailable', { url: redactUrl(url), error });
+                errors.push(`${redactUrl(url)}: ${error.shortMessage || error.message}`);
+            }
+        }
+
+        throw new Error(`No RPC endpoint reachable:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    async tryConnect(url) {
+        const provider = this.createProvider(url, this.network);
+
+        try {
+            const [network, blockNumber] = await withTimeout(
+                Promise.all([provider.getNetwork(), provider.getBlockNumber()]),
+                this.connectTimeoutMs,
+                'RPC connection'
+            );
+
+            // Failover endpoints must serve the chain we started on
+            if (this.network && network.chainId !== this.network.chainId) {
+                throw new Error(`Endpoint is on chain ${network.chainId}, expected ${this.network.chainId}`);
+            }
+            return { provider, network, blockNumber };
+        } catch (error) {
+            await this.destroyProvider(provider);
+            throw error;
+        }
+    }
+
+    attach(provider, url, index, network) {
+        this.provider = provider;
+        this.url = url;
+        this.urlIndex = index;
+        this.network = network;
+
+        provider.on('error', error => {
+            this.log.warn('Provider error', { url: redactUrl(url), error });
+            this.checkHealth();
+        });
+
+        const socket = provider.websocket;
+        if (socket && typeof socket.addEventListener === 'function') {
+            socket.addEventListener('close', () => {
+                if (this.provider === provider) {
+                    this.handleDisconnect(new Error('WebSocket closed'));
+                }
+            });
+        }
+    }
+
+    async checkHealth() {
+        const provider = this.provider;
+        if (!provider || this.reconnecting || this.stopped) {
+            return;
+        }
+
+        try {
+            await withTimeout(provider.getBlockNumber(), this.connectTimeoutMs, 'RPC health check');
+        } catch (error) {
+            if (this.provider === provider) {
+                await this.handleDisconnect(error);
+            }
+        }
+    }
+
+    async handleDisconnect(error) {
+        if (this.reconnecting || this.stopped) {
+            return;
+        }
+        this.reconnecting = true;
+
+        const previous = this.provider;
+        const url = this.url;
+        this.provider = null;
+
+        this.log.error('Lost RPC connection', { url: redactUrl(url), error });
+        this.emit('disconnected', { url: redactUrl(url), error });
+        await this.destroyProvider(previous);
+
+        // Fail over: prefer the next endpoint, then keep cycling with backoff
+        this.urlIndex = (this.urlIndex + 1) % this.urls.length;
+        let attempt = 0;
+
+        while (!this.stopped) {
+            try {
+                await this.connect();
+                break;
+            } catch (connectError) {
+                if (this.stopped) {
+                    break;
+                }
+                const delayMs = Math.min(this.maxReconnectDelayMs, this.reconnectDelayMs * 2 ** attempt);
+                attempt++;
+                this.log.warn('Reconnect failed, retrying', { attempt, delayMs });
+                await new Promise(resolve => {
+                    this.wakeRetry = resolve;
+                    this.retryTimer = setTimeout(resolve, delayMs);
+                });
+                this.wakeRetry = null;
+            }
+        }
+
+        this.reconnecting = false;
+        if (!this.stopped) {
+            this.emit('reconnected', this.provider);
+        }
+    }
+
+    async destroyProvider(provider) {
+        if (!provider) {
+            return;
+        }
+        try {
+            await provider.removeAllListeners();
+        } catch (error) {
+            // Listeners of a dead provider may fail to unsubscribe
+        }
+        provider.destroy();
+    }
+}
+
+module.exports = { ConnectionSupervisor, redactUrl };
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// Registry project types that describe the same kind of project
+const PROJECT_TYPE_ALIASES = {
+    afolu: 'forestry',
+    forest: 'forestry',
+    forestry: 'forestry',
+    reforestation: 'forestry',
+    'redd+': 'forestry',
+    wind: 'wind',
+    'wind energy': 'wind',
+    solar: 'solar',
+    'solar energy': 'solar',
+    hydro: 'hydro',
+    hydropower: 'hydro',
+    'renewable energy': 'renewable',
+    'energy efficiency': 'energy-efficiency',
+    'clean cookstoves': 'cookstoves',
+    cookstoves: 'cookstoves'
+};
+
+// Umbrella categories some registries report instead of the specific type
+const PROJECT_TYPE_FAMILIES = {
+    renewable: ['wind', 'solar', 'hydro']
+};
+
+const COUNTRY_ALIASES = {
+    us: 'usa',
+    'united states': 'usa',
+    'united states of america': 'usa',
+    uk: 'united kingdom'
+};
+
+/**
+ * Cross-registry consistency and double-counting checks
+ *
+ * Compares the attributes each registry reports for a credit (vintage,
+ * project type, location) and detects the same underlying registry project
+ * being tokenized under more than one on-chain credit ID, either through
+ * the mapping store or through project IDs reported by the registries.
+ */
+class ConsistencyChecker {
+    constructor({
+        mappingStore,
+        file = path.join(process.env.AVS_DATA_DIR || DEFAULT_DATA_DIR, 'project-index.json'),
+        projectTypeAliases = PROJECT_TYPE_ALIASES
+    } = {}) {
+        this.mappingStore = mappingStore;
+        this.file = path.resolve(file);
+        this.projectTypeAliases = projectTypeAliases;
+        this.projectIndex = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : {};
+    }
+
+    /**
+     * @param creditId On-chain credit ID
+     * @param registryMappings Registry identifiers mapped for the credit
+     * @param results Successful registry results (RegistryAdapter.verify output)
+     * @returns Array of findings: { type, severity, detail, values }
+     */
+    check(creditId, registryMappings, results) {
+        const found = results.filter(result => result.success && result.exists);
+
+        return [
+            ...this.checkVintage(found),
+            ...this.checkProjectType(found),
+            ...this.checkLocation(found),
+            ...this.checkDoubleCounting(creditId.toString(), registryMappings, found)
+        ];
+    }
+
+    checkVintage(results) {
+        const values = this.valuesBySource(results, result => result.vintage);
+        const distinct = [...new Set(Object.values(values))];
+        if (distinct.length < 2) {
+            return [];
+        }
+
+        const spread = Math.max(...distinct) - Math.min(...distinct);
+        return [{
+            type: 'vintage_mismatch',
+            severity: spread > 1 ? 'high' : 'medium',
+            detail: `Registries report different vintages (${distinct.join(' vs ')})`,
+            values
+        }];
+    }
+
+    checkProjectType(results) {
+        const values = this.valuesBySource(results, result => result.projectType);
+        const categories = [...new Set(Object.values(values).map(type => this.projectCategory(type)))];
+
+        // An umbrella category is consistent with the specific types it covers
+        const specific = categories.filter(category => !PROJECT_TYPE_FAMILIES[category]);
+        const conflicting = categories.filter(category => !PROJECT_TYPE_FAMILIES[category] ||
+            specific.length === 0 ||
+            !specific.every(type => PROJECT_TYPE_FAMILIES[category].includes(type)));
+
+        if (conflicting.length < 2) {
+            return [];
+        }
+        return [{
+            type: 'project_type_mismatch',
+            severity: 'high',
+            detail: `Registries report different project types (${[...new Set(Object.values(values))].join(' vs ')})`,
+            values
+        }];
+    }
+
+    checkLocation(results) {
+        const values = this.valuesBySource(results, result => result.location);
+        const countries = [...new Set(Object.values(values).map(location => ConsistencyChecker.country(location)))];
+        if (countries.length < 2) {
+            return [];
+        }
+        return [{
+            type: 'location_mismatch',
+            severity: 'high',
+            detail: `Registries place the project in different countries (${countries.join(' vs ')})`,
+            values
+        }];
+    }
+
+    checkDoubleCounting(creditId, registryMappings, results) {
+        const conflicts = new Map();
+        const addConflict = (otherCreditId, reason) => {
+            if (otherCreditId === creditId) {
+                return;
+            }
+            if (!conflicts.has(otherCreditId)) {
+                conflicts.set(otherCreditId, []);
+            }
+            conflicts.get(otherCreditId).push(reason);
+        };
+
+        // Same registry identifier mapped to several on-chain credits
+        if (this.mappingStore) {
+            for (const mapping of this.mappingStore.list()) {
+                for (const [registry, identifier] of Object.entries(registryMappings || {})) {
+                    if (mapping[registry] === identifier) {
+                        addConflict(mapping.creditId, `${registry} identifier ${identifier}`);
+                    }
+                }
+            }
+        }
+
+        // Same registry project reported behind different identifiers
+        for (const result of results) {
+            const key = ConsistencyChecker.projectKey(result);
+            for (const otherCreditId of (key && this.projectIndex[key]) || []) {
+                addConflict(otherCreditId, `${result.source} project ${result.projectId}`);
+            }
+        }
+
+        return [...conflicts.entries()].map(([otherCreditId, reasons]) => ({
+            type: 'double_counting',
+            severity: 'critical',
+            detail: `Same project is tokenized as credit ${otherCreditId} (${reasons.join(', ')})`,
+            values: { creditId, otherCreditId, reasons }
+        }));
+    }
+
+    /**
+     * Remember which registry projects back this credit so later
+     * verifications of other credits can detect double counting.
+     */
+    recordProjects(creditId, results) {
+        let changed = false;
+        for (const result of results.filter(r => r.success && r.exists)) {
+            const key = ConsistencyChecker.projectKey(result);
+            if (!key) {
+                continue;
+            }
+            const creditIds = this.projectIndex[key] || (this.projectIndex[key] = []);
+            if (!creditIds.includes(creditId.toString())) {
+                creditIds.push(creditId.toString());
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const tmpFile = `${this.file}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(this.projectIndex, null, 2));
+            fs.renameSync(tmpFile, this.file);
+        }
+    }
+
+    projectCategory(projectType) {
+        const normalized = String(projectType).trim().toLowerCase();
+        return this.projectTypeAliases[normalized] || normalized;
+    }
+
+    valuesBySource(results, pick) {
+        const values = {};
+        for (const result of results) {
+            const value = pick(result);
+            if (value !== undefined && value !== null && value !== '') {
+                values[result.source] = value;
+            }
+        }
+        return values;
+    }
+
+    static projectKey(result) {
+        return result.projectId ? `${result.registry}:${result.projectId}` : null;
+    }
+
+    static country(location) {
+        const segments = String(location).split(',');
+        const country = segments[segments.length - 1].trim().toLowerCase();
+        return COUNTRY_ALIASES[country] || country;
+    }
+}
+
+module.exports = { ConsistencyChecker };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Raised when a stored bundle no longer matches the hash it is filed under.
+ */
+class EvidenceIntegrityError extends Error {
+    constructor(hash, actual) {
+        super(`Evidence bundle ${hash} is corrupted (content hashes to ${actual})`);
+        this.name = 'EvidenceIntegrityError';
+        this.hash = hash;
+        this.actual = actual;
+    }
+}
+
+/**
+ * JSON with object keys sorted at every level, so the same bundle always
+ * serializes (and hashes) to the same bytes.
+ */
+function canonicalJson(value) {
+    return JSON.stringify(sortKeys(value));
+}
+
+function sortKeys(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Content-addressed store for verification evidence bundles
+ *
+ * Each bundle is written as canonical JSON to <dir>/<hash[0..2]>/<hash>.json,
+ * where hash is the SHA-256 of the file's bytes, so `sha256sum` of a
+ * bundle reproduces the hash that was submitted on-chain. Bundles are
+ * immutable: storing the same bundle twice is a no-op.
+ */
+class EvidenceStore {
+    constructor({ dir = path.join(process.env.AVS_DATA_DIR || DEFAULT_DATA_DIR, 'evidence') } = {}) {
+        this.dir = path.resolve(dir);
+    }
+
+    static hash(bundle) {
+        return hashContent(canonicalJson(bundle));
+    }
+
+    pathFor(hash) {
+        if (!HASH_PATTERN.test(hash)) {
+            throw new Error(`Invalid evidence hash "${hash}" (expected 64 hex characters)`);
+        }
+        return path.join(this.dir, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    put(bundle) {
+        const content = canonicalJson(bundle);
+        const hash = hashContent(content);
+        const file = this.pathFor(hash);
+
+        if (!fs.existsSync(file)) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmpFile = `${file}.tmp`;
+            fs.writeFileSync(tmpFile, content);
+            fs.renameSync(tmpFile, file);
+        }
+        return hash;
+    }
+
+    /**
+     * Hashes of every stored bundle.
+     */
+    list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+        return fs.readdirSync(this.dir)
+            .filter(prefix => /^[0-9a-f]{2}$/.test(prefix))
+            .flatMap(prefix => fs.readdirSync(path.join(this.dir, prefix))
+                .filter(name => /^[0-9a-f]{64}\.json$/.test(name))
+                .map(name => name.slice(0, -'.json'.length)));
+    }
+
+    has(hash) {
+        return fs.existsSync(this.pathFor(hash));
+    }
+
+    /**
+     * Read a bundle, checking that its content still matches its hash.
+     * Returns null for unknown hashes.
+     */
+    get(hash) {
+        const file = this.pathFor(hash);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        const content = fs.readFileSync(file, 'utf8');
+        const actual = hashContent(content);
+        if (actual !== hash) {
+            throw new EvidenceIntegrityError(hash, actual);
+        }
+        return JSON.parse(content);
+    }
+}
+
+/**
+ * Assemble the evidence for a verdict: the normalized registry results it
+ * was computed from, the policy that scored them, who computed it and when.
+ */
+function buildEvidenceBundle({ creditId, verification, policy, operator, chainId, contract, requestId = null }) {
+    const { registryMappings, registryResults, findings, startedAt, evaluatedAt } = verification.evidence;
+
+    return {
+        version: 1,
+        creditId: creditId.toString(),
+        requestId,
+        operator,
+        chainId: chainId !== undefined ? chainId.toString() : null,
+        contract,
+        policy: {
+            version: policy.version,
+            hash: EvidenceStore.hash(policy.definition)
+        },
+        registryMappings,
+        registryResults,
+        findings,
+        verdict: {
+            isValid: verification.isValid,
+            qualityScore: verification.qualityScore,
+            sources: verification.sources,
+            breakdown: verification.breakdown
+        },
+        timestamps: {
+            evaluationStartedAt: startedAt,
+            evaluatedAt,
+            bundledAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * The `evidence:<hash>` entries of a submitted sources array.
+ */
+function evidenceHashesIn(sources) {
+    return sources
+        .filter(source => source.startsWith('evidence:'))
+        .map(source => source.slice('evidence:'.length));
+}
+
+module.exports = {
+    EvidenceStore,
+    EvidenceIntegrityError,
+    buildEvidenceBundle,
+    evidenceHashesIn,
+    canonicalJson
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+const JOB_STATES = ['pending', 'running', 'submitted', 'attested', 'confirmed', 'failed', 'reorged'];
+const TERMINAL_STATES = ['confirmed', 'failed', 'reorged'];
+
+/**
+ * Durable queue of verification jobs
+ *
+ * Every AVSVerificationRequested log becomes a job keyed by block number
+ * and log index, persisted to disk before any work starts. Jobs move
+ * through pending -> running -> submitted -> confirmed (or failed), so a
+ * restarted AVS knows exactly which requests still need attention and
+ * from which block to backfill. In operator mode a job is "attested"
+ * instead of submitted: its signed verdict is with the quorum aggregator,
+ * which sends the transaction. Jobs whose log is removed by a chain
+ * reorganization end up "reorged". A failed job that will be retried
+ * carries a notBefore timestamp and is not handed out again until then.
+ */
+class VerificationJobQueue {
+    constructor({
+        file = path.join(process.env.AVS_DATA_DIR || DEFAULT_DATA_DIR, 'verification-jobs.json'),
+        maxAttempts = 3,
+        maxCompletedJobs = 1000
+    } = {}) {
+        this.file = path.resolve(file);
+        this.maxAttempts = maxAttempts;
+        this.maxCompletedJobs = maxCompletedJobs;
+        this.state = { version: 1, lastProcessedBlock: null, jobs: {} };
+        this.load();
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            this.state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    static jobId(blockNumber, logIndex) {
+        return `${blockNumber}-${logIndex}`;
+    }
+
+    get lastProcessedBlock() {
+        return this.state.lastProcessedBlock;
+    }
+
+    setLastProcessedBlock(blockNumber) {
+        if (this.state.lastProcessedBlock === null || blockNumber > this.state.lastProcessedBlock) {
+            this.state.lastProcessedBlock = blockNumber;
+            this.save();
+        }
+    }
+
+    /**
+     * Move the backfill position back, e.g. to the fork point of a reorg.
+     */
+    rewindLastProcessedBlock(blockNumber) {
+        if (this.state.lastProcessedBlock !== null && blockNumber < this.state.lastProcessedBlock) {
+            this.state.lastProcessedBlock = blockNumber;
+            this.save();
+        }
+    }
+
+    /**
+     * Record a verification request log. Returns the new job, or null when
+     * the log was already recorded (live events and backfill overlap).
+     */
+    enqueue({ creditId, requester, blockNumber, logIndex, transactionHash, blockHash = null }) {
+        const id = VerificationJobQueue.jobId(blockNumber, logIndex);
+        const existing = this.state.jobs[id];
+        if (existing) {
+            if (!blockHash || !existing.blockHash || existing.blockHash === blockHash) {
+                return null;
+            }
+            // Same position in a different block: the old log was reorged out
+            this.supersede(existing);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id,
+            creditId: creditId.toString(),
+            requester,
+            blockNumber,
+            logIndex,
+            transactionHash,
+            blockHash,
+            status: 'pending',
+            attempts: 0,
+            submissionHash: null,
+            error: null,
+            notBefore: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.state.jobs[id] = job;
+        if (this.state.lastProcessedBlock === null || blockNumber > this.state.lastProcessedBlock) {
+            this.state.lastProcessedBlock = blockNumber;
+        }
+        this.save();
+        return job;
+    }
+
+    get(id) {
+        return this.state.jobs[id];
+    }
+
+    list(status) {
+        return Object.values(this.state.jobs)
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    /**
+     * Pending jobs at or below maxBlock whose retry delay has passed.
+     */
+    ready(maxBlock = Infinity, now = Date.now()) {
+        return this.list('pending')
+            .filter(job => job.blockNumber <= maxBlock && !(job.notBefore && Date.parse(job.notBefore) > now));
+    }
+
+    /**
+     * Oldest ready job at or below maxBlock (the latest block with enough
+     * confirmations).
+     */
+    nextPending(maxBlock = Infinity, now = Date.now()) {
+        return this.ready(maxBlock, now)[0] || null;
+    }
+
+    /**
+     * Up to `limit` of the oldest ready jobs at or below maxBlock, for
+     * submission in one batch.
+     */
+    nextPendingBatch(maxBlock = Infinity, limit = Infinity, now = Date.now()) {
+        return this.ready(maxBlock, now).slice(0, limit);
+    }
+
+    /**
+     * Earliest time (ms) at which a pending job at or below maxBlock that is
+     * waiting out its retry delay becomes ready, or null if none is waiting.
+     */
+    nextRetryAt(maxBlock = Infinity, now = Date.now()) {
+        const waiting = this.list('pending')
+            .filter(job => job.blockNumber <= maxBlock && job.notBefore && Date.parse(job.notBefore) > now)
+            .map(job => Date.parse(job.notBefore));
+        return waiting.length > 0 ? Math.min(...waiting) : null;
+    }
+
+    latestForCredit(creditId) {
+        const jobs = this.list().filter(job => job.creditId === creditId.toString());
+        return jobs[jobs.length - 1] || null;
+    }
+
+    transition(id, status, fields = {}) {
+        if (!JOB_STATES.includes(status)) {
+            throw new Error(`Unknown job state ${status}`);
+        }
+        const job = this.state.jobs[id];
+        if (!job) {
+            throw new Error(`Unknown verification job ${id}`);
+        }
+
+        Object.assign(job, fields, { status, updatedAt: new Date().toISOString() });
+        if (TERMINAL_STATES.includes(status)) {
+            this.prune();
+        }
+        this.save();
+        return job;
+    }
+
+    markRunning(id) {
+        const job = this.state.jobs[id];
+        return this.transition(id, 'running', { attempts: job.attempts + 1, error: null, notBefore: null });
+    }
+
+    markSubmitted(id, submissionHash) {
+        return this.transition(id, 'submitted', { submissionHash });
+    }
+
+    /**
+     * Operator mode: the aggregator accepted the job's attestation. There is
+     * no transaction of our own to wait for, only the quorum round.
+     */
+    markAttested(id, attestationDigest, fields = {}) {
+        return this.transition(id, 'attested', { ...fields, attestationDigest });
+    }
+
+    markConfirmed(id, fields = {}) {
+        return this.transition(id, 'confirmed', fields);
+    }
+
+    /**
+     * The job's log is no longer part of the canonical chain. Jobs that
+     * were already processed keep their result for auditing.
+     */
+    markReorged(id, reason) {
+        const job = this.state.jobs[id];
+        return this.transition(id, 'reorged', {
+            error: reason,
+            processedBeforeReorg: ['submitted', 'attested', 'confirmed'].includes(job.status)
+        });
+    }
+
+    supersede(job) {
+        delete this.state.jobs[job.id];
+        const archivedId = `${job.id}@${job.blockHash.slice(2, 10)}`;
+        this.state.jobs[archivedId] = {
+            ...job,
+            id: archivedId,
+            status: 'reorged',
+            error: job.status === 'reorged' ? job.error : 'Replaced by a log in a different block at the same position',
+            processedBeforeReorg: job.processedBeforeReorg || ['submitted', 'attested', 'confirmed'].includes(job.status),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Failed attempts go back to pending until maxAttempts is reached, and
+     * are not picked up again for retryDelayMs.
+     */
+    markFailed(id, error, retryDelayMs = 0) {
+        const job = this.state.jobs[id];
+        if (job.attempts < this.maxAttempts) {
+            return this.transition(id, 'pending', {
+                error,
+                notBefore: retryDelayMs > 0 ? new Date(Date.now() + retryDelayMs).toISOString() : null
+            });
+        }
+        return this.transition(id, 'failed', { error });
+    }
+
+    /**
+     * Jobs left "running" by a crash are retried from scratch. Returns the
+     * submitted jobs, whose transactions need to be checked on-chain.
+     */
+    recoverInterrupted() {
+        const interrupted = this.list('running');
+        for (const job of interrupted) {
+            job.status = 'pending';
+            job.updatedAt = new Date().toISOString();
+        }
+        if (interrupted.length > 0) {
+            this.save();
+        }
+        return { requeued: interrupted, submitted: this.list('submitted') };
+    }
+
+    prune() {
+        const completed = this.list().filter(job => TERMINAL_STATES.includes(job.status));
+        for (const job of completed.slice(0, Math.max(0, completed.length - this.maxCompletedJobs))) {
+            delete this.state.jobs[job.id];
+        }
+    }
+}
+
+module.exports = { VerificationJobQueue, JOB_STATES };
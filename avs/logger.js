@@ -0,0 +1,144 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const COLORS = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+
+// Fields bound with withLogContext(), e.g. the correlation ID of the
+// verification request currently being processed
+const context = new AsyncLocalStorage();
+
+/**
+ * Structured logger for the AVS service
+ *
+ * Emits one JSON object per line (LOG_FORMAT=json, the default) or
+ * human-readable lines for local development (LOG_FORMAT=pretty). Every
+ * entry includes the fields bound by child() and by the surrounding
+ * withLogContext() call, so registry lookups, aggregation and submission
+ * logs all carry the correlation ID of the request that caused them.
+ */
+class Logger {
+    constructor({
+        level = process.env.LOG_LEVEL || 'info',
+        format = process.env.LOG_FORMAT || 'json',
+        stream = process.stdout,
+        fields = {}
+    } = {}) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown LOG_LEVEL "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+        if (!['json', 'pretty'].includes(format)) {
+            throw new Error(`Unknown LOG_FORMAT "${format}" (expected json or pretty)`);
+        }
+
+        this.level = level;
+        this.format = format;
+        this.stream = stream;
+        this.fields = fields;
+    }
+
+    /**
+     * Change level, format or stream in place, e.g. to send logs to stderr
+     * in command-line tools whose stdout is the command output.
+     */
+    configure({ level = this.level, format = this.format, stream = this.stream } = {}) {
+        const configured = new Logger({ level, format, stream, fields: this.fields });
+        Object.assign(this, { level: configured.level, format: configured.format, stream: configured.stream });
+        return this;
+    }
+
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            stream: this.stream,
+            fields: { ...this.fields, ...fields }
+        });
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...this.fields,
+            ...context.getStore(),
+            ...serializeFields(fields)
+        };
+
+        this.stream.write(this.format === 'pretty' ? formatPretty(entry, this.stream.isTTY) : `${JSON.stringify(entry, replacer)}\n`);
+    }
+}
+
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        serialized[key] = value instanceof Error
+            ? { name: value.name, message: value.shortMessage || value.message, ...(value.code && { code: value.code }) }
+            : value;
+    }
+    return serialized;
+}
+
+function replacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function formatPretty({ time, level, msg, correlationId, ...fields }, color) {
+    const label = level.toUpperCase().padEnd(5);
+    const rest = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value, replacer) : value}`)
+        .join(' ');
+
+    return [
+        time.slice(11, 23),
+        color ? `${COLORS[level]}${label}${RESET}` : label,
+        correlationId ? `[${correlationId}]` : null,
+        msg,
+        rest || null
+    ].filter(Boolean).join(' ') + '\n';
+}
+
+/**
+ * Run fn with fields attached to every log entry it (transitively) writes.
+ */
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Correlation ID of a verification request: the credit plus the
+ * transaction hash and log index of its AVSVerificationRequested event.
+ */
+function correlationIdFor({ creditId, transactionHash, logIndex }) {
+    return `${creditId}:${transactionHash}:${logIndex}`;
+}
+
+const logger = new Logger();
+
+module.exports = { Logger, LEVELS, logger, withLogContext, correlationIdFor };
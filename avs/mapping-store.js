@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPINGS_FILE = path.join(__dirname, 'credit-mappings.json');
+
+/**
+ * Persistent map from on-chain credit IDs to external registry identifiers
+ *
+ * Stored as a JSON file keyed by credit ID; each entry maps registry
+ * adapter ids (verra, goldStandard, climateAction, ...) to the identifier
+ * of the credit in that registry. The file is re-read when it changes on
+ * disk so edits made with mappings-cli.js apply to a running AVS.
+ */
+class CreditMappingStore {
+    constructor({ file = DEFAULT_MAPPINGS_FILE } = {}) {
+        this.file = path.resolve(file);
+        this.mappings = {};
+        this.loadedMtime = null;
+        this.refresh();
+    }
+
+    refresh() {
+        if (!fs.existsSync(this.file)) {
+            this.mappings = {};
+            this.loadedMtime = null;
+            return;
+        }
+
+        const { mtimeMs } = fs.statSync(this.file);
+        if (mtimeMs === this.loadedMtime) {
+            return;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.mappings = data.mappings || {};
+        this.loadedMtime = mtimeMs;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, mappings: this.mappings }, null, 4) + '\n');
+        fs.renameSync(tmpFile, this.file);
+        this.loadedMtime = fs.statSync(this.file).mtimeMs;
+    }
+
+    get(creditId) {
+        this.refresh();
+        const entry = this.mappings[creditId.toString()];
+        if (!entry) {
+            return null;
+        }
+
+        const { updatedAt, ...registries } = entry;
+        return registries;
+    }
+
+    list() {
+        this.refresh();
+        return Object.entries(this.mappings)
+            .map(([creditId, entry]) => ({ creditId, ...entry }))
+            .sort((a, b) => Number(a.creditId) - Number(b.creditId));
+    }
+
+    add(creditId, registries) {
+        const key = CreditMappingStore.validateCreditId(creditId);
+        this.refresh();
+        if (this.mappings[key]) {
+            throw new Error(`Credit ${key} is already mapped; use edit to change it`);
+        }
+        this.mappings[key] = CreditMappingStore.buildEntry(registries);
+        this.save();
+        return this.mappings[key];
+    }
+
+    /**
+     * Merge registry identifiers into an existing mapping. An empty string
+     * removes that registry from the mapping.
+     */
+    edit(creditId, registries) {
+        const key = CreditMappingStore.validateCreditId(creditId);
+        this.refresh();
+        const existing = this.mappings[key];
+        if (!existing) {
+            throw new Error(`Credit ${key} has no mapping; use add to create it`);
+        }
+
+        const { updatedAt, ...current } = existing;
+        this.mappings[key] = CreditMappingStore.buildEntry({ ...current, ...registries });
+        this.save();
+        return this.mappings[key];
+    }
+
+    remove(creditId) {
+        const key = CreditMappingStore.validateCreditId(creditId);
+        this.refresh();
+        if (!this.mappings[key]) {
+            return false;
+        }
+        delete this.mappings[key];
+        this.save();
+        return true;
+    }
+
+    /**
+     * Import mappings from CSV with a creditId column followed by one column
+     * per registry adapter id. Existing mappings are kept unless overwrite is set.
+     */
+    importCsv(text, { overwrite = false } = {}) {
+        const rows = parseCsv(text);
+        if (rows.length === 0) {
+            return { imported: 0, skipped: [] };
+        }
+
+        const [header, ...records] = rows;
+        const columns = header.map(column => column.trim());
+        if (columns[0] !== 'creditId') {
+            throw new Error('CSV header must start with a creditId column');
+        }
+        columns.slice(1).forEach((column, i) => {
+            if (!column) {
+                throw new Error(`CSV header column ${i + 2} has no registry adapter id`);
+            }
+            if (columns.indexOf(column) !== i + 1) {
+                throw new Error(`CSV header lists registry "${column}" twice`);
+            }
+        });
+
+        this.refresh();
+        const staged = {};
+        const skipped = [];
+
+        records.forEach((record, index) => {
+            const line = index + 2;
+            const creditId = CreditMappingStore.validateCreditId(record[0], `line ${line}`);
+            const registries = {};
+            columns.slice(1).forEach((column, i) => {
+                registries[column] = (record[i + 1] || '').trim();
+            });
+
+            if (this.mappings[creditId] && !overwrite) {
+                skipped.push(creditId);
+                return;
+            }
+            staged[creditId] = CreditMappingStore.buildEntry(registries, `line ${line}`);
+        });
+
+        Object.assign(this.mappings, staged);
+        this.save();
+        return { imported: Object.keys(staged).length, skipped };
+    }
+
+    static validateCreditId(creditId, context = 'credit ID') {
+        const key = String(creditId).trim();
+        if (!/^\d+$/.test(key) || key === '0') {
+            throw new Error(`Invalid ${context}: "${creditId}" is not a positive integer credit ID`);
+        }
+        return String(BigInt(key));
+    }
+
+    static buildEntry(registries, context = 'mapping') {
+        const entry = {};
+        for (const [registry, identifier] of Object.entries(registries)) {
+            if (identifier) {
+                entry[registry] = String(identifier).trim();
+            }
+        }
+        if (Object.keys(entry).length === 0) {
+            throw new Error(`Invalid ${context}: at least one registry identifier is required`);
+        }
+        entry.updatedAt = new Date().toISOString();
+        return entry;
+    }
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF).
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+module.exports = { CreditMappingStore, parseCsv, DEFAULT_MAPPINGS_FILE };
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { CreditMappingStore } = require('./mapping-store');
+const { loadConfig } = require('./config');
+
+const USAGE = `Usage: node mappings-cli.js <command> [options]
+
+Commands:
+  list                         List all credit mappings
+  show <creditId>              Show the mapping for one credit
+  add <creditId> [registries]  Create a mapping for a new credit
+  edit <creditId> [registries] Change identifiers of an existing mapping
+  remove <creditId>            Delete a mapping
+  import <file.csv>            Import mappings (header: creditId,verra,goldStandard,...)
+
+Registry options:
+  --verra <id>                 Verra (VCS) identifier
+  --gold-standard <id>         Gold Standard identifier
+  --climate-action <id>        Climate Action Reserve identifier
+  --registry <adapter=id>      Identifier for any other registry adapter (repeatable)
+                               Pass an empty value on edit to remove a registry
+
+Other options:
+  --file <path>                Mapping store file (default: CREDIT_MAPPINGS_FILE or avs/credit-mappings.json)
+  --overwrite                  Replace existing mappings on import
+  --json                       Print JSON output`;
+
+function registriesFromArgs(values) {
+    const registries = {};
+    if (values.verra !== undefined) registries.verra = values.verra;
+    if (values['gold-standard'] !== undefined) registries.goldStandard = values['gold-standard'];
+    if (values['climate-action'] !== undefined) registries.climateAction = values['climate-action'];
+
+    for (const pair of values.registry || []) {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`--registry expects adapter=id, got "${pair}"`);
+        }
+        registries[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+    return registries;
+}
+
+function printMapping(mapping, json) {
+    if (json) {
+        console.log(JSON.stringify(mapping, null, 2));
+        return;
+    }
+    const { creditId, updatedAt, ...registries } = mapping;
+    const ids = Object.entries(registries).map(([registry, id]) => `${registry}=${id}`).join('  ');
+    console.log(`Credit ${creditId}: ${ids}  (updated ${updatedAt})`);
+}
+
+function run(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            verra: { type: 'string' },
+            'gold-standard': { type: 'string' },
+            'climate-action': { type: 'string' },
+            registry: { type: 'string', multiple: true },
+            file: { type: 'string' },
+            overwrite: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command, target] = positionals;
+    if (!command || values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const store = new CreditMappingStore({ file: values.file || loadConfig({ signer: false }).creditMappingsFile });
+
+    switch (command) {
+        case 'list': {
+            const mappings = store.list();
+            if (values.json) {
+                console.log(JSON.stringify(mappings, null, 2));
+            } else if (mappings.length === 0) {
+                console.log(`No credit mappings in ${store.file}`);
+            } else {
+                mappings.forEach(mapping => printMapping(mapping, false));
+            }
+            break;
+        }
+        case 'show': {
+            const mapping = store.list().find(entry => entry.creditId === CreditMappingStore.validateCreditId(target));
+            if (!mapping) {
+                throw new Error(`Credit ${target} has no mapping`);
+            }
+            printMapping(mapping, values.json);
+            break;
+        }
+        case 'add':
+        case 'edit': {
+            const entry = store[command](target, registriesFromArgs(values));
+            printMapping({ creditId: CreditMappingStore.validateCreditId(target), ...entry }, values.json);
+            break;
+        }
+        case 'remove': {
+            if (!store.remove(target)) {
+                throw new Error(`Credit ${target} has no mapping`);
+            }
+            console.log(values.json ? JSON.stringify({ removed: target }) : `Removed mapping for credit ${target}`);
+            break;
+        }
+        case 'import': {
+            if (!target) {
+                throw new Error('import requires a CSV file path');
+            }
+            const result = store.importCsv(fs.readFileSync(target, 'utf8'), { overwrite: values.overwrite });
+            if (values.json) {
+                console.log(JSON.stringify(result, null, 2));
+            } else {
+                console.log(`Imported ${result.imported} mapping(s) into ${store.file}`);
+                if (result.skipped.length > 0) {
+                    console.log(`Skipped existing credits (use --overwrite): ${result.skipped.join(', ')}`);
+                }
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+}
+
+if (require.main === module) {
+    try {
+        run(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { run };
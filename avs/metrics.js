@@ -0,0 +1,197 @@
+/**
+ * Minimal Prometheus metrics for the AVS
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format by MetricsRegistry.render().
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function formatLabels(labels, extra = {}) {
+    const all = { ...labels, ...extra };
+    const names = Object.keys(all);
+    if (names.length === 0) {
+        return '';
+    }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${names.map(name => `${name}="${escape(all[name])}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    entry(labels, init) {
+        const key = labelKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: { ...labels }, ...init() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, value = 1) {
+        this.entry(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)];
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, collect = null) {
+        super(name, help, 'gauge');
+        this.collect = collect;
+    }
+
+    set(labels = {}, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.collect(this);
+        }
+        return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels(series.labels, { le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+/**
+ * The metric set exported by CarbonVerificationAVS. Job counts are read
+ * from the job queue at scrape time.
+ */
+function createAvsMetrics({ jobQueue = null, jobStates = [] } = {}) {
+    const registry = new MetricsRegistry();
+
+    if (jobQueue) {
+        registry.gauge('avs_jobs', 'Verification jobs by status', gauge => {
+            jobStates.forEach(status => gauge.set({ status }, jobQueue.list(status).length));
+        });
+    }
+
+    return {
+        registry,
+        requestsReceived: registry.counter(
+            'avs_verification_requests_total',
+            'AVSVerificationRequested events recorded'
+        ),
+        verifications: registry.counter(
+            'avs_verifications_total',
+            'Completed verification jobs by outcome'
+        ),
+        registryRequests: registry.counter(
+            'avs_registry_requests_total',
+            'Registry lookups by registry and result'
+        ),
+        registryCache: registry.counter(
+            'avs_registry_cache_total',
+            'Registry lookups by cache status (fresh, miss, revalidated, stale)'
+        ),
+        registryLatency: registry.histogram(
+            'avs_registry_request_duration_seconds',
+            'Registry lookup latency',
+            [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+        ),
+        reverifications: registry.counter(
+            'avs_reverifications_total',
+            'Scheduled re-verifications of verified credits by outcome'
+        ),
+        reorgs: registry.counter(
+            'avs_reorgs_total',
+            'Chain reorganizations affecting tracked blocks'
+        ),
+        rpcReconnects: registry.counter(
+            'avs_rpc_reconnects_total',
+            'RPC reconnections after a lost connection'
+        ),
+        submissions: registry.counter(
+            'avs_submissions_total',
+            'On-chain verification submissions by status'
+        ),
+        submissionGas: registry.histogram(
+            'avs_submission_gas_used',
+            'Gas used by confirmed verification submissions',
+            [50000, 100000, 150000, 200000, 300000, 500000, 1000000]
+        ),
+        submissionBatchSize: registry.histogram(
+            'avs_submission_batch_size',
+            'Credits per batch verification submission',
+            [1, 2, 5, 10, 20, 50, 100]
+        )
+    };
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, createAvsMetrics };
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ScoringPolicy } = require('./scoring-policy');
+const { EvidenceStore } = require('./evidence-store');
+const { CreditMappingStore } = require('./mapping-store');
+const { ConsistencyChecker } = require('./consistency-checker');
+const { RegistryManager, defaultRegistryConfig } = require('./registries');
+const { logger } = require('./logger');
+const { loadConfig } = require('./config');
+
+const USAGE = `Usage: node policy-replay.js --candidate <policy.json> [options]
+
+Replays recorded verification inputs through the current and a candidate
+scoring policy and reports the credits whose validity or score would change.
+
+Inputs (evidence bundles by default):
+  --evidence <dir>             Evidence store to replay (default: evidence/ in the configured data directory);
+                               the latest bundle of each credit is used
+  --fixtures <dir>             Registry fixture set (verra.json, gold-standard.json, climate-action.json,
+                               optional project-index.json) scored for every mapped credit
+  --mappings <file>            Mapping store for --fixtures (default: CREDIT_MAPPINGS_FILE or avs/credit-mappings.json)
+
+Policies:
+  --current <file>             Baseline policy (default: SCORING_POLICY_FILE or avs/policies/default.json)
+  --candidate <file>           Policy to compare against the baseline
+
+Report:
+  --format <format>            text (default), markdown or json
+  --output <file>              Write the report to a file instead of stdout
+  --min-delta <n>              Ignore score changes smaller than n points (default: 1)
+  --fail-on-change             Exit with status 1 when any verdict changes`;
+
+/**
+ * Latest evidence bundle of every credit, scored as of its evaluation time.
+ */
+function casesFromEvidence(store) {
+    const latest = new Map();
+    for (const hash of store.list()) {
+        const bundle = store.get(hash);
+        const previous = latest.get(bundle.creditId);
+        if (!previous || bundle.timestamps.evaluatedAt > previous.bundle.timestamps.evaluatedAt) {
+            latest.set(bundle.creditId, { hash, bundle });
+        }
+    }
+
+    return [...latest.values()].map(({ hash, bundle }) => ({
+        creditId: bundle.creditId,
+        input: `evidence:${hash}`,
+        results: bundle.registryResults.map(value => ({ status: 'fulfilled', value })),
+        findings: bundle.findings,
+        now: new Date(bundle.timestamps.evaluatedAt),
+        recorded: {
+            isValid: bundle.verdict.isValid,
+            qualityScore: bundle.verdict.qualityScore,
+            policyVersion: bundle.policy.version
+        }
+    }));
+}
+
+/**
+ * Every mapped credit queried against fixture-backed mock adapters.
+ */
+async function casesFromFixtures(dir, mappingStore) {
+    const config = defaultRegistryConfig({}, { REGISTRY_MODE: 'mock' });
+    for (const [id, options] of Object.entries(config)) {
+        const fixture = path.resolve(dir, `${options.fixture}.json`);
+        config[id] = { ...options, fixture, latencyMs: 0, enabled: fs.existsSync(fixture) };
+    }
+
+    const registries = new RegistryManager();
+    for (const [id, options] of Object.entries(config).filter(([, options]) => options.enabled)) {
+        registries.register(registries.create(id, options));
+    }
+    if (registries.list().length === 0) {
+        throw new Error(`No registry fixtures found in ${path.resolve(dir)}`);
+    }
+
+    // check() only reads the project index, so the fixture set's copy is never modified
+    const checker = new ConsistencyChecker({ mappingStore, file: path.join(dir, 'project-index.json') });
+    const now = new Date();
+    const cases = [];
+
+    for (const { creditId } of mappingStore.list()) {
+        const registryMappings = mappingStore.get(creditId);
+        const results = await registries.verifyAll(registryMappings);
+        const values = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        cases.push({
+            creditId,
+            input: 'fixtures',
+            results,
+            findings: checker.check(creditId, registryMappings, values),
+            now,
+            recorded: null
+        });
+    }
+    return cases;
+}
+
+/**
+ * Rules whose adjustment or check outcome differs between two breakdowns.
+ */
+function ruleChanges(before, after) {
+    const changes = [];
+    const adjustments = breakdown => Object.fromEntries(breakdown.adjustments.map(adjustment => [adjustment.rule, adjustment.delta]));
+    const checks = breakdown => Object.fromEntries(breakdown.checks.map(check => [check.rule, check.passed]));
+
+    if ((before.base && before.base.score) !== (after.base && after.base.score)) {
+        changes.push(`base score: ${before.base ? before.base.score : '-'} -> ${after.base ? after.base.score : '-'}`);
+    }
+
+    const [adjustmentsBefore, adjustmentsAfter] = [adjustments(before), adjustments(after)];
+    for (const rule of new Set([...Object.keys(adjustmentsBefore), ...Object.keys(adjustmentsAfter)])) {
+        if (adjustmentsBefore[rule] !== adjustmentsAfter[rule]) {
+            changes.push(`${rule}: ${adjustmentsBefore[rule] || 0} -> ${adjustmentsAfter[rule] || 0}`);
+        }
+    }
+
+    const label = passed => (passed === undefined ? 'n/a' : passed ? 'PASS' : 'FAIL');
+    const [checksBefore, checksAfter] = [checks(before), checks(after)];
+    for (const rule of new Set([...Object.keys(checksBefore), ...Object.keys(checksAfter)])) {
+        if (rule !== 'minScore' && checksBefore[rule] !== checksAfter[rule]) {
+            changes.push(`${rule}: ${label(checksBefore[rule])} -> ${label(checksAfter[rule])}`);
+        }
+    }
+    if (checksBefore.minScore !== checksAfter.minScore) {
+        changes.push(`minScore: ${label(checksBefore.minScore)} -> ${label(checksAfter.minScore)}`);
+    }
+    return changes;
+}
+
+/**
+ * Score every case with both policies. `change` is now_invalid, now_valid,
+ * score (at least minDelta points) or unchanged.
+ */
+function replay(cases, current, candidate, { minDelta = 1 } = {}) {
+    const credits = cases.map(entry => {
+        const before = current.score(entry.results, { now: entry.now, findings: entry.findings });
+        const after = candidate.score(entry.results, { now: entry.now, findings: entry.findings });
+        const delta = after.qualityScore - before.qualityScore;
+
+        let change = 'unchanged';
+        if (before.isValid !== after.isValid) {
+            change = after.isValid ? 'now_valid' : 'now_invalid';
+        } else if (delta !== 0 && Math.abs(delta) >= minDelta) {
+            change = 'score';
+        }
+
+        return {
+            creditId: entry.creditId,
+            input: entry.input,
+            change,
+            delta,
+            current: { isValid: before.isValid, qualityScore: before.qualityScore },
+            candidate: { isValid: after.isValid, qualityScore: after.qualityScore },
+            recorded: entry.recorded,
+            rules: change === 'unchanged' ? [] : ruleChanges(before.breakdown, after.breakdown)
+        };
+    });
+
+    const count = change => credits.filter(credit => credit.change === change).length;
+    return {
+        currentPolicy: current.version,
+        candidatePolicy: candidate.version,
+        minDelta,
+        summary: {
+            credits: credits.length,
+            nowInvalid: count('now_invalid'),
+            nowValid: count('now_valid'),
+            scoreChanged: count('score'),
+            unchanged: count('unchanged')
+        },
+        credits
+    };
+}
+
+function verdictLabel({ isValid, qualityScore }) {
+    return `${isValid ? 'VALID' : 'INVALID'} ${qualityScore}`;
+}
+
+function shortInput(input) {
+    return input.startsWith('evidence:') ? `${input.slice(0, 'evidence:'.length + 12)}…` : input;
+}
+
+function formatText(report) {
+    const { summary } = report;
+    const lines = [
+        `Policy replay: ${report.currentPolicy} -> ${report.candidatePolicy} (${summary.credits} credit(s))`,
+        `  Now invalid:   ${summary.nowInvalid}`,
+        `  Now valid:     ${summary.nowValid}`,
+        `  Score changed: ${summary.scoreChanged}`,
+        `  Unchanged:     ${summary.unchanged}`
+    ];
+
+    for (const credit of report.credits.filter(credit => credit.change !== 'unchanged')) {
+        const delta = credit.delta > 0 ? `+${credit.delta}` : `${credit.delta}`;
+        lines.push('', `Credit ${credit.creditId} [${shortInput(credit.input)}]: ${verdictLabel(credit.current)} -> ${verdictLabel(credit.candidate)} (${delta})`);
+        credit.rules.forEach(rule => lines.push(`    ${rule}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function formatMarkdown(report) {
+    const { summary } = report;
+    const changed = report.credits.filter(credit => credit.change !== 'unchanged');
+    const lines = [
+        `## Scoring policy replay: ${report.currentPolicy} → ${report.candidatePolicy}`,
+        '',
+        `${summary.credits} credit(s) replayed: **${summary.nowInvalid}** become invalid, **${summary.nowValid}** become valid, ` +
+            `${summary.scoreChanged} change score by at least ${report.minDelta} point(s), ${summary.unchanged} unchanged.`
+    ];
+
+    if (changed.length > 0) {
+        lines.push(
+            '',
+            '| Credit | Input | Current | Candidate | Δ | Changed rules |',
+            '| --- | --- | --- | --- | --- | --- |',
+            ...changed.map(credit => `| ${credit.creditId} | \`${shortInput(credit.input)}\` | ${verdictLabel(credit.current)} | ` +
+                `${verdictLabel(credit.candidate)} | ${credit.delta > 0 ? '+' : ''}${credit.delta} | ${credit.rules.join('<br>')} |`)
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+const FORMATTERS = {
+    text: formatText,
+    markdown: formatMarkdown,
+    json: report => `${JSON.stringify(report, null, 2)}\n`
+};
+
+async function run(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            evidence: { type: 'string' },
+            fixtures: { type: 'string' },
+            mappings: { type: 'string' },
+            current: { type: 'string' },
+            candidate: { type: 'string' },
+            format: { type: 'string', default: 'text' },
+            output: { type: 'string' },
+            'min-delta': { type: 'string', default: '1' },
+            'fail-on-change': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!values.candidate) {
+        throw new Error(`--candidate <policy.json> is required\n\n${USAGE}`);
+    }
+    if (values.evidence && values.fixtures) {
+        throw new Error('Use either --evidence or --fixtures, not both');
+    }
+    const format = FORMATTERS[values.format];
+    if (!format) {
+        throw new Error(`Unknown --format "${values.format}" (expected ${Object.keys(FORMATTERS).join(', ')})`);
+    }
+    const minDelta = Number(values['min-delta']);
+    if (!Number.isFinite(minDelta) || minDelta < 0) {
+        throw new Error(`--min-delta must be a non-negative number, got "${values['min-delta']}"`);
+    }
+
+    // Adapter logs would end up in the report
+    logger.configure({ stream: process.stderr, level: process.env.LOG_LEVEL || 'warn' });
+
+    // Only file locations are needed, so no signer has to be configured
+    let config;
+    const settings = () => config || (config = loadConfig({ signer: false }));
+
+    const current = ScoringPolicy.load(values.current || settings().scoringPolicyFile);
+    const candidate = ScoringPolicy.load(values.candidate);
+
+    const cases = values.fixtures
+        ? await casesFromFixtures(values.fixtures, new CreditMappingStore({ file: values.mappings || settings().creditMappingsFile }))
+        : casesFromEvidence(new EvidenceStore({ dir: values.evidence || path.join(settings().dataDir, 'evidence') }));
+    if (cases.length === 0) {
+        throw new Error('Nothing to replay: no evidence bundles or mapped credits found');
+    }
+
+    const report = replay(cases, current, candidate, { minDelta });
+    const output = format(report);
+    if (values.output) {
+        fs.writeFileSync(values.output, output);
+        console.error(`Report written to ${path.resolve(values.output)}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    const changed = report.summary.credits - report.summary.unchanged;
+    return values['fail-on-change'] && changed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { run, replay, casesFromEvidence, casesFromFixtures, ruleChanges };
@@ -0,0 +1,332 @@
+const http = require('http');
+const { ethers } = require('ethers');
+require('dotenv').config({ quiet: true });
+const { recoverAttestationSigner, attestationDigest } = require('./attestations');
+const { logger } = require('./logger');
+const { loadConfig } = require('./config');
+
+const EVIDENCE_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// An attestation is a few hundred bytes; anything far larger is not one
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Quorum aggregator for multi-operator verification
+ *
+ * Operators running with AVS_MODE=operator POST signed attestations to
+ * /attestations. Attestations are grouped per request by the digest of
+ * the signed verdict; as soon as one verdict is signed by `quorum`
+ * allowlisted operators it is submitted on-chain. A round fails when the
+ * operators disagree so that no verdict can reach quorum any more, or
+ * when the quorum timeout expires. Evidence bundle hashes sent alongside
+ * the attestations of the agreeing operators are appended to the
+ * submitted sources. Finished rounds stay queryable for `retentionMs`
+ * and are then dropped. Operators re-queue the requests of failed rounds;
+ * their next attestation starts a new round.
+ */
+class AttestationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AttestationError';
+        this.statusCode = statusCode;
+    }
+}
+
+class QuorumAggregator {
+    constructor({ operators, quorum, domain, submit, timeoutMs = 60000, retentionMs = 60 * 60 * 1000, log = logger }) {
+        this.operators = operators.map(address => ethers.getAddress(address));
+        this.quorum = quorum;
+        this.domain = domain;
+        this.submit = submit;
+        this.timeoutMs = timeoutMs;
+        this.retentionMs = retentionMs;
+        this.log = log;
+        this.rounds = new Map();
+
+        if (this.operators.length === 0) {
+            throw new Error('Quorum aggregator requires at least one operator address');
+        }
+        if (!Number.isInteger(quorum) || quorum < 1 || quorum > this.operators.length) {
+            throw new Error(`Quorum must be between 1 and ${this.operators.length}, got ${quorum}`);
+        }
+    }
+
+    receive({ operator, attestation, signature, evidenceHash = null }) {
+        if (!operator || !attestation || !signature) {
+            throw new AttestationError('operator, attestation and signature are required');
+        }
+        if (evidenceHash !== null && !EVIDENCE_HASH_PATTERN.test(evidenceHash)) {
+            throw new AttestationError(`Malformed evidence hash "${evidenceHash}"`);
+        }
+
+        let signer;
+        try {
+            signer = recoverAttestationSigner(this.domain, attestation, signature);
+        } catch (error) {
+            throw new AttestationError(`Malformed attestation: ${error.message}`);
+        }
+
+        if (signer !== ethers.getAddress(operator)) {
+            throw new AttestationError(`Signature was made by ${signer}, not ${operator}`, 403);
+        }
+        if (!this.operators.includes(signer)) {
+            throw new AttestationError(`${signer} is not an allowlisted operator`, 403);
+        }
+
+        const round = this.roundFor(attestation);
+        const digest = attestationDigest(attestation);
+        const previous = round.attestations.get(signer);
+
+        if (previous) {
+            if (previous.digest !== digest) {
+                throw new AttestationError(`${signer} already attested a different verdict for this request`, 409);
+            }
+            return this.summary(round);
+        }
+
+        round.attestations.set(signer, { digest, attestation, signature, evidenceHash, receivedAt: new Date().toISOString() });
+        this.log.info('Attestation received', {
+            operator: signer,
+            creditId: attestation.creditId,
+            requestId: attestation.requestId,
+            isValid: attestation.isValid,
+            qualityScore: attestation.qualityScore,
+            attestations: `${round.attestations.size}/${this.operators.length}`
+        });
+
+        if (round.status === 'collecting') {
+            this.evaluate(round);
+        }
+        return this.summary(round);
+    }
+
+    roundFor(attestation) {
+        const key = `${attestation.creditId}:${attestation.requestId}`;
+        let round = this.rounds.get(key);
+
+        if (!round || round.status === 'failed') {
+            if (round) {
+                clearTimeout(round.pruneTimer);
+            }
+            round = {
+                key,
+                creditId: attestation.creditId,
+                requestId: attestation.requestId,
+                status: 'collecting',
+                attestations: new Map(),
+                startedAt: new Date().toISOString()
+            };
+            round.timer = setTimeout(() => {
+                if (round.status === 'collecting') {
+                    this.fail(round, `quorum not reached within ${this.timeoutMs}ms`);
+                }
+            }, this.timeoutMs);
+            round.timer.unref();
+            this.rounds.set(key, round);
+        }
+        return round;
+    }
+
+    tally(round) {
+        const groups = new Map();
+        for (const [operator, entry] of round.attestations) {
+            if (!groups.has(entry.digest)) {
+                groups.set(entry.digest, { attestation: entry.attestation, operators: [] });
+            }
+            groups.get(entry.digest).operators.push(operator);
+        }
+        return [...groups.values()].sort((a, b) => b.operators.length - a.operators.length);
+    }
+
+    evaluate(round) {
+        const [leading] = this.tally(round);
+
+        if (leading.operators.length >= this.quorum) {
+            // Callers do not wait for the submission; finalize records its outcome on the round
+            round.finalizing = this.finalize(round, leading).catch(error => {
+                this.fail(round, `submission failed: ${error.shortMessage || error.message}`);
+            });
+            return;
+        }
+
+        const outstanding = this.operators.length - round.attestations.size;
+        if (leading.operators.length + outstanding < this.quorum) {
+            this.fail(round, 'operators disagree; no verdict can reach quorum');
+        }
+    }
+
+    async finalize(round, group) {
+        clearTimeout(round.timer);
+        round.status = 'submitting';
+
+        const { attestation, operators } = group;
+        const evidence = operators
+            .map(operator => round.attestations.get(operator).evidenceHash)
+            .filter(Boolean)
+            .map(hash => `evidence:${hash}`);
+        const sources = [...attestation.sources, `quorum:${operators.length}/${this.operators.length}`, ...evidence];
+        this.log.info('Quorum reached', {
+            creditId: round.creditId,
+            requestId: round.requestId,
+            agreeing: `${operators.length}/${this.operators.length}`
+        });
+
+        const submission = await this.submit(
+            attestation.creditId,
+            attestation.isValid,
+            Number(attestation.qualityScore),
+            sources
+        );
+
+        round.submission = submission;
+        if (!submission.success) {
+            this.fail(round, `submission failed: ${submission.error}`);
+            return;
+        }
+        round.status = 'submitted';
+        this.log.info('Quorum verdict submitted', { creditId: round.creditId, requestId: round.requestId });
+        this.retire(round);
+    }
+
+    fail(round, reason) {
+        clearTimeout(round.timer);
+        round.status = 'failed';
+        round.failureReason = reason;
+
+        this.log.error('Quorum failed', {
+            creditId: round.creditId,
+            requestId: round.requestId,
+            reason,
+            verdicts: this.tally(round).map(group => ({
+                isValid: group.attestation.isValid,
+                qualityScore: group.attestation.qualityScore,
+                operators: group.operators
+            }))
+        });
+        this.retire(round);
+    }
+
+    // Drop a finished round once it has been queryable for retentionMs
+    retire(round) {
+        round.pruneTimer = setTimeout(() => {
+            if (this.rounds.get(round.key) === round) {
+                this.rounds.delete(round.key);
+            }
+        }, this.retentionMs);
+        round.pruneTimer.unref();
+    }
+
+    summary(round) {
+        return {
+            creditId: round.creditId,
+            requestId: round.requestId,
+            status: round.status,
+            quorum: `${this.quorum}/${this.operators.length}`,
+            startedAt: round.startedAt,
+            failureReason: round.failureReason,
+            submission: round.submission,
+            verdicts: this.tally(round).map(group => ({
+                isValid: group.attestation.isValid,
+                qualityScore: group.attestation.qualityScore,
+                sources: group.attestation.sources,
+                policyVersion: group.attestation.policyVersion,
+                operators: group.operators
+            }))
+        };
+    }
+}
+
+function createAggregatorServer(aggregator, { maxBodyBytes = MAX_BODY_BYTES } = {}) {
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://aggregator');
+
+        if (req.method === 'POST' && pathname === '/attestations') {
+            let raw = '';
+            let tooLarge = false;
+            req.on('data', chunk => {
+                if (tooLarge) {
+                    return;
+                }
+                raw += chunk;
+                if (Buffer.byteLength(raw) > maxBodyBytes) {
+                    tooLarge = true;
+                    raw = '';
+                    res.setHeader('Connection', 'close');
+                    send(res, 413, { error: `Request body exceeds ${maxBodyBytes} bytes` });
+                }
+            });
+            req.on('end', () => {
+                if (tooLarge) {
+                    return;
+                }
+                try {
+                    send(res, 202, aggregator.receive(JSON.parse(raw)));
+                } catch (error) {
+                    send(res, error.statusCode || 400, { error: error.message });
+                }
+            });
+            return;
+        }
+
+        if (req.method === 'GET' && pathname === '/rounds') {
+            return send(res, 200, [...aggregator.rounds.values()].map(round => aggregator.summary(round)));
+        }
+
+        const match = pathname.match(/^\/rounds\/(\d+)$/);
+        if (req.method === 'GET' && match) {
+            const rounds = [...aggregator.rounds.values()].filter(round => round.creditId === match[1]);
+            return send(res, 200, rounds.map(round => aggregator.summary(round)));
+        }
+
+        send(res, 404, { error: 'Not found' });
+    });
+}
+
+async function main() {
+    const CarbonVerificationAVS = require('./carbon-verifier');
+
+    logger.info('Starting AVS quorum aggregator');
+
+    const config = loadConfig();
+    const { operators = [], timeoutMs, port } = config.quorum;
+    // Majority of the operators unless QUORUM is set
+    const quorum = config.quorum.threshold || Math.floor(operators.length / 2) + 1;
+
+    // The aggregator submits with its own wallet, so it always runs in single mode
+    const avs = new CarbonVerificationAVS({ config, mode: 'single' });
+    await avs.connect();
+
+    const aggregator = new QuorumAggregator({
+        operators,
+        quorum,
+        domain: avs.attestationDomain,
+        timeoutMs,
+        submit: (...args) => avs.submitVerificationResult(...args)
+    });
+
+    const server = createAggregatorServer(aggregator);
+    server.listen(port, () => {
+        logger.info('Aggregator listening', {
+            url: `http://localhost:${port}`,
+            quorum: `${quorum}/${aggregator.operators.length}`,
+            operators: aggregator.operators
+        });
+    });
+
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+    process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        logger.error('Failed to start aggregator', { error });
+        process.exit(1);
+    });
+}
+
+module.exports = { QuorumAggregator, AttestationError, createAggregatorServer };
@@ -0,0 +1,73 @@
+const { logger } = require('../logger');
+
+/**
+ * Registry adapter contract
+ *
+ * Every carbon registry the AVS can query is wrapped in an adapter that
+ * implements three operations:
+ *   - lookup(registryId)  fetch the raw registry record (null when unknown)
+ *   - normalize(record)   map the raw record onto the common result fields
+ *   - healthCheck()       report whether the registry is currently usable
+ *
+ * verify() ties them together and produces the result shape consumed by
+ * CarbonVerificationAVS.aggregateVerificationResults.
+ */
+class RegistryAdapter {
+    constructor({ id, source, enabled = true } = {}) {
+        if (!id || !source) {
+            throw new Error('Registry adapter requires an id and a source name');
+        }
+
+        this.id = id;
+        this.source = source;
+        this.enabled = enabled;
+    }
+
+    async lookup(registryId) {
+        throw new Error(`${this.constructor.name} must implement lookup()`);
+    }
+
+    normalize(record) {
+        throw new Error(`${this.constructor.name} must implement normalize()`);
+    }
+
+    async healthCheck() {
+        return { id: this.id, source: this.source, healthy: true };
+    }
+
+    async verify(registryId) {
+        logger.info('Verifying with registry', { registry: this.id, registryId });
+
+        try {
+            const record = await this.lookup(registryId);
+
+            if (!record || record.exists === false) {
+                return {
+                    registry: this.id,
+                    source: this.source,
+                    success: false,
+                    exists: false,
+                    error: `Credit not found in ${this.source} registry`
+                };
+            }
+
+            return {
+                registry: this.id,
+                source: this.source,
+                success: true,
+                exists: true,
+                ...this.normalize(record)
+            };
+        } catch (error) {
+            logger.error('Registry verification failed', { registry: this.id, registryId, error });
+            return {
+                registry: this.id,
+                source: this.source,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = RegistryAdapter;
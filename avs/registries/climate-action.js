@@ -0,0 +1,26 @@
+const HttpRegistryAdapter = require('./http-adapter');
+const { SCHEMAS } = require('./schemas');
+
+/**
+ * Climate Action Reserve registry adapter
+ */
+class ClimateActionAdapter extends HttpRegistryAdapter {
+    constructor(options = {}) {
+        super({ id: 'climateAction', source: 'Climate Action Reserve', schema: SCHEMAS.climateAction, ...options });
+    }
+
+    normalize(record) {
+        return {
+            status: record.status,
+            quality: Number(record.quality),
+            vintage: Number(record.vintage),
+            projectType: record.projectType,
+            isRetired: Boolean(record.isRetired),
+            protocol: record.protocol,
+            location: record.location,
+            projectId: record.projectId
+        };
+    }
+}
+
+module.exports = ClimateActionAdapter;
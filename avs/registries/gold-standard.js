@@ -0,0 +1,26 @@
+const HttpRegistryAdapter = require('./http-adapter');
+const { SCHEMAS } = require('./schemas');
+
+/**
+ * Gold Standard registry adapter
+ */
+class GoldStandardAdapter extends HttpRegistryAdapter {
+    constructor(options = {}) {
+        super({ id: 'goldStandard', source: 'Gold Standard', schema: SCHEMAS.goldStandard, ...options });
+    }
+
+    normalize(record) {
+        return {
+            status: record.status,
+            quality: Number(record.quality),
+            vintage: Number(record.vintage),
+            projectType: record.projectType,
+            isRetired: Boolean(record.isRetired),
+            sdgImpacts: record.sdgImpacts || [],
+            location: record.location,
+            projectId: record.projectId
+        };
+    }
+}
+
+module.exports = GoldStandardAdapter;
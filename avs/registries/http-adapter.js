@@ -0,0 +1,75 @@
+const RegistryAdapter = require('./base-adapter');
+const { RegistryHttpClient } = require('./http-client');
+const { validateRecord } = require('./schemas');
+
+/**
+ * Base class for adapters backed by a registry's HTTP API.
+ * Subclasses describe the response schema and how to normalize a record.
+ */
+class HttpRegistryAdapter extends RegistryAdapter {
+    constructor({ baseUrl, apiKey, schema, client, timeoutMs, maxRetries, ...options } = {}) {
+        super(options);
+
+        if (!baseUrl) {
+            throw new Error(`${this.source} adapter requires a baseUrl`);
+        }
+
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.schema = schema;
+        this.client = client || new RegistryHttpClient({ source: this.source, timeoutMs, maxRetries });
+    }
+
+    recordUrl(registryId) {
+        return `${this.baseUrl}/${encodeURIComponent(registryId)}`;
+    }
+
+    headers() {
+        const headers = { Accept: 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async lookup(registryId) {
+        const record = await this.client.getJson(this.recordUrl(registryId), this.headers());
+
+        if (record && this.schema) {
+            const errors = validateRecord(this.schema, record);
+            if (errors.length > 0) {
+                throw new Error(`${this.source} response failed schema validation: ${errors.join('; ')}`);
+            }
+        }
+
+        return record;
+    }
+
+    async healthCheck() {
+        const started = Date.now();
+        try {
+            const response = await this.client.request(this.baseUrl, {
+                method: 'HEAD',
+                headers: this.headers(),
+                retries: 0
+            });
+            return {
+                id: this.id,
+                source: this.source,
+                healthy: true,
+                status: response.status,
+                latencyMs: Date.now() - started
+            };
+        } catch (error) {
+            return {
+                id: this.id,
+                source: this.source,
+                healthy: false,
+                status: error.status,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = HttpRegistryAdapter;
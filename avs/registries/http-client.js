@@ -0,0 +1,145 @@
+const { logger } = require('../logger');
+
+/**
+ * HTTP client shared by the registry adapters
+ *
+ * Adds what the registry APIs need on top of fetch: a per-request timeout,
+ * exponential backoff with jitter for network errors and 5xx responses,
+ * and rate-limit handling that honours Retry-After on 429.
+ */
+class RegistryRequestError extends Error {
+    constructor(message, { status, retryable = false } = {}) {
+        super(message);
+        this.name = 'RegistryRequestError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+class RegistryHttpClient {
+    constructor({
+        source = 'registry',
+        timeoutMs = 5000,
+        maxRetries = 3,
+        baseDelayMs = 250,
+        maxDelayMs = 5000,
+        maxRetryAfterMs = 30000,
+        fetchImpl = globalThis.fetch
+    } = {}) {
+        this.source = source;
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.maxRetryAfterMs = maxRetryAfterMs;
+        this.fetch = fetchImpl;
+    }
+
+    /**
+     * GET a JSON document. Resolves to null on 404 so callers can treat
+     * "unknown identifier" separately from registry failures.
+     */
+    async getJson(url, headers = {}) {
+        const response = await this.request(url, { headers });
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new RegistryRequestError(`${this.source} returned invalid JSON: ${error.message}`, {
+                status: response.status
+            });
+        }
+    }
+
+    async request(url, { method = 'GET', headers = {}, retries = this.maxRetries } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let waitMs;
+
+            try {
+                const response = await this.send(url, { method, headers });
+
+                if (response.ok || response.status === 404) {
+                    return response;
+                }
+
+                if (response.status === 429) {
+                    waitMs = this.retryAfterMs(response.headers.get('retry-after'), attempt);
+                    if (waitMs > this.maxRetryAfterMs) {
+                        throw new RegistryRequestError(
+                            `${this.source} rate limit asks to wait ${waitMs}ms (limit ${this.maxRetryAfterMs}ms)`,
+                            { status: 429 }
+                        );
+                    }
+                    if (attempt >= retries) {
+                        throw new RegistryRequestError(`${this.source} rate limit exceeded after ${attempt + 1} attempts`, {
+                            status: 429,
+                            retryable: true
+                        });
+                    }
+                } else {
+                    const retryable = response.status >= 500;
+                    if (!retryable || attempt >= retries) {
+                        throw new RegistryRequestError(`${this.source} API responded with HTTP ${response.status}`, {
+                            status: response.status,
+                            retryable
+                        });
+                    }
+                    waitMs = this.backoffMs(attempt);
+                }
+            } catch (error) {
+                if (error instanceof RegistryRequestError) {
+                    throw error;
+                }
+                // Network failure or timeout
+                if (attempt >= retries) {
+                    throw new RegistryRequestError(`${this.source} request failed: ${error.message}`, { retryable: true });
+                }
+                waitMs = this.backoffMs(attempt);
+            }
+
+            logger.warn('Registry request retry', { source: this.source, attempt: attempt + 1, retries, waitMs });
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+
+    async send(url, { method, headers }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            return await this.fetch(url, { method, headers, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`timed out after ${this.timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    backoffMs(attempt) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    retryAfterMs(header, attempt) {
+        if (header) {
+            const seconds = Number(header);
+            if (Number.isFinite(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+            const date = Date.parse(header);
+            if (!Number.isNaN(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+        return this.backoffMs(attempt);
+    }
+}
+
+module.exports = { RegistryHttpClient, RegistryRequestError };
@@ -0,0 +1,189 @@
+const RegistryAdapter = require('./base-adapter');
+const HttpRegistryAdapter = require('./http-adapter');
+const MockRegistryAdapter = require('./mock-adapter');
+const VerraAdapter = require('./verra');
+const GoldStandardAdapter = require('./gold-standard');
+const ClimateActionAdapter = require('./climate-action');
+const { RegistryResponseCache } = require('./response-cache');
+
+const ADAPTER_METHODS = ['lookup', 'normalize', 'healthCheck', 'verify'];
+
+/**
+ * Holds the registry adapters the AVS queries for each verification.
+ *
+ * Adapter types are registered by name with a factory so new registries
+ * (Puro.earth, Isometric, an internal registry, ...) can be plugged in from
+ * config without touching CarbonVerificationAVS.
+ */
+class RegistryManager {
+    constructor() {
+        this.types = new Map();
+        this.adapters = new Map();
+        this.observers = [];
+        this.cache = null;
+
+        this.registerType('mock', (id, options) => new MockRegistryAdapter({ id, ...options }));
+        this.registerType('verra', (id, options) => new VerraAdapter({ id, ...options }));
+        this.registerType('goldStandard', (id, options) => new GoldStandardAdapter({ id, ...options }));
+        this.registerType('climateAction', (id, options) => new ClimateActionAdapter({ id, ...options }));
+    }
+
+    registerType(type, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Adapter type ${type} requires a factory function`);
+        }
+        this.types.set(type, factory);
+        return this;
+    }
+
+    create(id, { type, ...options }) {
+        const factory = this.types.get(type);
+        if (!factory) {
+            throw new Error(`Unknown registry adapter type "${type}" for ${id}`);
+        }
+        return factory(id, options);
+    }
+
+    register(adapter) {
+        const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+        if (!adapter.id || !adapter.source || missing.length > 0) {
+            throw new Error(`Invalid registry adapter ${adapter.id || '(unnamed)'}: missing ${missing.join(', ') || 'id/source'}`);
+        }
+        if (this.adapters.has(adapter.id)) {
+            throw new Error(`Registry adapter ${adapter.id} is already registered`);
+        }
+
+        this.adapters.set(adapter.id, adapter);
+        return adapter;
+    }
+
+    unregister(id) {
+        return this.adapters.delete(id);
+    }
+
+    get(id) {
+        return this.adapters.get(id);
+    }
+
+    setEnabled(id, enabled) {
+        const adapter = this.adapters.get(id);
+        if (!adapter) {
+            throw new Error(`Registry adapter ${id} is not registered`);
+        }
+        adapter.enabled = enabled;
+    }
+
+    list() {
+        return [...this.adapters.values()].filter(adapter => adapter.enabled !== false);
+    }
+
+    /**
+     * Serve lookups through a RegistryResponseCache.
+     */
+    useCache(cache) {
+        this.cache = cache;
+        return this;
+    }
+
+    /**
+     * Register a callback invoked after every registry lookup with
+     * { registry, source, durationMs, result } (result is null if verify threw).
+     * Results served by the cache carry `cache.status`.
+     */
+    observe(observer) {
+        this.observers.push(observer);
+        return this;
+    }
+
+    async timedVerify(adapter, registryId, { fresh = false } = {}) {
+        const startedAt = Date.now();
+        let result = null;
+        try {
+            result = this.cache
+                ? await this.cache.fetch(adapter.id, registryId, () => adapter.verify(registryId), { fresh })
+                : await adapter.verify(registryId);
+            return result;
+        } finally {
+            const durationMs = Date.now() - startedAt;
+            for (const observer of this.observers) {
+                observer({ registry: adapter.id, source: adapter.source, durationMs, result });
+            }
+        }
+    }
+
+    /**
+     * Query every enabled adapter with the identifier mapped for it.
+     * Returns Promise.allSettled results in adapter registration order.
+     * `fresh` bypasses unexpired cache entries.
+     */
+    verifyAll(registryMappings, { fresh = false } = {}) {
+        return Promise.allSettled(this.list().map(adapter => {
+            const registryId = registryMappings[adapter.id];
+            if (!registryId) {
+                return Promise.resolve({
+                    registry: adapter.id,
+                    source: adapter.source,
+                    success: false,
+                    unmapped: true,
+                    error: `No ${adapter.source} identifier mapped for this credit`
+                });
+            }
+            return this.timedVerify(adapter, registryId, { fresh });
+        }));
+    }
+
+    healthCheck() {
+        return Promise.all(this.list().map(adapter => adapter.healthCheck()));
+    }
+
+    static fromConfig(config) {
+        const manager = new RegistryManager();
+
+        for (const [id, options] of Object.entries(config)) {
+            manager.register(manager.create(id, options));
+        }
+
+        return manager;
+    }
+}
+
+/**
+ * Build the default adapter config from the AVS registryAPIs block.
+ *
+ * REGISTRY_MODE selects "mock" (fixture data, the default) or "live"
+ * (registry HTTP APIs); REGISTRY_ADAPTERS is an optional comma-separated
+ * allowlist of adapter ids to enable.
+ */
+function defaultRegistryConfig(registryAPIs, env = process.env) {
+    const live = env.REGISTRY_MODE === 'live';
+    const allowlist = env.REGISTRY_ADAPTERS
+        ? env.REGISTRY_ADAPTERS.split(',').map(id => id.trim()).filter(Boolean)
+        : null;
+
+    const defaults = {
+        verra: { source: 'Verra', fixture: 'verra', latencyMs: 800 },
+        goldStandard: { source: 'Gold Standard', fixture: 'gold-standard', latencyMs: 600 },
+        climateAction: { source: 'Climate Action Reserve', fixture: 'climate-action', latencyMs: 500 }
+    };
+
+    const config = {};
+    for (const [id, mock] of Object.entries(defaults)) {
+        const enabled = !allowlist || allowlist.includes(id);
+        config[id] = live
+            ? { type: id, enabled, ...registryAPIs[id] }
+            : { type: 'mock', enabled, ...mock };
+    }
+    return config;
+}
+
+module.exports = {
+    RegistryManager,
+    RegistryAdapter,
+    HttpRegistryAdapter,
+    MockRegistryAdapter,
+    VerraAdapter,
+    GoldStandardAdapter,
+    ClimateActionAdapter,
+    RegistryResponseCache,
+    defaultRegistryConfig
+};
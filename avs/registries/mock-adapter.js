@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const RegistryAdapter = require('./base-adapter');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'registries');
+
+function loadFixture(fixture) {
+    const file = path.isAbsolute(fixture) || fixture.endsWith('.json')
+        ? path.resolve(fixture)
+        : path.join(FIXTURE_DIR, `${fixture}.json`);
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Fixture-backed adapter used for local development and tests.
+ * Records are keyed by registry identifier and returned as-is.
+ */
+class MockRegistryAdapter extends RegistryAdapter {
+    constructor({ fixture, records, latencyMs = 0, ...options } = {}) {
+        super(options);
+
+        if (!records && !fixture) {
+            throw new Error(`Mock adapter ${this.id} requires a fixture or inline records`);
+        }
+
+        this.records = records || loadFixture(fixture);
+        this.latencyMs = latencyMs;
+    }
+
+    async lookup(registryId) {
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+        return this.records[registryId] || null;
+    }
+
+    normalize(record) {
+        const { exists, ...fields } = record;
+        return fields;
+    }
+}
+
+module.exports = MockRegistryAdapter;
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Cache of normalized registry results, keyed by registry and identifier
+ *
+ * Found and not-found results are cached; failures never are. Within a
+ * registry's TTL a cached result is returned without querying the
+ * registry. After that the registry is queried again, and if it fails the
+ * last result is returned marked `stale: true` as long as it is younger
+ * than `maxStaleMs`. Whether a verdict may rely on stale data is decided by
+ * the scoring policy (`staleData`). Every returned result carries
+ * `cache: { status, fetchedAt, ageMs }`, where status is fresh, miss,
+ * revalidated or stale.
+ *
+ * Concurrent lookups of the same identifier share one registry request.
+ */
+class RegistryResponseCache {
+    constructor({
+        file = null,
+        ttlMs = HOUR_MS,
+        registryTtlMs = {},
+        maxStaleMs = 7 * 24 * HOUR_MS,
+        now = () => Date.now(),
+        log = logger
+    } = {}) {
+        this.file = file ? path.resolve(file) : null;
+        this.ttlMs = ttlMs;
+        this.registryTtlMs = registryTtlMs;
+        this.maxStaleMs = maxStaleMs;
+        this.now = now;
+        this.log = log;
+        this.entries = this.file && fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : {};
+        this.inFlight = new Map();
+    }
+
+    ttlFor(registry) {
+        return this.registryTtlMs[registry] !== undefined ? this.registryTtlMs[registry] : this.ttlMs;
+    }
+
+    static key(registry, registryId) {
+        return `${registry}:${registryId}`;
+    }
+
+    get(registry, registryId) {
+        return this.entries[RegistryResponseCache.key(registry, registryId)] || null;
+    }
+
+    /**
+     * Return the result for `registryId` from the cache or from `lookup`
+     * (normally adapter.verify). `fresh` skips unexpired entries, e.g. for
+     * re-verification, but still falls back to stale data on failure.
+     */
+    async fetch(registry, registryId, lookup, { fresh = false } = {}) {
+        const key = RegistryResponseCache.key(registry, registryId);
+        const entry = this.entries[key];
+        if (entry && !fresh && this.ageOf(entry) < this.ttlFor(registry)) {
+            return this.annotate(entry, 'fresh');
+        }
+
+        if (!this.inFlight.has(key)) {
+            this.inFlight.set(key, this.refresh(key, registry, registryId, lookup)
+                .finally(() => this.inFlight.delete(key)));
+        }
+        return this.inFlight.get(key);
+    }
+
+    async refresh(key, registry, registryId, lookup) {
+        let result;
+        let error;
+        try {
+            result = await lookup();
+        } catch (caught) {
+            error = caught;
+        }
+
+        if (result && (result.success || result.exists === false)) {
+            const previous = this.entries[key];
+            const entry = { fetchedAt: new Date(this.now()).toISOString(), result };
+            this.entries[key] = entry;
+            this.save();
+            return this.annotate(entry, previous ? 'revalidated' : 'miss');
+        }
+
+        const entry = this.entries[key];
+        if (entry && this.ageOf(entry) <= this.maxStaleMs) {
+            const reason = error ? error.message : result.error;
+            this.log.warn('Registry unavailable, using cached result', {
+                registry,
+                registryId,
+                fetchedAt: entry.fetchedAt,
+                error: reason
+            });
+            return { ...this.annotate(entry, 'stale', { error: reason }), stale: true };
+        }
+
+        if (error) {
+            throw error;
+        }
+        return result;
+    }
+
+    ageOf(entry) {
+        return this.now() - Date.parse(entry.fetchedAt);
+    }
+
+    annotate(entry, status, fields = {}) {
+        return { ...entry.result, cache: { status, fetchedAt: entry.fetchedAt, ageMs: this.ageOf(entry), ...fields } };
+    }
+
+    /**
+     * Drop entries too old to be served even as stale data.
+     */
+    prune() {
+        for (const [key, entry] of Object.entries(this.entries)) {
+            if (this.ageOf(entry) > this.maxStaleMs) {
+                delete this.entries[key];
+            }
+        }
+    }
+
+    save() {
+        this.prune();
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.entries));
+        fs.renameSync(tmpFile, this.file);
+    }
+}
+
+module.exports = { RegistryResponseCache };
@@ -0,0 +1,84 @@
+/**
+ * Response schemas for the registry HTTP APIs
+ *
+ * Each field is described by { type, optional, min, max, items }. Records
+ * are validated before normalization so a changed or broken upstream
+ * payload fails loudly instead of producing a bogus quality score.
+ */
+const COMMON_FIELDS = {
+    exists: { type: 'boolean', optional: true },
+    status: { type: 'string' },
+    vintage: { type: 'integer', min: 1990, max: 2100 },
+    projectType: { type: 'string' },
+    quality: { type: 'number', min: 0, max: 100 },
+    isRetired: { type: 'boolean' },
+    location: { type: 'string', optional: true },
+    projectId: { type: 'string', optional: true }
+};
+
+const SCHEMAS = {
+    verra: {
+        ...COMMON_FIELDS,
+        methodology: { type: 'string' }
+    },
+    goldStandard: {
+        ...COMMON_FIELDS,
+        sdgImpacts: { type: 'array', items: 'string', optional: true }
+    },
+    climateAction: {
+        ...COMMON_FIELDS,
+        protocol: { type: 'string' }
+    }
+};
+
+function checkType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Returns a list of human-readable problems; empty when the record is valid.
+ */
+function validateRecord(schema, record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['response is not a JSON object'];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = record[field];
+
+        if (value === undefined || value === null) {
+            if (!rule.optional) {
+                errors.push(`${field} is required`);
+            }
+            continue;
+        }
+
+        if (!checkType(value, rule.type)) {
+            errors.push(`${field} must be ${rule.type}`);
+            continue;
+        }
+
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push(`${field} must be >= ${rule.min}`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push(`${field} must be <= ${rule.max}`);
+        }
+        if (rule.items && value.some(item => !checkType(item, rule.items))) {
+            errors.push(`${field} must contain only ${rule.items} values`);
+        }
+    }
+    return errors;
+}
+
+module.exports = { SCHEMAS, validateRecord };
@@ -0,0 +1,26 @@
+const HttpRegistryAdapter = require('./http-adapter');
+const { SCHEMAS } = require('./schemas');
+
+/**
+ * Verra (Verified Carbon Standard) registry adapter
+ */
+class VerraAdapter extends HttpRegistryAdapter {
+    constructor(options = {}) {
+        super({ id: 'verra', source: 'Verra', schema: SCHEMAS.verra, ...options });
+    }
+
+    normalize(record) {
+        return {
+            status: record.status,
+            quality: Number(record.quality),
+            vintage: Number(record.vintage),
+            projectType: record.projectType,
+            isRetired: Boolean(record.isRetired),
+            methodology: record.methodology,
+            location: record.location,
+            projectId: record.projectId
+        };
+    }
+}
+
+module.exports = VerraAdapter;
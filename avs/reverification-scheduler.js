@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const { logger, withLogContext } = require('./logger');
+const { formatBreakdown } = require('./scoring-policy');
+const { reverificationRequestIdFor } = require('./attestations');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+const HOUR_MS = 60 * 60 * 1000;
+const RISK_TIERS = ['high', 'medium', 'low'];
+
+// Failed checks that mean the registry changed the credit's status
+const STATUS_RULES = ['notRetired', 'registryStatus'];
+
+// Submitted sources that are not registries: policy flags, the quorum
+// reached and evidence bundle hashes
+const NON_REGISTRY_PREFIXES = ['flag:', 'quorum:', 'evidence:'];
+
+/**
+ * Periodic re-verification of credits that are already verified on-chain
+ *
+ * Verification requests for verified credits are skipped, so without
+ * sweeps a credit retired, cancelled or suspended at its registry would
+ * keep its verdict forever. Each sweep reads the on-chain verdict of every
+ * mapped credit, puts it in a risk tier (high: flagged, single registry or
+ * low score; medium: middling score; low: the rest) and re-verifies the
+ * credits whose score is older than the tier's maximum age, most overdue
+ * first. A result worse than the on-chain verdict is submitted as a
+ * downgraded verdict (attested to the aggregator in operator mode). When a
+ * registry could not be queried, or the downgrade did not reach the chain,
+ * the credit is retried on the next sweep instead, so an outage never
+ * revokes a credit and a lost downgrade is never recorded as done.
+ */
+class ReverificationScheduler {
+    constructor(avs, {
+        intervalMs = 15 * 60 * 1000,
+        maxAgeMs = { high: 6 * HOUR_MS, medium: 24 * HOUR_MS, low: 168 * HOUR_MS },
+        highRiskScore = 60,
+        lowRiskScore = 80,
+        minScoreDrop = 5,
+        batchSize = 10,
+        file = path.join(process.env.AVS_DATA_DIR || DEFAULT_DATA_DIR, 'reverification.json'),
+        log = avs.log || logger
+    } = {}) {
+        for (const tier of RISK_TIERS) {
+            if (!(maxAgeMs[tier] > 0)) {
+                throw new Error(`Maximum score age for ${tier} risk credits must be a positive number of hours`);
+            }
+        }
+        if (!Number.isFinite(intervalMs) || intervalMs < 0) {
+            throw new Error(`REVERIFY_INTERVAL_MS must be a number of milliseconds or "off", got "${intervalMs}"`);
+        }
+
+        this.avs = avs;
+        this.intervalMs = intervalMs;
+        this.maxAgeMs = maxAgeMs;
+        this.highRiskScore = highRiskScore;
+        this.lowRiskScore = lowRiskScore;
+        this.minScoreDrop = minScoreDrop;
+        this.batchSize = batchSize;
+        this.file = path.resolve(file);
+        this.log = log;
+
+        this.state = fs.existsSync(this.file)
+            ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+            : { version: 1, credits: {} };
+        this.timer = null;
+        this.sweeping = false;
+    }
+
+    get enabled() {
+        return this.intervalMs > 0;
+    }
+
+    start() {
+        if (!this.enabled) {
+            this.log.info('Re-verification sweeps disabled (REVERIFY_INTERVAL_MS=off)');
+            return;
+        }
+        if (this.timer) {
+            return;
+        }
+
+        this.log.info('Re-verification sweeps scheduled', {
+            intervalMs: this.intervalMs,
+            maxAgeHours: Object.fromEntries(RISK_TIERS.map(tier => [tier, this.maxAgeMs[tier] / HOUR_MS])),
+            batchSize: this.batchSize
+        });
+        this.timer = setInterval(() => this.sweep(), this.intervalMs);
+        this.sweep();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    riskFor({ qualityScore, sources }) {
+        const flagged = sources.some(source => source.startsWith('flag:'));
+        const registries = sources
+            .filter(source => !NON_REGISTRY_PREFIXES.some(prefix => source.startsWith(prefix)))
+            .length;
+
+        if (flagged || registries < 2 || qualityScore < this.highRiskScore) {
+            return 'high';
+        }
+        return qualityScore < this.lowRiskScore ? 'medium' : 'low';
+    }
+
+    /**
+     * When the credit was last scored, by a sweep or by a verification job.
+     */
+    lastCheckedAt(creditId) {
+        const times = [];
+        const entry = this.state.credits[creditId];
+        if (entry && entry.checkedAt) {
+            times.push(Date.parse(entry.checkedAt));
+        }
+        const job = this.avs.jobs.latestForCredit(creditId);
+        if (job && job.status === 'confirmed' && job.qualityScore !== undefined) {
+            times.push(Date.parse(job.updatedAt));
+        }
+        return times.length > 0 ? Math.max(...times) : null;
+    }
+
+    /**
+     * Verified credits whose score is older than their tier allows, most
+     * overdue first. Credits never scored by this AVS come first.
+     */
+    async dueCredits(now = Date.now()) {
+        const due = [];
+
+        for (const { creditId } of this.avs.mappingStore.list()) {
+            const [verified, qualityScore, sources] = await this.avs.hookContract.getAVSVerificationDetails(creditId);
+            if (!verified) {
+                continue;
+            }
+
+            const onChain = { verified, qualityScore: Number(qualityScore), sources: [...sources] };
+            const risk = this.riskFor(onChain);
+            const checkedAt = this.lastCheckedAt(creditId);
+            const overdue = checkedAt === null ? Infinity : (now - checkedAt) / this.maxAgeMs[risk];
+
+            if (overdue >= 1) {
+                due.push({ creditId, risk, onChain, checkedAt, overdue });
+            }
+        }
+
+        return due.sort((a, b) => b.overdue - a.overdue);
+    }
+
+    /**
+     * Re-verify the credits that are due. `all` ignores the batch size and
+     * `dryRun` neither submits nor records anything.
+     */
+    async sweep({ all = false, dryRun = false } = {}) {
+        if (this.sweeping) {
+            return null;
+        }
+
+        this.sweeping = true;
+        try {
+            const due = await this.dueCredits();
+            const batch = all ? due : due.slice(0, this.batchSize);
+            const results = [];
+
+            for (const entry of batch) {
+                const result = await withLogContext(
+                    { creditId: entry.creditId, sweep: 'reverification' },
+                    () => this.reverify(entry, { dryRun })
+                );
+                if (!dryRun) {
+                    this.avs.metrics.reverifications.inc({ outcome: result.outcome });
+                }
+                results.push(result);
+            }
+
+            if (!dryRun) {
+                this.save();
+            }
+            this.log.info('Re-verification sweep complete', {
+                due: due.length,
+                checked: results.length,
+                downgraded: results.filter(result => result.outcome === 'downgraded').length,
+                dryRun
+            });
+            return results;
+        } catch (error) {
+            // Retried on the next sweep
+            this.log.error('Re-verification sweep failed', { error });
+            return null;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    async reverify({ creditId, risk, onChain }, { dryRun = false } = {}) {
+        const result = { creditId, risk, previous: onChain };
+
+        let verification;
+        try {
+            // Already recorded for double counting when first verified;
+            // cached results could hide a revocation
+            verification = await this.avs.evaluateCredit(creditId, { record: false, fresh: true });
+        } catch (error) {
+            this.log.error('Re-verification failed', { error });
+            return { ...result, outcome: 'error', error: error.message };
+        }
+
+        if (!verification) {
+            return { ...result, outcome: 'unmapped' };
+        }
+
+        const current = {
+            isValid: verification.isValid,
+            qualityScore: verification.qualityScore,
+            sources: verification.sources,
+            policyVersion: verification.policyVersion
+        };
+        const statusChanges = verification.breakdown.checks
+            .filter(check => !check.passed && STATUS_RULES.includes(check.rule))
+            .map(check => check.detail);
+        Object.assign(result, { current, statusChanges });
+
+        // A registry outage must not revoke a credit, and stale cached data
+        // can't confirm it is unchanged: try again next sweep
+        const { unavailable, stale = [] } = verification.breakdown;
+        if ((unavailable.length > 0 || stale.length > 0) && statusChanges.length === 0) {
+            this.log.warn('Re-verification incomplete, registries unavailable', {
+                unavailable,
+                stale: stale.map(entry => entry.source)
+            });
+            return { ...result, outcome: 'incomplete' };
+        }
+
+        const downgraded = !verification.isValid || verification.qualityScore <= onChain.qualityScore - this.minScoreDrop;
+        if (!downgraded) {
+            this.log.info('Re-verification unchanged', {
+                risk,
+                qualityScore: verification.qualityScore,
+                onChainScore: onChain.qualityScore
+            });
+            return this.record({ ...result, outcome: 'unchanged' }, dryRun);
+        }
+
+        this.log.warn('Verified credit downgraded', {
+            risk,
+            previous: { isValid: onChain.verified, qualityScore: onChain.qualityScore },
+            current: { isValid: current.isValid, qualityScore: current.qualityScore },
+            statusChanges,
+            scoreBreakdown: formatBreakdown(verification.breakdown)
+        });
+
+        if (dryRun) {
+            return { ...result, outcome: 'downgraded', submission: null };
+        }
+
+        const evidenceHash = this.avs.recordEvidence(creditId, verification);
+        const submission = await this.submitDowngrade(creditId, onChain, verification, evidenceHash);
+        if (!submission.success) {
+            return { ...result, outcome: 'submission_failed', submission, evidenceHash };
+        }
+        if (submission.attested && submission.aggregatorStatus !== 'submitted') {
+            // Not on-chain until the other operators agree: attest again on
+            // the next sweep, which also picks up the round's outcome
+            return { ...result, outcome: 'attested', submission, evidenceHash };
+        }
+        return this.record({ ...result, outcome: 'downgraded', submission, evidenceHash }, dryRun);
+    }
+
+    /**
+     * Submit a downgraded verdict, or in operator mode attest it to the
+     * aggregator, which submits it once a quorum of operators agrees.
+     */
+    submitDowngrade(creditId, onChain, verification, evidenceHash) {
+        const { isValid, qualityScore, sources, policyVersion } = verification;
+        if (this.avs.mode === 'operator') {
+            return this.avs.publishAttestation(creditId, isValid, qualityScore, sources, {
+                requestId: reverificationRequestIdFor(creditId, onChain),
+                policyVersion,
+                evidenceHash
+            });
+        }
+        return this.avs.submitVerificationResult(creditId, isValid, qualityScore, sources, { policyVersion, evidenceHash });
+    }
+
+    record(result, dryRun) {
+        if (!dryRun) {
+            this.state.credits[result.creditId] = {
+                checkedAt: new Date().toISOString(),
+                risk: result.risk,
+                outcome: result.outcome,
+                isValid: result.current.isValid,
+                qualityScore: result.current.qualityScore,
+                policyVersion: result.current.policyVersion,
+                ...(result.submission && {
+                    submissionHash: result.submission.hash,
+                    attestationDigest: result.submission.digest,
+                    evidenceHash: result.evidenceHash
+                })
+            };
+        }
+        return result;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tmpFile, this.file);
+    }
+}
+
+module.exports = { ReverificationScheduler, RISK_TIERS };
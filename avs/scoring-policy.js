@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, 'policies', 'default.json');
+
+// Consistency finding types and the policy penalty applied for each
+const FINDING_PENALTIES = {
+    vintage_mismatch: 'vintageMismatch',
+    project_type_mismatch: 'projectTypeMismatch',
+    location_mismatch: 'locationMismatch',
+    double_counting: 'doubleCounting'
+};
+
+// Registry statuses that invalidate a credit unless the policy says otherwise
+const DEFAULT_REJECT_STATUSES = ['cancelled', 'suspended'];
+
+/**
+ * Versioned, explainable scoring policy for registry verification results
+ *
+ * The policy file defines per-registry weights, penalties and validity
+ * thresholds. score() returns the verdict together with a breakdown that
+ * lists the base score and every adjustment and check applied, so an
+ * auditor can see exactly how a credit's qualityScore was reached.
+ */
+class ScoringPolicy {
+    constructor(definition, { file = null } = {}) {
+        ScoringPolicy.validate(definition, file);
+
+        this.file = file;
+        this.definition = definition;
+        this.version = definition.version;
+    }
+
+    static load(file = DEFAULT_POLICY_FILE) {
+        const resolved = path.resolve(file);
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read scoring policy ${resolved}: ${error.message}`);
+        }
+        return new ScoringPolicy(definition, { file: resolved });
+    }
+
+    static validate(definition, file) {
+        const errors = [];
+        const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`Invalid scoring policy${file ? ` ${file}` : ''}: not a JSON object`);
+        }
+        if (typeof definition.version !== 'string' || !definition.version) {
+            errors.push('version must be a non-empty string');
+        }
+
+        for (const [registry, weight] of Object.entries(definition.registryWeights || {})) {
+            if (!isNonNegative(weight)) {
+                errors.push(`registryWeights.${registry} must be a non-negative number`);
+            }
+        }
+
+        const penalties = definition.penalties || {};
+        for (const name of ['retired', 'singleRegistry', 'blacklistedMethodology', ...Object.values(FINDING_PENALTIES)]) {
+            if (penalties[name] !== undefined && !isNonNegative(penalties[name])) {
+                errors.push(`penalties.${name} must be a non-negative number`);
+            }
+        }
+        for (const name of ['graceYears', 'perYear', 'max']) {
+            const value = (penalties.vintageAge || {})[name];
+            if (value !== undefined && !isNonNegative(value)) {
+                errors.push(`penalties.vintageAge.${name} must be a non-negative number`);
+            }
+        }
+
+        if (definition.methodologyBlacklist !== undefined &&
+            (!Array.isArray(definition.methodologyBlacklist) ||
+             definition.methodologyBlacklist.some(entry => typeof entry !== 'string'))) {
+            errors.push('methodologyBlacklist must be an array of strings');
+        }
+
+        const rejectStatuses = (definition.thresholds || {}).rejectStatuses;
+        if (rejectStatuses !== undefined &&
+            (!Array.isArray(rejectStatuses) || rejectStatuses.some(entry => typeof entry !== 'string'))) {
+            errors.push('thresholds.rejectStatuses must be an array of strings');
+        }
+
+        const minScore = (definition.thresholds || {}).minScore;
+        if (minScore !== undefined && (!isNonNegative(minScore) || minScore > 100)) {
+            errors.push('thresholds.minScore must be between 0 and 100');
+        }
+
+        const staleData = definition.staleData || {};
+        if (staleData.allowed !== undefined && typeof staleData.allowed !== 'boolean') {
+            errors.push('staleData.allowed must be a boolean');
+        }
+        for (const name of ['maxAgeHours', 'penalty']) {
+            if (staleData[name] !== undefined && !isNonNegative(staleData[name])) {
+                errors.push(`staleData.${name} must be a non-negative number`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid scoring policy${file ? ` ${file}` : ''}:\n  - ${errors.join('\n  - ')}`);
+        }
+    }
+
+    weightFor(registry) {
+        const weights = this.definition.registryWeights || {};
+        if (weights[registry] !== undefined) {
+            return weights[registry];
+        }
+        return weights.default !== undefined ? weights.default : 1;
+    }
+
+    /**
+     * Score settled registry results (the output of RegistryManager.verifyAll)
+     * together with ConsistencyChecker findings for the credit.
+     */
+    score(results, { now = new Date(), findings = [] } = {}) {
+        const penalties = this.definition.penalties || {};
+        const thresholds = this.definition.thresholds || {};
+        const blacklist = (this.definition.methodologyBlacklist || []).map(entry => entry.toLowerCase());
+        const staleData = this.definition.staleData || {};
+
+        // Cached results served while their registry was down (see
+        // RegistryResponseCache) count only if the policy allows them
+        const ageHours = result => (now.getTime() - Date.parse(result.cache.fetchedAt)) / 3600000;
+        const usable = result => !result.stale || (staleData.allowed === true &&
+            (staleData.maxAgeHours === undefined || ageHours(result) <= staleData.maxAgeHours));
+
+        const successfulResults = results
+            .filter(result => result.status === 'fulfilled' && result.value.success && usable(result.value))
+            .map(result => result.value);
+
+        // Registries that errored (as opposed to not knowing the credit
+        // or having no identifier mapped for it)
+        const unavailable = results
+            .filter(result => result.status !== 'fulfilled' || !usable(result.value) ||
+                (!result.value.success && result.value.exists !== false && !result.value.unmapped))
+            .map(result => (result.status === 'fulfilled' ? result.value.source : 'unknown'));
+
+        const stale = successfulResults
+            .filter(result => result.stale)
+            .map(result => ({
+                registry: result.registry,
+                source: result.source,
+                fetchedAt: result.cache.fetchedAt,
+                ageHours: Math.round(ageHours(result) * 10) / 10
+            }));
+
+        const breakdown = { policyVersion: this.version, registries: [], adjustments: [], checks: [], findings, unavailable, stale };
+        const verdict = (isValid, qualityScore, sources) => ({
+            isValid,
+            qualityScore,
+            sources,
+            policyVersion: this.version,
+            breakdown
+        });
+
+        if (successfulResults.length === 0) {
+            breakdown.checks.push({ rule: 'registryCoverage', passed: false, detail: 'No registry returned a result' });
+            return verdict(false, 0, ['verification_failed']);
+        }
+
+        // Check if credit exists in at least one registry
+        const existsInRegistries = successfulResults.filter(r => r.exists);
+
+        if (existsInRegistries.length === 0) {
+            breakdown.checks.push({ rule: 'registryCoverage', passed: false, detail: 'Credit not found in any registry' });
+            return verdict(false, 0, ['not_found_in_registries']);
+        }
+
+        // Weighted consensus quality score
+        let totalWeight = 0;
+        let weightedSum = 0;
+        for (const result of existsInRegistries) {
+            const weight = this.weightFor(result.registry);
+            breakdown.registries.push({ registry: result.registry, source: result.source, quality: result.quality, weight });
+            totalWeight += weight;
+            weightedSum += weight * result.quality;
+        }
+
+        let score = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
+        breakdown.base = {
+            rule: 'weightedAverage',
+            description: `Weighted average of ${existsInRegistries.length} registry quality score(s)`,
+            score
+        };
+
+        const applyPenalty = (rule, description, amount) => {
+            const penalty = Math.round(amount || 0);
+            if (penalty <= 0) {
+                return;
+            }
+            const next = Math.max(0, score - penalty);
+            breakdown.adjustments.push({ rule, description, delta: next - score, score: next });
+            score = next;
+        };
+
+        // Retirement in any registry is a red flag
+        const retiredIn = existsInRegistries.filter(r => r.isRetired || statusOf(r) === 'retired').map(r => r.source);
+        applyPenalty('retired', `Retired in ${retiredIn.join(', ')}`, retiredIn.length > 0 ? penalties.retired : 0);
+
+        applyPenalty(
+            'singleRegistry',
+            `Only confirmed by ${existsInRegistries[0].source}`,
+            existsInRegistries.length < 2 ? penalties.singleRegistry : 0
+        );
+
+        // Vintage age, measured from the oldest vintage any registry reports
+        const vintages = existsInRegistries.map(r => r.vintage).filter(Number.isFinite);
+        const vintageAge = penalties.vintageAge || {};
+        if (vintages.length > 0 && vintageAge.perYear) {
+            const oldest = Math.min(...vintages);
+            const excessYears = Math.max(0, now.getUTCFullYear() - oldest - (vintageAge.graceYears || 0));
+            const amount = Math.min(vintageAge.max !== undefined ? vintageAge.max : Infinity, excessYears * vintageAge.perYear);
+            applyPenalty('vintageAge', `Vintage ${oldest} is ${excessYears} year(s) past the ${vintageAge.graceYears || 0}-year grace period`, amount);
+        }
+
+        // Blacklisted methodologies / protocols
+        const blacklisted = existsInRegistries
+            .map(r => r.methodology || r.protocol)
+            .filter(methodology => methodology && blacklist.includes(methodology.toLowerCase()));
+        applyPenalty(
+            'blacklistedMethodology',
+            `Blacklisted methodology: ${blacklisted.join(', ')}`,
+            blacklisted.length > 0 ? penalties.blacklistedMethodology : 0
+        );
+
+        const staleSummary = stale.map(entry => `${entry.source} from ${entry.fetchedAt} (${entry.ageHours}h old)`).join(', ');
+        applyPenalty('staleData', `Cached registry data: ${staleSummary}`, stale.length > 0 ? staleData.penalty : 0);
+
+        // Cross-registry consistency findings, one penalty per finding type
+        for (const [type, penalty] of Object.entries(FINDING_PENALTIES)) {
+            const matching = findings.filter(finding => finding.type === type);
+            if (matching.length > 0) {
+                applyPenalty(penalty, matching.map(finding => finding.detail).join('; '), penalties[penalty]);
+            }
+        }
+
+        // Validity checks
+        if (thresholds.rejectRetired !== false) {
+            breakdown.checks.push({
+                rule: 'notRetired',
+                passed: retiredIn.length === 0,
+                detail: retiredIn.length === 0 ? 'Not retired in any registry' : `Retired in ${retiredIn.join(', ')}`
+            });
+        }
+        const rejectStatuses = (thresholds.rejectStatuses || DEFAULT_REJECT_STATUSES).map(status => status.toLowerCase());
+        const revoked = existsInRegistries.filter(r => rejectStatuses.includes(statusOf(r)));
+        if (rejectStatuses.length > 0) {
+            breakdown.checks.push({
+                rule: 'registryStatus',
+                passed: revoked.length === 0,
+                detail: revoked.length === 0
+                    ? `No registry reports ${rejectStatuses.join(' or ')}`
+                    : revoked.map(r => `${r.source}: ${statusOf(r)}`).join(', ')
+            });
+        }
+        if (thresholds.rejectBlacklistedMethodology !== false) {
+            breakdown.checks.push({
+                rule: 'methodologyAllowed',
+                passed: blacklisted.length === 0,
+                detail: blacklisted.length === 0 ? 'No blacklisted methodology' : `Blacklisted: ${blacklisted.join(', ')}`
+            });
+        }
+        if (thresholds.rejectDoubleCounting !== false) {
+            const doubleCounted = findings.filter(finding => finding.type === 'double_counting');
+            breakdown.checks.push({
+                rule: 'noDoubleCounting',
+                passed: doubleCounted.length === 0,
+                detail: doubleCounted.length === 0
+                    ? 'No other credit backed by the same project'
+                    : doubleCounted.map(finding => finding.detail).join('; ')
+            });
+        }
+        if (stale.length > 0) {
+            breakdown.checks.push({
+                rule: 'staleData',
+                passed: true,
+                detail: `Used cached data while the registry was unavailable: ${staleSummary}`
+            });
+        }
+        const minScore = thresholds.minScore !== undefined ? thresholds.minScore : 40;
+        breakdown.checks.push({
+            rule: 'minScore',
+            passed: score >= minScore,
+            detail: `Score ${score} ${score >= minScore ? '>=' : '<'} minimum ${minScore}`
+        });
+
+        breakdown.finalScore = score;
+        // Consistency findings and stale registry data are surfaced
+        // on-chain as flag:<type> sources
+        const flags = [...new Set(findings.map(finding => `flag:${finding.type}`))];
+        if (stale.length > 0) {
+            flags.push('flag:stale_data');
+        }
+        return verdict(
+            breakdown.checks.every(check => check.passed),
+            score,
+            [...successfulResults.map(r => r.source), ...flags]
+        );
+    }
+}
+
+function statusOf(result) {
+    return typeof result.status === 'string' ? result.status.toLowerCase() : null;
+}
+
+/**
+ * Render a score breakdown as log lines.
+ */
+function formatBreakdown(breakdown) {
+    const lines = [`Policy ${breakdown.policyVersion}`];
+    if (breakdown.base) {
+        const inputs = breakdown.registries.map(r => `${r.source} ${r.quality}×${r.weight}`).join(', ');
+        lines.push(`${breakdown.base.description}: ${breakdown.base.score} (${inputs})`);
+    }
+    for (const adjustment of breakdown.adjustments) {
+        lines.push(`${adjustment.delta} ${adjustment.description} → ${adjustment.score}`);
+    }
+    for (const check of breakdown.checks) {
+        lines.push(`${check.passed ? 'PASS' : 'FAIL'} ${check.rule}: ${check.detail}`);
+    }
+    return lines;
+}
+
+module.exports = { ScoringPolicy, formatBreakdown, DEFAULT_POLICY_FILE };
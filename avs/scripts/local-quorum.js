@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+
+/**
+ * Run a local multi-operator AVS against Anvil
+ *
+ * Starts one quorum aggregator (Anvil account 0, which submits on-chain)
+ * and N operators (Anvil accounts 1..N) that sign attestations. Dissenting
+ * operators only query Verra, so their scores differ from the rest, which
+ * makes it easy to exercise disagreement and quorum failure:
+ *
+ *   node scripts/local-quorum.js                          # 3 operators, quorum 2
+ *   node scripts/local-quorum.js --dissent 1              # still reaches 2/3
+ *   node scripts/local-quorum.js --quorum 3 --dissent 1   # quorum failure
+ */
+
+// Well-known Anvil development keys; never use them outside a local chain
+const ANVIL_KEYS = [
+    '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+    '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+    '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6',
+    '0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a',
+    '0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba'
+];
+
+const AVS_DIR = path.join(__dirname, '..');
+
+function launch(name, script, env) {
+    const child = spawn(process.execPath, [script], {
+        cwd: AVS_DIR,
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const prefix = line => line && console.log(`[${name}] ${line}`);
+    child.stdout.on('data', data => data.toString().split('\n').forEach(prefix));
+    child.stderr.on('data', data => data.toString().split('\n').forEach(prefix));
+    child.on('exit', code => console.log(`[${name}] exited with code ${code}`));
+    return child;
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            operators: { type: 'string', default: '3' },
+            quorum: { type: 'string' },
+            dissent: { type: 'string', default: '0' },
+            port: { type: 'string', default: '4100' }
+        }
+    });
+
+    const operatorCount = Number(values.operators);
+    const dissent = Number(values.dissent);
+    const quorum = Number(values.quorum || Math.floor(operatorCount / 2) + 1);
+
+    if (operatorCount < 1 || operatorCount > ANVIL_KEYS.length - 1) {
+        throw new Error(`--operators must be between 1 and ${ANVIL_KEYS.length - 1}`);
+    }
+    if (dissent < 0 || dissent > operatorCount) {
+        throw new Error('--dissent must be between 0 and the number of operators');
+    }
+
+    const operatorKeys = ANVIL_KEYS.slice(1, operatorCount + 1);
+    const operatorAddresses = operatorKeys.map(key => new ethers.Wallet(key).address);
+    const aggregatorUrl = `http://localhost:${values.port}`;
+
+    console.log(`🧪 Local quorum: ${operatorCount} operator(s), quorum ${quorum}, ${dissent} dissenting`);
+
+    const children = [
+        launch('aggregator', 'quorum-aggregator.js', {
+            PRIVATE_KEY: ANVIL_KEYS[0],
+            OPERATOR_ADDRESSES: operatorAddresses.join(','),
+            QUORUM: String(quorum),
+            AGGREGATOR_PORT: values.port
+        })
+    ];
+
+    operatorKeys.forEach((key, index) => {
+        const dissenting = index >= operatorCount - dissent;
+        children.push(launch(`operator-${index + 1}${dissenting ? '*' : ''}`, 'carbon-verifier.js', {
+            AVS_MODE: 'operator',
+            AGGREGATOR_URL: aggregatorUrl,
+            PRIVATE_KEY: key,
+            AVS_DATA_DIR: path.join(AVS_DIR, 'data', `operator-${index + 1}`),
+            // Each operator gets its own status endpoint: 9091, 9092, ...
+            STATUS_PORT: String(9091 + index),
+            ...(dissenting && { REGISTRY_ADAPTERS: 'verra' })
+        }));
+    });
+
+    const shutdown = () => {
+        children.forEach(child => child.kill('SIGTERM'));
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { redactUrl } = require('./connection-supervisor');
+
+const quantity = value => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+
+/**
+ * Signer backed by a remote signing service (Web3Signer, Clef or any
+ * endpoint implementing eth_signTransaction and eth_signTypedData_v4)
+ *
+ * The key never reaches the AVS: transactions are populated locally,
+ * signed remotely and broadcast through the AVS's own provider. Every
+ * signature is checked against the configured address.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+    constructor({ url, address, provider = null, timeoutMs = 10000 }) {
+        super(provider);
+        this.url = url;
+        // fetch refuses URLs with credentials; send them as basic auth instead
+        const endpoint = new URL(url);
+        this.headers = { 'Content-Type': 'application/json' };
+        if (endpoint.username || endpoint.password) {
+            const credentials = `${decodeURIComponent(endpoint.username)}:${decodeURIComponent(endpoint.password)}`;
+            this.headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+            endpoint.username = '';
+            endpoint.password = '';
+        }
+        this.endpoint = endpoint.toString();
+        this.address = ethers.getAddress(address);
+        this.timeoutMs = timeoutMs;
+        this.requestId = 0;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new RemoteSigner({ url: this.url, address: this.address, provider, timeoutMs: this.timeoutMs });
+    }
+
+    async call(method, params) {
+        const label = `External signer ${redactUrl(this.url)} ${method}`;
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: this.headers,
+                body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw new Error(`${label} failed: ${error.message}`);
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body || body.error) {
+            const reason = body && body.error ? body.error.message : `HTTP ${response.status}`;
+            throw new Error(`${label} failed: ${reason}`);
+        }
+        return body.result;
+    }
+
+    async signTransaction(tx) {
+        const result = await this.call('eth_signTransaction', [{
+            from: this.address,
+            to: tx.to || undefined,
+            data: tx.data,
+            value: quantity(tx.value),
+            nonce: quantity(tx.nonce),
+            gas: quantity(tx.gasLimit),
+            gasPrice: quantity(tx.gasPrice),
+            maxFeePerGas: quantity(tx.maxFeePerGas),
+            maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+            chainId: quantity(tx.chainId),
+            type: quantity(tx.type)
+        }]);
+
+        // Clef returns { raw, tx }, Web3Signer the raw transaction
+        const raw = typeof result === 'string' ? result : result && result.raw;
+        if (!raw) {
+            throw new Error('External signer returned no signed transaction');
+        }
+        const signed = ethers.Transaction.from(raw);
+        if (signed.from !== this.address) {
+            throw new Error(`External signer returned a transaction signed by ${signed.from}, expected ${this.address}`);
+        }
+        return raw;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+        const signature = await this.call('eth_sign', [this.address, ethers.hexlify(data)]);
+        if (ethers.verifyMessage(data, signature) !== this.address) {
+            throw new Error('External signer returned a message signature for a different address');
+        }
+        return signature;
+    }
+
+    async signTypedData(domain, types, value) {
+        const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+        const signature = await this.call('eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+        if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+            throw new Error('External signer returned a typed data signature for a different address');
+        }
+        return signature;
+    }
+}
+
+/**
+ * Build the (unconnected) operator signer described by config.signer.
+ * Keystores are decrypted once here; the password file's trailing newline
+ * is ignored.
+ */
+async function createSigner(signer) {
+    switch (signer.type) {
+        case 'privateKey':
+            return new ethers.Wallet(signer.privateKey);
+        case 'keystore': {
+            const password = signer.keystorePasswordFile
+                ? fs.readFileSync(signer.keystorePasswordFile, 'utf8').replace(/\r?\n$/, '')
+                : signer.keystorePassword;
+            try {
+                return await ethers.Wallet.fromEncryptedJson(fs.readFileSync(signer.keystoreFile, 'utf8'), password);
+            } catch (error) {
+                throw new Error(`Cannot decrypt keystore ${signer.keystoreFile}: ${error.shortMessage || error.message}`);
+            }
+        }
+        case 'external':
+            return new RemoteSigner({ url: signer.url, address: signer.address });
+        default:
+            throw new Error(`Unknown signer type "${signer.type}"`);
+    }
+}
+
+module.exports = { createSigner, RemoteSigner };
@@ -0,0 +1,126 @@
+const http = require('http');
+const { ethers } = require('ethers');
+
+/**
+ * Health, metrics and status endpoint for a running AVS
+ *
+ *   GET /healthz           RPC, contract and operator wallet checks (503 if any fail)
+ *   GET /metrics           Prometheus text format
+ *   GET /jobs/:creditId    latest verification job, submission and on-chain state
+ */
+function withTimeout(promise, timeoutMs, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name, timeoutMs, check) {
+    const startedAt = Date.now();
+    try {
+        const detail = await withTimeout(check(), timeoutMs, name);
+        return { name, healthy: detail.healthy !== false, latencyMs: Date.now() - startedAt, ...detail };
+    } catch (error) {
+        return { name, healthy: false, latencyMs: Date.now() - startedAt, error: error.shortMessage || error.message };
+    }
+}
+
+async function checkHealth(avs, {
+    timeoutMs = 3000,
+    minBalance = ethers.parseEther('0.01')
+} = {}) {
+    const checks = await Promise.all([
+        runCheck('rpc', timeoutMs, async () => ({
+            url: avs.supervisor ? avs.supervisor.redactedUrl : undefined,
+            blockNumber: await avs.provider.getBlockNumber()
+        })),
+        runCheck('contract', timeoutMs, async () => {
+            const code = await avs.provider.getCode(avs.hookContract.target);
+            if (code === '0x') {
+                return { healthy: false, error: `No contract deployed at ${avs.hookContract.target}` };
+            }
+            await avs.hookContract.avsVerified(0);
+            return { address: avs.hookContract.target };
+        }),
+        runCheck('wallet', timeoutMs, async () => {
+            const balance = await avs.provider.getBalance(avs.wallet.address);
+            // Operators only sign attestations; the aggregator pays for submissions
+            const required = avs.mode === 'operator' ? 0n : minBalance;
+            return {
+                healthy: balance >= required,
+                address: avs.wallet.address,
+                balance: ethers.formatEther(balance),
+                minBalance: ethers.formatEther(required)
+            };
+        })
+    ]);
+
+    return {
+        healthy: checks.every(check => check.healthy),
+        mode: avs.mode,
+        checks
+    };
+}
+
+async function creditStatus(avs, creditId) {
+    const job = avs.jobs.latestForCredit(creditId);
+    const submission = avs.txManager ? avs.txManager.outcomeFor(creditId) : null;
+
+    if (!job && !submission) {
+        return null;
+    }
+
+    let onChain;
+    try {
+        const [verified, qualityScore, sources] = await avs.hookContract.getAVSVerificationDetails(creditId);
+        onChain = { verified, qualityScore: Number(qualityScore), sources: [...sources] };
+    } catch (error) {
+        onChain = { error: error.shortMessage || error.message };
+    }
+
+    return { creditId, job, submission, onChain };
+}
+
+/**
+ * `health` holds the checkHealth options (timeoutMs, minBalance).
+ */
+function createStatusServer(avs, health = {}) {
+    const send = (res, status, body, contentType = 'application/json') => {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(contentType === 'application/json' ? JSON.stringify(body, null, 2) : body);
+    };
+
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://avs');
+
+        try {
+            if (req.method !== 'GET') {
+                return send(res, 405, { error: 'Method not allowed' });
+            }
+
+            if (pathname === '/healthz') {
+                const result = await checkHealth(avs, health);
+                return send(res, result.healthy ? 200 : 503, result);
+            }
+
+            if (pathname === '/metrics') {
+                return send(res, 200, avs.metrics.registry.render(), 'text/plain; version=0.0.4');
+            }
+
+            const match = pathname.match(/^\/jobs\/(\d+)$/);
+            if (match) {
+                const status = await creditStatus(avs, match[1]);
+                return status
+                    ? send(res, 200, status)
+                    : send(res, 404, { error: `No verification recorded for credit ${match[1]}` });
+            }
+
+            send(res, 404, { error: 'Not found' });
+        } catch (error) {
+            send(res, 500, { error: error.message });
+        }
+    });
+}
+
+module.exports = { createStatusServer, checkHealth, creditStatus };
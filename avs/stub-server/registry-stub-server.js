@@ -0,0 +1,88 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * Local registry stub server
+ *
+ * Replays recorded registry responses so the live HTTP adapters can be
+ * exercised offline. Each file in recordings/ serves one registry under
+ * /<file-name>/<registry-id>. A recording is either a single response
+ * or an array replayed in order (the last entry repeats), which is how
+ * rate limiting and transient outages are simulated:
+ *
+ *   { "status": 429, "headers": { "Retry-After": "1" }, "body": {...}, "delayMs": 0 }
+ */
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, 'recordings');
+
+function loadRecordings(dir) {
+    const registries = {};
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        registries[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    }
+    return registries;
+}
+
+function createStubServer({ recordingsDir = DEFAULT_RECORDINGS_DIR, requireAuth = true } = {}) {
+    const registries = loadRecordings(recordingsDir);
+    const replayCounters = new Map();
+
+    const send = (res, { status = 200, headers = {}, body }, method) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(method === 'HEAD' || body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    return http.createServer((req, res) => {
+        const [registry, ...rest] = decodeURIComponent(new URL(req.url, 'http://stub').pathname)
+            .split('/')
+            .filter(Boolean);
+        const recordings = registries[registry];
+
+        if (!recordings) {
+            return send(res, { status: 404, body: { error: `Unknown registry ${registry}` } }, req.method);
+        }
+
+        if (requireAuth && !req.headers.authorization) {
+            return send(res, { status: 401, body: { error: 'Missing API key' } }, req.method);
+        }
+
+        // Health check against the registry root
+        if (rest.length === 0) {
+            return send(res, { status: 200, body: { status: 'ok', registry } }, req.method);
+        }
+
+        const registryId = rest.join('/');
+        const recording = recordings[registryId];
+
+        if (!recording) {
+            return send(res, { status: 404, body: { error: `${registryId} not found` } }, req.method);
+        }
+
+        let response = recording;
+        if (Array.isArray(recording)) {
+            const key = `${registry}/${registryId}`;
+            const index = replayCounters.get(key) || 0;
+            replayCounters.set(key, index + 1);
+            response = recording[Math.min(index, recording.length - 1)];
+        }
+
+        setTimeout(() => send(res, response, req.method), response.delayMs || 0);
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.STUB_PORT || process.argv[2] || 4010);
+    const server = createStubServer();
+
+    server.listen(port, () => {
+        console.log(`🧪 Registry stub server listening on http://localhost:${port}`);
+        console.log('   Point the AVS at it with:');
+        console.log(`   REGISTRY_MODE=live VERRA_API_URL=http://localhost:${port}/verra \\`);
+        console.log(`   GOLD_STANDARD_API_URL=http://localhost:${port}/gold-standard \\`);
+        console.log(`   CLIMATE_ACTION_API_URL=http://localhost:${port}/climate-action node carbon-verifier.js`);
+    });
+
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+}
+
+module.exports = { createStubServer };
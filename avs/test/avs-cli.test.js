@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { tempDir } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'avs-cli.js');
+const MAPPINGS = path.join(__dirname, '..', 'credit-mappings.json');
+
+/**
+ * Run avs-cli.js in a fresh working directory with a .env file (so dotenv
+ * has something to load) and its own data directory.
+ */
+function runCli(t, args) {
+    const cwd = tempDir(t);
+    fs.writeFileSync(path.join(cwd, '.env'), 'REGISTRY_TIMEOUT_MS=2000\n');
+    const env = {
+        ...process.env,
+        AVS_DATA_DIR: path.join(cwd, 'data'),
+        CREDIT_MAPPINGS_FILE: MAPPINGS,
+        AVS_CONFIG_FILE: '',
+        LOG_LEVEL: ''
+    };
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, ...args], { cwd, env });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', code => resolve({ code, stdout, stderr }));
+    });
+}
+
+test('--help prints the usage and exits 0', async t => {
+    const { code, stdout } = await runCli(t, ['--help']);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: node avs-cli\.js <command> \[options\]/);
+});
+
+test('--json output is a single JSON document on stdout', async t => {
+    const { code, stdout } = await runCli(t, ['verify', '1', '--dry-run', '--json']);
+
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.equal(result.creditId, '1');
+    assert.equal(result.dryRun, true);
+    assert.equal(typeof result.verification.isValid, 'boolean');
+    assert.ok(result.verification.sources.length > 0);
+});
+
+test('text output goes to stdout and logs stay off it', async t => {
+    const { code, stdout } = await runCli(t, ['verify', '1', '--dry-run', '--verbose']);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Credit 1: (VALID|INVALID), quality score \d+\/100\nSources: /);
+    assert.doesNotMatch(stdout, /"level"/);
+});
+
+test('invalid arguments exit 1 with the error on stderr', async t => {
+    const cases = [
+        [['verify', 'abc'], /A numeric credit ID is required, got "abc"/],
+        [['verify-batch'], /verify-batch requires at least one credit ID/],
+        [['backfill', '--from-block', 'soon'], /--from-block must be a block number, got "soon"/],
+        [['registries', 'list'], /Unknown registries subcommand "list"/],
+        [['launch'], /Unknown command "launch"/],
+        [['verify', '1', '--bogus'], /Unknown option '--bogus'/]
+    ];
+
+    for (const [args, message] of cases) {
+        const { code, stdout, stderr } = await runCli(t, args);
+        assert.equal(code, 1, args.join(' '));
+        assert.equal(stdout, '', args.join(' '));
+        assert.match(stderr, message);
+    }
+});
+
+test('a missing evidence bundle exits 1', async t => {
+    const hash = 'ab'.repeat(32);
+    const { code, stdout, stderr } = await runCli(t, ['evidence', `evidence:${hash}`, '--json']);
+
+    assert.equal(code, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, new RegExp(`No evidence bundle ${hash} in `));
+});
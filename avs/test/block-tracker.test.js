@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { BlockTracker } = require('../block-tracker');
+
+/**
+ * Provider over an in-memory chain. reorg(fork, length, branch) replaces
+ * every block above `fork` with `length` blocks of a new branch.
+ */
+function createChain(length) {
+    const blocks = [];
+    const hash = (number, branch) => `0x${branch}${number.toString(16).padStart(63, '0')}`;
+    const append = (count, branch) => {
+        for (let i = 0; i < count; i++) {
+            const number = blocks.length;
+            blocks.push({ number, hash: hash(number, branch), parentHash: number > 0 ? blocks[number - 1].hash : null });
+        }
+    };
+    append(length, 'a');
+
+    return {
+        getBlockNumber: async () => blocks.length - 1,
+        getBlock: async number => blocks[number] || null,
+        extend: count => append(count, 'a'),
+        reorg: (fork, count, branch) => {
+            blocks.length = fork + 1;
+            append(count, branch);
+        }
+    };
+}
+
+function tracker(t, options = {}) {
+    return new BlockTracker({ window: 16, file: path.join(tempDir(t), 'recent-blocks.json'), ...options });
+}
+
+// Tracker that has seen every block after the genesis block
+async function tracking(t, length) {
+    const chain = createChain(1);
+    const blocks = tracker(t);
+    await blocks.update(chain);
+    chain.extend(length - 1);
+    await blocks.update(chain);
+    return { chain, blocks };
+}
+
+test('new blocks are recorded without reporting a reorg', async t => {
+    const chain = createChain(11);
+    const blocks = tracker(t);
+
+    assert.deepEqual(await blocks.update(chain), { latest: 10, reorg: null });
+    chain.extend(3);
+    assert.deepEqual(await blocks.update(chain), { latest: 13, reorg: null });
+    assert.equal(blocks.head, 13);
+});
+
+test('a replaced head is reported with the last canonical block', async t => {
+    const { chain, blocks } = await tracking(t, 11);
+
+    chain.reorg(7, 4, 'b');
+    const { latest, reorg } = await blocks.update(chain);
+
+    assert.equal(latest, 11);
+    assert.deepEqual(reorg, { forkBlock: 7, depth: 3 });
+    assert.equal(blocks.hashes[8], (await chain.getBlock(8)).hash);
+});
+
+test('a reorg onto a shorter branch is detected', async t => {
+    const { chain, blocks } = await tracking(t, 11);
+
+    chain.reorg(5, 2, 'c');
+    const { latest, reorg } = await blocks.update(chain);
+
+    assert.equal(latest, 7);
+    assert.deepEqual(reorg, { forkBlock: 5, depth: 5 });
+    assert.equal(blocks.head, 7);
+});
+
+test('only the tracking window is kept and it survives a restart', async t => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'recent-blocks.json');
+    const chain = createChain(10);
+    const blocks = new BlockTracker({ window: 16, file });
+
+    await blocks.update(chain);
+    chain.extend(30);
+    await blocks.update(chain);
+    const restarted = new BlockTracker({ window: 16, file });
+
+    assert.equal(Object.keys(restarted.hashes).length, 16);
+    assert.equal(restarted.head, 39);
+
+    chain.reorg(30, 12, 'e');
+    const { reorg } = await restarted.update(chain);
+    assert.deepEqual(reorg, { forkBlock: 30, depth: 9 });
+});
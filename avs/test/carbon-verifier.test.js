@@ -0,0 +1,538 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ethers } = require('ethers');
+const { tempDir, mockRegistries, mappingStore } = require('./helpers');
+const CarbonVerificationAVS = require('../carbon-verifier');
+const { CreditMappingStore } = require('../mapping-store');
+const { EvidenceStore, evidenceHashesIn } = require('../evidence-store');
+const { loadConfig, ConfigError } = require('../config');
+const { QuorumAggregator, createAggregatorServer } = require('../quorum-aggregator');
+const { buildDomain } = require('../attestations');
+
+const RECORDS = {
+    verra: {
+        'VCS-1': { exists: true, status: 'active', vintage: 2023, projectType: 'AFOLU', location: 'Brazil', quality: 90, isRetired: false }
+    },
+    goldStandard: {
+        'GS-1': { exists: true, status: 'registered', vintage: 2023, projectType: 'Forestry', location: 'Brazil', quality: 70, isRetired: false }
+    },
+    climateAction: {}
+};
+
+/**
+ * AVS wired to mock registries and a stand-in contract and transaction
+ * manager, without connecting to a chain. Submissions are recorded.
+ */
+function createAvs(t, { mappings = {}, verified = [], sendOutcome = null, batch } = {}) {
+    const dir = tempDir(t);
+    const avs = new CarbonVerificationAVS({
+        // Defaults only, whatever avs/.env or avs.config.json contain
+        config: loadConfig({ env: {}, file: false }),
+        dataDir: dir,
+        registries: mockRegistries(RECORDS),
+        mappingStore: mappingStore(dir, mappings),
+        statusPort: 0,
+        batch
+    });
+
+    const submissions = [];
+    avs.wallet = { address: '0x00000000000000000000000000000000000000aa' };
+    avs.hookContract = {
+        target: '0x00000000000000000000000000000000000000c0',
+        avsVerified: async creditId => verified.includes(Number(creditId))
+    };
+    avs.txManager = {
+        send: async ({ method, args, onSent }) => {
+            submissions.push({ method, args });
+            onSent('0xfeed');
+            return sendOutcome || { status: 'confirmed', hash: '0xfeed', gasUsed: '52000', blockNumber: 12, attempts: 1 };
+        }
+    };
+    avs.jobRetryDelayMs = 0;
+    return { avs, dir, submissions };
+}
+
+function enqueue(avs, creditId, blockNumber = 10) {
+    return avs.jobs.enqueue({
+        creditId: BigInt(creditId),
+        requester: '0x00000000000000000000000000000000000000bb',
+        blockNumber,
+        logIndex: 0,
+        transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`
+    });
+}
+
+test('unmapped credits are refused without querying any registry', async t => {
+    const { avs, submissions } = createAvs(t);
+    const queried = [];
+    avs.registries.observe(({ registry }) => queried.push(registry));
+
+    const outcome = await avs.processVerificationRequest(7n, '0xbb');
+
+    assert.equal(outcome.verification, undefined);
+    assert.deepEqual(submissions, [{ method: 'submitAVSVerification', args: [7n, false, 0, ['unmapped_credit']] }]);
+    assert.deepEqual(queried, []);
+});
+
+test('only the registries mapped for a credit are queried', async t => {
+    const { avs, submissions } = createAvs(t, { mappings: { 4: { verra: 'VCS-1' } } });
+    const queried = [];
+    avs.registries.observe(({ registry }) => queried.push(registry));
+
+    const { verification } = await avs.processVerificationRequest(4n, '0xbb');
+
+    assert.deepEqual(queried, ['verra']);
+    // 90 less the single-registry penalty
+    assert.equal(verification.qualityScore, 80);
+    assert.deepEqual(verification.breakdown.unavailable, []);
+    assert.deepEqual(submissions[0].args.slice(0, 3), [4n, true, 80]);
+});
+
+test('a registry identifier unknown to the registry counts as not found', async t => {
+    const { avs } = createAvs(t, { mappings: { 4: { verra: 'VCS-1', goldStandard: 'GS-404' } } });
+
+    const { verification } = await avs.processVerificationRequest(4n, '0xbb');
+
+    assert.deepEqual(verification.sources, ['Verra']);
+    assert.equal(verification.evidence.registryResults[1].exists, false);
+});
+
+test('mappings added while the AVS runs are picked up', async t => {
+    const { avs, dir } = createAvs(t);
+    assert.equal(await avs.evaluateCredit(5n), null);
+
+    // Same file, edited from another process (mappings-cli.js)
+    const cli = new CreditMappingStore({ file: path.join(dir, 'credit-mappings.json') });
+    cli.add(5, { verra: 'VCS-1', goldStandard: 'GS-1' });
+    // Make sure the change is visible even on filesystems with coarse mtimes
+    avs.mappingStore.loadedMtime = null;
+
+    const verification = await avs.evaluateCredit(5n);
+    assert.equal(verification.qualityScore, 80);
+    assert.deepEqual(verification.sources, ['Verra', 'Gold Standard']);
+});
+
+test('verdicts carry the hash of their stored evidence bundle', async t => {
+    const { avs, dir, submissions } = createAvs(t, { mappings: { 4: { verra: 'VCS-1', goldStandard: 'GS-1' } } });
+
+    const { evidenceHash } = await avs.processVerificationRequest(4n, '0xbb', { requestId: '0x01' });
+    const sources = submissions[0].args[3];
+
+    assert.deepEqual(evidenceHashesIn(sources), [evidenceHash]);
+    const bundle = new EvidenceStore({ dir: path.join(dir, 'evidence') }).get(evidenceHash);
+    assert.equal(bundle.creditId, '4');
+    assert.equal(bundle.requestId, '0x01');
+    assert.equal(bundle.contract, avs.hookContract.target);
+    assert.deepEqual(bundle.registryMappings, { verra: 'VCS-1', goldStandard: 'GS-1' });
+});
+
+test('credits already verified on-chain are skipped unless forced', async t => {
+    const { avs, submissions } = createAvs(t, { mappings: { 1: { verra: 'VCS-1' } }, verified: [1] });
+
+    assert.deepEqual(await avs.processVerificationRequest(1n, '0xbb'), { skipped: true });
+    assert.equal(submissions.length, 0);
+
+    await avs.processVerificationRequest(1n, '0xbb', { force: true });
+    assert.equal(submissions.length, 1);
+});
+
+test('a processed job is confirmed with its verdict', async t => {
+    const { avs } = createAvs(t, { mappings: { 4: { verra: 'VCS-1', goldStandard: 'GS-1' } } });
+    const job = enqueue(avs, 4);
+
+    await avs.runJob(job);
+
+    const done = avs.jobs.get(job.id);
+    assert.equal(done.status, 'confirmed');
+    assert.equal(done.submissionHash, '0xfeed');
+    assert.equal(done.qualityScore, 80);
+    assert.match(done.evidenceHash, /^[0-9a-f]{64}$/);
+    assert.equal(done.scoreBreakdown.policyVersion, avs.scoringPolicy.version);
+});
+
+test('failed submissions are retried until the job runs out of attempts', async t => {
+    const { avs, submissions } = createAvs(t, {
+        mappings: { 4: { verra: 'VCS-1' } },
+        sendOutcome: { status: 'failed', error: 'nonce too low' }
+    });
+    const job = enqueue(avs, 4);
+
+    for (let attempt = 1; attempt <= avs.jobs.maxAttempts; attempt++) {
+        await avs.runJob(avs.jobs.get(job.id));
+        assert.equal(avs.jobs.get(job.id).status, attempt < avs.jobs.maxAttempts ? 'pending' : 'failed');
+    }
+
+    assert.equal(submissions.length, avs.jobs.maxAttempts);
+    assert.equal(avs.jobs.get(job.id).error, 'nonce too low');
+});
+
+test('job, evidence and index files are written to the injected data directory', async t => {
+    const { avs, dir } = createAvs(t, { mappings: { 4: { verra: 'VCS-1' } } });
+
+    await avs.runJob(enqueue(avs, 4));
+
+    assert.equal(avs.jobs.file, path.join(dir, 'verification-jobs.json'));
+    assert.equal(avs.consistencyChecker.file, path.join(dir, 'project-index.json'));
+    assert.equal(avs.evidence.dir, path.join(dir, 'evidence'));
+    assert.equal(avs.reverification.file, path.join(dir, 'reverification.json'));
+});
+
+test('repeated requests reuse cached registry results, resubmissions query again', async t => {
+    const { avs } = createAvs(t, { mappings: { 4: { verra: 'VCS-1', goldStandard: 'GS-1' } } });
+    const statuses = [];
+    avs.registries.observe(({ registry, result }) => statuses.push(`${registry}:${result.cache.status}`));
+
+    await avs.processVerificationRequest(4n, '0xbb');
+    const { verification } = await avs.processVerificationRequest(4n, '0xbb');
+    await avs.processVerificationRequest(4n, '0xbb', { force: true });
+
+    assert.deepEqual(statuses, [
+        'verra:miss', 'goldStandard:miss',
+        'verra:fresh', 'goldStandard:fresh',
+        'verra:revalidated', 'goldStandard:revalidated'
+    ]);
+    assert.equal(verification.qualityScore, 80);
+    assert.equal(avs.registryCache.file, path.join(avs.dataDir, 'registry-cache.json'));
+});
+
+test('a batch submits every verdict in one transaction and reports each credit', async t => {
+    const { avs, submissions } = createAvs(t, { mappings: { 4: { verra: 'VCS-1', goldStandard: 'GS-1' } }, verified: [1] });
+
+    const [mapped, unmapped, skipped] = await avs.processVerificationBatch([{ creditId: 4n }, { creditId: 7n }, { creditId: 1n }]);
+
+    assert.equal(submissions.length, 1);
+    const [{ method, args: [creditIds, valid, scores, sources] }] = submissions;
+    assert.equal(method, 'submitAVSVerificationBatch');
+    assert.deepEqual(creditIds, [4n, 7n]);
+    assert.deepEqual(valid, [true, false]);
+    assert.deepEqual(scores, [80, 0]);
+    assert.deepEqual(evidenceHashesIn(sources[0]), [mapped.evidenceHash]);
+    assert.deepEqual(sources[1], ['unmapped_credit']);
+
+    assert.equal(mapped.verification.qualityScore, 80);
+    assert.equal(mapped.submission.batchSize, 2);
+    assert.equal(unmapped.verification, undefined);
+    assert.equal(unmapped.submission.success, true);
+    assert.deepEqual(skipped, { skipped: true });
+});
+
+test('batch registry lookups run with bounded concurrency', async t => {
+    const { avs } = createAvs(t);
+    let inFlight = 0;
+    let peak = 0;
+    const evaluate = avs.evaluateCredit.bind(avs);
+    avs.evaluateCredit = async (...args) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        try {
+            return await evaluate(...args);
+        } finally {
+            inFlight--;
+        }
+    };
+
+    const outcomes = await avs.processVerificationBatch([11n, 12n, 13n, 14n, 15n].map(creditId => ({ creditId })), { concurrency: 2 });
+
+    assert.equal(peak, 2);
+    assert.equal(outcomes.length, 5);
+});
+
+/**
+ * AVS in batch mode whose chain is always at block 100, with no
+ * confirmation delay.
+ */
+function createBatchAvs(t, { windowMs = 0, maxSize = 50, ...options } = {}) {
+    const created = createAvs(t, { ...options, batch: { enabled: true, windowMs, maxSize, concurrency: 2 } });
+    created.avs.reconcileChain = async () => ({ latest: 100 });
+    created.avs.confirmations = 0;
+    t.after(() => clearTimeout(created.avs.batchTimer));
+    return created;
+}
+
+test('batch mode coalesces pending jobs and confirms each with its own verdict', async t => {
+    const { avs, submissions } = createBatchAvs(t, { maxSize: 2, mappings: { 4: { verra: 'VCS-1', goldStandard: 'GS-1' } } });
+    const jobs = [enqueue(avs, 4, 10), enqueue(avs, 7, 11), enqueue(avs, 8, 12)];
+
+    await avs.processJobs();
+
+    assert.deepEqual(submissions.map(({ args }) => args[0]), [['4', '7'], ['8']]);
+    const [mapped, unmapped, last] = jobs.map(job => avs.jobs.get(job.id));
+    assert.equal(mapped.status, 'confirmed');
+    assert.equal(mapped.qualityScore, 80);
+    assert.equal(mapped.batchSize, 2);
+    assert.equal(mapped.submissionHash, '0xfeed');
+    assert.equal(unmapped.status, 'confirmed');
+    assert.equal(unmapped.qualityScore, undefined);
+    assert.equal(last.batchSize, 1);
+});
+
+test('a partial batch waits out the window unless flushed', async t => {
+    const { avs, submissions } = createBatchAvs(t, { windowMs: 60000 });
+    const job = enqueue(avs, 7);
+
+    await avs.processJobs();
+    assert.equal(submissions.length, 0);
+    assert.equal(avs.jobs.get(job.id).status, 'pending');
+    assert.ok(avs.batchTimer);
+
+    await avs.processJobs({ flush: true });
+    assert.equal(submissions.length, 1);
+    assert.equal(avs.jobs.get(job.id).status, 'confirmed');
+});
+
+test('a failed batch is retried for every job until they run out of attempts', async t => {
+    const { avs, submissions } = createBatchAvs(t, { sendOutcome: { status: 'failed', error: 'nonce too low' } });
+    const jobs = [enqueue(avs, 7, 10), enqueue(avs, 8, 11)];
+
+    await avs.processJobs();
+
+    assert.equal(submissions.length, avs.jobs.maxAttempts);
+    assert.ok(submissions.every(({ args }) => args[0].length === 2));
+    for (const job of jobs) {
+        assert.equal(avs.jobs.get(job.id).status, 'failed');
+        assert.equal(avs.jobs.get(job.id).error, 'nonce too low');
+    }
+});
+
+/**
+ * Verification request log as returned by queryFilter.
+ */
+function requestLog(creditId, blockNumber, blockHash) {
+    return {
+        args: [BigInt(creditId), '0x00000000000000000000000000000000000000bb'],
+        blockNumber,
+        index: 0,
+        transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+        blockHash
+    };
+}
+
+function hash(branch, blockNumber) {
+    return `0x${branch}${blockNumber.toString(16).padStart(63, '0')}`;
+}
+
+test('a reorg marks requests whose log is gone and queues the logs of the new branch', async t => {
+    const { avs } = createAvs(t);
+    const kept = avs.enqueueVerificationRequest(requestLog(4, 10, hash('a', 10)));
+    const dropped = avs.enqueueVerificationRequest(requestLog(5, 11, hash('a', 11)));
+    const moved = avs.enqueueVerificationRequest(requestLog(6, 12, hash('a', 12)));
+    avs.jobs.markConfirmed(moved.id);
+
+    avs.hookContract.filters = { AVSVerificationRequested: () => 'AVSVerificationRequested' };
+    avs.hookContract.queryFilter = async (filter, fromBlock, toBlock) => {
+        assert.deepEqual([fromBlock, toBlock], [10, 13]);
+        return [requestLog(4, 10, hash('a', 10)), requestLog(6, 12, hash('b', 12))];
+    };
+
+    await avs.handleReorg(9, 13, 2);
+
+    assert.equal(avs.jobs.get(kept.id).status, 'pending');
+    assert.equal(avs.jobs.get(dropped.id).status, 'reorged');
+    assert.equal(avs.jobs.get(dropped.id).processedBeforeReorg, false);
+
+    const [archived] = avs.jobs.list('reorged').filter(job => job.creditId === '6');
+    assert.equal(archived.processedBeforeReorg, true);
+    assert.equal(avs.jobs.get(moved.id).status, 'pending');
+    assert.equal(avs.jobs.get(moved.id).blockHash, hash('b', 12));
+    assert.equal(avs.jobs.lastProcessedBlock, 13);
+});
+
+test('a confirmed submission that was reorged out is awaited again', async t => {
+    const { avs } = createAvs(t);
+    const job = avs.enqueueVerificationRequest(requestLog(4, 10, hash('a', 10)));
+    avs.jobs.markSubmitted(job.id, '0xfeed');
+    avs.jobs.markConfirmed(job.id, { confirmedBlock: 12 });
+
+    let remined;
+    avs.hookContract.filters = { AVSVerificationRequested: () => 'AVSVerificationRequested' };
+    avs.hookContract.queryFilter = async () => [requestLog(4, 10, hash('a', 10))];
+    avs.provider = {
+        getTransactionReceipt: async () => null,
+        waitForTransaction: () => new Promise(resolve => {
+            remined = () => resolve({ status: 1, gasUsed: 52000n, blockNumber: 14 });
+        })
+    };
+
+    await avs.handleReorg(11, 13, 1);
+    assert.equal(avs.jobs.get(job.id).status, 'submitted');
+
+    remined();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(avs.jobs.get(job.id).status, 'confirmed');
+    assert.equal(avs.jobs.get(job.id).confirmedBlock, 14);
+});
+
+test('a job whose block is no longer canonical is not run', async t => {
+    const { avs, submissions } = createAvs(t, { mappings: { 4: { verra: 'VCS-1' } } });
+    const job = avs.enqueueVerificationRequest(requestLog(4, 10, hash('a', 10)));
+
+    avs.confirmations = 0;
+    avs.reconcileChain = async () => ({ latest: 12 });
+    avs.provider = {
+        getBlock: async number => ({ hash: hash('b', number) }),
+        getBlockNumber: async () => 12
+    };
+    avs.hookContract.filters = { AVSVerificationRequested: () => 'AVSVerificationRequested' };
+    avs.hookContract.queryFilter = async () => [];
+
+    await avs.processJobs();
+
+    assert.equal(avs.jobs.get(job.id).status, 'reorged');
+    assert.equal(submissions.length, 0);
+});
+
+test('failed jobs are retried through the queue instead of holding up the run', async t => {
+    const { avs, submissions } = createBatchAvs(t, { sendOutcome: { status: 'failed', error: 'nonce too low' } });
+    t.after(() => clearTimeout(avs.retryTimer));
+    avs.jobRetryDelayMs = 60000;
+    const failing = enqueue(avs, 7, 10);
+
+    await avs.processJobs();
+
+    assert.equal(submissions.length, 1);
+    const waiting = avs.jobs.get(failing.id);
+    assert.equal(waiting.status, 'pending');
+    assert.ok(Date.parse(waiting.notBefore) > Date.now());
+    assert.ok(avs.retryTimer);
+
+    // A later request is not queued behind the delayed retry
+    const next = enqueue(avs, 8, 11);
+    avs.txManager.send = async ({ onSent }) => {
+        onSent('0xfeed');
+        return { status: 'confirmed', hash: '0xfeed', gasUsed: '52000', blockNumber: 12, attempts: 1 };
+    };
+    await avs.processJobs();
+
+    assert.equal(avs.jobs.get(next.id).status, 'confirmed');
+    assert.equal(avs.jobs.get(failing.id).status, 'pending');
+});
+
+/**
+ * Operator-mode AVS attesting to an in-process aggregator with a quorum of
+ * one. `submissions` are the aggregator's submit results, used in order.
+ */
+async function createOperatorAvs(t, submissions = [{ success: true, hash: '0xbeef', gasUsed: '61000', blockNumber: 15 }]) {
+    const { avs } = createAvs(t, { mappings: { 4: { verra: 'VCS-1' } } });
+    avs.mode = 'operator';
+    avs.wallet = new ethers.Wallet(`0x${'4c'.repeat(32)}`);
+    avs.attestationDomain = buildDomain(31337, avs.hookContract.target);
+
+    const aggregator = new QuorumAggregator({
+        operators: [avs.wallet.address],
+        quorum: 1,
+        domain: avs.attestationDomain,
+        submit: async () => submissions.shift()
+    });
+    const server = createAggregatorServer(aggregator);
+    await new Promise(resolve => server.listen(0, resolve));
+    avs.aggregatorUrl = `http://localhost:${server.address().port}`;
+    t.after(() => {
+        server.close();
+        for (const round of aggregator.rounds.values()) {
+            clearTimeout(round.timer);
+            clearTimeout(round.pruneTimer);
+        }
+    });
+    return { avs, aggregator };
+}
+
+// Let the aggregator finish submitting the rounds that reached quorum
+const settleRounds = aggregator => Promise.all([...aggregator.rounds.values()].map(round => round.finalizing));
+
+test('an operator job stays attested until the aggregator submits the quorum verdict', async t => {
+    const { avs, aggregator } = await createOperatorAvs(t);
+    const job = enqueue(avs, 4);
+
+    await avs.runJob(job);
+
+    const attested = avs.jobs.get(job.id);
+    assert.equal(attested.status, 'attested');
+    assert.match(attested.attestationDigest, /^0x[0-9a-f]{64}$/);
+    assert.equal(attested.submissionHash, null);
+    // Nothing to look up on-chain after a restart
+    assert.deepEqual(avs.jobs.recoverInterrupted().submitted, []);
+
+    await settleRounds(aggregator);
+    await avs.checkAttestedJobs();
+
+    const confirmed = avs.jobs.get(job.id);
+    assert.equal(confirmed.status, 'confirmed');
+    assert.equal(confirmed.submissionHash, '0xbeef');
+    assert.equal(confirmed.confirmedBlock, 15);
+});
+
+test('a failed quorum round puts the operator job back in the queue for a new round', async t => {
+    const { avs, aggregator } = await createOperatorAvs(t, [
+        { success: false, error: 'insufficient funds' },
+        { success: true, hash: '0xbeef', gasUsed: '61000', blockNumber: 15 }
+    ]);
+    const job = enqueue(avs, 4);
+
+    await avs.runJob(job);
+    await settleRounds(aggregator);
+    await avs.checkAttestedJobs();
+
+    const requeued = avs.jobs.get(job.id);
+    assert.equal(requeued.status, 'pending');
+    assert.equal(requeued.error, 'Quorum round failed: submission failed: insufficient funds');
+
+    await avs.runJob(requeued);
+    await settleRounds(aggregator);
+    await avs.checkAttestedJobs();
+
+    assert.equal(avs.jobs.get(job.id).status, 'confirmed');
+    assert.equal(avs.jobs.get(job.id).attempts, 2);
+});
+
+test('an attested job whose round the aggregator lost is attested again', async t => {
+    const { avs, aggregator } = await createOperatorAvs(t);
+    const job = enqueue(avs, 4);
+
+    await avs.runJob(job);
+    await settleRounds(aggregator);
+    // e.g. the aggregator restarted before quorum
+    aggregator.rounds.clear();
+    await avs.checkAttestedJobs();
+
+    assert.equal(avs.jobs.get(job.id).status, 'pending');
+    assert.equal(avs.jobs.get(job.id).error, 'Quorum round not found at the aggregator');
+});
+
+test('connecting to a non-local chain with development settings is refused', async t => {
+    let stopped = false;
+    const avs = new CarbonVerificationAVS({
+        config: loadConfig({ env: { HOOK_CONTRACT_ADDRESS: '0x00000000000000000000000000000000000000c0' }, file: false }),
+        dataDir: tempDir(t),
+        supervisor: {
+            on() {},
+            start: async () => ({ getNetwork: async () => ({ chainId: 1n }) }),
+            stop: async () => { stopped = true; }
+        }
+    });
+
+    await assert.rejects(avs.connect(), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.match(error.message, /for chain 1:/);
+        assert.match(error.message, /0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266 is a well-known development account/);
+        return true;
+    });
+    assert.equal(stopped, true);
+});
+
+test('explicit options override the loaded configuration', t => {
+    const dir = tempDir(t);
+    const avs = new CarbonVerificationAVS({
+        config: loadConfig({ env: { AVS_MODE: 'operator', STATUS_PORT: '9191' }, file: false }),
+        privateKey: `0x${'4c'.repeat(32)}`,
+        dataDir: dir,
+        statusPort: 'off'
+    });
+
+    assert.equal(avs.mode, 'operator');
+    assert.equal(avs.statusPort, 'off');
+    assert.equal(avs.dataDir, dir);
+    assert.deepEqual(avs.config.signer, { type: 'privateKey', privateKey: `0x${'4c'.repeat(32)}` });
+    assert.equal(avs.config.sources.signer, 'option');
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+require('./helpers');
+const { ConnectionSupervisor, redactUrl } = require('../connection-supervisor');
+
+/**
+ * Provider stand-ins keyed by URL. An endpoint is reachable while
+ * `up[url]` is true; `hold[url]` makes its network lookup wait until
+ * released.
+ */
+function createEndpoints({ chainIds = {} } = {}) {
+    const up = {};
+    const hold = {};
+    const created = [];
+
+    const createProvider = url => {
+        const provider = new EventEmitter();
+        const answer = async () => {
+            if (hold[url]) {
+                await hold[url];
+            }
+            if (!up[url]) {
+                throw new Error(`${url} is down`);
+            }
+        };
+        Object.assign(provider, {
+            url,
+            destroyed: false,
+            getNetwork: async () => {
+                await answer();
+                return { chainId: chainIds[url] || 31337n };
+            },
+            getBlockNumber: async () => {
+                await answer();
+                return 100;
+            },
+            destroy: () => {
+                provider.destroyed = true;
+            }
+        });
+        created.push(provider);
+        return provider;
+    };
+
+    return { up, hold, created, createProvider };
+}
+
+function supervisor(t, endpoints, options = {}) {
+    const connection = new ConnectionSupervisor({
+        urls: ['http://primary:8545', 'http://backup:8545'],
+        healthCheckIntervalMs: 60000,
+        connectTimeoutMs: 1000,
+        reconnectDelayMs: 10,
+        maxReconnectDelayMs: 20,
+        createProvider: endpoints.createProvider,
+        ...options
+    });
+    t.after(() => connection.stop());
+    return connection;
+}
+
+test('the first reachable endpoint is used', async t => {
+    const endpoints = createEndpoints();
+    endpoints.up['http://backup:8545'] = true;
+    const connection = supervisor(t, endpoints);
+
+    const provider = await connection.start();
+
+    assert.equal(provider.url, 'http://backup:8545');
+    assert.equal(connection.urlIndex, 1);
+    assert.equal(endpoints.created[0].destroyed, true);
+});
+
+test('start fails when no endpoint is reachable', async t => {
+    const connection = supervisor(t, createEndpoints());
+
+    await assert.rejects(connection.start(), /No RPC endpoint reachable/);
+});
+
+test('a failed health check fails over to the next endpoint', async t => {
+    const endpoints = createEndpoints();
+    endpoints.up['http://primary:8545'] = true;
+    endpoints.up['http://backup:8545'] = true;
+    const connection = supervisor(t, endpoints);
+    const events = [];
+    connection.on('disconnected', ({ url }) => events.push(['disconnected', url]));
+    connection.on('reconnected', provider => events.push(['reconnected', provider.url]));
+
+    const primary = await connection.start();
+    endpoints.up['http://primary:8545'] = false;
+    await connection.checkHealth();
+
+    assert.equal(primary.destroyed, true);
+    assert.equal(connection.provider.url, 'http://backup:8545');
+    assert.deepEqual(events, [['disconnected', 'http://primary:8545'], ['reconnected', 'http://backup:8545']]);
+});
+
+test('failover endpoints on another chain are refused', async t => {
+    const endpoints = createEndpoints({ chainIds: { 'http://backup:8545': 1n } });
+    endpoints.up['http://primary:8545'] = true;
+    endpoints.up['http://backup:8545'] = true;
+    const connection = supervisor(t, endpoints);
+
+    await connection.start();
+    endpoints.up['http://primary:8545'] = false;
+    const reconnecting = connection.checkHealth();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.equal(connection.provider, null);
+    assert.equal(connection.reconnecting, true);
+
+    endpoints.up['http://primary:8545'] = true;
+    await reconnecting;
+    assert.equal(connection.provider.url, 'http://primary:8545');
+});
+
+test('stop during the reconnect backoff ends the reconnect', async t => {
+    const endpoints = createEndpoints();
+    const connection = supervisor(t, endpoints, { reconnectDelayMs: 60000, maxReconnectDelayMs: 60000 });
+    let reconnected = false;
+    connection.on('reconnected', () => { reconnected = true; });
+
+    const reconnecting = connection.handleDisconnect(new Error('socket closed'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await connection.stop();
+    await reconnecting;
+
+    assert.equal(connection.reconnecting, false);
+    assert.equal(connection.provider, null);
+    assert.equal(reconnected, false);
+});
+
+test('an endpoint that answers after stop is not attached', async t => {
+    const endpoints = createEndpoints();
+    endpoints.up['http://primary:8545'] = true;
+    let release;
+    endpoints.hold['http://primary:8545'] = new Promise(resolve => { release = resolve; });
+    const connection = supervisor(t, endpoints);
+
+    const starting = connection.start();
+    await new Promise(resolve => setImmediate(resolve));
+    await connection.stop();
+    release();
+
+    await assert.rejects(starting, /stopped/);
+    assert.equal(connection.provider, null);
+    assert.equal(connection.healthTimer, null);
+    assert.equal(endpoints.created[0].destroyed, true);
+});
+
+test('credentials are stripped from logged URLs', () => {
+    assert.equal(redactUrl('https://eth-mainnet.example.com/v2/secret-key'), 'https://eth-mainnet.example.com/***');
+    assert.equal(redactUrl('http://localhost:8545'), 'http://localhost:8545');
+    assert.equal(redactUrl('not a url'), '(invalid url)');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, mappingStore } = require('./helpers');
+const { ConsistencyChecker } = require('../consistency-checker');
+
+function result(registry, source, fields = {}) {
+    return { registry, source, success: true, exists: true, ...fields };
+}
+
+function checker(t, mappings = {}) {
+    const dir = tempDir(t);
+    return new ConsistencyChecker({
+        mappingStore: mappingStore(dir, mappings),
+        file: path.join(dir, 'project-index.json')
+    });
+}
+
+const findingTypes = findings => findings.map(finding => finding.type);
+
+test('registries that agree produce no findings', t => {
+    const findings = checker(t).check(4, { verra: 'VCS-1', goldStandard: 'GS-1' }, [
+        result('verra', 'Verra', { vintage: 2023, projectType: 'AFOLU', location: 'Para, Brazil' }),
+        result('goldStandard', 'Gold Standard', { vintage: 2023, projectType: 'Forestry', location: 'Brazil' })
+    ]);
+
+    assert.deepEqual(findings, []);
+});
+
+test('vintages more than a year apart are a high severity mismatch', t => {
+    const [finding] = checker(t).check(4, {}, [
+        result('verra', 'Verra', { vintage: 2019 }),
+        result('goldStandard', 'Gold Standard', { vintage: 2023 })
+    ]);
+
+    assert.equal(finding.type, 'vintage_mismatch');
+    assert.equal(finding.severity, 'high');
+    assert.deepEqual(finding.values, { Verra: 2019, 'Gold Standard': 2023 });
+});
+
+test('an umbrella project type is consistent with the types it covers', t => {
+    const consistency = checker(t);
+
+    assert.deepEqual(consistency.check(4, {}, [
+        result('verra', 'Verra', { projectType: 'Renewable Energy' }),
+        result('goldStandard', 'Gold Standard', { projectType: 'Wind' })
+    ]), []);
+    assert.deepEqual(findingTypes(consistency.check(4, {}, [
+        result('verra', 'Verra', { projectType: 'Wind' }),
+        result('goldStandard', 'Gold Standard', { projectType: 'Cookstoves' })
+    ])), ['project_type_mismatch']);
+});
+
+test('country aliases are not a location mismatch', t => {
+    const consistency = checker(t);
+
+    assert.deepEqual(consistency.check(4, {}, [
+        result('verra', 'Verra', { location: 'Texas, US' }),
+        result('goldStandard', 'Gold Standard', { location: 'United States' })
+    ]), []);
+    assert.deepEqual(findingTypes(consistency.check(4, {}, [
+        result('verra', 'Verra', { location: 'Brazil' }),
+        result('goldStandard', 'Gold Standard', { location: 'Peru' })
+    ])), ['location_mismatch']);
+});
+
+test('a registry identifier mapped to another credit is double counting', t => {
+    const [finding] = checker(t, { 9: { verra: 'VCS-1' } }).check(4, { verra: 'VCS-1' }, []);
+
+    assert.equal(finding.type, 'double_counting');
+    assert.equal(finding.severity, 'critical');
+    assert.equal(finding.values.otherCreditId, '9');
+});
+
+test('a recorded registry project is detected behind another credit after a restart', t => {
+    const consistency = checker(t);
+    consistency.recordProjects(4, [result('verra', 'Verra', { projectId: '1234' })]);
+
+    const restarted = new ConsistencyChecker({ file: consistency.file });
+    const [finding] = restarted.check(7, {}, [result('verra', 'Verra', { projectId: '1234' })]);
+
+    assert.equal(finding.type, 'double_counting');
+    assert.deepEqual(finding.values.reasons, ['Verra project 1234']);
+    assert.deepEqual(restarted.check(4, {}, [result('verra', 'Verra', { projectId: '1234' })]), []);
+});
+
+test('the project index is replaced atomically', t => {
+    const consistency = checker(t);
+
+    consistency.recordProjects(4, [result('verra', 'Verra', { projectId: '1234' })]);
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(consistency.file, 'utf8')), { 'verra:1234': ['4'] });
+    assert.equal(fs.existsSync(`${consistency.file}.tmp`), false);
+});
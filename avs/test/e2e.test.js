@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { ethers } = require('ethers');
+const { tempDir, mockRegistries, mappingStore, waitFor } = require('./helpers');
+const CarbonVerificationAVS = require('../carbon-verifier');
+const { ConnectionSupervisor } = require('../connection-supervisor');
+const { logger } = require('../logger');
+const { loadConfig } = require('../config');
+
+const ROOT = path.join(__dirname, '..', '..');
+// Anvil's first two default accounts: deployer/operator and requester
+const OPERATOR_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const REQUESTER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const HOOK_ABI = [
+    'function requestAVSVerification(uint256 creditId) external',
+    'function avsVerified(uint256) external view returns (bool)',
+    'function avsQualityScore(uint256) external view returns (uint256)',
+    'function getAVSVerificationDetails(uint256) external view returns (bool, uint256, string[])'
+];
+
+const RECORDS = {
+    verra: {
+        'VCS-4': { exists: true, status: 'active', vintage: 2023, projectType: 'AFOLU', location: 'Brazil', quality: 90, isRetired: false }
+    },
+    goldStandard: {
+        'GS-4': { exists: true, status: 'registered', vintage: 2023, projectType: 'Forestry', location: 'Brazil', quality: 70, isRetired: false }
+    },
+    climateAction: {}
+};
+
+const missing = ['anvil', 'forge'].filter(command => spawnSync(command, ['--version'], { stdio: 'ignore' }).status !== 0);
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function rpcReady(url) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+        });
+        return response.ok;
+    } catch (error) {
+        return false;
+    }
+}
+
+function startAnvil(t, port) {
+    const anvil = spawn('anvil', ['--port', String(port), '--code-size-limit', '30000', '--silent'], { stdio: 'ignore' });
+    t.after(() => anvil.kill());
+    return anvil;
+}
+
+/**
+ * Deploy the contracts the way deploy.sh does and return the hook address.
+ */
+function deployContracts(rpcUrl) {
+    const result = spawnSync('forge', [
+        'script', 'script/DeployReal.s.sol:DeployReal',
+        '--rpc-url', rpcUrl,
+        '--private-key', OPERATOR_KEY,
+        '--broadcast',
+        '--code-size-limit', '30000'
+    ], { cwd: ROOT, encoding: 'utf8', timeout: 10 * 60 * 1000 });
+
+    const match = /HOOK_CONTRACT_ADDRESS=\s*(0x[0-9a-fA-F]{40})/.exec(result.stdout || '');
+    if (result.status !== 0 || !match) {
+        throw new Error(`Deployment failed:\n${result.stdout}\n${result.stderr}`);
+    }
+    return match[1];
+}
+
+test('verification requests on a local chain are answered on-chain', {
+    skip: missing.length > 0 && `requires ${missing.join(' and ')} (Foundry)`,
+    timeout: 15 * 60 * 1000
+}, async t => {
+    const port = await freePort();
+    const rpcUrl = `http://127.0.0.1:${port}`;
+    startAnvil(t, port);
+    await waitFor(() => rpcReady(rpcUrl), { message: 'anvil' });
+
+    const hookAddress = deployContracts(rpcUrl);
+
+    const dir = tempDir(t);
+    const avs = new CarbonVerificationAVS({
+        config: loadConfig({ env: {}, file: false }),
+        contractAddress: hookAddress,
+        privateKey: OPERATOR_KEY,
+        dataDir: dir,
+        registries: mockRegistries(RECORDS),
+        mappingStore: mappingStore(dir, { 4: { verra: 'VCS-4', goldStandard: 'GS-4' } }),
+        // Poll quickly so the test doesn't wait on the default interval
+        supervisor: new ConnectionSupervisor({ urls: [rpcUrl], pollingIntervalMs: 200, log: logger }),
+        statusPort: 0,
+        reverification: { intervalMs: 0 }
+    });
+    t.after(() => avs.stop());
+    await avs.initialize();
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl, 31337, { staticNetwork: true });
+    t.after(() => provider.destroy());
+    const hook = new ethers.Contract(hookAddress, HOOK_ABI, new ethers.Wallet(REQUESTER_KEY, provider));
+
+    // Mapped credit: scored from the mock registries
+    assert.equal(await hook.avsVerified(4), false);
+    await (await hook.requestAVSVerification(4)).wait();
+    await waitFor(() => hook.avsVerified(4), { timeoutMs: 60000, message: 'credit 4 to be verified' });
+
+    assert.equal(await hook.avsQualityScore(4), 80n);
+    const [, , sources] = await hook.getAVSVerificationDetails(4);
+    assert.deepEqual(sources.slice(0, 2), ['Verra', 'Gold Standard']);
+    assert.match(sources[2], /^evidence:[0-9a-f]{64}$/);
+
+    const job = avs.jobs.latestForCredit(4);
+    assert.equal(job.status, 'confirmed');
+    assert.equal(job.qualityScore, 80);
+
+    // Unmapped credit: refused on-chain instead of guessed
+    await (await hook.requestAVSVerification(9)).wait();
+    const [verified, qualityScore, refusal] = await waitFor(async () => {
+        const details = await hook.getAVSVerificationDetails(9);
+        return details[2].length > 0 && details;
+    }, { timeoutMs: 60000, message: 'credit 9 to be refused' });
+
+    assert.equal(verified, false);
+    assert.equal(qualityScore, 0n);
+    assert.deepEqual([...refusal], ['unmapped_credit']);
+});
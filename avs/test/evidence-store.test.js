@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const { tempDir } = require('./helpers');
+const { EvidenceStore, EvidenceIntegrityError, canonicalJson } = require('../evidence-store');
+
+test('canonical JSON does not depend on key order', () => {
+    assert.equal(
+        canonicalJson({ b: 1, a: { d: [2n, { f: 1, e: 2 }], c: undefined } }),
+        '{"a":{"d":["2",{"e":2,"f":1}]},"b":1}'
+    );
+    assert.equal(EvidenceStore.hash({ x: 1, y: 2 }), EvidenceStore.hash({ y: 2, x: 1 }));
+});
+
+test('bundles are stored under the SHA-256 of their bytes', t => {
+    const store = new EvidenceStore({ dir: tempDir(t) });
+    const hash = store.put({ creditId: '4', verdict: { isValid: true } });
+
+    const content = fs.readFileSync(store.pathFor(hash));
+    assert.equal(crypto.createHash('sha256').update(content).digest('hex'), hash);
+    assert.equal(store.put({ verdict: { isValid: true }, creditId: '4' }), hash);
+    assert.deepEqual(store.list(), [hash]);
+    assert.deepEqual(store.get(hash), { creditId: '4', verdict: { isValid: true } });
+});
+
+test('tampered bundles are detected', t => {
+    const store = new EvidenceStore({ dir: tempDir(t) });
+    const hash = store.put({ creditId: '4', verdict: { isValid: false } });
+    fs.writeFileSync(store.pathFor(hash), canonicalJson({ creditId: '4', verdict: { isValid: true } }));
+
+    assert.throws(() => store.get(hash), EvidenceIntegrityError);
+});
+
+test('unknown and malformed hashes', t => {
+    const store = new EvidenceStore({ dir: tempDir(t) });
+
+    assert.equal(store.get('0'.repeat(64)), null);
+    assert.throws(() => store.get('../../etc/passwd'), /Invalid evidence hash/);
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../logger');
+const { RegistryManager } = require('../registries');
+const { CreditMappingStore } = require('../mapping-store');
+
+// Keep test output readable; run with LOG_LEVEL=debug to see the AVS logs
+if (!process.env.LOG_LEVEL) {
+    logger.configure({ stream: { write() {} } });
+}
+
+/**
+ * Fresh directory for a test's data files, removed when the test ends.
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avs-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Registry result as produced by RegistryAdapter.verify, wrapped the way
+ * RegistryManager.verifyAll settles it.
+ */
+function found(registry, source, fields = {}) {
+    return {
+        status: 'fulfilled',
+        value: { registry, source, success: true, exists: true, status: 'active', quality: 80, vintage: 2023, isRetired: false, ...fields }
+    };
+}
+
+function notFound(registry, source) {
+    return {
+        status: 'fulfilled',
+        value: { registry, source, success: false, exists: false, error: `Credit not found in ${source} registry` }
+    };
+}
+
+function failed(registry, source, error = `${source} API responded with HTTP 503`) {
+    return { status: 'fulfilled', value: { registry, source, success: false, error } };
+}
+
+/**
+ * Registry manager with fixture-free mock adapters: records maps adapter
+ * id -> { registryId: record }.
+ */
+function mockRegistries(records) {
+    const sources = { verra: 'Verra', goldStandard: 'Gold Standard', climateAction: 'Climate Action Reserve' };
+    const config = {};
+    for (const [id, adapterRecords] of Object.entries(records)) {
+        config[id] = { type: 'mock', source: sources[id] || id, records: adapterRecords };
+    }
+    return RegistryManager.fromConfig(config);
+}
+
+function mappingStore(dir, mappings = {}) {
+    const store = new CreditMappingStore({ file: path.join(dir, 'credit-mappings.json') });
+    for (const [creditId, registries] of Object.entries(mappings)) {
+        store.add(creditId, registries);
+    }
+    return store;
+}
+
+/**
+ * Poll `check` until it returns a truthy value or the timeout passes.
+ */
+async function waitFor(check, { timeoutMs = 10000, intervalMs = 100, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) {
+            return value;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs}ms waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = { tempDir, found, notFound, failed, mockRegistries, mappingStore, waitFor };
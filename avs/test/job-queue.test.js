@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { VerificationJobQueue } = require('../job-queue');
+
+function request(blockNumber, fields = {}) {
+    return {
+        creditId: 4n,
+        requester: '0x00000000000000000000000000000000000000bb',
+        blockNumber,
+        logIndex: 0,
+        transactionHash: '0x01',
+        blockHash: `0x${'a'.repeat(63)}${blockNumber % 10}`,
+        ...fields
+    };
+}
+
+function queue(t) {
+    return new VerificationJobQueue({ file: path.join(tempDir(t), 'verification-jobs.json') });
+}
+
+test('logs seen twice are queued once', t => {
+    const jobs = queue(t);
+
+    assert.equal(jobs.enqueue(request(10)).id, '10-0');
+    assert.equal(jobs.enqueue(request(10)), null);
+    assert.equal(jobs.list().length, 1);
+    assert.equal(jobs.lastProcessedBlock, 10);
+});
+
+test('jobs are only handed out once they are deep enough', t => {
+    const jobs = queue(t);
+    jobs.enqueue(request(10));
+    jobs.enqueue(request(12));
+
+    assert.equal(jobs.nextPending(9), null);
+    assert.equal(jobs.nextPending(11).id, '10-0');
+    jobs.markRunning('10-0');
+    assert.equal(jobs.nextPending(11), null);
+    assert.equal(jobs.nextPending(12).id, '12-0');
+});
+
+test('a log at the same position in another block supersedes the old job', t => {
+    const jobs = queue(t);
+    jobs.enqueue(request(10));
+    jobs.markRunning('10-0');
+    jobs.markSubmitted('10-0', '0xfeed');
+
+    const replacement = jobs.enqueue(request(10, { blockHash: `0x${'b'.repeat(64)}` }));
+
+    assert.equal(replacement.status, 'pending');
+    const archived = jobs.list('reorged');
+    assert.equal(archived.length, 1);
+    assert.equal(archived[0].id, `10-0@${'a'.repeat(8)}`);
+    assert.equal(archived[0].processedBeforeReorg, true);
+});
+
+test('failed jobs are retried up to maxAttempts', t => {
+    const jobs = queue(t);
+    jobs.enqueue(request(10));
+
+    for (let attempt = 1; attempt < jobs.maxAttempts; attempt++) {
+        jobs.markRunning('10-0');
+        assert.equal(jobs.markFailed('10-0', 'boom').status, 'pending');
+    }
+    jobs.markRunning('10-0');
+    assert.equal(jobs.markFailed('10-0', 'boom').status, 'failed');
+});
+
+test('a job waiting out its retry delay is not handed out until then', t => {
+    const jobs = queue(t);
+    jobs.enqueue(request(10));
+    jobs.enqueue(request(11));
+
+    jobs.markRunning('10-0');
+    const failed = jobs.markFailed('10-0', 'boom', 5000);
+    const retryAt = Date.parse(failed.notBefore);
+
+    assert.equal(jobs.nextPending().id, '11-0');
+    assert.deepEqual(jobs.nextPendingBatch().map(job => job.id), ['11-0']);
+    assert.equal(jobs.nextRetryAt(), retryAt);
+    assert.equal(jobs.nextRetryAt(10, retryAt), null);
+    assert.equal(jobs.nextPending(Infinity, retryAt).id, '10-0');
+
+    assert.equal(jobs.markRunning('10-0').notBefore, null);
+});
+
+test('state survives a restart and interrupted jobs are recovered', t => {
+    const file = path.join(tempDir(t), 'verification-jobs.json');
+    const before = new VerificationJobQueue({ file });
+    before.enqueue(request(10));
+    before.enqueue(request(11));
+    before.markRunning('10-0');
+    before.markRunning('11-0');
+    before.markSubmitted('11-0', '0xfeed');
+
+    const after = new VerificationJobQueue({ file });
+    const { requeued, submitted } = after.recoverInterrupted();
+
+    assert.deepEqual(requeued.map(job => job.id), ['10-0']);
+    assert.deepEqual(submitted.map(job => job.id), ['11-0']);
+    assert.equal(after.get('10-0').status, 'pending');
+    assert.equal(after.lastProcessedBlock, 11);
+});
+
+test('the backfill position only moves back when rewound', t => {
+    const jobs = queue(t);
+    jobs.setLastProcessedBlock(20);
+    jobs.setLastProcessedBlock(15);
+    assert.equal(jobs.lastProcessedBlock, 20);
+
+    jobs.rewindLastProcessedBlock(15);
+    assert.equal(jobs.lastProcessedBlock, 15);
+});
+
+test('only the most recent completed jobs are kept', t => {
+    const jobs = new VerificationJobQueue({ file: path.join(tempDir(t), 'jobs.json'), maxCompletedJobs: 2 });
+    for (const blockNumber of [10, 11, 12]) {
+        jobs.enqueue(request(blockNumber));
+        jobs.markConfirmed(`${blockNumber}-0`);
+    }
+
+    assert.deepEqual(jobs.list().map(job => job.id), ['11-0', '12-0']);
+    assert.equal(jobs.latestForCredit(4).id, '12-0');
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, logger, withLogContext, correlationIdFor } = require('../logger');
+
+/**
+ * Stream that keeps every written line; entries() parses them as JSON.
+ */
+function capture() {
+    const lines = [];
+    return {
+        lines,
+        write(line) {
+            lines.push(line);
+        },
+        entries() {
+            return lines.map(line => JSON.parse(line));
+        }
+    };
+}
+
+test('each entry is one JSON line with time, level, message and fields', () => {
+    const stream = capture();
+    const log = new Logger({ level: 'info', format: 'json', stream });
+
+    log.info('Credit verified', { creditId: 4n, sources: ['Verra'] });
+
+    assert.equal(stream.lines.length, 1);
+    assert.ok(stream.lines[0].endsWith('\n'));
+    assert.equal(stream.lines[0].trimEnd().includes('\n'), false);
+    const [entry] = stream.entries();
+    assert.deepEqual(Object.keys(entry), ['time', 'level', 'msg', 'creditId', 'sources']);
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    assert.deepEqual(entry, { time: entry.time, level: 'info', msg: 'Credit verified', creditId: '4', sources: ['Verra'] });
+});
+
+test('entries below the configured level are dropped', () => {
+    const stream = capture();
+    const log = new Logger({ level: 'warn', format: 'json', stream });
+
+    log.debug('polling');
+    log.info('started');
+    log.warn('slow registry');
+    log.error('submission failed');
+
+    assert.deepEqual(stream.entries().map(entry => entry.level), ['warn', 'error']);
+    assert.equal(log.isEnabled('info'), false);
+    assert.equal(log.isEnabled('error'), true);
+    assert.throws(() => new Logger({ level: 'verbose', stream }), /Unknown LOG_LEVEL "verbose"/);
+    assert.throws(() => new Logger({ format: 'xml', stream }), /Unknown LOG_FORMAT "xml"/);
+});
+
+test('child loggers and withLogContext carry the correlation ID', async () => {
+    const stream = capture();
+    const log = new Logger({ level: 'debug', format: 'json', stream }).child({ component: 'verifier' });
+    const registryLog = log.child({ registry: 'verra' });
+    const correlationId = correlationIdFor({ creditId: 4n, transactionHash: '0xabc', logIndex: 2 });
+
+    await withLogContext({ correlationId }, async () => {
+        await Promise.resolve();
+        registryLog.info('Registry lookup');
+        await withLogContext({ attempt: 2 }, async () => log.warn('Retrying'));
+    });
+    log.info('Idle');
+
+    assert.equal(correlationId, '4:0xabc:2');
+    const [lookup, retry, idle] = stream.entries();
+    assert.equal(lookup.component, 'verifier');
+    assert.equal(lookup.registry, 'verra');
+    assert.equal(lookup.correlationId, correlationId);
+    assert.equal(retry.correlationId, correlationId);
+    assert.equal(retry.attempt, 2);
+    assert.equal(retry.registry, undefined);
+    assert.equal(idle.correlationId, undefined);
+});
+
+test('errors are serialized with their name, short message and code', () => {
+    const stream = capture();
+    const log = new Logger({ level: 'info', format: 'json', stream });
+    const rpcError = Object.assign(new Error('could not coalesce error (long ethers details)'), {
+        shortMessage: 'insufficient funds',
+        code: 'INSUFFICIENT_FUNDS'
+    });
+
+    log.error('Submission failed', { error: rpcError });
+    log.error('Lookup failed', { error: new TypeError('fetch failed') });
+
+    const [submission, lookup] = stream.entries();
+    assert.deepEqual(submission.error, { name: 'Error', message: 'insufficient funds', code: 'INSUFFICIENT_FUNDS' });
+    assert.deepEqual(lookup.error, { name: 'TypeError', message: 'fetch failed' });
+});
+
+test('configure redirects output and changes the level in place', t => {
+    const first = capture();
+    const second = capture();
+    const log = new Logger({ level: 'info', format: 'json', stream: first });
+    const child = log.child({ component: 'cli' });
+
+    log.info('before');
+    assert.equal(log.configure({ stream: second, level: 'error' }), log);
+    log.info('dropped');
+    log.error('after');
+    child.info('child keeps its own settings');
+
+    assert.deepEqual(first.entries().map(entry => entry.msg), ['before', 'child keeps its own settings']);
+    assert.deepEqual(second.entries().map(entry => entry.msg), ['after']);
+    assert.throws(() => log.configure({ format: 'xml' }), /Unknown LOG_FORMAT/);
+    assert.equal(log.format, 'json');
+
+    // The shared logger is configured the same way by the command-line tools
+    const { stream, level } = logger;
+    t.after(() => logger.configure({ stream, level }));
+    const shared = capture();
+    logger.configure({ stream: shared, level: 'info' });
+    logger.info('to the shared stream');
+    assert.equal(shared.entries()[0].msg, 'to the shared stream');
+});
+
+test('pretty format prints the correlation ID ahead of the message', () => {
+    const stream = capture();
+    const log = new Logger({ level: 'info', format: 'pretty', stream });
+
+    withLogContext({ correlationId: '4:0xabc:2' }, () => log.warn('Slow registry', { registry: 'verra', ms: 1200 }));
+
+    assert.match(stream.lines[0], /^\d{2}:\d{2}:\d{2}\.\d{3} WARN  \[4:0xabc:2\] Slow registry registry=verra ms=1200\n$/);
+});
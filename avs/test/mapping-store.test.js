@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { tempDir, mappingStore } = require('./helpers');
+
+const registriesOf = ({ updatedAt, ...registries }) => registries;
+
+test('CSV columns become the registry adapter ids of each mapping', t => {
+    const store = mappingStore(tempDir(t));
+
+    const result = store.importCsv('creditId,verra,goldStandard\r\n4,VCS-1, GS-1 \r\n"5","VCS-2",GS-2\r\n');
+
+    assert.deepEqual(result, { imported: 2, skipped: [] });
+    assert.deepEqual(store.get(4), { verra: 'VCS-1', goldStandard: 'GS-1' });
+    assert.deepEqual(store.get(5), { verra: 'VCS-2', goldStandard: 'GS-2' });
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(store.file, 'utf8')).mappings), ['4', '5']);
+});
+
+test('blank cells leave that registry out of the mapping', t => {
+    const store = mappingStore(tempDir(t));
+
+    store.importCsv('creditId,verra,goldStandard,climateAction\n4,,GS-1,\n');
+
+    assert.deepEqual(store.get(4), { goldStandard: 'GS-1' });
+    assert.throws(() => store.importCsv('creditId,verra,goldStandard\n5,,\n'), /line 2: at least one registry identifier/);
+});
+
+test('existing mappings are skipped unless overwrite is set', t => {
+    const store = mappingStore(tempDir(t), { 4: { verra: 'VCS-OLD' } });
+    const csv = 'creditId,verra\n4,VCS-NEW\n5,VCS-5\n';
+
+    assert.deepEqual(store.importCsv(csv), { imported: 1, skipped: ['4'] });
+    assert.deepEqual(registriesOf(store.list()[0]), { creditId: '4', verra: 'VCS-OLD' });
+
+    assert.deepEqual(store.importCsv(csv, { overwrite: true }), { imported: 2, skipped: [] });
+    assert.deepEqual(store.get(4), { verra: 'VCS-NEW' });
+});
+
+test('a malformed credit ID rejects the whole file', t => {
+    const store = mappingStore(tempDir(t));
+
+    assert.throws(() => store.importCsv('creditId,verra\n4,VCS-1\nabc,VCS-2\n'), /Invalid line 3: "abc" is not a positive integer credit ID/);
+    assert.throws(() => store.importCsv('creditId,verra\n0,VCS-1\n'), /Invalid line 2/);
+    assert.deepEqual(store.list(), []);
+});
+
+test('a header without a leading creditId or with blank or repeated registries is rejected', t => {
+    const store = mappingStore(tempDir(t));
+
+    assert.throws(() => store.importCsv('verra,creditId\nVCS-1,4\n'), /must start with a creditId column/);
+    assert.throws(() => store.importCsv('creditId,,goldStandard\n4,VCS-1,GS-1\n'), /column 2 has no registry adapter id/);
+    assert.throws(() => store.importCsv('creditId,verra,verra\n4,VCS-1,VCS-2\n'), /lists registry "verra" twice/);
+    assert.equal(fs.existsSync(store.file), false);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { run, replay, casesFromEvidence, ruleChanges } = require('../policy-replay');
+const { ScoringPolicy, DEFAULT_POLICY_FILE } = require('../scoring-policy');
+const { EvidenceStore } = require('../evidence-store');
+const { logger } = require('../logger');
+
+const BASELINE = JSON.parse(fs.readFileSync(DEFAULT_POLICY_FILE, 'utf8'));
+
+function registryResult(registry, source, quality) {
+    return { registry, source, success: true, exists: true, status: 'active', quality, vintage: 2023, isRetired: false };
+}
+
+/**
+ * Evidence bundle as stored by the AVS, reduced to what replays read.
+ */
+function bundle(creditId, registryResults, { evaluatedAt = '2026-01-10T00:00:00.000Z', qualityScore = 80 } = {}) {
+    return {
+        version: 1,
+        creditId,
+        policy: { version: BASELINE.version },
+        registryResults,
+        findings: [],
+        verdict: { isValid: true, qualityScore },
+        timestamps: { evaluatedAt }
+    };
+}
+
+/**
+ * Evidence store holding credit 1 (two registries, score 80) twice and
+ * credit 2 (one registry, score 90).
+ */
+function evidenceStore(dir) {
+    const store = new EvidenceStore({ dir });
+    const twoRegistries = [registryResult('verra', 'Verra', 90), registryResult('goldStandard', 'Gold Standard', 70)];
+    store.put(bundle('1', [registryResult('verra', 'Verra', 50)], { evaluatedAt: '2026-01-01T00:00:00.000Z', qualityScore: 40 }));
+    store.put(bundle('1', twoRegistries));
+    store.put(bundle('2', [registryResult('verra', 'Verra', 100)], { qualityScore: 90 }));
+    return store;
+}
+
+function policy(changes) {
+    return new ScoringPolicy({
+        ...BASELINE,
+        version: '2.0.0',
+        penalties: { ...BASELINE.penalties, ...changes.penalties },
+        thresholds: { ...BASELINE.thresholds, ...changes.thresholds }
+    });
+}
+
+test('the latest bundle of each credit is replayed as of its evaluation time', t => {
+    const cases = casesFromEvidence(evidenceStore(tempDir(t)));
+    const first = cases.find(entry => entry.creditId === '1');
+
+    assert.equal(cases.length, 2);
+    assert.equal(first.results.length, 2);
+    assert.deepEqual(first.now, new Date('2026-01-10T00:00:00.000Z'));
+    assert.deepEqual(first.recorded, { isValid: true, qualityScore: 80, policyVersion: BASELINE.version });
+    assert.match(first.input, /^evidence:[0-9a-f]{64}$/);
+});
+
+test('a raised threshold flips credits to now_invalid and names the failing check', t => {
+    const cases = casesFromEvidence(evidenceStore(tempDir(t)));
+
+    const report = replay(cases, new ScoringPolicy(BASELINE), policy({ thresholds: { minScore: 85 } }));
+
+    const flipped = report.credits.find(credit => credit.creditId === '1');
+    assert.equal(flipped.change, 'now_invalid');
+    assert.deepEqual(flipped.current, { isValid: true, qualityScore: 80 });
+    assert.deepEqual(flipped.candidate, { isValid: false, qualityScore: 80 });
+    assert.deepEqual(flipped.rules, ['minScore: PASS -> FAIL']);
+    assert.deepEqual(report.summary, { credits: 2, nowInvalid: 1, nowValid: 0, scoreChanged: 0, unchanged: 1 });
+});
+
+test('score changes smaller than --min-delta count as unchanged', t => {
+    const cases = casesFromEvidence(evidenceStore(tempDir(t)));
+    const [current, candidate] = [new ScoringPolicy(BASELINE), policy({ penalties: { singleRegistry: 12 } })];
+
+    const reported = replay(cases, current, candidate, { minDelta: 1 }).credits.find(credit => credit.creditId === '2');
+    const filtered = replay(cases, current, candidate, { minDelta: 5 }).credits.find(credit => credit.creditId === '2');
+
+    assert.equal(reported.change, 'score');
+    assert.equal(reported.delta, -2);
+    assert.deepEqual(reported.rules, ['singleRegistry: -10 -> -12']);
+    assert.equal(filtered.change, 'unchanged');
+    assert.equal(filtered.delta, -2);
+    assert.deepEqual(filtered.rules, []);
+});
+
+test('rule changes list differing base scores, adjustments and checks', () => {
+    const before = {
+        base: { score: 80 },
+        adjustments: [{ rule: 'retired', delta: -20 }],
+        checks: [{ rule: 'minScore', passed: true }, { rule: 'notRetired', passed: true }]
+    };
+    const after = {
+        base: { score: 75 },
+        adjustments: [{ rule: 'singleRegistry', delta: -10 }],
+        checks: [{ rule: 'minScore', passed: false }, { rule: 'registryStatus', passed: false }]
+    };
+
+    assert.deepEqual(ruleChanges(before, after), [
+        'base score: 80 -> 75',
+        'retired: -20 -> 0',
+        'singleRegistry: 0 -> -10',
+        'notRetired: PASS -> n/a',
+        'registryStatus: n/a -> FAIL',
+        'minScore: PASS -> FAIL'
+    ]);
+});
+
+/**
+ * Run policy-replay.js against a config file whose data directory holds
+ * the evidence store, returning the exit code and the JSON report.
+ */
+async function runReplay(t, candidateChanges, args = []) {
+    const dir = tempDir(t);
+    evidenceStore(path.join(dir, 'data', 'evidence'));
+    const configFile = path.join(dir, 'avs.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ dataDir: path.join(dir, 'data') }));
+    const candidateFile = path.join(dir, 'candidate.json');
+    fs.writeFileSync(candidateFile, JSON.stringify(policy(candidateChanges).definition));
+    const output = path.join(dir, 'report.json');
+
+    const env = { AVS_CONFIG_FILE: process.env.AVS_CONFIG_FILE, AVS_DATA_DIR: process.env.AVS_DATA_DIR };
+    const { stream, level } = logger;
+    t.after(() => {
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+        logger.configure({ stream, level });
+    });
+    process.env.AVS_CONFIG_FILE = configFile;
+    delete process.env.AVS_DATA_DIR;
+    t.mock.method(console, 'error', () => {});
+
+    const code = await run(['--candidate', candidateFile, '--format', 'json', '--output', output, ...args]);
+    return { code, report: JSON.parse(fs.readFileSync(output, 'utf8')) };
+}
+
+test('evidence is read from the configured data directory', async t => {
+    const { code, report } = await runReplay(t, { thresholds: { minScore: 85 } });
+
+    assert.equal(code, 0);
+    assert.equal(report.summary.credits, 2);
+    assert.equal(report.summary.nowInvalid, 1);
+});
+
+test('--fail-on-change exits 1 only when a verdict changes', async t => {
+    const changed = await runReplay(t, { thresholds: { minScore: 85 } }, ['--fail-on-change']);
+    const belowDelta = await runReplay(t, { penalties: { singleRegistry: 12 } }, ['--fail-on-change', '--min-delta', '5']);
+
+    assert.equal(changed.code, 1);
+    assert.equal(belowDelta.code, 0);
+    assert.equal(belowDelta.report.summary.unchanged, 2);
+});
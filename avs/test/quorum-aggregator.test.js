@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+// Quiets the AVS logs like every other test file
+require('./helpers');
+const { QuorumAggregator, AttestationError, createAggregatorServer } = require('../quorum-aggregator');
+const { buildDomain, buildAttestation, signAttestation } = require('../attestations');
+
+const OPERATORS = [
+    '0x0123456789012345678901234567890123456789012345678901234567890123',
+    '0x1123456789012345678901234567890123456789012345678901234567890123',
+    '0x2123456789012345678901234567890123456789012345678901234567890123'
+].map(key => new ethers.Wallet(key));
+
+const DOMAIN = buildDomain(31337, '0x00000000000000000000000000000000000000c0');
+const REQUEST_ID = ethers.id('AVSVerificationRequested:10-0');
+
+function attestation(fields = {}) {
+    return buildAttestation({
+        creditId: 4n,
+        requestId: REQUEST_ID,
+        isValid: true,
+        qualityScore: 80,
+        sources: ['Verra', 'Gold Standard'],
+        policyVersion: 'v1',
+        ...fields
+    });
+}
+
+async function signed(operator, fields, evidenceHash) {
+    const signedAttestation = attestation(fields);
+    return {
+        operator: operator.address,
+        attestation: signedAttestation,
+        signature: await signAttestation(operator, DOMAIN, signedAttestation),
+        ...(evidenceHash && { evidenceHash })
+    };
+}
+
+function createAggregator(t, { quorum = 2, submit } = {}) {
+    const submissions = [];
+    const aggregator = new QuorumAggregator({
+        operators: OPERATORS.map(operator => operator.address),
+        quorum,
+        domain: DOMAIN,
+        timeoutMs: 60000,
+        submit: submit || (async (...args) => {
+            submissions.push(args);
+            return { success: true, hash: '0xfeed' };
+        })
+    });
+    t.after(() => {
+        for (const round of aggregator.rounds.values()) {
+            clearTimeout(round.timer);
+            clearTimeout(round.pruneTimer);
+        }
+    });
+    return { aggregator, submissions };
+}
+
+function round(aggregator) {
+    return [...aggregator.rounds.values()][0];
+}
+
+test('a verdict is submitted once quorum operators sign it', async t => {
+    const { aggregator, submissions } = createAggregator(t);
+    const evidence = 'ab'.repeat(32);
+
+    assert.equal(aggregator.receive(await signed(OPERATORS[0], {}, evidence)).status, 'collecting');
+    assert.equal(submissions.length, 0);
+
+    aggregator.receive(await signed(OPERATORS[1]));
+    await round(aggregator).finalizing;
+
+    assert.equal(round(aggregator).status, 'submitted');
+    assert.deepEqual(submissions, [['4', true, 80, ['Verra', 'Gold Standard', 'quorum:2/3', `evidence:${evidence}`]]]);
+});
+
+test('operators that disagree so no verdict can reach quorum fail the round', async t => {
+    const { aggregator, submissions } = createAggregator(t, { quorum: 3 });
+
+    aggregator.receive(await signed(OPERATORS[0]));
+    const summary = aggregator.receive(await signed(OPERATORS[1], { qualityScore: 40 }));
+
+    assert.equal(summary.status, 'failed');
+    assert.match(summary.failureReason, /operators disagree/);
+    assert.equal(summary.verdicts.length, 2);
+    assert.equal(submissions.length, 0);
+});
+
+test('a submission that throws fails the round instead of rejecting unhandled', async t => {
+    const { aggregator } = createAggregator(t, {
+        quorum: 1,
+        submit: async () => {
+            throw new Error('insufficient funds');
+        }
+    });
+
+    aggregator.receive(await signed(OPERATORS[0]));
+    await round(aggregator).finalizing;
+
+    assert.equal(round(aggregator).status, 'failed');
+    assert.equal(round(aggregator).failureReason, 'submission failed: insufficient funds');
+});
+
+test('an unsuccessful submission is recorded on the round', async t => {
+    const { aggregator } = createAggregator(t, {
+        quorum: 1,
+        submit: async () => ({ success: false, error: 'nonce too low' })
+    });
+
+    aggregator.receive(await signed(OPERATORS[0]));
+    await round(aggregator).finalizing;
+
+    const summary = aggregator.summary(round(aggregator));
+    assert.equal(summary.status, 'failed');
+    assert.equal(summary.failureReason, 'submission failed: nonce too low');
+    assert.deepEqual(summary.submission, { success: false, error: 'nonce too low' });
+});
+
+test('an attestation for a failed round starts a new round', async t => {
+    const results = [{ success: false, error: 'nonce too low' }, { success: true, hash: '0xfeed' }];
+    const { aggregator } = createAggregator(t, { quorum: 1, submit: async () => results.shift() });
+
+    aggregator.receive(await signed(OPERATORS[0]));
+    await round(aggregator).finalizing;
+    assert.equal(round(aggregator).status, 'failed');
+
+    aggregator.receive(await signed(OPERATORS[0]));
+    await round(aggregator).finalizing;
+
+    assert.equal(aggregator.rounds.size, 1);
+    assert.equal(round(aggregator).status, 'submitted');
+});
+
+test('attestations from unknown or mismatched signers are refused', async t => {
+    const { aggregator } = createAggregator(t);
+    const outsider = new ethers.Wallet('0x3123456789012345678901234567890123456789012345678901234567890123');
+
+    assert.throws(() => aggregator.receive({ attestation: attestation() }), AttestationError);
+
+    const foreign = await signed(outsider);
+    assert.throws(() => aggregator.receive(foreign), { statusCode: 403, message: /not an allowlisted operator/ });
+
+    const impersonated = { ...(await signed(outsider)), operator: OPERATORS[0].address };
+    assert.throws(() => aggregator.receive(impersonated), { statusCode: 403, message: /Signature was made by/ });
+});
+
+test('an operator cannot change its verdict for a request', async t => {
+    const { aggregator } = createAggregator(t, { quorum: 3 });
+
+    aggregator.receive(await signed(OPERATORS[0]));
+
+    await assert.rejects(async () => aggregator.receive(await signed(OPERATORS[0], { isValid: false })), { statusCode: 409 });
+});
+
+test('finished rounds are dropped after the retention period', async t => {
+    const { aggregator } = createAggregator(t, { quorum: 1 });
+    aggregator.retentionMs = 10;
+
+    aggregator.receive(await signed(OPERATORS[0]));
+    await round(aggregator).finalizing;
+    assert.equal(aggregator.rounds.size, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(aggregator.rounds.size, 0);
+});
+
+test('oversized attestation requests are refused', async t => {
+    const { aggregator } = createAggregator(t);
+    const server = createAggregatorServer(aggregator, { maxBodyBytes: 1024 });
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+
+    const response = await fetch(`http://localhost:${server.address().port}/attestations`, {
+        method: 'POST',
+        body: JSON.stringify({ padding: 'x'.repeat(4096) })
+    });
+
+    assert.equal(response.status, 413);
+    assert.equal(aggregator.rounds.size, 0);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { RegistryManager, VerraAdapter, MockRegistryAdapter } = require('../registries');
+const { RegistryHttpClient } = require('../registries/http-client');
+
+const VERRA_RECORD = {
+    exists: true,
+    status: 'active',
+    vintage: 2023,
+    projectType: 'AFOLU',
+    methodology: 'VM0007',
+    location: 'Brazil',
+    quality: 85,
+    isRetired: false
+};
+
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * Verra adapter whose HTTP client answers from a list of responses (or
+ * errors to throw), recording every requested URL.
+ */
+function verraWith(responses, clientOptions = {}) {
+    const calls = [];
+    const fetchImpl = async (url, { signal }) => {
+        calls.push(url);
+        const next = responses.shift();
+        if (typeof next === 'function') {
+            return next(signal);
+        }
+        if (next instanceof Error) {
+            throw next;
+        }
+        return next;
+    };
+    const client = new RegistryHttpClient({ source: 'Verra', baseDelayMs: 1, maxDelayMs: 1, fetchImpl, ...clientOptions });
+    return { adapter: new VerraAdapter({ baseUrl: 'https://registry.test/vcs/', client }), calls };
+}
+
+test('registry records are normalized', async () => {
+    const { adapter, calls } = verraWith([json(VERRA_RECORD)]);
+    const result = await adapter.verify('VCS 12345');
+
+    assert.equal(calls[0], 'https://registry.test/vcs/VCS%2012345');
+    assert.equal(result.success, true);
+    assert.equal(result.source, 'Verra');
+    assert.equal(result.quality, 85);
+    assert.equal(result.methodology, 'VM0007');
+});
+
+test('a 404 means the credit is unknown, not that the registry failed', async () => {
+    const { adapter } = verraWith([new Response('', { status: 404 })]);
+    const result = await adapter.verify('VCS-404');
+
+    assert.equal(result.success, false);
+    assert.equal(result.exists, false);
+});
+
+test('server errors are retried with backoff', async () => {
+    const { adapter, calls } = verraWith([json({}, 503), json({}, 502), json(VERRA_RECORD)]);
+    const result = await adapter.verify('VCS-12345');
+
+    assert.equal(result.success, true);
+    assert.equal(calls.length, 3);
+});
+
+test('a registry that keeps failing yields an error result', async () => {
+    const { adapter, calls } = verraWith([json({}, 503), json({}, 503), json({}, 503)], { maxRetries: 2 });
+    const result = await adapter.verify('VCS-12345');
+
+    assert.equal(result.success, false);
+    assert.equal(result.exists, undefined);
+    assert.equal(result.error, 'Verra API responded with HTTP 503');
+    assert.equal(calls.length, 3);
+});
+
+test('client errors are not retried', async () => {
+    const { adapter, calls } = verraWith([json({ error: 'bad key' }, 401)]);
+    const result = await adapter.verify('VCS-12345');
+
+    assert.equal(result.error, 'Verra API responded with HTTP 401');
+    assert.equal(calls.length, 1);
+});
+
+test('rate limits longer than the allowed wait fail immediately', async () => {
+    const { adapter, calls } = verraWith([json({}, 429, { 'Retry-After': '120' })], { maxRetryAfterMs: 1000 });
+    const result = await adapter.verify('VCS-12345');
+
+    assert.match(result.error, /rate limit asks to wait 120000ms/);
+    assert.equal(calls.length, 1);
+});
+
+test('requests time out', async () => {
+    const hang = signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    });
+    const { adapter } = verraWith([hang], { timeoutMs: 20, maxRetries: 0 });
+    const result = await adapter.verify('VCS-12345');
+
+    assert.equal(result.error, 'Verra request failed: timed out after 20ms');
+});
+
+test('responses that fail schema validation are errors', async () => {
+    const { adapter } = verraWith([json({ ...VERRA_RECORD, quality: 'high', vintage: 1800 })]);
+    const result = await adapter.verify('VCS-12345');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /failed schema validation/);
+    assert.match(result.error, /quality/);
+    assert.match(result.error, /vintage/);
+});
+
+test('invalid JSON is an error', async () => {
+    const { adapter } = verraWith([new Response('<html>maintenance</html>', { status: 200 })]);
+    const result = await adapter.verify('VCS-12345');
+
+    assert.match(result.error, /returned invalid JSON/);
+});
+
+test('verifyAll settles every adapter and reports unmapped registries', async () => {
+    const registries = RegistryManager.fromConfig({
+        verra: { type: 'mock', source: 'Verra', records: { 'VCS-1': VERRA_RECORD } },
+        goldStandard: { type: 'mock', source: 'Gold Standard', records: {} },
+        climateAction: { type: 'mock', source: 'Climate Action Reserve', records: {} }
+    });
+    const observed = [];
+    registries.observe(event => observed.push(event));
+
+    const results = await registries.verifyAll({ verra: 'VCS-1', goldStandard: 'GS-404' });
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'fulfilled']);
+    assert.equal(results[0].value.success, true);
+    assert.equal(results[1].value.exists, false);
+    assert.equal(results[2].value.unmapped, true);
+    // Unmapped registries are never queried
+    assert.deepEqual(observed.map(event => event.registry), ['verra', 'goldStandard']);
+});
+
+test('an adapter that throws is settled as rejected and observed as an error', async () => {
+    const registries = new RegistryManager();
+    const broken = new MockRegistryAdapter({ id: 'broken', source: 'Broken', records: {} });
+    broken.verify = async () => {
+        throw new Error('adapter bug');
+    };
+    registries.register(broken);
+    const observed = [];
+    registries.observe(event => observed.push(event));
+
+    const [result] = await registries.verifyAll({ broken: 'X-1' });
+
+    assert.equal(result.status, 'rejected');
+    assert.equal(result.reason.message, 'adapter bug');
+    assert.equal(observed[0].result, null);
+});
+
+test('disabled adapters are skipped', async () => {
+    const registries = RegistryManager.fromConfig({
+        verra: { type: 'mock', source: 'Verra', records: { 'VCS-1': VERRA_RECORD } },
+        goldStandard: { type: 'mock', source: 'Gold Standard', records: {}, enabled: false }
+    });
+
+    const results = await registries.verifyAll({ verra: 'VCS-1', goldStandard: 'GS-1' });
+    assert.equal(results.length, 1);
+
+    registries.setEnabled('goldStandard', true);
+    assert.equal((await registries.verifyAll({ verra: 'VCS-1', goldStandard: 'GS-1' })).length, 2);
+});
+
+test('misconfigured adapters are rejected at registration', () => {
+    const registries = new RegistryManager();
+
+    assert.throws(() => registries.create('puro', { type: 'puro' }), /Unknown registry adapter type "puro"/);
+    assert.throws(() => registries.register({ id: 'half', source: 'Half', verify() {} }), /missing lookup, normalize, healthCheck/);
+
+    registries.register(new MockRegistryAdapter({ id: 'verra', source: 'Verra', records: {} }));
+    assert.throws(
+        () => registries.register(new MockRegistryAdapter({ id: 'verra', source: 'Verra', records: {} })),
+        /already registered/
+    );
+});
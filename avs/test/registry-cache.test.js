@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { RegistryManager, MockRegistryAdapter, RegistryResponseCache } = require('../registries');
+
+const HOUR_MS = 60 * 60 * 1000;
+const RECORD = { exists: true, status: 'active', vintage: 2023, quality: 85, isRetired: false };
+
+/**
+ * Registry manager with one Verra mock adapter whose availability can be
+ * switched off, a cache on a manual clock, and a count of registry queries.
+ */
+function cachedRegistries({ records = { 'VCS-1': RECORD }, ...cacheOptions } = {}) {
+    const clock = { now: Date.parse('2025-06-01T00:00:00Z') };
+    const adapter = new MockRegistryAdapter({ id: 'verra', source: 'Verra', records });
+    const state = { queries: 0, down: false };
+    const lookup = adapter.lookup.bind(adapter);
+    adapter.lookup = async registryId => {
+        state.queries++;
+        if (state.down) {
+            throw new Error('Verra API responded with HTTP 503');
+        }
+        return lookup(registryId);
+    };
+
+    const cache = new RegistryResponseCache({ ttlMs: HOUR_MS, maxStaleMs: 24 * HOUR_MS, now: () => clock.now, ...cacheOptions });
+    const registries = new RegistryManager().useCache(cache);
+    registries.register(adapter);
+    const verify = async (registryId = 'VCS-1', options) => (await registries.verifyAll({ verra: registryId }, options))[0].value;
+    return { registries, cache, clock, state, verify };
+}
+
+test('results within the TTL are served without querying the registry', async () => {
+    const { clock, state, verify } = cachedRegistries();
+
+    assert.equal((await verify()).cache.status, 'miss');
+    clock.now += HOUR_MS - 1;
+    const cached = await verify();
+
+    assert.equal(state.queries, 1);
+    assert.equal(cached.cache.status, 'fresh');
+    assert.equal(cached.cache.ageMs, HOUR_MS - 1);
+    assert.equal(cached.quality, 85);
+    assert.equal(cached.stale, undefined);
+
+    // fresh bypasses an unexpired entry
+    assert.equal((await verify('VCS-1', { fresh: true })).cache.status, 'revalidated');
+    assert.equal(state.queries, 2);
+});
+
+test('TTLs can be set per registry', async () => {
+    const { clock, state, verify } = cachedRegistries({ registryTtlMs: { verra: 0 } });
+
+    await verify();
+    await verify();
+    assert.equal(state.queries, 2);
+
+    clock.now += 1;
+    assert.equal((await verify()).cache.status, 'revalidated');
+});
+
+test('expired results are served stale while the registry is down', async () => {
+    const { clock, state, verify } = cachedRegistries();
+    await verify();
+
+    state.down = true;
+    clock.now += 2 * HOUR_MS;
+    const stale = await verify();
+
+    assert.equal(state.queries, 2);
+    assert.equal(stale.success, true);
+    assert.equal(stale.stale, true);
+    assert.equal(stale.cache.status, 'stale');
+    assert.equal(stale.cache.fetchedAt, '2025-06-01T00:00:00.000Z');
+    assert.equal(stale.cache.error, 'Verra API responded with HTTP 503');
+
+    // Too old to serve even as stale data
+    clock.now += 23 * HOUR_MS;
+    const failedResult = await verify();
+    assert.equal(failedResult.success, false);
+    assert.equal(failedResult.cache, undefined);
+});
+
+test('failures are never cached, unknown credits are', async () => {
+    const { state, verify } = cachedRegistries();
+
+    state.down = true;
+    assert.equal((await verify()).success, false);
+    state.down = false;
+    assert.equal((await verify()).success, true);
+    assert.equal(state.queries, 2);
+
+    assert.equal((await verify('VCS-404')).exists, false);
+    const unknown = await verify('VCS-404');
+    assert.equal(unknown.exists, false);
+    assert.equal(unknown.cache.status, 'fresh');
+    assert.equal(state.queries, 3);
+});
+
+test('concurrent lookups of the same identifier share one request', async () => {
+    const { state, verify } = cachedRegistries();
+
+    const results = await Promise.all([verify(), verify(), verify()]);
+
+    assert.equal(state.queries, 1);
+    assert.deepEqual(results.map(result => result.quality), [85, 85, 85]);
+});
+
+test('cached results survive a restart', async t => {
+    const file = path.join(tempDir(t), 'registry-cache.json');
+    const first = cachedRegistries({ file });
+    await first.verify();
+
+    const second = cachedRegistries({ file });
+    assert.equal((await second.verify()).cache.status, 'fresh');
+    assert.equal(second.state.queries, 0);
+});
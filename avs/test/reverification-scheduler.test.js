@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { ReverificationScheduler } = require('../reverification-scheduler');
+
+function scheduler(t, options = {}) {
+    return new ReverificationScheduler({}, {
+        intervalMs: 0,
+        file: path.join(tempDir(t), 'reverification.json'),
+        ...options
+    });
+}
+
+const EVIDENCE = `evidence:${'ab'.repeat(32)}`;
+
+test('credits backed by two registries with a high score are low risk', t => {
+    const risk = scheduler(t).riskFor({ qualityScore: 90, sources: ['Verra', 'Gold Standard', EVIDENCE] });
+
+    assert.equal(risk, 'low');
+});
+
+test('quorum and evidence sources do not count as registries', t => {
+    const risk = scheduler(t).riskFor({ qualityScore: 90, sources: ['Verra', 'quorum:2/3', EVIDENCE, `evidence:${'cd'.repeat(32)}`] });
+
+    assert.equal(risk, 'high');
+});
+
+test('flagged credits are high risk whatever their score', t => {
+    const risk = scheduler(t).riskFor({ qualityScore: 95, sources: ['Verra', 'Gold Standard', 'flag:stale_data'] });
+
+    assert.equal(risk, 'high');
+});
+
+test('the score decides the tier between the configured thresholds', t => {
+    const reverification = scheduler(t, { highRiskScore: 60, lowRiskScore: 80 });
+    const sources = ['Verra', 'Gold Standard'];
+
+    assert.equal(reverification.riskFor({ qualityScore: 59, sources }), 'high');
+    assert.equal(reverification.riskFor({ qualityScore: 70, sources }), 'medium');
+    assert.equal(reverification.riskFor({ qualityScore: 80, sources }), 'low');
+});
+
+const VERIFIED = { verified: true, qualityScore: 85n, sources: ['Verra', 'Gold Standard', EVIDENCE] };
+
+/**
+ * Scheduler over a stand-in AVS with one verified, mapped credit whose
+ * registries now report `checks` failing. `submit` answers the downgrade
+ * submission (or attestation in operator mode) and records its arguments.
+ */
+function sweepScheduler(t, { mode = 'single', checks, submit }) {
+    const submitted = [];
+    const handler = (...args) => {
+        submitted.push(args);
+        return submit(...args);
+    };
+    const avs = {
+        mode,
+        mappingStore: { list: () => [{ creditId: '4' }] },
+        hookContract: { getAVSVerificationDetails: async () => [VERIFIED.verified, VERIFIED.qualityScore, VERIFIED.sources] },
+        jobs: { latestForCredit: () => null },
+        metrics: { reverifications: { inc() {} } },
+        evaluateCredit: async () => ({
+            isValid: false,
+            qualityScore: 0,
+            sources: ['Verra', 'Gold Standard'],
+            policyVersion: 'test-1',
+            breakdown: { policyVersion: 'test-1', adjustments: [], checks, unavailable: [], stale: [] }
+        }),
+        recordEvidence: () => 'cd'.repeat(32),
+        submitVerificationResult: async (...args) => handler(...args),
+        publishAttestation: async (...args) => handler(...args)
+    };
+    const reverification = new ReverificationScheduler(avs, { intervalMs: 0, file: path.join(tempDir(t), 'reverification.json') });
+    return { reverification, submitted };
+}
+
+const RETIRED = [{ rule: 'notRetired', passed: false, detail: 'Verra reports the credit as retired' }];
+const SUSPENDED = [{ rule: 'registryStatus', passed: false, detail: 'Gold Standard status is suspended' }];
+
+test('a retired credit is submitted as a downgraded verdict and recorded', async t => {
+    const { reverification, submitted } = sweepScheduler(t, {
+        checks: RETIRED,
+        submit: () => ({ success: true, hash: '0xfeed', gasUsed: '52000' })
+    });
+
+    const [result] = await reverification.sweep();
+
+    assert.equal(result.outcome, 'downgraded');
+    assert.deepEqual(result.statusChanges, ['Verra reports the credit as retired']);
+    assert.deepEqual(submitted, [['4', false, 0, ['Verra', 'Gold Standard'], { policyVersion: 'test-1', evidenceHash: 'cd'.repeat(32) }]]);
+    assert.equal(reverification.state.credits['4'].outcome, 'downgraded');
+    assert.equal(reverification.state.credits['4'].submissionHash, '0xfeed');
+});
+
+test('a downgrade whose submission fails is not recorded and is retried next sweep', async t => {
+    const { reverification, submitted } = sweepScheduler(t, {
+        checks: SUSPENDED,
+        submit: () => ({ success: false, error: 'insufficient funds' })
+    });
+
+    const [result] = await reverification.sweep();
+
+    assert.equal(result.outcome, 'submission_failed');
+    assert.equal(reverification.state.credits['4'], undefined);
+    assert.equal((await reverification.dueCredits()).length, 1);
+    await reverification.sweep();
+    assert.equal(submitted.length, 2);
+});
+
+test('operators attest a downgrade to the aggregator and record it once submitted', async t => {
+    const statuses = ['collecting', 'submitted'];
+    const { reverification, submitted } = sweepScheduler(t, {
+        mode: 'operator',
+        checks: SUSPENDED,
+        submit: () => ({ success: true, attested: true, digest: '0xd1', aggregatorStatus: statuses.shift() })
+    });
+
+    const [pending] = await reverification.sweep();
+    assert.equal(pending.outcome, 'attested');
+    assert.equal(reverification.state.credits['4'], undefined);
+
+    const [downgraded] = await reverification.sweep();
+    assert.equal(downgraded.outcome, 'downgraded');
+    assert.equal(reverification.state.credits['4'].attestationDigest, '0xd1');
+
+    // Both sweeps attest for the same round, keyed by the on-chain verdict
+    const requestIds = submitted.map(args => args[4].requestId);
+    assert.match(requestIds[0], /^0x[0-9a-f]{64}$/);
+    assert.equal(requestIds[1], requestIds[0]);
+    assert.equal(submitted[0][4].evidenceHash, 'cd'.repeat(32));
+});
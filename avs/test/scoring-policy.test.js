@@ -0,0 +1,265 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { found, notFound, failed } = require('./helpers');
+const { ScoringPolicy, formatBreakdown } = require('../scoring-policy');
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+function policy(overrides = {}) {
+    return new ScoringPolicy({
+        version: 'test',
+        registryWeights: { default: 1 },
+        penalties: { retired: 20, singleRegistry: 10 },
+        thresholds: { minScore: 40 },
+        ...overrides
+    });
+}
+
+function check(verification, rule) {
+    return verification.breakdown.checks.find(entry => entry.rule === rule);
+}
+
+test('weighted average of the registries that know the credit', () => {
+    const scoring = policy({ registryWeights: { verra: 3, default: 1 } });
+    const verification = scoring.score([
+        found('verra', 'Verra', { quality: 90 }),
+        found('goldStandard', 'Gold Standard', { quality: 50 }),
+        notFound('climateAction', 'Climate Action Reserve')
+    ], { now: NOW });
+
+    // (3 * 90 + 1 * 50) / 4
+    assert.equal(verification.qualityScore, 80);
+    assert.equal(verification.isValid, true);
+    assert.deepEqual(verification.sources, ['Verra', 'Gold Standard']);
+    assert.deepEqual(verification.breakdown.unavailable, []);
+});
+
+test('no registry result is a failed verification', () => {
+    const verification = policy().score([
+        failed('verra', 'Verra'),
+        { status: 'rejected', reason: new Error('socket hang up') }
+    ], { now: NOW });
+
+    assert.equal(verification.isValid, false);
+    assert.equal(verification.qualityScore, 0);
+    assert.deepEqual(verification.sources, ['verification_failed']);
+    assert.deepEqual(verification.breakdown.unavailable, ['Verra', 'unknown']);
+});
+
+test('credits unknown to every registry are not counted as outages', () => {
+    const verification = policy().score([
+        notFound('verra', 'Verra'),
+        notFound('goldStandard', 'Gold Standard')
+    ], { now: NOW });
+
+    assert.equal(verification.isValid, false);
+    assert.deepEqual(verification.sources, ['verification_failed']);
+    assert.deepEqual(verification.breakdown.unavailable, []);
+});
+
+test('successful results without a record are reported as not found', () => {
+    const verification = policy().score([found('verra', 'Verra', { exists: false })], { now: NOW });
+
+    assert.equal(verification.isValid, false);
+    assert.deepEqual(verification.sources, ['not_found_in_registries']);
+});
+
+test('unmapped registries are neither sources nor outages', () => {
+    const verification = policy().score([
+        found('verra', 'Verra', { quality: 70 }),
+        { status: 'fulfilled', value: { registry: 'goldStandard', source: 'Gold Standard', success: false, unmapped: true } }
+    ], { now: NOW });
+
+    assert.deepEqual(verification.sources, ['Verra']);
+    assert.deepEqual(verification.breakdown.unavailable, []);
+    // Single-registry penalty still applies
+    assert.equal(verification.qualityScore, 60);
+});
+
+test('a registry outage is recorded next to the registries that answered', () => {
+    const verification = policy().score([
+        found('verra', 'Verra', { quality: 70 }),
+        failed('goldStandard', 'Gold Standard', 'Gold Standard request failed: timed out after 5000ms')
+    ], { now: NOW });
+
+    assert.equal(verification.isValid, true);
+    assert.deepEqual(verification.breakdown.unavailable, ['Gold Standard']);
+});
+
+test('retirement is detected from the flag or the registry status', () => {
+    for (const fields of [{ isRetired: true }, { status: 'Retired' }]) {
+        const verification = policy().score([
+            found('verra', 'Verra', { quality: 90, ...fields }),
+            found('goldStandard', 'Gold Standard', { quality: 90 })
+        ], { now: NOW });
+
+        assert.equal(verification.qualityScore, 70);
+        assert.equal(verification.isValid, false);
+        assert.equal(check(verification, 'notRetired').passed, false);
+    }
+});
+
+test('retired credits stay valid when the policy allows it', () => {
+    const verification = policy({ thresholds: { minScore: 40, rejectRetired: false } }).score([
+        found('verra', 'Verra', { isRetired: true }),
+        found('goldStandard', 'Gold Standard')
+    ], { now: NOW });
+
+    assert.equal(verification.isValid, true);
+    assert.equal(check(verification, 'notRetired'), undefined);
+});
+
+test('suspended and cancelled credits are rejected by default', () => {
+    const verification = policy().score([
+        found('verra', 'Verra', { status: 'Suspended' }),
+        found('goldStandard', 'Gold Standard')
+    ], { now: NOW });
+
+    assert.equal(verification.isValid, false);
+    assert.equal(check(verification, 'registryStatus').detail, 'Verra: suspended');
+});
+
+test('an empty rejectStatuses list disables the status check', () => {
+    const verification = policy({ thresholds: { minScore: 40, rejectStatuses: [] } }).score([
+        found('verra', 'Verra', { status: 'cancelled' }),
+        found('goldStandard', 'Gold Standard')
+    ], { now: NOW });
+
+    assert.equal(verification.isValid, true);
+    assert.equal(check(verification, 'registryStatus'), undefined);
+});
+
+test('vintage age penalty starts after the grace period and is capped', () => {
+    const scoring = policy({ penalties: { vintageAge: { graceYears: 2, perYear: 5, max: 12 } } });
+    const results = vintage => [
+        found('verra', 'Verra', { quality: 80, vintage }),
+        found('goldStandard', 'Gold Standard', { quality: 80, vintage: 2024 })
+    ];
+
+    assert.equal(scoring.score(results(2023), { now: NOW }).qualityScore, 80);
+    assert.equal(scoring.score(results(2022), { now: NOW }).qualityScore, 75);
+    assert.equal(scoring.score(results(2010), { now: NOW }).qualityScore, 68);
+});
+
+test('the minimum score is inclusive', () => {
+    const results = quality => [found('verra', 'Verra', { quality }), found('goldStandard', 'Gold Standard', { quality })];
+
+    assert.equal(policy().score(results(40), { now: NOW }).isValid, true);
+    assert.equal(policy().score(results(39), { now: NOW }).isValid, false);
+});
+
+test('penalties never take the score below zero', () => {
+    const verification = policy({ penalties: { retired: 50, singleRegistry: 50 } }).score([
+        found('verra', 'Verra', { quality: 30, isRetired: true })
+    ], { now: NOW });
+
+    assert.equal(verification.qualityScore, 0);
+    assert.deepEqual(verification.breakdown.adjustments.map(adjustment => adjustment.delta), [-30, 0]);
+});
+
+test('blacklisted methodologies and protocols are rejected case-insensitively', () => {
+    const scoring = policy({ methodologyBlacklist: ['VM0007'], penalties: { blacklistedMethodology: 15 } });
+    const verification = scoring.score([
+        found('verra', 'Verra', { quality: 80, methodology: 'vm0007' }),
+        found('climateAction', 'Climate Action Reserve', { quality: 80, protocol: 'Forest Protocol' })
+    ], { now: NOW });
+
+    assert.equal(verification.qualityScore, 65);
+    assert.equal(check(verification, 'methodologyAllowed').passed, false);
+});
+
+test('consistency findings become penalties and flag sources', () => {
+    const findings = [
+        { type: 'vintage_mismatch', severity: 'warning', detail: 'Verra 2023, Gold Standard 2021' },
+        { type: 'double_counting', severity: 'critical', detail: 'VCS-1 also backs credit 7' }
+    ];
+    const verification = policy({ penalties: { vintageMismatch: 5 } }).score([
+        found('verra', 'Verra', { quality: 80 }),
+        found('goldStandard', 'Gold Standard', { quality: 80 })
+    ], { now: NOW, findings });
+
+    assert.equal(verification.qualityScore, 75);
+    assert.equal(verification.isValid, false);
+    assert.deepEqual(verification.sources, ['Verra', 'Gold Standard', 'flag:vintage_mismatch', 'flag:double_counting']);
+    assert.equal(check(verification, 'noDoubleCounting').passed, false);
+});
+
+/**
+ * A cached result served while its registry was down, fetched `hours` before NOW.
+ */
+function stale(registry, source, hours, fields = {}) {
+    const result = found(registry, source, fields);
+    const fetchedAt = new Date(NOW.getTime() - hours * 3600000).toISOString();
+    result.value = { ...result.value, stale: true, cache: { status: 'stale', fetchedAt, ageMs: hours * 3600000 } };
+    return result;
+}
+
+test('stale registry data is treated as unavailable unless the policy allows it', () => {
+    const results = [found('verra', 'Verra', { quality: 80 }), stale('goldStandard', 'Gold Standard', 5, { quality: 60 })];
+
+    const refused = policy().score(results, { now: NOW });
+    assert.deepEqual(refused.breakdown.unavailable, ['Gold Standard']);
+    assert.deepEqual(refused.breakdown.stale, []);
+    assert.deepEqual(refused.sources, ['Verra']);
+    // Single-registry penalty: only Verra counts
+    assert.equal(refused.qualityScore, 70);
+});
+
+test('allowed stale data is penalised, flagged and recorded', () => {
+    const scoring = policy({ staleData: { allowed: true, maxAgeHours: 24, penalty: 5 } });
+    const verification = scoring.score([
+        found('verra', 'Verra', { quality: 80 }),
+        stale('goldStandard', 'Gold Standard', 5, { quality: 60 })
+    ], { now: NOW });
+
+    assert.equal(verification.qualityScore, 65);
+    assert.deepEqual(verification.sources, ['Verra', 'Gold Standard', 'flag:stale_data']);
+    assert.deepEqual(verification.breakdown.stale, [
+        { registry: 'goldStandard', source: 'Gold Standard', fetchedAt: '2025-05-31T19:00:00.000Z', ageHours: 5 }
+    ]);
+    assert.equal(check(verification, 'staleData').passed, true);
+    assert.match(check(verification, 'staleData').detail, /Gold Standard from 2025-05-31T19:00:00.000Z \(5h old\)/);
+
+    // Older than maxAgeHours: unavailable again
+    const tooOld = scoring.score([found('verra', 'Verra'), stale('goldStandard', 'Gold Standard', 25)], { now: NOW });
+    assert.deepEqual(tooOld.breakdown.unavailable, ['Gold Standard']);
+    assert.equal(check(tooOld, 'staleData'), undefined);
+});
+
+test('the breakdown explains every step', () => {
+    const verification = policy().score([found('verra', 'Verra', { quality: 70 })], { now: NOW });
+
+    assert.deepEqual(formatBreakdown(verification.breakdown), [
+        'Policy test',
+        'Weighted average of 1 registry quality score(s): 70 (Verra 70×1)',
+        '-10 Only confirmed by Verra → 60',
+        'PASS notRetired: Not retired in any registry',
+        'PASS registryStatus: No registry reports cancelled or suspended',
+        'PASS methodologyAllowed: No blacklisted methodology',
+        'PASS noDoubleCounting: No other credit backed by the same project',
+        'PASS minScore: Score 60 >= minimum 40'
+    ]);
+});
+
+test('invalid policies list every problem', () => {
+    assert.throws(
+        () => new ScoringPolicy({
+            version: '',
+            registryWeights: { verra: -1 },
+            penalties: { retired: 'high' },
+            thresholds: { minScore: 120, rejectStatuses: 'suspended' },
+            staleData: { allowed: 'yes', maxAgeHours: -1 }
+        }),
+        error => {
+            for (const problem of ['version', 'registryWeights.verra', 'penalties.retired', 'thresholds.rejectStatuses', 'thresholds.minScore', 'staleData.allowed', 'staleData.maxAgeHours']) {
+                assert.match(error.message, new RegExp(problem.replace('.', '\\.')));
+            }
+            return true;
+        }
+    );
+});
+
+test('the bundled default policy loads', () => {
+    const scoring = ScoringPolicy.load();
+    assert.match(scoring.version, /^\d+\.\d+\.\d+$/);
+});
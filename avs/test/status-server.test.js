@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ethers } = require('ethers');
+const { tempDir } = require('./helpers');
+const { createStatusServer } = require('../status-server');
+const { createAvsMetrics } = require('../metrics');
+const { VerificationJobQueue, JOB_STATES } = require('../job-queue');
+
+const HOOK = '0x00000000000000000000000000000000000000c0';
+
+/**
+ * Just enough of a running AVS for the status server: a chain that answers
+ * with `chain` (code, balance, verification details), a real job queue
+ * and metrics.
+ */
+function createAvs(t, chain = {}) {
+    const jobs = new VerificationJobQueue({ file: path.join(tempDir(t), 'verification-jobs.json') });
+    const { code = '0x6080', balance = ethers.parseEther('1'), details = [true, 82n, ['Verra']] } = chain;
+    return {
+        mode: 'single',
+        jobs,
+        metrics: createAvsMetrics({ jobQueue: jobs, jobStates: JOB_STATES }),
+        supervisor: { redactedUrl: 'http://localhost:8545' },
+        provider: {
+            getBlockNumber: async () => 120,
+            getCode: async () => code,
+            getBalance: async () => balance
+        },
+        hookContract: {
+            target: HOOK,
+            avsVerified: async () => false,
+            getAVSVerificationDetails: async () => details
+        },
+        wallet: { address: '0x00000000000000000000000000000000000000aa' },
+        txManager: { outcomeFor: () => null }
+    };
+}
+
+async function listen(t, avs, health) {
+    const server = createStatusServer(avs, health);
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    return path => fetch(`http://localhost:${server.address().port}${path}`);
+}
+
+test('/healthz reports every check as healthy', async t => {
+    const get = await listen(t, createAvs(t));
+
+    const response = await get('/healthz');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.healthy, true);
+    assert.deepEqual(body.checks.map(check => [check.name, check.healthy]), [['rpc', true], ['contract', true], ['wallet', true]]);
+    assert.equal(body.checks[0].blockNumber, 120);
+});
+
+test('/healthz is degraded with 503 when a check fails or times out', async t => {
+    const avs = createAvs(t, { code: '0x', balance: ethers.parseEther('0.001') });
+    avs.provider.getBlockNumber = () => new Promise(() => {});
+    const get = await listen(t, avs, { timeoutMs: 50, minBalance: ethers.parseEther('0.01') });
+
+    const response = await get('/healthz');
+    const { healthy, checks } = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.equal(healthy, false);
+    assert.equal(checks[0].error, 'rpc timed out after 50ms');
+    assert.equal(checks[1].error, `No contract deployed at ${HOOK}`);
+    assert.equal(checks[2].healthy, false);
+    assert.equal(checks[2].minBalance, '0.01');
+});
+
+test('/metrics is served in the Prometheus text format', async t => {
+    const avs = createAvs(t);
+    avs.metrics.submissions.inc({ status: 'confirmed' });
+    avs.metrics.submissionGas.observe({}, 52000);
+    const get = await listen(t, avs);
+
+    const response = await get('/metrics');
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    assert.match(text, /^# HELP avs_jobs Verification jobs by status\n# TYPE avs_jobs gauge\n/);
+    assert.match(text, /^avs_jobs\{status="pending"\} 0$/m);
+    assert.match(text, /^avs_submissions_total\{status="confirmed"\} 1$/m);
+    assert.match(text, /^avs_submission_gas_used_bucket\{le="50000"\} 0$/m);
+    assert.match(text, /^avs_submission_gas_used_bucket\{le="\+Inf"\} 1$/m);
+    assert.match(text, /^avs_submission_gas_used_sum 52000$/m);
+    assert.ok(text.endsWith('\n'));
+});
+
+test('/jobs/:creditId returns the latest job with its on-chain state', async t => {
+    const avs = createAvs(t);
+    avs.jobs.enqueue({ creditId: 4n, requester: '0xbb', blockNumber: 10, logIndex: 0, transactionHash: '0x01' });
+    const latest = avs.jobs.enqueue({ creditId: 4n, requester: '0xbb', blockNumber: 11, logIndex: 0, transactionHash: '0x02' });
+    const get = await listen(t, avs);
+
+    const response = await get('/jobs/4');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.creditId, '4');
+    assert.equal(body.job.id, latest.id);
+    assert.deepEqual(body.onChain, { verified: true, qualityScore: 82, sources: ['Verra'] });
+});
+
+test('unknown credits, paths and methods are answered with errors', async t => {
+    const get = await listen(t, createAvs(t));
+
+    const unknownCredit = await get('/jobs/9');
+    assert.equal(unknownCredit.status, 404);
+    assert.deepEqual(await unknownCredit.json(), { error: 'No verification recorded for credit 9' });
+
+    const unknownPath = await get('/jobs/abc');
+    assert.equal(unknownPath.status, 404);
+    assert.deepEqual(await unknownPath.json(), { error: 'Not found' });
+
+    const post = await fetch(unknownCredit.url, { method: 'POST' });
+    assert.equal(post.status, 405);
+});
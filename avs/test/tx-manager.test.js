@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { TransactionManager } = require('../tx-manager');
+
+const GWEI = 1000000000n;
+
+function chainError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Wallet and provider stand-ins. `sendResults` are consumed one per send:
+ * an Error is thrown, anything else is mined unless listed in `unmined`.
+ * Sent transactions are recorded.
+ */
+function createChain({ sendResults = [], pendingNonces = [5], unmined = [], feeData = {} } = {}) {
+    const sent = [];
+    const mined = new Map();
+    const nonceReads = [];
+
+    const provider = {
+        getFeeData: async () => ({ maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 1n * GWEI, gasPrice: null, ...feeData }),
+        getTransactionCount: async (address, blockTag) => {
+            nonceReads.push(blockTag);
+            return pendingNonces[Math.min(nonceReads.length, pendingNonces.length) - 1];
+        },
+        getTransactionReceipt: async hash => mined.get(hash) || null
+    };
+
+    const wallet = {
+        address: '0x00000000000000000000000000000000000000aa',
+        provider,
+        estimateGas: async () => 100000n,
+        sendTransaction: async tx => {
+            const result = sendResults[sent.length];
+            const hash = `0x${(sent.length + 1).toString(16).padStart(64, '0')}`;
+            sent.push(tx);
+            if (result instanceof Error) {
+                throw result;
+            }
+            if (!unmined.includes(sent.length)) {
+                mined.set(hash, {
+                    hash,
+                    status: 1,
+                    blockNumber: 12,
+                    gasUsed: 52000n,
+                    gasPrice: tx.maxFeePerGas || tx.gasPrice,
+                    confirmations: async () => 1
+                });
+            }
+            return { hash };
+        }
+    };
+
+    return { wallet, provider, sent, nonceReads };
+}
+
+const contract = {
+    submitAVSVerification: {
+        populateTransaction: async (...args) => ({ to: '0x00000000000000000000000000000000000000c0', data: '0x', args })
+    }
+};
+
+function manager(t, wallet, options = {}) {
+    return new TransactionManager({
+        wallet,
+        gasHeadroomPercent: 20,
+        bumpPercent: 15,
+        maxFeePerGasCap: null,
+        stuckTimeoutMs: 20,
+        file: path.join(tempDir(t), 'submissions.json'),
+        ...options
+    });
+}
+
+function submit(txManager, creditId = '4') {
+    return txManager.send({ creditId, contract, method: 'submitAVSVerification', args: [creditId, true, 80, ['Verra']] });
+}
+
+test('gas is estimated with headroom and the nonce is tracked locally', async t => {
+    const { wallet, sent, nonceReads } = createChain();
+    const txManager = manager(t, wallet);
+
+    const first = await submit(txManager, '4');
+    const second = await submit(txManager, '5');
+
+    assert.equal(first.status, 'confirmed');
+    assert.equal(second.status, 'confirmed');
+    assert.deepEqual(sent.map(tx => tx.nonce), [5, 6]);
+    assert.equal(sent[0].gasLimit, 120000n);
+    assert.deepEqual(nonceReads, ['pending']);
+    assert.equal(txManager.outcomeFor('4').hash, first.hash);
+});
+
+test('a rejected nonce is resynced from the node and the transaction resent', async t => {
+    const { wallet, sent, nonceReads } = createChain({
+        sendResults: [chainError('NONCE_EXPIRED', 'nonce too low')],
+        pendingNonces: [5, 7]
+    });
+    const txManager = manager(t, wallet);
+
+    const outcome = await submit(txManager);
+
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.nonce, 7);
+    assert.deepEqual(sent.map(tx => tx.nonce), [5, 7]);
+    assert.equal(nonceReads.length, 2);
+    assert.equal(txManager.nonce, 8);
+});
+
+test('an underpriced transaction is resent with bumped fees at the same nonce', async t => {
+    const { wallet, sent } = createChain({
+        sendResults: [chainError('REPLACEMENT_UNDERPRICED', 'replacement transaction underpriced')]
+    });
+    const txManager = manager(t, wallet);
+
+    const outcome = await submit(txManager);
+
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.attempts, 2);
+    assert.deepEqual(sent.map(tx => tx.nonce), [5, 5]);
+    assert.equal(sent[1].maxFeePerGas, 23n * GWEI);
+    assert.equal(sent[1].maxPriorityFeePerGas, 1150000000n);
+});
+
+test('a stuck transaction is replaced with bumped fees until one is mined', async t => {
+    const { wallet, sent } = createChain({ unmined: [1] });
+    const hashes = [];
+    const txManager = manager(t, wallet);
+
+    const outcome = await txManager.send({
+        creditId: '4',
+        contract,
+        method: 'submitAVSVerification',
+        args: ['4', true, 80, ['Verra']],
+        onSent: hash => hashes.push(hash)
+    });
+
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.hash, hashes[1]);
+    assert.deepEqual(outcome.hashes, hashes);
+    assert.deepEqual(sent.map(tx => tx.nonce), [5, 5]);
+    assert.ok(sent[1].maxFeePerGas > sent[0].maxFeePerGas);
+});
+
+test('fee bumps stop at the configured cap', async t => {
+    const { wallet, sent } = createChain({ unmined: [1, 2, 3, 4] });
+    const txManager = manager(t, wallet, { maxFeePerGasCap: 22n * GWEI, maxBumps: 2 });
+
+    const outcome = await submit(txManager);
+
+    assert.equal(outcome.status, 'failed');
+    assert.match(outcome.error, /still unmined after 2 fee bump/);
+    assert.deepEqual(sent.map(tx => tx.maxFeePerGas), [20n * GWEI, 22n * GWEI, 22n * GWEI]);
+    assert.equal(txManager.nonce, null);
+});
+
+test('a transaction known to revert is never sent', async t => {
+    const { wallet, sent } = createChain();
+    wallet.estimateGas = async () => {
+        throw chainError('CALL_EXCEPTION', 'execution reverted: Credit does not exist');
+    };
+    const txManager = manager(t, wallet);
+
+    const outcome = await submit(txManager);
+
+    assert.equal(outcome.status, 'failed');
+    assert.equal(sent.length, 0);
+    assert.equal(txManager.outcomeFor('4').status, 'failed');
+});
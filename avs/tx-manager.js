@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+/**
+ * Transaction manager for AVS submissions
+ *
+ * Sends are serialized through a single queue with a locally tracked
+ * nonce, so concurrent verifications can't race each other. Gas is
+ * estimated with headroom, EIP-1559 fees are bumped when a transaction
+ * sits unmined past the stuck timeout (replacing it at the same nonce),
+ * and replacement/underpriced/nonce errors are retried. The final outcome
+ * of every submission is recorded per credit.
+ */
+class TransactionManager {
+    constructor({
+        wallet,
+        gasHeadroomPercent = 20,
+        fallbackGasLimit = 300000n,
+        bumpPercent = 15,
+        maxFeePerGasCap = null,
+        stuckTimeoutMs = 45000,
+        maxBumps = 3,
+        maxRetries = 3,
+        confirmations = 1,
+        file = path.join(process.env.AVS_DATA_DIR || DEFAULT_DATA_DIR, 'submissions.json')
+    }) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.gasHeadroomPercent = BigInt(gasHeadroomPercent);
+        this.fallbackGasLimit = BigInt(fallbackGasLimit);
+        // Nodes reject replacements that raise fees by less than ~10%
+        this.bumpPercent = BigInt(Math.max(10, bumpPercent));
+        this.maxFeePerGasCap = maxFeePerGasCap;
+        this.stuckTimeoutMs = stuckTimeoutMs;
+        this.maxBumps = maxBumps;
+        this.maxRetries = maxRetries;
+        this.confirmations = confirmations;
+        this.file = path.resolve(file);
+
+        this.nonce = null;
+        this.queue = Promise.resolve();
+        this.outcomes = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : {};
+    }
+
+    /**
+     * Switch to a wallet bound to a new provider after an RPC reconnect.
+     * The nonce is re-read from the new node.
+     */
+    useWallet(wallet) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.nonce = null;
+    }
+
+    /**
+     * Send contract[method](...args) and wait for it to be mined.
+     * Resolves to the outcome record; never rejects for chain errors.
+     * `creditId` is an array for batch submissions.
+     */
+    send({ creditId, contract, method, args, onSent }) {
+        const task = () => this.sendNow({ creditId, contract, method, args, onSent });
+        const result = this.queue.then(task, task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async sendNow({ creditId, contract, method, args, onSent }) {
+        const outcome = { status: 'pending', method, hashes: [], attempts: 0 };
+
+        try {
+            const request = await contract[method].populateTransaction(...args);
+            request.gasLimit = await this.estimateGas(request);
+            let fees = await this.initialFees();
+            let nonce = await this.nextNonce();
+            let bumps = 0;
+
+            for (;;) {
+                outcome.attempts++;
+                let tx;
+
+                try {
+                    tx = await this.wallet.sendTransaction({ ...request, ...fees, nonce });
+                } catch (error) {
+                    const kind = TransactionManager.classify(error);
+
+                    if (kind === 'nonce' && outcome.hashes.length > 0) {
+                        // Our nonce was consumed, most likely by an earlier attempt
+                        const receipt = await this.findReceipt(outcome.hashes);
+                        if (receipt) {
+                            return this.finish(creditId, outcome, receipt, nonce);
+                        }
+                    }
+
+                    if (outcome.attempts > this.maxRetries + this.maxBumps) {
+                        throw error;
+                    }
+
+                    if (kind === 'nonce') {
+                        logger.warn('Nonce rejected, resyncing', { nonce, error });
+                        this.nonce = null;
+                        nonce = await this.nextNonce();
+                        continue;
+                    }
+                    if (kind === 'underpriced') {
+                        fees = this.bumpFees(await this.initialFees(), fees);
+                        logger.warn('Transaction underpriced, retrying with higher fees', { maxFeePerGas: fees.maxFeePerGas || fees.gasPrice });
+                        continue;
+                    }
+                    throw error;
+                }
+
+                outcome.hashes.push(tx.hash);
+                if (onSent) {
+                    onSent(tx.hash);
+                }
+
+                const receipt = await this.waitForAny(outcome.hashes);
+                if (receipt) {
+                    return this.finish(creditId, outcome, receipt, nonce);
+                }
+
+                if (bumps >= this.maxBumps) {
+                    throw new Error(`Transaction still unmined after ${bumps} fee bump(s): ${outcome.hashes.join(', ')}`);
+                }
+
+                bumps++;
+                fees = this.bumpFees(await this.initialFees(), fees);
+                logger.warn('Transaction stuck, replacing with bumped fees', {
+                    hash: tx.hash,
+                    nonce,
+                    bump: bumps,
+                    maxBumps: this.maxBumps,
+                    maxFeePerGas: fees.maxFeePerGas || fees.gasPrice
+                });
+            }
+        } catch (error) {
+            // Leave nonce tracking to the node after an unexpected failure
+            this.nonce = null;
+            outcome.status = 'failed';
+            outcome.error = error.shortMessage || error.message;
+            this.record(creditId, outcome);
+            return outcome;
+        }
+    }
+
+    async estimateGas(request) {
+        try {
+            const estimate = await this.wallet.estimateGas(request);
+            return estimate * (100n + this.gasHeadroomPercent) / 100n;
+        } catch (error) {
+            if (TransactionManager.classify(error) === 'revert') {
+                // Don't pay for a transaction that is known to revert
+                throw error;
+            }
+            logger.warn('Gas estimation failed, using fallback gas limit', { gasLimit: this.fallbackGasLimit, error });
+            return this.fallbackGasLimit;
+        }
+    }
+
+    async initialFees() {
+        const feeData = await this.provider.getFeeData();
+
+        if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+            return this.capFees({
+                maxFeePerGas: feeData.maxFeePerGas,
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+            });
+        }
+        return this.capFees({ gasPrice: feeData.gasPrice });
+    }
+
+    /**
+     * Raise fees by bumpPercent over the previous attempt, or to current
+     * network fees if those are higher.
+     */
+    bumpFees(current, previous) {
+        // Round up so small priority fees still increase
+        const bump = value => (value * (100n + this.bumpPercent) + 99n) / 100n;
+        const max = (a, b) => (a > b ? a : b);
+
+        if (previous.gasPrice !== undefined) {
+            return this.capFees({ gasPrice: max(current.gasPrice || 0n, bump(previous.gasPrice)) });
+        }
+        return this.capFees({
+            maxFeePerGas: max(current.maxFeePerGas, bump(previous.maxFeePerGas)),
+            maxPriorityFeePerGas: max(current.maxPriorityFeePerGas, bump(previous.maxPriorityFeePerGas))
+        });
+    }
+
+    capFees(fees) {
+        if (!this.maxFeePerGasCap) {
+            return fees;
+        }
+        if (fees.gasPrice !== undefined) {
+            return { gasPrice: fees.gasPrice > this.maxFeePerGasCap ? this.maxFeePerGasCap : fees.gasPrice };
+        }
+        const maxFeePerGas = fees.maxFeePerGas > this.maxFeePerGasCap ? this.maxFeePerGasCap : fees.maxFeePerGas;
+        return {
+            maxFeePerGas,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : fees.maxPriorityFeePerGas
+        };
+    }
+
+    async nextNonce() {
+        if (this.nonce === null) {
+            this.nonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+        }
+        return this.nonce;
+    }
+
+    async waitForAny(hashes) {
+        const deadline = Date.now() + this.stuckTimeoutMs;
+
+        while (Date.now() < deadline) {
+            const receipt = await this.findReceipt(hashes);
+            if (receipt) {
+                return receipt;
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, this.stuckTimeoutMs)));
+        }
+        return this.findReceipt(hashes);
+    }
+
+    async findReceipt(hashes) {
+        for (const hash of hashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt && (await receipt.confirmations()) >= this.confirmations) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    finish(creditId, outcome, receipt, nonce) {
+        this.nonce = nonce + 1;
+
+        Object.assign(outcome, {
+            status: receipt.status === 1 ? 'confirmed' : 'reverted',
+            hash: receipt.hash,
+            nonce,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: (receipt.gasPrice || 0n).toString()
+        });
+        if (outcome.status === 'reverted') {
+            outcome.error = 'Transaction reverted';
+        }
+
+        this.record(creditId, outcome);
+        return outcome;
+    }
+
+    record(creditId, outcome) {
+        if (creditId === undefined || creditId === null) {
+            return;
+        }
+        // Batch submissions record the shared outcome under every credit
+        const updatedAt = new Date().toISOString();
+        for (const id of [].concat(creditId)) {
+            this.outcomes[id.toString()] = { ...outcome, updatedAt };
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.outcomes, null, 2));
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    outcomeFor(creditId) {
+        return this.outcomes[creditId.toString()] || null;
+    }
+
+    static classify(error) {
+        const message = `${error.code || ''} ${error.shortMessage || ''} ${error.message || ''}`.toLowerCase();
+
+        if (error.code === 'CALL_EXCEPTION' || message.includes('execution reverted')) {
+            return 'revert';
+        }
+        if (error.code === 'NONCE_EXPIRED' || message.includes('nonce too low') || message.includes('nonce has already been used')) {
+            return 'nonce';
+        }
+        if (error.code === 'REPLACEMENT_UNDERPRICED' || message.includes('underpriced') ||
+            message.includes('fee too low') || message.includes('less than block base fee')) {
+            return 'underpriced';
+        }
+        return 'other';
+    }
+}
+
+module.exports = { TransactionManager };
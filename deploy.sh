@@ -12,6 +12,9 @@ fi
 
 echo "✅ Anvil is running"
 
+# Block the deployment starts at; the frontend scans events from here
+START_BLOCK=$(cast block-number --rpc-url http://localhost:8545)
+
 # Deploy contracts and capture the full output
 echo "📦 Deploying contracts..."
 DEPLOY_OUTPUT=$(forge script script/DeployReal.s.sol:DeployReal \
@@ -27,8 +30,13 @@ if echo "$DEPLOY_OUTPUT" | grep -q "DEPLOYMENT SUCCESS"; then
     echo ""
     echo "✅ Deployment successful!"
     
+    # Value of a KEY= line printed by the deploy script
+    deployed_value() {
+        echo "$DEPLOY_OUTPUT" | grep "$1=" | tail -1 | cut -d'=' -f2 | tr -d ' '
+    }
+
     # Extract the hook address from the specific line
-    HOOK_ADDRESS=$(echo "$DEPLOY_OUTPUT" | grep "HOOK_CONTRACT_ADDRESS=" | cut -d'=' -f2)
+    HOOK_ADDRESS=$(deployed_value HOOK_CONTRACT_ADDRESS)
     
     if [ -n "$HOOK_ADDRESS" ]; then
         echo "📋 Found Hook Address: $HOOK_ADDRESS"
@@ -36,6 +44,7 @@ if echo "$DEPLOY_OUTPUT" | grep -q "DEPLOYMENT SUCCESS"; then
         # Update AVS .env file automatically
         echo "🔧 Updating AVS .env file..."
         cat > avs/.env << EOF
+AVS_ENVIRONMENT=local
 HOOK_CONTRACT_ADDRESS=$HOOK_ADDRESS
 RPC_URL=http://localhost:8545
 PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
@@ -45,6 +54,33 @@ CLIMATE_ACTION_API_KEY=demo_key
 EOF
         
         echo "✅ AVS .env updated with: $HOOK_ADDRESS"
+
+        # Deployment manifest the frontend loads for this chain
+        CHAIN_ID=$(cast chain-id --rpc-url http://localhost:8545)
+        MANIFEST=frontend/public/deployments/$CHAIN_ID.json
+        echo "🔧 Writing frontend deployment manifest $MANIFEST..."
+        mkdir -p frontend/public/deployments
+        cat > "$MANIFEST" << EOF
+{
+  "chainId": $CHAIN_ID,
+  "name": "${CHAIN_NAME:-Anvil (local)}",
+  "rpcUrl": "http://localhost:8545",
+  "hook": "$HOOK_ADDRESS",
+  "token": "$(deployed_value CARBON_TOKEN_ADDRESS)",
+  "poolManager": "$(deployed_value POOL_MANAGER_ADDRESS)",
+  "swapRouter": "$(deployed_value SWAP_ROUTER_ADDRESS)",
+  "poolKey": {
+    "currency0": "$(deployed_value POOL_CURRENCY0)",
+    "currency1": "$(deployed_value POOL_CURRENCY1)",
+    "fee": $(deployed_value POOL_FEE),
+    "tickSpacing": $(deployed_value POOL_TICK_SPACING),
+    "hooks": "$HOOK_ADDRESS"
+  },
+  "startBlock": $START_BLOCK,
+  "deployedAt": "$(date -u +%Y-%m-%dT%H:%M:%SZ)"
+}
+EOF
+        echo "✅ Frontend manifest written for chain $CHAIN_ID"
         
         # Test the contract connection
         echo ""
@@ -61,7 +97,7 @@ EOF
         echo ""
         echo "Next steps:"
         echo "1. Terminal 2: cd avs && node carbon-verifier.js"
-        echo "2. Terminal 3: cd frontend && python3 -m http.server 3000"
+        echo "2. Terminal 3: cd frontend && npm start"
         
     else
         echo "❌ Could not extract hook address from deployment output"
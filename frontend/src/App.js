@@ -1,9 +1,58 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
+import {
+  connectInjectedWallet,
+  connectDevWallet,
+  getInjectedProvider,
+  switchNetwork,
+  watchWallet,
+  shortAddress,
+  DEV_WALLET_ENABLED,
+  LOCAL_RPC_URL
+} from './wallet';
+import { loadDeployment, DEFAULT_CHAIN_ID, MissingDeploymentError } from './deployments';
+import {
+  discoverCredits,
+  loadCreditState,
+  projectTypes,
+  selectCredits,
+  DEFAULT_CREDIT_VIEW,
+  CREDIT_SORT_KEYS
+} from './credits';
+import { parseRetirement } from './retirements';
+import { findEvent } from './events';
+import {
+  planSwap,
+  quoteSwap,
+  minimumOutput,
+  withMinimumOutput,
+  quoteShortfall,
+  parseSwap,
+  readSqrtPrice,
+  spotPrice,
+  currencySymbol,
+  formatFee,
+  SWAP_ROUTER_ABI,
+  POOL_MANAGER_ABI,
+  ERC20_ABI
+} from './swap';
 
-const CONTRACT_ADDRESSES = {
-  HOOK: '0x2f11783E75f5D0BF0dB3DD6A5Ca05ed375aE80c0',
-  TOKEN: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+const EMPTY_STATS = { purchased: '0', retired: '0', isCorporate: false, hasPrivacy: false, carbonBalance: '0' };
+
+// Credits listed per page in the trading and verification tabs
+const CREDIT_PAGE_SIZE = 10;
+
+// Highest slippage tolerance (%) the trade form accepts
+const MAX_SLIPPAGE = 50;
+
+const downloadJson = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 };
 
 const HOOK_ABI = [
@@ -12,12 +61,19 @@ const HOOK_ABI = [
   'function createEncryptedInput(uint64) external pure returns (tuple(bytes data, int32 securityZone))',
   'function buyCreditsPrivately(tuple(bytes data, int32 securityZone), uint256) external returns (uint256)',
   'function addCorporateBuyer(address) external',
-  'function submitAVSVerification(uint256, bool, uint256, string[]) external',
+  'function requestAVSVerification(uint256 creditId) external',
+  'event AVSVerificationRequested(uint256 indexed creditId, address requester)',
+  'event DynamicFeeApplied(uint256 creditId, uint24 fee, string reason)',
 ];
 
 const TOKEN_ABI = [
   'function credits(uint256) external view returns (uint256, string memory, uint256, bool)',
   'function balanceOf(address) external view returns (uint256)',
+  'function retireCreditFor(uint256 creditId, uint256 amount, string beneficiary) external',
+  'event CreditCreated(uint256 indexed creditId, uint256 vintage, string projectType, uint256 quality)',
+  'event CreditRetired(uint256 indexed creditId, address indexed retiredBy)',
+  'event CreditRetiredFor(uint256 indexed creditId, address indexed retiredBy, uint256 amount, string beneficiary)',
+  'event Transfer(address indexed from, address indexed to, uint256 amount)',
 ];
 
 function App() {
@@ -25,42 +81,101 @@ function App() {
   const [tokenContract, setTokenContract] = useState(null);
   const [userAddress, setUserAddress] = useState('');
   const [isConnected, setIsConnected] = useState(false);
+  const [walletKind, setWalletKind] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  // Contract addresses and pool key for the connected chain (see deployments.js)
+  const [deployment, setDeployment] = useState(null);
+  const [deploymentError, setDeploymentError] = useState('');
+  // Account and chain whose data is on screen; results for others are dropped
+  const activeAccount = useRef('');
+  const activeChain = useRef(null);
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('dashboard');
   
-  const [stats, setStats] = useState({ purchased: '0', retired: '0', isCorporate: false, hasPrivacy: false });
+  const [stats, setStats] = useState(EMPTY_STATS);
   const [credits, setCredits] = useState([]);
+  const [creditsLoading, setCreditsLoading] = useState(false);
+  // Filters and sort order shared by the trading and verification tabs
+  const [creditView, setCreditView] = useState(DEFAULT_CREDIT_VIEW);
+  const [creditsShown, setCreditsShown] = useState(CREDIT_PAGE_SIZE);
   const [privacyMode, setPrivacyMode] = useState(false);
   const [status, setStatus] = useState({ type: '', message: '' });
   const [events, setEvents] = useState([]);
   const [feeData, setFeeData] = useState({ creditId: 1, baseFee: 3000, dynamicFee: 2500, reason: 'Loading...' });
 
   const [purchaseAmount, setPurchaseAmount] = useState('0.1');
-  const [selectedCredit, setSelectedCredit] = useState('1');
+  const [selectedCredit, setSelectedCredit] = useState('');
+  // Router and PoolManager for swaps, null when the deployment has no router
+  const [swapContracts, setSwapContracts] = useState(null);
+  const [swapSide, setSwapSide] = useState('buy');
+  const [slippage, setSlippage] = useState('1');
+  // { plan, amountIn, amountOut }, { plan, needsApproval } or { error }
+  const [swapQuote, setSwapQuote] = useState(null);
+  const [lastSwap, setLastSwap] = useState(null);
+  const quoteRequest = useRef(0);
   const [retireAmount, setRetireAmount] = useState('0.05');
+  const [retireCreditId, setRetireCreditId] = useState('');
+  const [beneficiary, setBeneficiary] = useState('');
+  // Retirements confirmed in this session, newest first
+  const [retirements, setRetirements] = useState([]);
+  // Handlers of the latest render, for effects that must not rerun when they change
+  const handlers = useRef({});
 
   useEffect(() => {
-    connectWallet();
+    handlers.current = { applyWallet, refreshWallet, disconnectWallet, showStatus, calculateFee, refreshQuote };
+  });
+
+  useEffect(() => {
+    // Reconnect without a prompt if the wallet already authorized this site
+    connectInjectedWallet({ prompt: false })
+      .then(wallet => wallet && handlers.current.applyWallet(wallet))
+      .catch(() => {});
   }, []);
 
-  const connectWallet = async () => {
+  useEffect(() => {
+    if (walletKind !== 'injected') return undefined;
+    return watchWallet({
+      onAccountsChanged: (accounts) => {
+        if (accounts.length === 0) {
+          handlers.current.disconnectWallet();
+          handlers.current.showStatus('info', 'Wallet disconnected');
+          return;
+        }
+        handlers.current.refreshWallet();
+      },
+      onChainChanged: () => handlers.current.refreshWallet()
+    });
+  }, [walletKind]);
+
+  const shownCredits = selectCredits(credits, creditView);
+
+  // Keep the trade form on a credit the current filters show
+  useEffect(() => {
+    const shown = selectCredits(credits, creditView);
+    setSelectedCredit(selected => (
+      shown.length > 0 && !shown.some(credit => String(credit.id) === selected) ? String(shown[0].id) : selected
+    ));
+  }, [credits, creditView]);
+
+  useEffect(() => {
+    if (selectedCredit) handlers.current.calculateFee(selectedCredit);
+  }, [selectedCredit, hookContract, tokenContract]);
+
+  // Quote again once the trade form has settled
+  useEffect(() => {
+    if (privacyMode || !swapContracts) return undefined;
+    const timer = setTimeout(() => handlers.current.refreshQuote(), 400);
+    return () => clearTimeout(timer);
+  }, [purchaseAmount, swapSide, slippage, selectedCredit, swapContracts, privacyMode]);
+
+  const connectWallet = async (kind = 'injected') => {
     try {
       setLoading(true);
-      showStatus('info', 'Connecting to Anvil...');
-
-      const provider = new ethers.providers.JsonRpcProvider('http://localhost:8545');
-      const signer = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80', provider);
-      
-      setUserAddress(signer.address);
-      setHookContract(new ethers.Contract(CONTRACT_ADDRESSES.HOOK, HOOK_ABI, signer));
-      setTokenContract(new ethers.Contract(CONTRACT_ADDRESSES.TOKEN, TOKEN_ABI, signer));
-      setIsConnected(true);
+      showStatus('info', kind === 'dev' ? `Connecting to Anvil at ${LOCAL_RPC_URL}...` : 'Waiting for wallet approval...');
 
-      showStatus('success', `Connected! ${signer.address.slice(0, 6)}...${signer.address.slice(-4)}`);
-      
-      await loadData(new ethers.Contract(CONTRACT_ADDRESSES.HOOK, HOOK_ABI, signer), 
-                     new ethers.Contract(CONTRACT_ADDRESSES.TOKEN, TOKEN_ABI, signer), 
-                     signer.address);
+      const wallet = kind === 'dev' ? await connectDevWallet() : await connectInjectedWallet();
+      if (!wallet) throw new Error('No account was authorized');
+      await applyWallet(wallet);
     } catch (error) {
       showStatus('error', `Connection failed: ${error.message}`);
     } finally {
@@ -68,41 +183,138 @@ function App() {
     }
   };
 
-  const loadData = async (hook, token, address) => {
+  // Re-read the injected wallet after the user switched account or chain
+  const refreshWallet = async () => {
     try {
-      // Load stats
-      const corporateStats = await hook.getCorporateStats(address);
-      setStats({
-        purchased: ethers.utils.formatEther(corporateStats[0]),
-        retired: ethers.utils.formatEther(corporateStats[1]),
-        isCorporate: corporateStats[2],
-        hasPrivacy: corporateStats[3]
-      });
-
-      // Load credits
-      const creditsData = [];
-      for (let i = 1; i <= 3; i++) {
-        const credit = await token.credits(i);
-        const avsDetails = await hook.getAVSVerificationDetails(i);
-        creditsData.push({
-          id: i,
-          vintage: credit[0].toString(),
-          projectType: credit[1],
-          quality: credit[2].toString(),
-          isRetired: credit[3],
-          verified: avsDetails[0],
-          score: avsDetails[1].toString()
-        });
+      const wallet = await connectInjectedWallet({ prompt: false });
+      if (wallet) {
+        await applyWallet(wallet);
+      } else {
+        disconnectWallet();
       }
-      setCredits(creditsData);
+    } catch (error) {
+      showStatus('error', `Wallet update failed: ${error.message}`);
+    }
+  };
 
-      // Calculate initial fee
-      await calculateFee(1, hook, token);
+  const applyWallet = async (wallet) => {
+    activeAccount.current = wallet.address;
+    activeChain.current = wallet.chainId;
+    setWalletKind(wallet.kind);
+    setChainId(wallet.chainId);
+    setUserAddress(wallet.address);
+    setIsConnected(true);
+    // Nothing from the previous account or chain carries over
+    setStats(EMPTY_STATS);
+    setEvents([]);
+    setCredits([]);
+    setRetirements([]);
+    setRetireCreditId('');
+    setSwapContracts(null);
+    setSwapQuote(null);
+    setLastSwap(null);
+    setHookContract(null);
+    setTokenContract(null);
+    setDeployment(null);
+    setDeploymentError('');
+
+    let manifest;
+    try {
+      manifest = await loadDeployment(wallet.chainId);
+    } catch (error) {
+      if (activeChain.current !== wallet.chainId) return;
+      setDeploymentError(error.message);
+      showStatus('error', error instanceof MissingDeploymentError ? `Wrong network: ${error.message}` : error.message);
+      return;
+    }
+    // The wallet may have switched again while the manifest was loading
+    if (activeChain.current !== wallet.chainId || activeAccount.current !== wallet.address) return;
+
+    const hook = new ethers.Contract(manifest.hook, HOOK_ABI, wallet.signer);
+    const token = new ethers.Contract(manifest.token, TOKEN_ABI, wallet.signer);
+    setDeployment(manifest);
+    setHookContract(hook);
+    setTokenContract(token);
+    setSwapContracts(manifest.swapRouter ? {
+      router: new ethers.Contract(manifest.swapRouter, SWAP_ROUTER_ABI, wallet.signer),
+      poolManager: new ethers.Contract(manifest.poolManager, POOL_MANAGER_ABI, wallet.signer)
+    } : null);
+    showStatus('success', `Connected! ${shortAddress(wallet.address)}${wallet.kind === 'dev' ? ' (Anvil dev account)' : ''}`);
+
+    await loadData(hook, token, wallet.address, manifest);
+  };
+
+  // Wallets can't be disconnected by the page; this only forgets the session
+  const disconnectWallet = () => {
+    activeAccount.current = '';
+    activeChain.current = null;
+    setWalletKind(null);
+    setChainId(null);
+    setDeployment(null);
+    setDeploymentError('');
+    setUserAddress('');
+    setIsConnected(false);
+    setHookContract(null);
+    setTokenContract(null);
+    setStats(EMPTY_STATS);
+    setEvents([]);
+    setCredits([]);
+    setRetirements([]);
+    setSwapContracts(null);
+    setSwapQuote(null);
+    setLastSwap(null);
+  };
+
+  const switchToDefaultNetwork = async () => {
+    try {
+      // Name and RPC let the wallet add the chain if it doesn't know it yet
+      const target = await loadDeployment(DEFAULT_CHAIN_ID).catch(() => ({ chainId: DEFAULT_CHAIN_ID }));
+      showStatus('info', `Switching to ${target.name || `chain ${DEFAULT_CHAIN_ID}`}...`);
+      // The chainChanged listener reconnects once the wallet has switched
+      await switchNetwork(target);
+    } catch (error) {
+      showStatus('error', `Network switch failed: ${error.message}`);
+    }
+  };
+
+  const loadStats = async (hook, token, address) => {
+    const [corporateStats, carbonBalance] = await Promise.all([
+      hook.getCorporateStats(address),
+      token.balanceOf(address)
+    ]);
+    // The user may have switched accounts while the call was in flight
+    if (activeAccount.current !== address) return;
+    setStats({
+      purchased: ethers.utils.formatEther(corporateStats[0]),
+      retired: ethers.utils.formatEther(corporateStats[1]),
+      isCorporate: corporateStats[2],
+      hasPrivacy: corporateStats[3],
+      carbonBalance: ethers.utils.formatEther(carbonBalance)
+    });
+  };
+
+  const loadData = async (hook, token, address, manifest = deployment) => {
+    try {
+      await loadStats(hook, token, address);
+
+      // Every credit ever created, found through CreditCreated events
+      setCreditsLoading(true);
+      const discovered = await discoverCredits(token, manifest);
+      const creditsData = await loadCreditState(discovered, token, hook);
+      if (activeChain.current !== manifest.chainId) return;
+      setCredits(creditsData);
     } catch (error) {
       console.error('Failed to load data:', error);
+    } finally {
+      setCreditsLoading(false);
     }
   };
 
+  const updateCreditView = (changes) => {
+    setCreditView(view => ({ ...view, ...changes }));
+    setCreditsShown(CREDIT_PAGE_SIZE);
+  };
+
   const calculateFee = async (creditId, hook = hookContract, token = tokenContract) => {
     try {
       if (!hook || !token) return;
@@ -143,19 +355,17 @@ function App() {
   const requestAVSVerification = async (creditId) => {
     setLoading(true);
     try {
-      showStatus('info', `Requesting AVS verification for Credit ${creditId}...`);
-      
-      const sources = ['Verra', 'Gold Standard', 'Climate Action Reserve'];
-      const qualityScore = 60 + Math.floor(Math.random() * 30);
-      
-      const tx = await hookContract.submitAVSVerification(creditId, true, qualityScore, sources, { gasLimit: 300000 });
-      await tx.wait();
-      
-      addEvent('AVS Verification', `Credit ${creditId} re-verified with new score: ${qualityScore}`, tx.hash);
-      showStatus('success', `AVS verification completed! New score: ${qualityScore}`);
-      
-      await loadData(hookContract, tokenContract, userAddress);
-      await calculateFee(creditId);
+      showStatus('info', `Requesting AVS verification for Credit ${creditId}. Confirm in your wallet...`);
+      const tx = await hookContract.requestAVSVerification(creditId);
+      const receipt = await tx.wait();
+
+      // The hook only emits the request once per credit; later ones are left to the operators' re-verification schedule
+      if (findEvent(receipt, hookContract, 'AVSVerificationRequested')) {
+        addEvent('AVS Verification', `Requested AVS verification of Credit ${creditId}`, receipt.transactionHash);
+        showStatus('success', `Verification of Credit ${creditId} requested. The score updates once the AVS operators submit their verdict.`);
+      } else {
+        showStatus('info', `Credit ${creditId} already has a verification request. The AVS operators re-verify it on their schedule.`);
+      }
     } catch (error) {
       showStatus('error', `AVS verification failed: ${error.message}`);
     } finally {
@@ -163,7 +373,8 @@ function App() {
     }
   };
 
-  const buyCredits = async () => {
+  // Fhenix private purchase; public trades are pool swaps (executeSwap)
+  const buyPrivately = async () => {
     if (!purchaseAmount || parseFloat(purchaseAmount) <= 0) {
       showStatus('error', 'Enter valid amount');
       return;
@@ -171,48 +382,180 @@ function App() {
 
     setLoading(true);
     try {
-      let tx;
+      showStatus('info', 'Creating encrypted purchase (Fhenix FHE)...');
+      const encryptedInput = await hookContract.createEncryptedInput(ethers.utils.parseEther(purchaseAmount));
+      const tx = await hookContract.buyCreditsPrivately(encryptedInput, selectedCredit, {
+        value: ethers.utils.parseEther(purchaseAmount),
+        gasLimit: 500000
+      });
+      const receipt = await tx.wait();
       
-      if (privacyMode) {
-        showStatus('info', 'Creating encrypted purchase (Fhenix FHE)...');
-        const encryptedInput = await hookContract.createEncryptedInput(ethers.utils.parseEther(purchaseAmount));
-        tx = await hookContract.buyCreditsPrivately(encryptedInput, selectedCredit, {
-          value: ethers.utils.parseEther(purchaseAmount),
-          gasLimit: 500000
-        });
-      } else {
-        showStatus('info', 'Processing public purchase...');
-        tx = await hookContract.addCorporateBuyer(userAddress, { gasLimit: 200000 });
+      addEvent('Purchase', `Bought ${purchaseAmount} ETH of Credit ${selectedCredit} (Private)`, receipt.transactionHash);
+      showStatus('success', `Purchase completed! Gas: ${receipt.gasUsed} | Fee: ${formatFee(feeData.dynamicFee)}`);
+    } catch (error) {
+      showStatus('error', `Purchase failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Swap plan for the trade form against the pool's current price
+  const prepareSwap = async () => {
+    const sqrtPriceX96 = await readSqrtPrice(swapContracts.poolManager, deployment.poolKey);
+    return planSwap({
+      deployment,
+      sqrtPriceX96,
+      side: swapSide,
+      amountIn: ethers.utils.parseEther(purchaseAmount),
+      creditId: selectedCredit,
+      buyer: userAddress,
+      slippage: parseFloat(slippage)
+    });
+  };
+
+  const erc20 = (address) => new ethers.Contract(address, ERC20_ABI, tokenContract.signer);
+
+  const refreshQuote = async () => {
+    const request = ++quoteRequest.current;
+    // Only the latest request may update the form
+    const settle = (quote) => request === quoteRequest.current && setSwapQuote(quote);
+    const slippageValue = parseFloat(slippage);
+    if (!selectedCredit || !(parseFloat(purchaseAmount) > 0) || !(slippageValue > 0 && slippageValue <= MAX_SLIPPAGE)) {
+      settle(null);
+      return;
+    }
+
+    try {
+      const plan = await prepareSwap();
+      // Without the approval the simulation would only fail in transferFrom
+      if (plan.value.isZero()) {
+        const allowance = await erc20(plan.currencyIn).allowance(userAddress, swapContracts.router.address);
+        if (allowance.lt(plan.amountIn)) {
+          settle({ plan, needsApproval: true });
+          return;
+        }
       }
+      settle({ plan, ...(await quoteSwap(swapContracts.router, plan)) });
+    } catch (error) {
+      settle({ error: error.reason || error.message });
+    }
+  };
+
+  const approveSwapInput = async () => {
+    const { plan } = swapQuote;
+    const symbol = currencySymbol(plan.currencyIn, deployment);
+    const amount = ethers.utils.formatEther(plan.amountIn);
+    setLoading(true);
+    try {
+      showStatus('info', `Approve the swap router to spend ${amount} ${symbol} in your wallet...`);
+      const tx = await erc20(plan.currencyIn).approve(swapContracts.router.address, plan.amountIn);
+      await tx.wait();
 
+      addEvent('Approval', `Swap router may spend ${amount} ${symbol}`, tx.hash);
+      showStatus('success', `${symbol} approved for the swap router`);
+      await refreshQuote();
+    } catch (error) {
+      showStatus('error', `Approval failed: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const executeSwap = async () => {
+    setLoading(true);
+    try {
+      // Planned again so the price limit is relative to the price right now
+      const planned = await prepareSwap();
+      const symbolIn = currencySymbol(planned.currencyIn, deployment);
+      const symbolOut = currencySymbol(planned.currencyOut, deployment);
+
+      // The router has no minimum output: refuse a swap that would settle for less
+      // than the quote allows, and have the hook revert it if the price moves before it's mined
+      const minAmountOut = minimumOutput(swapQuote.amountOut, parseFloat(slippage));
+      const shortfall = quoteShortfall(await quoteSwap(swapContracts.router, planned), planned, minAmountOut);
+      if (shortfall) {
+        throw new Error(`${shortfall} ${symbolOut}. Quote again or raise the slippage tolerance`);
+      }
+      const plan = withMinimumOutput(planned, minAmountOut);
+
+      showStatus('info', `Swapping ${purchaseAmount} ${symbolIn} for at least ${ethers.utils.formatEther(minAmountOut)} ${symbolOut} through CarbonFlowHook. Confirm in your wallet...`);
+      const tx = await swapContracts.router.swap(...plan.args, { value: plan.value });
+      showStatus('info', `Waiting for confirmation of ${tx.hash.slice(0, 10)}...`);
       const receipt = await tx.wait();
-      
-      addEvent('Purchase', `Bought ${purchaseAmount} ETH of Credit ${selectedCredit} ${privacyMode ? '(Private)' : '(Public)'}`, receipt.transactionHash);
-      showStatus('success', `Purchase completed! Gas: ${receipt.gasUsed} | Fee: ${feeData.dynamicFee/100}%`);
+
+      const swap = { ...parseSwap(receipt, { hook: hookContract, poolManager: swapContracts.poolManager }, plan.zeroForOne), symbolIn, symbolOut };
+      setLastSwap(swap);
+      const traded = swap.amountIn
+        ? `${ethers.utils.formatEther(swap.amountIn)} ${symbolIn} for ${ethers.utils.formatEther(swap.amountOut)} ${symbolOut}`
+        : `${purchaseAmount} ${symbolIn} for ${symbolOut}`;
+      addEvent('Hook Swap', `Swapped ${traded} on Credit ${swap.creditId} with a ${formatFee(swap.fee)} fee (${swap.reason})`, receipt.transactionHash);
+      showStatus('success', `Swap confirmed! Hook fee applied: ${formatFee(swap.fee)}`);
+
+      await loadData(hookContract, tokenContract, userAddress);
+      await refreshQuote();
     } catch (error) {
-      showStatus('error', `Purchase failed: ${error.message}`);
+      showStatus('error', `Swap failed: ${error.reason || error.message}`);
     } finally {
       setLoading(false);
     }
   };
 
   const retireCredits = async () => {
+    const credit = credits.find(c => String(c.id) === retireCreditId);
+    if (!credit) {
+      showStatus('error', 'Select the credit to retire');
+      return;
+    }
+    if (!retireAmount || parseFloat(retireAmount) <= 0) {
+      showStatus('error', 'Please enter a valid amount');
+      return;
+    }
+
     setLoading(true);
     try {
-      showStatus('info', 'Processing retirement for ESG compliance...');
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      addEvent('Retirement', `Retired ${retireAmount} ETH worth of credits for ESG compliance`, '0x' + Math.random().toString(16).substr(2, 8));
-      showStatus('success', `Retired ${retireAmount} ETH worth of credits!`);
-      
+      const amount = ethers.utils.parseEther(retireAmount);
+      const balance = await tokenContract.balanceOf(userAddress);
+      if (balance.lt(amount)) {
+        throw new Error(`your balance is only ${ethers.utils.formatEther(balance)} CARBON`);
+      }
+      // Without a named beneficiary the retirement is claimed by the account itself
+      const claimant = beneficiary.trim() || userAddress;
+
+      showStatus('info', `Retiring ${retireAmount} CARBON of Credit ${credit.id} for ${claimant}. Confirm in your wallet...`);
+      const tx = await tokenContract.retireCreditFor(credit.id, amount, claimant);
+      showStatus('info', `Waiting for confirmation of ${tx.hash.slice(0, 10)}...`);
+      const txReceipt = await tx.wait();
+
+      const retirement = parseRetirement(txReceipt, tokenContract);
+      const block = await tokenContract.provider.getBlock(txReceipt.blockNumber);
+      const receipt = {
+        ...retirement,
+        projectType: credit.projectType,
+        vintage: credit.vintage,
+        quality: credit.quality,
+        avsScore: credit.score,
+        chainId: deployment.chainId,
+        token: deployment.token,
+        retiredAt: new Date(block.timestamp * 1000).toISOString()
+      };
+      setRetirements(prev => [receipt, ...prev]);
+      setRetireCreditId('');
+
+      addEvent('Retirement', `Retired ${receipt.amount} CARBON of Credit ${receipt.creditId} for ${receipt.beneficiary || claimant}`, receipt.txHash);
+      showStatus('success', `Retired ${receipt.amount} CARBON of Credit ${receipt.creditId} in block ${receipt.blockNumber}`);
+
       await loadData(hookContract, tokenContract, userAddress);
     } catch (error) {
-      showStatus('error', `Retirement failed: ${error.message}`);
+      showStatus('error', `Retirement failed: ${error.reason || error.message}`);
     } finally {
       setLoading(false);
     }
   };
 
+  const downloadRetirementReceipt = (receipt) => {
+    downloadJson({ type: 'carbon-credit-retirement', ...receipt }, `retirement-credit-${receipt.creditId}-${receipt.txHash.slice(2, 10)}.json`);
+  };
+
   const generateESGReport = async () => {
     setLoading(true);
     try {
@@ -224,19 +567,15 @@ function App() {
         verification_method: 'EigenLayer AVS + Fhenix Privacy',
         compliance_status: stats.isCorporate ? 'Verified Corporate Buyer' : 'Standard User',
         privacy_mode: stats.hasPrivacy ? 'Enabled' : 'Disabled',
-        hook_address: CONTRACT_ADDRESSES.HOOK,
-        dynamic_fees: `${feeData.dynamicFee/100}% (${feeData.reason})`,
+        chain_id: deployment.chainId,
+        hook_address: deployment.hook,
+        dynamic_fees: `${formatFee(feeData.dynamicFee)} (${feeData.reason})`,
         generated_at: new Date().toISOString(),
-        recent_transactions: events.slice(0, 5)
+        recent_transactions: events.slice(0, 5),
+        retirements
       };
 
-      const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'esg-compliance-report.json';
-      a.click();
-      URL.revokeObjectURL(url);
+      downloadJson(report, 'esg-compliance-report.json');
       
       showStatus('success', 'ESG report generated and downloaded!');
     } catch (error) {
@@ -246,24 +585,6 @@ function App() {
     }
   };
 
-  const simulateSwap = async () => {
-    setLoading(true);
-    try {
-      showStatus('info', 'Simulating Uniswap v4 hook swap with dynamic fees...');
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const swapAmount = '0.05';
-      const expectedFee = (parseFloat(swapAmount) * feeData.dynamicFee / 1000000).toFixed(6);
-      
-      addEvent('Hook Swap', `Swap ${swapAmount} ETH with dynamic fee ${feeData.dynamicFee/100}% (${expectedFee} ETH)`, '0x' + Math.random().toString(16).substr(2, 8));
-      showStatus('success', `Hook swap completed! Fee charged: ${expectedFee} ETH based on credit quality`);
-    } catch (error) {
-      showStatus('error', `Swap failed: ${error.message}`);
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const addEvent = (type, message, hash) => {
     const newEvent = {
       type,
@@ -299,36 +620,178 @@ function App() {
     eventItem: { padding: '0.75rem', backgroundColor: 'rgba(15, 23, 42, 0.5)', borderRadius: '0.5rem', marginBottom: '0.5rem' },
     eventType: { color: '#4ade80', fontSize: '0.875rem', fontWeight: '600' },
     eventMessage: { color: '#e2e8f0', fontSize: '0.875rem', margin: '0.25rem 0' },
-    eventTime: { color: '#94a3b8', fontSize: '0.75rem' }
+    eventTime: { color: '#94a3b8', fontSize: '0.75rem' },
+    account: { color: '#94a3b8', fontSize: '0.875rem', marginTop: '0.5rem' },
+    linkButton: { background: 'none', border: 'none', color: '#60a5fa', cursor: 'pointer', textDecoration: 'underline', padding: 0 },
+    filters: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '0.5rem', marginBottom: '0.75rem' },
+    filterInput: { backgroundColor: '#374151', border: '1px solid #4b5563', borderRadius: '0.375rem', padding: '0.5rem', color: 'white' },
+    creditItem: { backgroundColor: 'rgba(15, 23, 42, 0.5)', borderRadius: '0.5rem', padding: '1rem', marginBottom: '0.5rem' },
+    infoBox: { backgroundColor: 'rgba(59, 130, 246, 0.1)', border: '1px solid #3b82f6', borderRadius: '0.375rem', padding: '0.75rem', marginBottom: '1rem' },
+    note: { fontSize: '0.875rem', color: '#94a3b8' }
   };
 
+  const header = (
+    <div style={styles.header}>
+      <h1 style={styles.title}>GreenSync</h1>
+      <p style={styles.subtitle}>Corporate Carbon Credit Trading with Privacy & Verification</p>
+      {isConnected && (
+        <p style={styles.account}>
+          {shortAddress(userAddress)} on {deployment ? deployment.name : `chain ${chainId}`}{walletKind === 'dev' ? ' (Anvil dev account)' : ''}
+          {' | '}
+          <button onClick={disconnectWallet} style={styles.linkButton}>Disconnect</button>
+        </p>
+      )}
+    </div>
+  );
+
+  const statusBanner = status.message && (
+    <div style={styles.status(status.type)}>
+      {status.message}
+    </div>
+  );
+
+  const creditFilters = (
+    <>
+      <div style={styles.filters}>
+        <select value={creditView.projectType} onChange={(e) => updateCreditView({ projectType: e.target.value })} style={styles.filterInput}>
+          <option value="all">All project types</option>
+          {projectTypes(credits).map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input type="number" value={creditView.minVintage} onChange={(e) => updateCreditView({ minVintage: e.target.value })}
+               placeholder="Vintage from" min="2020" max="2030" style={styles.filterInput} />
+        <select value={creditView.minQuality} onChange={(e) => updateCreditView({ minQuality: Number(e.target.value) })} style={styles.filterInput}>
+          {[1, 2, 3, 4, 5].map(quality => (
+            <option key={quality} value={quality}>{quality === 1 ? 'Any quality' : `Quality ${quality}+`}</option>
+          ))}
+        </select>
+        <input type="number" value={creditView.minScore} onChange={(e) => updateCreditView({ minScore: e.target.value })}
+               placeholder="Min AVS score" min="0" max="100" style={styles.filterInput} />
+        <select value={creditView.status} onChange={(e) => updateCreditView({ status: e.target.value })} style={styles.filterInput}>
+          <option value="all">Active and retired</option>
+          <option value="active">Active only</option>
+          <option value="retired">Retired only</option>
+        </select>
+        <select value={creditView.sortBy} onChange={(e) => updateCreditView({ sortBy: e.target.value })} style={styles.filterInput}>
+          {Object.entries(CREDIT_SORT_KEYS).map(([key, label]) => (
+            <option key={key} value={key}>Sort: {label}</option>
+          ))}
+        </select>
+      </div>
+      <p style={{ fontSize: '0.875rem', color: '#94a3b8', marginBottom: '0.75rem' }}>
+        {creditsLoading ? 'Discovering credits...' : `${shownCredits.length} of ${credits.length} credits`}
+        {' | '}
+        <button onClick={() => updateCreditView({ descending: !creditView.descending })} style={styles.linkButton}>
+          {creditView.descending ? 'Descending' : 'Ascending'}
+        </button>
+        {' | '}
+        <button onClick={() => updateCreditView(DEFAULT_CREDIT_VIEW)} style={styles.linkButton}>Reset filters</button>
+      </p>
+    </>
+  );
+
+  const poolSymbols = deployment && {
+    currency0: currencySymbol(deployment.poolKey.currency0, deployment),
+    currency1: currencySymbol(deployment.poolKey.currency1, deployment)
+  };
+
+  // Quoted in full; a swap the pool would only partly fill is not sent
+  const swapQuoted = Boolean(swapQuote && swapQuote.amountOut && swapQuote.amountIn.eq(swapQuote.plan.amountIn));
+
+  const swapQuoteBox = swapQuote && (
+    <div style={styles.infoBox}>
+      {swapQuote.error ? (
+        <p style={{ color: '#ef4444' }}>No quote: {swapQuote.error}</p>
+      ) : swapQuote.needsApproval ? (
+        <p>Approve the swap router to spend {ethers.utils.formatEther(swapQuote.plan.amountIn)} {currencySymbol(swapQuote.plan.currencyIn, deployment)} to get a quote.</p>
+      ) : (
+        <>
+          <p>
+            You pay {ethers.utils.formatEther(swapQuote.amountIn)} {currencySymbol(swapQuote.plan.currencyIn, deployment)} and
+            receive about {ethers.utils.formatEther(swapQuote.amountOut)} {currencySymbol(swapQuote.plan.currencyOut, deployment)}
+          </p>
+          {swapQuote.amountIn.lt(swapQuote.plan.amountIn) ? (
+            <p style={{ color: '#facc15' }}>Only this part fills within {slippage}% slippage, so the swap can't be sent. Lower the amount or raise the tolerance.</p>
+          ) : (
+            <p style={styles.note}>
+              Minimum received: {ethers.utils.formatEther(minimumOutput(swapQuote.amountOut, parseFloat(slippage)))} {currencySymbol(swapQuote.plan.currencyOut, deployment)}.
+              The hook reverts the swap if it would pay out less.
+            </p>
+          )}
+          <p style={styles.note}>
+            Price limit: {spotPrice(swapQuote.plan.sqrtPriceLimitX96).toPrecision(6)} {poolSymbols.currency1} per {poolSymbols.currency0}.
+            The swap stops there rather than fill at a worse price.
+          </p>
+        </>
+      )}
+    </div>
+  );
+
+  const moreCredits = shownCredits.length > creditsShown && (
+    <button onClick={() => setCreditsShown(creditsShown + CREDIT_PAGE_SIZE)} style={styles.linkButton}>
+      Show more ({shownCredits.length - creditsShown} left)
+    </button>
+  );
+
   if (!isConnected) {
+    const hasInjectedWallet = Boolean(getInjectedProvider());
     return (
       <div style={styles.container}>
-        <div style={styles.header}>
-          <h1 style={styles.title}>GreenSync</h1>
-          <p style={styles.subtitle}>Corporate Carbon Credit Trading with Privacy & Verification</p>
-        </div>
+        {header}
+        {statusBanner}
         <div style={{ textAlign: 'center', padding: '3rem 0' }}>
-          <p style={{ color: '#94a3b8', marginBottom: '1rem' }}>Connecting to blockchain...</p>
-          <button onClick={connectWallet} style={styles.button()}>Retry Connection</button>
+          <p style={{ color: '#94a3b8', marginBottom: '1rem' }}>
+            {hasInjectedWallet
+              ? 'Connect your wallet to trade, verify and retire carbon credits.'
+              : 'No browser wallet found. Install MetaMask or another EIP-1193 wallet to continue.'}
+          </p>
+          {hasInjectedWallet && (
+            <button onClick={() => connectWallet('injected')} disabled={loading} style={styles.button('#22c55e', loading)}>
+              Connect Wallet
+            </button>
+          )}
+          {DEV_WALLET_ENABLED && (
+            <button onClick={() => connectWallet('dev')} disabled={loading} style={styles.button('#6b7280', loading)}>
+              Use Anvil Dev Account (local only)
+            </button>
+          )}
         </div>
       </div>
     );
   }
 
-  return (
-    <div style={styles.container}>
-      <div style={styles.header}>
-        <h1 style={styles.title}>GreenSync</h1>
-        <p style={styles.subtitle}>Corporate Carbon Credit Trading with Privacy & Verification</p>
+  if (!deployment) {
+    return (
+      <div style={styles.container}>
+        {header}
+        {statusBanner}
+        <div style={styles.card}>
+          {deploymentError ? (
+            <>
+              <h2>Wrong Network</h2>
+              <p style={{ color: '#94a3b8', marginBottom: '1rem' }}>{deploymentError}</p>
+              {walletKind === 'injected' && chainId !== DEFAULT_CHAIN_ID && (
+                <button onClick={switchToDefaultNetwork} style={styles.button()}>
+                  Switch to chain {DEFAULT_CHAIN_ID}
+                </button>
+              )}
+              {walletKind === 'dev' && (
+                <p style={{ color: '#94a3b8' }}>The dev account signs through {LOCAL_RPC_URL}; deploy to that node with ./deploy.sh.</p>
+              )}
+            </>
+          ) : (
+            <p style={{ color: '#94a3b8' }}>Loading the deployment for chain {chainId}...</p>
+          )}
+        </div>
       </div>
+    );
+  }
 
-      {status.message && (
-        <div style={styles.status(status.type)}>
-          {status.message}
-        </div>
-      )}
+  return (
+    <div style={styles.container}>
+      {header}
+      {statusBanner}
 
       <div style={styles.tabs}>
         {['dashboard', 'trading', 'verification', 'compliance'].map(tab => (
@@ -391,40 +854,79 @@ function App() {
               <span>{privacyMode ? 'Private (Fhenix)' : 'Public'}</span>
             </div>
 
-            <select value={selectedCredit} onChange={(e) => { setSelectedCredit(e.target.value); calculateFee(e.target.value); }} style={styles.input}>
-              {credits.map(credit => (
+            <select value={selectedCredit} onChange={(e) => setSelectedCredit(e.target.value)} style={styles.input}>
+              {shownCredits.map(credit => (
                 <option key={credit.id} value={credit.id}>
-                  {credit.projectType} (Quality: {credit.quality}, Vintage: {credit.vintage})
+                  #{credit.id} {credit.projectType} (Quality: {credit.quality}, Vintage: {credit.vintage})
                 </option>
               ))}
             </select>
 
+            {!privacyMode && swapContracts && (
+              <select value={swapSide} onChange={(e) => setSwapSide(e.target.value)} style={styles.input}>
+                <option value="buy">Buy CARBON with ETH</option>
+                <option value="sell">Sell CARBON for ETH</option>
+              </select>
+            )}
+
             <input type="number" value={purchaseAmount} onChange={(e) => setPurchaseAmount(e.target.value)} 
-                   placeholder="Amount (ETH)" step="0.01" min="0.001" style={styles.input} />
+                   placeholder={`Amount (${!privacyMode && swapSide === 'sell' ? 'CARBON' : 'ETH'})`} step="0.01" min="0.001" style={styles.input} />
 
-            <div style={{ backgroundColor: 'rgba(59, 130, 246, 0.1)', border: '1px solid #3b82f6', borderRadius: '0.375rem', padding: '0.75rem', marginBottom: '1rem' }}>
-              <p>Dynamic Fee: {feeData.dynamicFee / 100}% (Base: {feeData.baseFee / 100}%)</p>
-              <p style={{ fontSize: '0.875rem', color: '#94a3b8' }}>{feeData.reason}</p>
+            <div style={styles.infoBox}>
+              <p>Dynamic Fee: {formatFee(feeData.dynamicFee)} (Base: {formatFee(feeData.baseFee)})</p>
+              <p style={styles.note}>{feeData.reason}</p>
             </div>
 
-            <button onClick={buyCredits} disabled={loading} style={styles.button('#22c55e', loading)}>
-              Execute Hook Trade
-            </button>
+            {privacyMode ? (
+              <button onClick={buyPrivately} disabled={loading} style={styles.button('#22c55e', loading)}>
+                Execute Private Purchase
+              </button>
+            ) : !swapContracts ? (
+              <p style={styles.note}>This deployment has no swap router. Redeploy with ./deploy.sh to trade through the pool.</p>
+            ) : (
+              <>
+                <input type="number" value={slippage} onChange={(e) => setSlippage(e.target.value)}
+                       placeholder="Slippage tolerance (%)" step="0.1" min="0.1" max={MAX_SLIPPAGE} style={styles.input} />
+                {swapQuoteBox}
+                {swapQuote && swapQuote.needsApproval ? (
+                  <button onClick={approveSwapInput} disabled={loading} style={styles.button('#3b82f6', loading)}>
+                    Approve {currencySymbol(swapQuote.plan.currencyIn, deployment)} for the Swap Router
+                  </button>
+                ) : (
+                  <button onClick={executeSwap} disabled={loading || !swapQuoted}
+                          style={styles.button('#22c55e', loading || !swapQuoted)}>
+                    Swap through CarbonFlowHook
+                  </button>
+                )}
+              </>
+            )}
 
-            <button onClick={simulateSwap} disabled={loading} style={styles.button('#3b82f6', loading)}>
-              Simulate Hook Swap
-            </button>
+            {lastSwap && (
+              <div style={styles.infoBox}>
+                <p><strong>Swap confirmed</strong> in block {lastSwap.blockNumber}</p>
+                {lastSwap.amountIn && (
+                  <p>Paid {ethers.utils.formatEther(lastSwap.amountIn)} {lastSwap.symbolIn}, received {ethers.utils.formatEther(lastSwap.amountOut)} {lastSwap.symbolOut}</p>
+                )}
+                <p>Fee applied by the hook: {formatFee(lastSwap.fee)} for Credit {lastSwap.creditId}</p>
+                <p style={styles.note}>{lastSwap.reason}</p>
+                {lastSwap.poolFee !== null && lastSwap.poolFee !== lastSwap.fee && (
+                  <p style={{ color: '#facc15' }}>The pool charged {formatFee(lastSwap.poolFee)}: it was not created with a dynamic fee.</p>
+                )}
+                <p style={{ ...styles.note, wordBreak: 'break-all' }}>Tx: {lastSwap.txHash}</p>
+              </div>
+            )}
           </div>
 
           <div style={styles.card}>
             <h2>Available Carbon Credits</h2>
-            {credits.map(credit => (
-              <div key={credit.id} style={{ backgroundColor: 'rgba(15, 23, 42, 0.5)', borderRadius: '0.5rem', padding: '1rem', marginBottom: '0.5rem' }}>
+            {creditFilters}
+            {shownCredits.slice(0, creditsShown).map(credit => (
+              <div key={credit.id} style={styles.creditItem}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                   <div>
                     <h3>Credit {credit.id}: {credit.projectType}</h3>
                     <p style={{ fontSize: '0.875rem', color: '#94a3b8' }}>
-                      Vintage: {credit.vintage} | Verified: {credit.verified ? 'Yes' : 'No'} | AVS Score: {credit.score}
+                      Vintage: {credit.vintage} | Verified: {credit.verified ? 'Yes' : 'No'} | AVS Score: {credit.score}{credit.isRetired ? ' | Retired' : ''}
                     </p>
                   </div>
                   <div style={{ color: parseInt(credit.quality) >= 4 ? '#4ade80' : parseInt(credit.quality) >= 3 ? '#facc15' : '#ef4444' }}>
@@ -433,6 +935,7 @@ function App() {
                 </div>
               </div>
             ))}
+            {moreCredits}
           </div>
         </div>
       )}
@@ -444,12 +947,13 @@ function App() {
             Request new verification from EigenLayer AVS network across multiple carbon registries.
           </p>
           
-          {credits.map(credit => (
-            <div key={credit.id} style={{ backgroundColor: 'rgba(15, 23, 42, 0.5)', borderRadius: '0.5rem', padding: '1rem', marginBottom: '1rem' }}>
+          {creditFilters}
+          {shownCredits.slice(0, creditsShown).map(credit => (
+            <div key={credit.id} style={styles.creditItem}>
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                 <div>
                   <h3>Credit {credit.id}: {credit.projectType}</h3>
-                  <p>Current AVS Score: {credit.score} | Verified: {credit.verified ? 'Yes' : 'No'}</p>
+                  <p>Current AVS Score: {credit.score} | Verified: {credit.verified ? 'Yes' : 'No'}{credit.isRetired ? ' | Retired' : ''}</p>
                 </div>
                 <button onClick={() => requestAVSVerification(credit.id)} disabled={loading} 
                         style={{ padding: '0.5rem 1rem', backgroundColor: '#3b82f6', color: 'white', border: 'none', borderRadius: '0.375rem', cursor: 'pointer' }}>
@@ -458,6 +962,7 @@ function App() {
               </div>
             </div>
           ))}
+          {moreCredits}
         </div>
       )}
 
@@ -465,11 +970,26 @@ function App() {
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '1rem' }}>
           <div style={styles.card}>
             <h2>ESG Compliance</h2>
-            
+            <p style={{ fontSize: '0.875rem', color: '#94a3b8', marginBottom: '1rem' }}>
+              Balance: {stats.carbonBalance} CARBON. Retiring burns the tokens and marks the credit retired for good.
+            </p>
+
+            <select value={retireCreditId} onChange={(e) => setRetireCreditId(e.target.value)} style={styles.input}>
+              <option value="">Select a credit to retire</option>
+              {credits.filter(credit => !credit.isRetired).map(credit => (
+                <option key={credit.id} value={credit.id}>
+                  #{credit.id} {credit.projectType} (Vintage: {credit.vintage}, AVS Score: {credit.score})
+                </option>
+              ))}
+            </select>
+
             <input type="number" value={retireAmount} onChange={(e) => setRetireAmount(e.target.value)} 
-                   placeholder="Amount to retire (ETH)" step="0.01" min="0.001" style={styles.input} />
+                   placeholder="Amount to retire (CARBON)" step="0.01" min="0.001" style={styles.input} />
 
-            <button onClick={retireCredits} disabled={loading} style={styles.button('#ef4444', loading)}>
+            <input type="text" value={beneficiary} onChange={(e) => setBeneficiary(e.target.value)}
+                   placeholder={`Beneficiary (defaults to ${shortAddress(userAddress)})`} maxLength={100} style={styles.input} />
+
+            <button onClick={retireCredits} disabled={loading || !retireCreditId} style={styles.button('#ef4444', loading || !retireCreditId)}>
               Retire Credits for Compliance
             </button>
 
@@ -485,10 +1005,27 @@ function App() {
               <p><strong>Total Retired:</strong> {stats.retired} ETH</p>
               <p><strong>Corporate Status:</strong> {stats.isCorporate ? 'Verified' : 'Standard'}</p>
               <p><strong>Privacy Enabled:</strong> {stats.hasPrivacy ? 'Yes' : 'No'}</p>
-              <p><strong>Hook Address:</strong> {CONTRACT_ADDRESSES.HOOK.slice(0, 10)}...</p>
-              <p><strong>Current Fee:</strong> {feeData.dynamicFee / 100}%</p>
+              <p><strong>Hook Address:</strong> {deployment.hook.slice(0, 10)}...</p>
+              <p><strong>Current Fee:</strong> {formatFee(feeData.dynamicFee)}</p>
             </div>
           </div>
+
+          {retirements.length > 0 && (
+            <div style={styles.card}>
+              <h2>Retirement Receipts</h2>
+              {retirements.map(receipt => (
+                <div key={receipt.txHash} style={styles.creditItem}>
+                  <h3>Credit {receipt.creditId}: {receipt.projectType} ({receipt.vintage})</h3>
+                  <p><strong>Retired:</strong> {receipt.amount} CARBON</p>
+                  <p><strong>Beneficiary:</strong> {receipt.beneficiary || 'not recorded on-chain'}</p>
+                  <p><strong>Retired by:</strong> {shortAddress(receipt.retiredBy)}</p>
+                  <p><strong>Block:</strong> {receipt.blockNumber} at {new Date(receipt.retiredAt).toLocaleString()}</p>
+                  <p style={{ fontSize: '0.75rem', color: '#94a3b8', wordBreak: 'break-all' }}>Tx: {receipt.txHash}</p>
+                  <button onClick={() => downloadRetirementReceipt(receipt)} style={styles.linkButton}>Download receipt</button>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,109 @@
+// Blocks per eth_getLogs request; hosted RPCs reject much wider ranges
+export const LOG_PAGE_SIZE = 5000;
+
+const CACHE_PREFIX = 'greensync:credits';
+
+export const DEFAULT_CREDIT_VIEW = {
+  projectType: 'all',
+  minVintage: '',
+  minQuality: 1,
+  minScore: 0,
+  status: 'all',
+  sortBy: 'id',
+  descending: false
+};
+
+export const CREDIT_SORT_KEYS = {
+  id: 'Credit ID',
+  vintage: 'Vintage',
+  projectType: 'Project type',
+  quality: 'Quality',
+  score: 'AVS score'
+};
+
+const defaultStorage = () => (typeof window !== 'undefined' && window.localStorage) || null;
+
+const cacheKey = (deployment) => `${CACHE_PREFIX}:${deployment.chainId}:${deployment.token.toLowerCase()}`;
+
+const readCache = (storage, deployment) => {
+  try {
+    const cached = JSON.parse(storage.getItem(cacheKey(deployment)));
+    // Anvil redeploys to the same addresses, deployedAt tells the deployments apart
+    return cached && cached.deployedAt === deployment.deployedAt ? cached : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeCache = (storage, deployment, entry) => {
+  try {
+    storage.setItem(cacheKey(deployment), JSON.stringify({ deployedAt: deployment.deployedAt, ...entry }));
+  } catch (error) {
+    // Quota exceeded or storage disabled: the next load scans again
+  }
+};
+
+/**
+ * Credits created on the deployment's CarbonToken, read from CreditCreated
+ * events in pages of `pageSize` blocks. Vintage, project type and quality
+ * never change, so they are cached in localStorage with the last scanned
+ * block and later loads only scan the new blocks.
+ */
+export const discoverCredits = async (token, deployment, { storage = defaultStorage(), pageSize = LOG_PAGE_SIZE } = {}) => {
+  const latest = await token.provider.getBlockNumber();
+  let cached = storage && readCache(storage, deployment);
+  // The chain is behind the cache after a node reset
+  if (cached && cached.scannedTo > latest) cached = null;
+
+  const found = new Map((cached ? cached.credits : []).map(credit => [credit.id, credit]));
+  const filter = token.filters.CreditCreated();
+  for (let fromBlock = cached ? cached.scannedTo + 1 : deployment.startBlock || 0; fromBlock <= latest; fromBlock += pageSize) {
+    const toBlock = Math.min(fromBlock + pageSize - 1, latest);
+    const logs = await token.queryFilter(filter, fromBlock, toBlock);
+    logs.forEach(({ args }) => {
+      const id = args.creditId.toNumber();
+      found.set(id, { id, vintage: args.vintage.toNumber(), projectType: args.projectType, quality: args.quality.toNumber() });
+    });
+    // Saved per page so an interrupted scan resumes where it stopped
+    if (storage) writeCache(storage, deployment, { scannedTo: toBlock, credits: [...found.values()] });
+  }
+  return [...found.values()].sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Add the state that changes after creation: retirement from the token and
+ * the AVS verdict from the hook.
+ */
+export const loadCreditState = (credits, token, hook) => Promise.all(credits.map(async (credit) => {
+  const [metadata, avsDetails] = await Promise.all([
+    token.credits(credit.id),
+    hook.getAVSVerificationDetails(credit.id)
+  ]);
+  return { ...credit, isRetired: metadata[3], verified: avsDetails[0], score: avsDetails[1].toNumber() };
+}));
+
+export const projectTypes = (credits) => [...new Set(credits.map(credit => credit.projectType))].sort();
+
+/**
+ * Credits matching `view` (see DEFAULT_CREDIT_VIEW), sorted by `view.sortBy`
+ * with the credit ID breaking ties.
+ */
+export const selectCredits = (credits, view) => {
+  const minVintage = Number(view.minVintage) || 0;
+  const matches = credits.filter(credit =>
+    (view.projectType === 'all' || credit.projectType === view.projectType) &&
+    credit.vintage >= minVintage &&
+    credit.quality >= Number(view.minQuality) &&
+    credit.score >= Number(view.minScore) &&
+    (view.status === 'all' || credit.isRetired === (view.status === 'retired'))
+  );
+
+  const direction = view.descending ? -1 : 1;
+  const compare = (a, b) => {
+    const left = a[view.sortBy];
+    const right = b[view.sortBy];
+    if (left === right) return a.id - b.id;
+    return direction * (typeof left === 'string' ? left.localeCompare(right) : left - right);
+  };
+  return matches.sort(compare);
+};
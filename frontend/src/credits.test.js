@@ -0,0 +1,89 @@
+import { ethers } from 'ethers';
+import { discoverCredits, selectCredits, DEFAULT_CREDIT_VIEW } from './credits';
+
+const DEPLOYMENT = { chainId: 31337, token: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512', startBlock: 10, deployedAt: '2026-01-01T00:00:00Z' };
+
+const creditCreated = (creditId, blockNumber, vintage = 2023, projectType = 'forestry', quality = 4) => ({
+  blockNumber,
+  args: {
+    creditId: ethers.BigNumber.from(creditId),
+    vintage: ethers.BigNumber.from(vintage),
+    projectType,
+    quality: ethers.BigNumber.from(quality)
+  }
+});
+
+// Token double that answers queryFilter from a list of CreditCreated logs
+const fakeToken = (logs, latestBlock) => {
+  const token = {
+    ranges: [],
+    latestBlock,
+    provider: { getBlockNumber: async () => token.latestBlock },
+    filters: { CreditCreated: () => 'CreditCreated' },
+    queryFilter: async (filter, fromBlock, toBlock) => {
+      token.ranges.push([fromBlock, toBlock]);
+      return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+  return token;
+};
+
+const memoryStorage = () => {
+  const items = {};
+  return { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+};
+
+test('credits are discovered page by page from the deployment block', async () => {
+  const token = fakeToken([creditCreated(1, 12), creditCreated(2, 30, 2021, 'solar', 2), creditCreated(7, 45)], 45);
+
+  const credits = await discoverCredits(token, DEPLOYMENT, { storage: memoryStorage(), pageSize: 20 });
+
+  expect(token.ranges).toEqual([[10, 29], [30, 45]]);
+  expect(credits.map(credit => credit.id)).toEqual([1, 2, 7]);
+  expect(credits[1]).toEqual({ id: 2, vintage: 2021, projectType: 'solar', quality: 2 });
+});
+
+test('later loads only scan blocks after the cached ones', async () => {
+  const storage = memoryStorage();
+  const logs = [creditCreated(1, 12)];
+  const token = fakeToken(logs, 20);
+  await discoverCredits(token, DEPLOYMENT, { storage });
+
+  logs.push(creditCreated(2, 25));
+  token.latestBlock = 30;
+  token.ranges = [];
+  const credits = await discoverCredits(token, DEPLOYMENT, { storage });
+
+  expect(token.ranges).toEqual([[21, 30]]);
+  expect(credits.map(credit => credit.id)).toEqual([1, 2]);
+});
+
+test('the cache is dropped after a redeployment or a node reset', async () => {
+  const storage = memoryStorage();
+  await discoverCredits(fakeToken([creditCreated(1, 12)], 50), DEPLOYMENT, { storage });
+
+  const redeployed = fakeToken([creditCreated(1, 14)], 60);
+  await discoverCredits(redeployed, { ...DEPLOYMENT, deployedAt: '2026-02-01T00:00:00Z' }, { storage });
+  expect(redeployed.ranges).toEqual([[10, 60]]);
+
+  const reset = fakeToken([creditCreated(1, 12)], 20);
+  await discoverCredits(reset, { ...DEPLOYMENT, deployedAt: '2026-02-01T00:00:00Z' }, { storage });
+  expect(reset.ranges).toEqual([[10, 20]]);
+});
+
+test('credits are filtered and sorted with the credit ID breaking ties', () => {
+  const credits = [
+    { id: 1, vintage: 2023, projectType: 'forestry', quality: 4, score: 85, isRetired: false },
+    { id: 2, vintage: 2021, projectType: 'solar', quality: 2, score: 40, isRetired: false },
+    { id: 3, vintage: 2022, projectType: 'wind', quality: 3, score: 70, isRetired: true },
+    { id: 4, vintage: 2023, projectType: 'forestry', quality: 5, score: 90, isRetired: false }
+  ];
+  const ids = (view) => selectCredits(credits, { ...DEFAULT_CREDIT_VIEW, ...view }).map(credit => credit.id);
+
+  expect(ids({})).toEqual([1, 2, 3, 4]);
+  expect(ids({ projectType: 'forestry', minScore: 88 })).toEqual([4]);
+  expect(ids({ minVintage: '2022', status: 'active' })).toEqual([1, 4]);
+  expect(ids({ status: 'retired' })).toEqual([3]);
+  expect(ids({ minQuality: 3, sortBy: 'score', descending: true })).toEqual([4, 1, 3]);
+  expect(ids({ sortBy: 'vintage', descending: true })).toEqual([1, 4, 3, 2]);
+});
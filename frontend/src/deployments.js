@@ -0,0 +1,76 @@
+import { ethers } from 'ethers';
+
+// Manifests are written by deploy.sh to public/deployments/<chainId>.json
+const DEPLOYMENTS_URL = `${process.env.PUBLIC_URL || ''}/deployments`;
+
+// Chain offered in the wrong-network prompt
+export const DEFAULT_CHAIN_ID = Number(process.env.REACT_APP_CHAIN_ID || 31337);
+
+export class MissingDeploymentError extends Error {
+  constructor(chainId) {
+    super(`GreenSync is not deployed on chain ${chainId}. Run ./deploy.sh against it or switch to a supported network.`);
+    this.name = 'MissingDeploymentError';
+    this.chainId = chainId;
+  }
+}
+
+/**
+ * Check a manifest's shape and normalize it:
+ * { chainId, name, rpcUrl, hook, token, poolManager, swapRouter, poolKey, startBlock }.
+ * startBlock is where event scans begin (0 when the manifest has none).
+ */
+export const validateDeployment = (manifest, chainId) => {
+  const problems = [];
+  const isAddress = (value) => typeof value === 'string' && ethers.utils.isAddress(value);
+  const poolKey = manifest.poolKey || {};
+
+  if (Number(manifest.chainId) !== chainId) problems.push(`chainId is ${manifest.chainId}`);
+  ['hook', 'token', 'poolManager'].forEach(key => {
+    if (!isAddress(manifest[key])) problems.push(`${key} must be an address`);
+  });
+  // Optional: deployments without a router can't swap from the dashboard
+  if (manifest.swapRouter !== undefined && !isAddress(manifest.swapRouter)) problems.push('swapRouter must be an address');
+  ['currency0', 'currency1', 'hooks'].forEach(key => {
+    if (!isAddress(poolKey[key])) problems.push(`poolKey.${key} must be an address`);
+  });
+  if (!Number.isInteger(poolKey.fee)) problems.push('poolKey.fee must be an integer');
+  if (!Number.isInteger(poolKey.tickSpacing)) problems.push('poolKey.tickSpacing must be an integer');
+  if (manifest.startBlock !== undefined && !(Number.isInteger(manifest.startBlock) && manifest.startBlock >= 0)) {
+    problems.push('startBlock must be a block number');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid deployment manifest for chain ${chainId}: ${problems.join(', ')}`);
+  }
+  return { ...manifest, chainId, name: manifest.name || `Chain ${chainId}`, startBlock: manifest.startBlock || 0 };
+};
+
+const fetchDeployment = async (chainId) => {
+  const response = await fetch(`${DEPLOYMENTS_URL}/${chainId}.json`, { cache: 'no-store' });
+  // The dev server answers unknown paths with index.html instead of a 404
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+  if (response.status === 404 || (response.ok && !isJson)) {
+    throw new MissingDeploymentError(chainId);
+  }
+  if (!response.ok) {
+    throw new Error(`Loading the deployment for chain ${chainId} failed: HTTP ${response.status}`);
+  }
+  return validateDeployment(await response.json(), chainId);
+};
+
+const loaded = new Map();
+
+/**
+ * Deployment manifest for `chainId`, fetched once per page load. Rejects
+ * with MissingDeploymentError when the chain has no deployment.
+ */
+export const loadDeployment = (chainId) => {
+  if (!loaded.has(chainId)) {
+    // Failures aren't kept, so a deployment made later is picked up
+    loaded.set(chainId, fetchDeployment(chainId).catch(error => {
+      loaded.delete(chainId);
+      throw error;
+    }));
+  }
+  return loaded.get(chainId);
+};
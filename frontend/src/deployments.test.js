@@ -0,0 +1,56 @@
+import { loadDeployment, validateDeployment, MissingDeploymentError } from './deployments';
+
+const HOOK = '0x2f11783e75f5d0bf0db3dd6a5ca05ed375ae80c0';
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const POOL_MANAGER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const manifest = (chainId) => ({
+  chainId,
+  name: 'Anvil (local)',
+  rpcUrl: 'http://localhost:8545',
+  hook: HOOK,
+  token: TOKEN,
+  poolManager: POOL_MANAGER,
+  poolKey: { currency0: '0x0000000000000000000000000000000000000000', currency1: TOKEN, fee: 3000, tickSpacing: 60, hooks: HOOK }
+});
+
+const respond = (status, body, contentType = 'application/json') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => contentType },
+  json: async () => body
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('manifests are loaded per chain and validated', async () => {
+  global.fetch = jest.fn(async (url) => respond(200, manifest(Number(/(\d+)\.json$/.exec(url)[1]))));
+
+  const local = await loadDeployment(31337);
+  const testnet = await loadDeployment(11155111);
+  await loadDeployment(31337);
+
+  expect(local.hook).toBe(HOOK);
+  expect(testnet.chainId).toBe(11155111);
+  expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['/deployments/31337.json', '/deployments/11155111.json']);
+});
+
+test('a chain without a manifest is reported as not deployed, and retried later', async () => {
+  global.fetch = jest.fn(async () => respond(404, null, 'text/html'));
+  await expect(loadDeployment(5)).rejects.toBeInstanceOf(MissingDeploymentError);
+
+  // The dev server serves index.html for unknown paths
+  global.fetch = jest.fn(async () => respond(200, null, 'text/html'));
+  await expect(loadDeployment(5)).rejects.toThrow(/not deployed on chain 5/);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('incomplete manifests and manifests for another chain are rejected', () => {
+  const broken = { ...manifest(1), hook: 'not-an-address', poolKey: { ...manifest(1).poolKey, fee: '3000' } };
+
+  expect(() => validateDeployment(broken, 10)).toThrow(
+    'Invalid deployment manifest for chain 10: chainId is 1, hook must be an address, poolKey.fee must be an integer'
+  );
+});
@@ -0,0 +1,20 @@
+/**
+ * Every `name` event that `contract` emitted in a transaction receipt, parsed
+ * with the contract's ABI, in log order. Logs of other contracts are ignored
+ * even when they share the event signature.
+ */
+export const findEvents = (txReceipt, contract, name) => txReceipt.logs
+  .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+  .map(log => {
+    try {
+      return contract.interface.parseLog(log);
+    } catch (error) {
+      return null;
+    }
+  })
+  .filter(event => event && event.name === name);
+
+/**
+ * First `name` event that `contract` emitted in a transaction receipt, or null.
+ */
+export const findEvent = (txReceipt, contract, name) => findEvents(txReceipt, contract, name)[0] || null;
@@ -0,0 +1,31 @@
+import { ethers } from 'ethers';
+import { findEvent, findEvents } from './events';
+
+/**
+ * Retirement recorded by a confirmed retireCredit/retireCreditFor
+ * transaction, read from the events the token emitted rather than from what
+ * the form asked for. CreditRetiredFor carries the amount and beneficiary;
+ * transactions with only the CreditRetired event (e.g. from a token deployed
+ * before CreditRetiredFor existed) take the amount from the burn Transfer and
+ * have no beneficiary.
+ */
+export const parseRetirement = (txReceipt, token) => {
+  const retiredFor = findEvent(txReceipt, token, 'CreditRetiredFor');
+  const retired = retiredFor || findEvent(txReceipt, token, 'CreditRetired');
+  if (!retired) {
+    throw new Error(`Transaction ${txReceipt.transactionHash} has no CreditRetired event`);
+  }
+
+  const burn = findEvents(txReceipt, token, 'Transfer')
+    .find(event => event.args.from === retired.args.retiredBy && event.args.to === ethers.constants.AddressZero);
+  const amount = retiredFor ? retiredFor.args.amount : burn && burn.args.amount;
+
+  return {
+    creditId: retired.args.creditId.toNumber(),
+    amount: amount ? ethers.utils.formatEther(amount) : null,
+    beneficiary: retiredFor ? retiredFor.args.beneficiary : null,
+    retiredBy: retired.args.retiredBy,
+    txHash: txReceipt.transactionHash,
+    blockNumber: txReceipt.blockNumber
+  };
+};
@@ -0,0 +1,70 @@
+import { ethers } from 'ethers';
+import { parseRetirement } from './retirements';
+
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const ACCOUNT = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+const tokenInterface = new ethers.utils.Interface([
+  'event CreditRetired(uint256 indexed creditId, address indexed retiredBy)',
+  'event CreditRetiredFor(uint256 indexed creditId, address indexed retiredBy, uint256 amount, string beneficiary)',
+  'event Transfer(address indexed from, address indexed to, uint256 amount)'
+]);
+const token = { address: TOKEN, interface: tokenInterface };
+
+const eventLog = (address, name, values) => ({ address, ...tokenInterface.encodeEventLog(tokenInterface.getEvent(name), values) });
+
+const receipt = (logs) => ({ transactionHash: '0xabc', blockNumber: 42, logs });
+
+test('the receipt comes from the CreditRetiredFor event of the token', () => {
+  const retirement = parseRetirement(receipt([
+    eventLog(TOKEN, 'Transfer', [ACCOUNT, ethers.constants.AddressZero, ethers.utils.parseEther('2.5')]),
+    eventLog(TOKEN, 'CreditRetired', [7, ACCOUNT]),
+    eventLog(TOKEN, 'CreditRetiredFor', [7, ACCOUNT, ethers.utils.parseEther('2.5'), 'Acme Corp FY2025'])
+  ]), token);
+
+  expect(retirement).toEqual({
+    creditId: 7,
+    amount: '2.5',
+    beneficiary: 'Acme Corp FY2025',
+    retiredBy: ACCOUNT,
+    txHash: '0xabc',
+    blockNumber: 42
+  });
+});
+
+test('a CreditRetired event alone gives the amount burned and no beneficiary', () => {
+  const retirement = parseRetirement(receipt([
+    eventLog(TOKEN, 'Transfer', [ACCOUNT, ethers.constants.AddressZero, ethers.utils.parseEther('4')]),
+    eventLog(TOKEN, 'CreditRetired', [3, ACCOUNT])
+  ]), token);
+
+  expect(retirement).toEqual({
+    creditId: 3,
+    amount: '4.0',
+    beneficiary: null,
+    retiredBy: ACCOUNT,
+    txHash: '0xabc',
+    blockNumber: 42
+  });
+});
+
+test('transfers other than the retiring account\'s burn are not taken for the amount', () => {
+  const other = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+  const retirement = parseRetirement(receipt([
+    eventLog(TOKEN, 'Transfer', [ACCOUNT, other, ethers.utils.parseEther('9')]),
+    eventLog(TOKEN, 'Transfer', [other, ethers.constants.AddressZero, ethers.utils.parseEther('8')]),
+    eventLog(TOKEN, 'CreditRetired', [3, ACCOUNT])
+  ]), token);
+
+  expect(retirement.amount).toBeNull();
+});
+
+test('events from other contracts are not taken for a retirement', () => {
+  const elsewhere = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+  expect(() => parseRetirement(receipt([
+    eventLog(elsewhere, 'CreditRetiredFor', [7, ACCOUNT, ethers.utils.parseEther('1'), '']),
+    eventLog(elsewhere, 'CreditRetired', [7, ACCOUNT])
+  ]), token)).toThrow('Transaction 0xabc has no CreditRetired event');
+});
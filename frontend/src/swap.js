@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+import { findEvent } from './events';
+
+// v4-core PoolSwapTest router deployed by DeployReal.s.sol
+export const SWAP_ROUTER_ABI = [
+  'function swap(tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) key, tuple(bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96) params, tuple(bool takeClaims, bool settleUsingBurn) testSettings, bytes hookData) payable returns (int256 delta)'
+];
+
+export const POOL_MANAGER_ABI = [
+  'function extsload(bytes32 slot) view returns (bytes32)',
+  'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)'
+];
+
+export const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Storage slot of PoolManager's pools mapping (StateLibrary.POOLS_SLOT)
+const POOLS_SLOT = 6;
+
+// TickMath bounds; price limits must lie strictly inside them
+const MIN_SQRT_PRICE = ethers.BigNumber.from('4295128739');
+const MAX_SQRT_PRICE = ethers.BigNumber.from('1461446703485210103287273052203988822378723970342');
+
+const TWO_128 = ethers.BigNumber.from(2).pow(128);
+const PRECISION = 1e12;
+
+// Fees are in hundredths of a basis point: 3000 is 0.3%
+export const formatFee = (fee) => `${fee / 10000}%`;
+
+export const currencySymbol = (currency, deployment) => {
+  if (currency === ethers.constants.AddressZero) return 'ETH';
+  return currency.toLowerCase() === deployment.token.toLowerCase() ? 'CARBON' : `${currency.slice(0, 6)}...`;
+};
+
+const poolKeyTuple = ({ currency0, currency1, fee, tickSpacing, hooks }) => ({ currency0, currency1, fee, tickSpacing, hooks });
+
+export const poolId = (poolKey) => ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+  ['address', 'address', 'uint24', 'int24', 'address'],
+  [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks]
+));
+
+/**
+ * Current sqrtPriceX96 of the deployment's pool, read from slot0 in
+ * PoolManager storage the way StateLibrary.getSlot0 does.
+ */
+export const readSqrtPrice = async (poolManager, poolKey) => {
+  const slot = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'uint256'], [poolId(poolKey), POOLS_SLOT]));
+  const sqrtPriceX96 = ethers.BigNumber.from(await poolManager.extsload(slot)).mask(160);
+  if (sqrtPriceX96.isZero()) {
+    throw new Error('The pool is not initialized');
+  }
+  return sqrtPriceX96;
+};
+
+/**
+ * Worst sqrt price a swap may reach with `slippage` percent of price
+ * movement. Selling currency0 (zeroForOne) pushes the price down.
+ */
+export const priceLimit = (sqrtPriceX96, zeroForOne, slippage) => {
+  const factor = Math.sqrt(zeroForOne ? 1 - slippage / 100 : 1 + slippage / 100);
+  const limit = sqrtPriceX96.mul(Math.floor(factor * PRECISION)).div(PRECISION);
+  if (limit.lte(MIN_SQRT_PRICE)) return MIN_SQRT_PRICE.add(1);
+  if (limit.gte(MAX_SQRT_PRICE)) return MAX_SQRT_PRICE.sub(1);
+  return limit;
+};
+
+// Price of currency0 in currency1
+export const spotPrice = (sqrtPriceX96) => (parseFloat(sqrtPriceX96.toString()) / 2 ** 96) ** 2;
+
+// hookData for CarbonFlowHook: the credit it prices, the account it credits
+// the purchase to (the router is the hook's swapper) and the least output
+// the swap may settle for, or 0
+const encodeHookData = (creditId, buyer, minAmountOut) => ethers.utils.defaultAbiCoder.encode(
+  ['uint256', 'address', 'uint256'],
+  [creditId, buyer, minAmountOut]
+);
+
+/**
+ * Exact-input swap of `amountIn` through the deployment's pool. 'buy' pays
+ * the other currency for CARBON, 'sell' the reverse. The hook prices the swap
+ * for `creditId` and records it for `buyer` if the router is one it trusts.
+ */
+export const planSwap = ({ deployment, sqrtPriceX96, side, amountIn, creditId, buyer, slippage }) => {
+  const { poolKey } = deployment;
+  const carbonIsCurrency1 = poolKey.currency1.toLowerCase() === deployment.token.toLowerCase();
+  const zeroForOne = side === 'buy' ? carbonIsCurrency1 : !carbonIsCurrency1;
+  const currencyIn = zeroForOne ? poolKey.currency0 : poolKey.currency1;
+  const currencyOut = zeroForOne ? poolKey.currency1 : poolKey.currency0;
+  const sqrtPriceLimitX96 = priceLimit(sqrtPriceX96, zeroForOne, slippage);
+
+  return {
+    zeroForOne,
+    currencyIn,
+    currencyOut,
+    amountIn,
+    sqrtPriceLimitX96,
+    creditId,
+    buyer,
+    minAmountOut: ethers.constants.Zero,
+    // Native input is paid with the transaction, ERC20 input needs an approval
+    value: currencyIn === ethers.constants.AddressZero ? amountIn : ethers.constants.Zero,
+    args: [
+      poolKeyTuple(poolKey),
+      // Negative amountSpecified means exact input
+      { zeroForOne, amountSpecified: amountIn.mul(-1), sqrtPriceLimitX96 },
+      { takeClaims: false, settleUsingBurn: false },
+      encodeHookData(creditId, buyer, ethers.constants.Zero)
+    ]
+  };
+};
+
+// Least output within `slippage` percent of a quoted `amountOut`
+export const minimumOutput = (amountOut, slippage) => amountOut.mul(10000 - Math.round(slippage * 100)).div(10000);
+
+// The plan with a minimum output the hook enforces, reverting the swap below it
+export const withMinimumOutput = (plan, minAmountOut) => ({
+  ...plan,
+  minAmountOut,
+  args: [...plan.args.slice(0, 3), encodeHookData(plan.creditId, plan.buyer, minAmountOut)]
+});
+
+/**
+ * Why a swap quoted at `quote` must not be sent, or null: the pool would only
+ * partly fill it before the price limit, or pay out less than `minAmountOut`.
+ */
+export const quoteShortfall = (quote, plan, minAmountOut) => {
+  if (quote.amountIn.lt(plan.amountIn)) {
+    return `only ${ethers.utils.formatEther(quote.amountIn)} of ${ethers.utils.formatEther(plan.amountIn)} would fill before the price limit`;
+  }
+  if (quote.amountOut.lt(minAmountOut)) {
+    return `it would pay out ${ethers.utils.formatEther(quote.amountOut)}, less than the minimum of ${ethers.utils.formatEther(minAmountOut)}`;
+  }
+  return null;
+};
+
+/**
+ * Amounts paid and received by the swapper from a BalanceDelta, which packs
+ * amount0 in the upper and amount1 in the lower 128 bits (negative = paid).
+ */
+export const swapAmounts = (delta, zeroForOne) => {
+  const packed = ethers.BigNumber.from(delta).toTwos(256);
+  const amount0 = packed.div(TWO_128).fromTwos(128);
+  const amount1 = packed.mod(TWO_128).fromTwos(128);
+  const [paid, received] = zeroForOne ? [amount0, amount1] : [amount1, amount0];
+  return { amountIn: paid.mul(-1), amountOut: received };
+};
+
+// Simulate the swap: the router returns the delta, so this also runs the hook
+export const quoteSwap = async (router, plan) => {
+  const delta = await router.callStatic.swap(...plan.args, { value: plan.value });
+  return swapAmounts(delta, plan.zeroForOne);
+};
+
+/**
+ * What a confirmed swap did: the fee the hook applied (DynamicFeeApplied)
+ * and the amounts PoolManager settled (Swap).
+ */
+export const parseSwap = (txReceipt, { hook, poolManager }, zeroForOne) => {
+  const feeApplied = findEvent(txReceipt, hook, 'DynamicFeeApplied');
+  if (!feeApplied) {
+    throw new Error(`Transaction ${txReceipt.transactionHash} has no DynamicFeeApplied event`);
+  }
+  const swapped = findEvent(txReceipt, poolManager, 'Swap');
+  const [paid, received] = swapped
+    ? zeroForOne ? [swapped.args.amount0, swapped.args.amount1] : [swapped.args.amount1, swapped.args.amount0]
+    : [null, null];
+
+  return {
+    creditId: feeApplied.args.creditId.toNumber(),
+    fee: feeApplied.args.fee,
+    reason: feeApplied.args.reason,
+    amountIn: paid && paid.mul(-1),
+    amountOut: received,
+    // Fee the pool charged, which matches the hook's when the override took effect
+    poolFee: swapped ? swapped.args.fee : null,
+    txHash: txReceipt.transactionHash,
+    blockNumber: txReceipt.blockNumber
+  };
+};
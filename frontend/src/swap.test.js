@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+import { planSwap, priceLimit, swapAmounts, parseSwap, formatFee, minimumOutput, withMinimumOutput, quoteShortfall } from './swap';
+
+const HOOK = '0x2f11783e75f5d0bf0db3dd6a5ca05ed375ae80c0';
+const TOKEN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const POOL_MANAGER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const BUYER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const SQRT_PRICE_1_1 = ethers.BigNumber.from('79228162514264337593543950336');
+
+const DEPLOYMENT = {
+  token: TOKEN,
+  poolKey: { currency0: ethers.constants.AddressZero, currency1: TOKEN, fee: 0x800000, tickSpacing: 60, hooks: HOOK }
+};
+
+const hookInterface = new ethers.utils.Interface(['event DynamicFeeApplied(uint256 creditId, uint24 fee, string reason)']);
+const managerInterface = new ethers.utils.Interface([
+  'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)'
+]);
+const contracts = {
+  hook: { address: HOOK, interface: hookInterface },
+  poolManager: { address: POOL_MANAGER, interface: managerInterface }
+};
+
+const eventLog = (address, contractInterface, name, values) => ({
+  address,
+  ...contractInterface.encodeEventLog(contractInterface.getEvent(name), values)
+});
+
+// BalanceDelta packing: amount0 in the upper, amount1 in the lower 128 bits
+const balanceDelta = (amount0, amount1) => ethers.BigNumber.from(amount0).toTwos(128)
+  .mul(ethers.BigNumber.from(2).pow(128))
+  .add(ethers.BigNumber.from(amount1).toTwos(128))
+  .fromTwos(256);
+
+const hookData = (plan) => ethers.utils.defaultAbiCoder.decode(['uint256', 'address', 'uint256'], plan.args[3]);
+
+test('buying CARBON pays ETH with the transaction and passes the credit ID and buyer to the hook', () => {
+  const amountIn = ethers.utils.parseEther('1');
+  const plan = planSwap({ deployment: DEPLOYMENT, sqrtPriceX96: SQRT_PRICE_1_1, side: 'buy', amountIn, creditId: 7, buyer: BUYER, slippage: 1 });
+
+  expect(plan.zeroForOne).toBe(true);
+  expect(plan.value.eq(amountIn)).toBe(true);
+  expect(plan.args[1].amountSpecified.eq(amountIn.mul(-1))).toBe(true);
+  const [creditId, buyer, minAmountOut] = hookData(plan);
+  expect(creditId.toNumber()).toBe(7);
+  expect(buyer).toBe(BUYER);
+  expect(minAmountOut.isZero()).toBe(true);
+});
+
+test('selling CARBON sends no ETH and limits the price upwards', () => {
+  const plan = planSwap({ deployment: DEPLOYMENT, sqrtPriceX96: SQRT_PRICE_1_1, side: 'sell', amountIn: ethers.utils.parseEther('5'), creditId: 1, buyer: BUYER, slippage: 1 });
+
+  expect(plan.zeroForOne).toBe(false);
+  expect(plan.currencyIn).toBe(TOKEN);
+  expect(plan.value.isZero()).toBe(true);
+  expect(plan.sqrtPriceLimitX96.gt(SQRT_PRICE_1_1)).toBe(true);
+});
+
+test('the price limit allows exactly the slippage tolerance', () => {
+  const limit = priceLimit(SQRT_PRICE_1_1, true, 2);
+  const price = (parseFloat(limit.toString()) / 2 ** 96) ** 2;
+
+  expect(price).toBeCloseTo(0.98, 9);
+  expect(priceLimit(ethers.BigNumber.from('4295128800'), true, 50).toString()).toBe('4295128740');
+});
+
+test('the minimum output goes to the hook and allows exactly the slippage tolerance', () => {
+  const plan = planSwap({ deployment: DEPLOYMENT, sqrtPriceX96: SQRT_PRICE_1_1, side: 'buy', amountIn: ethers.utils.parseEther('1'), creditId: 7, buyer: BUYER, slippage: 1.5 });
+  const minAmountOut = minimumOutput(ethers.utils.parseEther('0.98'), 1.5);
+
+  expect(ethers.utils.formatEther(minAmountOut)).toBe('0.9653');
+  const guarded = withMinimumOutput(plan, minAmountOut);
+  expect(guarded.args.slice(0, 3)).toEqual(plan.args.slice(0, 3));
+  expect(hookData(guarded)[0].toNumber()).toBe(7);
+  expect(hookData(guarded)[1]).toBe(BUYER);
+  expect(hookData(guarded)[2].eq(minAmountOut)).toBe(true);
+});
+
+test('a quote that fills only partly or pays out too little is refused', () => {
+  const plan = planSwap({ deployment: DEPLOYMENT, sqrtPriceX96: SQRT_PRICE_1_1, side: 'buy', amountIn: ethers.utils.parseEther('1'), creditId: 7, buyer: BUYER, slippage: 1 });
+  const minAmountOut = ethers.utils.parseEther('0.97');
+
+  expect(quoteShortfall({ amountIn: ethers.utils.parseEther('1'), amountOut: ethers.utils.parseEther('0.98') }, plan, minAmountOut)).toBeNull();
+  expect(quoteShortfall({ amountIn: ethers.utils.parseEther('0.4'), amountOut: ethers.utils.parseEther('0.39') }, plan, minAmountOut))
+    .toBe('only 0.4 of 1.0 would fill before the price limit');
+  expect(quoteShortfall({ amountIn: ethers.utils.parseEther('1'), amountOut: ethers.utils.parseEther('0.96') }, plan, minAmountOut))
+    .toBe('it would pay out 0.96, less than the minimum of 0.97');
+});
+
+test('swap deltas are unpacked into the amounts paid and received', () => {
+  const paid = ethers.utils.parseEther('1');
+  const received = ethers.utils.parseEther('0.9876');
+  const delta = balanceDelta(paid.mul(-1), received);
+
+  const { amountIn, amountOut } = swapAmounts(delta, true);
+  expect(amountIn.eq(paid)).toBe(true);
+  expect(amountOut.eq(received)).toBe(true);
+
+  const reverse = swapAmounts(balanceDelta(received, paid.mul(-1)), false);
+  expect(reverse.amountIn.eq(paid)).toBe(true);
+  expect(reverse.amountOut.eq(received)).toBe(true);
+});
+
+test('the confirmation reports the fee from the hook event and the settled amounts', () => {
+  const swap = parseSwap({
+    transactionHash: '0xabc',
+    blockNumber: 9,
+    logs: [
+      eventLog(HOOK, hookInterface, 'DynamicFeeApplied', [1, 2500, 'Premium quality + high AVS score']),
+      eventLog(POOL_MANAGER, managerInterface, 'Swap', [
+        ethers.constants.HashZero, HOOK, ethers.utils.parseEther('-1'), ethers.utils.parseEther('0.9876'), SQRT_PRICE_1_1, 100, 0, 2500
+      ])
+    ]
+  }, contracts, true);
+
+  expect(swap.creditId).toBe(1);
+  expect(formatFee(swap.fee)).toBe('0.25%');
+  expect(swap.reason).toBe('Premium quality + high AVS score');
+  expect(ethers.utils.formatEther(swap.amountIn)).toBe('1.0');
+  expect(ethers.utils.formatEther(swap.amountOut)).toBe('0.9876');
+  expect(swap.poolFee).toBe(2500);
+});
+
+test('a transaction without the hook event is not reported as a hook swap', () => {
+  expect(() => parseSwap({ transactionHash: '0xabc', logs: [] }, contracts, true))
+    .toThrow('Transaction 0xabc has no DynamicFeeApplied event');
+});
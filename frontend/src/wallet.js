@@ -0,0 +1,93 @@
+import { ethers } from 'ethers';
+
+// First Anvil account. Its key is public, so it is only offered when the
+// dev wallet is explicitly enabled.
+const ANVIL_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+export const LOCAL_RPC_URL = process.env.REACT_APP_LOCAL_RPC_URL || 'http://localhost:8545';
+
+// Opt-in (REACT_APP_ENABLE_DEV_WALLET=true): offer the Anvil account on the
+// connect screen for local development without a browser wallet
+export const DEV_WALLET_ENABLED = process.env.REACT_APP_ENABLE_DEV_WALLET === 'true';
+
+export const getInjectedProvider = () => (typeof window !== 'undefined' && window.ethereum) || null;
+
+const fromInjected = async (ethereum, accounts) => {
+  // 'any': the wallet may switch chains under us, we rebuild on chainChanged
+  const provider = new ethers.providers.Web3Provider(ethereum, 'any');
+  const address = ethers.utils.getAddress(accounts[0]);
+  const { chainId } = await provider.getNetwork();
+  return { kind: 'injected', provider, signer: provider.getSigner(address), address, chainId };
+};
+
+/**
+ * Connect the injected EIP-1193 wallet (MetaMask, Rabby, ...). With
+ * `prompt: false` nothing is shown to the user: only an account that already
+ * authorized this site is used, and null is returned if there is none.
+ */
+export const connectInjectedWallet = async ({ prompt = true } = {}) => {
+  const ethereum = getInjectedProvider();
+  if (!ethereum) {
+    throw new Error('No browser wallet found. Install MetaMask or another EIP-1193 wallet.');
+  }
+
+  const accounts = await ethereum.request({ method: prompt ? 'eth_requestAccounts' : 'eth_accounts' });
+  if (!accounts || accounts.length === 0) {
+    return null;
+  }
+  return fromInjected(ethereum, accounts);
+};
+
+export const connectDevWallet = async () => {
+  if (!DEV_WALLET_ENABLED) {
+    throw new Error('The local dev wallet is disabled (set REACT_APP_ENABLE_DEV_WALLET=true)');
+  }
+  const provider = new ethers.providers.JsonRpcProvider(LOCAL_RPC_URL);
+  const signer = new ethers.Wallet(ANVIL_PRIVATE_KEY, provider);
+  const { chainId } = await provider.getNetwork();
+  return { kind: 'dev', provider, signer, address: signer.address, chainId };
+};
+
+/**
+ * Ask the injected wallet to switch to `network` ({ chainId, name, rpcUrl }),
+ * adding the chain first if the wallet doesn't know it (error 4902).
+ */
+export const switchNetwork = async ({ chainId, name, rpcUrl }) => {
+  const ethereum = getInjectedProvider();
+  const hexChainId = ethers.utils.hexValue(chainId);
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+  } catch (error) {
+    if (error.code !== 4902 || !rpcUrl) {
+      throw error;
+    }
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: hexChainId,
+        chainName: name || `Chain ${chainId}`,
+        rpcUrls: [rpcUrl],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+      }]
+    });
+  }
+};
+
+/**
+ * Subscribe to account and chain changes in the injected wallet. Returns a
+ * function that removes the listeners.
+ */
+export const watchWallet = ({ onAccountsChanged, onChainChanged }) => {
+  const ethereum = getInjectedProvider();
+  if (!ethereum || !ethereum.on) {
+    return () => {};
+  }
+  ethereum.on('accountsChanged', onAccountsChanged);
+  ethereum.on('chainChanged', onChainChanged);
+  return () => {
+    ethereum.removeListener('accountsChanged', onAccountsChanged);
+    ethereum.removeListener('chainChanged', onChainChanged);
+  };
+};
+
+export const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -0,0 +1,75 @@
+import { connectInjectedWallet, switchNetwork, watchWallet } from './wallet';
+
+const ACCOUNT = '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266';
+
+// Minimal EIP-1193 provider recording the RPC methods it was asked for
+const fakeWallet = ({ accounts = [ACCOUNT], chainId = '0x7a69', switchError = null } = {}) => {
+  const wallet = {
+    calls: [],
+    listeners: {},
+    request: async ({ method }) => {
+      wallet.calls.push(method);
+      switch (method) {
+        case 'eth_accounts':
+        case 'eth_requestAccounts':
+          return accounts;
+        case 'eth_chainId':
+          return chainId;
+        case 'net_version':
+          return String(parseInt(chainId, 16));
+        case 'wallet_switchEthereumChain':
+          if (switchError) throw switchError;
+          return null;
+        default:
+          return null;
+      }
+    },
+    on: (event, listener) => { wallet.listeners[event] = listener; },
+    removeListener: (event) => { delete wallet.listeners[event]; }
+  };
+  return wallet;
+};
+
+afterEach(() => {
+  delete window.ethereum;
+});
+
+test('connecting without a browser wallet explains what is missing', async () => {
+  await expect(connectInjectedWallet()).rejects.toThrow(/No browser wallet found/);
+});
+
+test('connecting asks the wallet for an account and reads its chain', async () => {
+  window.ethereum = fakeWallet();
+
+  const wallet = await connectInjectedWallet();
+
+  expect(window.ethereum.calls).toContain('eth_requestAccounts');
+  expect(wallet.kind).toBe('injected');
+  expect(wallet.address).toBe('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+  expect(wallet.chainId).toBe(31337);
+});
+
+test('silent reconnects never prompt and return null without an authorized account', async () => {
+  window.ethereum = fakeWallet({ accounts: [] });
+
+  expect(await connectInjectedWallet({ prompt: false })).toBeNull();
+  expect(window.ethereum.calls).toEqual(['eth_accounts']);
+});
+
+test('switching to a chain the wallet does not know adds it first', async () => {
+  window.ethereum = fakeWallet({ switchError: Object.assign(new Error('Unrecognized chain'), { code: 4902 }) });
+
+  await switchNetwork({ chainId: 31337, name: 'Anvil (local)', rpcUrl: 'http://localhost:8545' });
+
+  expect(window.ethereum.calls).toEqual(['wallet_switchEthereumChain', 'wallet_addEthereumChain']);
+});
+
+test('account and chain listeners are removed on unsubscribe', () => {
+  window.ethereum = fakeWallet();
+
+  const unsubscribe = watchWallet({ onAccountsChanged: () => {}, onChainChanged: () => {} });
+  expect(Object.keys(window.ethereum.listeners).sort()).toEqual(['accountsChanged', 'chainChanged']);
+
+  unsubscribe();
+  expect(window.ethereum.listeners).toEqual({});
+});
@@ -8,11 +8,27 @@ import {CarbonFlowHook} from "../src/CarbonFlowHook.sol";
 import {IPoolManager} from "lib/uniswap-hooks/lib/v4-core/src/interfaces/IPoolManager.sol";
 import {PoolManager} from "lib/uniswap-hooks/lib/v4-core/src/PoolManager.sol";
 import {Hooks} from "lib/uniswap-hooks/lib/v4-core/src/libraries/Hooks.sol";
+import {IHooks} from "lib/uniswap-hooks/lib/v4-core/src/interfaces/IHooks.sol";
+import {PoolKey} from "lib/uniswap-hooks/lib/v4-core/src/types/PoolKey.sol";
+import {Currency} from "lib/uniswap-hooks/lib/v4-core/src/types/Currency.sol";
+import {ModifyLiquidityParams} from "lib/uniswap-hooks/lib/v4-core/src/types/PoolOperation.sol";
+import {LPFeeLibrary} from "lib/uniswap-hooks/lib/v4-core/src/libraries/LPFeeLibrary.sol";
+import {TickMath} from "lib/uniswap-hooks/lib/v4-core/src/libraries/TickMath.sol";
+import {PoolSwapTest} from "lib/uniswap-hooks/lib/v4-core/src/test/PoolSwapTest.sol";
+import {PoolModifyLiquidityTest} from "lib/uniswap-hooks/lib/v4-core/src/test/PoolModifyLiquidityTest.sol";
 import {HookMiner} from "lib/uniswap-hooks/lib/v4-periphery/src/utils/HookMiner.sol";
 
 contract DeployReal is Script {
     // CREATE2 deployer address for Foundry
     address constant CREATE2_DEPLOYER = 0x4e59b44847b379578588920cA78FbF26c0B4956C;
+
+    // ETH/CARBON pool: fee set per swap by the hook, 1:1 starting price (sqrt(1) * 2^96)
+    uint24 constant POOL_FEE = LPFeeLibrary.DYNAMIC_FEE_FLAG;
+    int24 constant POOL_TICK_SPACING = 60;
+    uint160 constant SQRT_PRICE_1_1 = 79228162514264337593543950336;
+
+    // Full-range liquidity seeded by the deployer, about 100 ETH + 100 CARBON at 1:1
+    int256 constant SEED_LIQUIDITY = 100 ether;
     
     function run() external {
         vm.startBroadcast();
@@ -38,7 +54,7 @@ contract DeployReal is Script {
         console.log("Hook flags required:", flags);
         
         // Mine for hook address using HookMiner
-        bytes memory constructorArgs = abi.encode(address(poolManager), address(carbonToken));
+        bytes memory constructorArgs = abi.encode(address(poolManager), address(carbonToken), msg.sender);
         (address hookAddress, bytes32 salt) = HookMiner.find(
             CREATE2_DEPLOYER,
             flags,
@@ -52,11 +68,27 @@ contract DeployReal is Script {
         // Deploy hook using CREATE2 with mined salt
         CarbonFlowHook hook = new CarbonFlowHook{salt: salt}(
             IPoolManager(address(poolManager)),
-            address(carbonToken)
+            address(carbonToken),
+            msg.sender
         );
         
         require(address(hook) == hookAddress, "Hook address mismatch");
         console.log("CarbonFlowHook deployed at:", address(hook));
+
+        // Pool that routes swaps through the hook; native ETH sorts first
+        PoolKey memory poolKey = PoolKey({
+            currency0: Currency.wrap(address(0)),
+            currency1: Currency.wrap(address(carbonToken)),
+            fee: POOL_FEE,
+            tickSpacing: POOL_TICK_SPACING,
+            hooks: IHooks(address(hook))
+        });
+        poolManager.initialize(poolKey, SQRT_PRICE_1_1);
+        console.log("ETH/CARBON pool initialized");
+
+        // PoolSwapTest passes hookData through without checking the buyer it names,
+        // so it is deliberately not a trusted router: its swaps count as the router's
+        address swapRouter = _deployRouters(IPoolManager(address(poolManager)), poolKey, carbonToken);
         
         // Test hook functionality
         console.log("\n=== TESTING HOOK FUNCTIONS ===");
@@ -85,5 +117,39 @@ contract DeployReal is Script {
         
         // Add this line for auto-script parsing
         console.log("HOOK_CONTRACT_ADDRESS=", vm.toString(address(hook)));
+
+        // Deployment manifest values, parsed by deploy.sh
+        console.log("CARBON_TOKEN_ADDRESS=", vm.toString(address(carbonToken)));
+        console.log("POOL_MANAGER_ADDRESS=", vm.toString(address(poolManager)));
+        console.log("SWAP_ROUTER_ADDRESS=", vm.toString(swapRouter));
+        console.log("POOL_CURRENCY0=", vm.toString(Currency.unwrap(poolKey.currency0)));
+        console.log("POOL_CURRENCY1=", vm.toString(Currency.unwrap(poolKey.currency1)));
+        console.log("POOL_FEE=", vm.toString(uint256(poolKey.fee)));
+        console.log("POOL_TICK_SPACING=", vm.toString(int256(poolKey.tickSpacing)));
+    }
+
+    // Routers for the dashboard's swaps and for seeding the pool. The swap
+    // router pulls ERC20 input with transferFrom, so sellers approve it.
+    function _deployRouters(IPoolManager poolManager, PoolKey memory poolKey, CarbonToken carbonToken)
+        internal
+        returns (address)
+    {
+        PoolSwapTest swapRouter = new PoolSwapTest(poolManager);
+        PoolModifyLiquidityTest liquidityRouter = new PoolModifyLiquidityTest(poolManager);
+        console.log("Swap router deployed at:", address(swapRouter));
+
+        carbonToken.approve(address(liquidityRouter), type(uint256).max);
+        liquidityRouter.modifyLiquidity{value: 101 ether}(
+            poolKey,
+            ModifyLiquidityParams({
+                tickLower: TickMath.minUsableTick(POOL_TICK_SPACING),
+                tickUpper: TickMath.maxUsableTick(POOL_TICK_SPACING),
+                liquidityDelta: SEED_LIQUIDITY,
+                salt: 0
+            }),
+            ""
+        );
+        console.log("Seeded ETH/CARBON liquidity");
+        return address(swapRouter);
     }
 }
\ No newline at end of file
@@ -8,6 +8,7 @@ import {PoolKey} from "v4-core/src/types/PoolKey.sol";
 import {PoolId, PoolIdLibrary} from "v4-core/src/types/PoolId.sol";
 import {BalanceDelta} from "v4-core/src/types/BalanceDelta.sol";
 import {BeforeSwapDelta, BeforeSwapDeltaLibrary} from "v4-core/src/types/BeforeSwapDelta.sol";
+import {LPFeeLibrary} from "v4-core/src/libraries/LPFeeLibrary.sol";
 import {SwapParams} from "v4-core/src/types/PoolOperation.sol";
 import {CarbonToken} from "./CarbonToken.sol";
 
@@ -30,6 +31,10 @@ contract CarbonFlowHook is BaseHook {
     mapping(address => bool) public corporateBuyers;
     mapping(address => uint256) public purchasedCredits;
     mapping(address => uint256) public retiredCredits;
+
+    // Routers trusted to name the buyer in hookData (see _decodeHookData)
+    mapping(address => bool) public trustedRouters;
+    address public owner;
     
     // Real Fhenix encrypted storage
     mapping(address => euint64) private encryptedPurchases;
@@ -52,11 +57,14 @@ contract CarbonFlowHook is BaseHook {
     event AVSVerificationRequested(uint256 indexed creditId, address requester);
     event AVSVerificationCompleted(uint256 indexed creditId, bool verified, uint256 qualityScore, string[] sources);
     event DynamicFeeApplied(uint256 creditId, uint24 fee, string reason);
+    event TrustedRouterSet(address indexed router, bool trusted);
 
     // ============ CONSTRUCTOR ============
 
-    constructor(IPoolManager _poolManager, address _carbonToken) BaseHook(_poolManager) {
+    constructor(IPoolManager _poolManager, address _carbonToken, address _owner) BaseHook(_poolManager) {
         carbonToken = CarbonToken(_carbonToken);
+        // Passed in: CREATE2 deployments make the deployer proxy msg.sender
+        owner = _owner;
 
         // Initialize corporate buyers for demo
         corporateBuyers[address(0x1234567890123456789012345678901234567890)] = true; // Microsoft
@@ -189,6 +197,14 @@ contract CarbonFlowHook is BaseHook {
         }
     }
     
+    /**
+     * @dev Request AVS verification of a credit without swapping it, e.g. before listing it
+     * @param creditId Credit to verify; only the first request for a credit emits an event
+     */
+    function requestAVSVerification(uint256 creditId) external {
+        _requestAVSVerification(creditId);
+    }
+    
     /**
      * @dev Simulate AVS verification response (for demo)
      * In production, this would be called by actual AVS operators
@@ -217,6 +233,39 @@ contract CarbonFlowHook is BaseHook {
         uint256 qualityScore,
         string[] memory sources
     ) external {
+        _submitAVSVerification(creditId, isVerified, qualityScore, sources);
+    }
+
+    /**
+     * @dev Submit verification results for several credits in one transaction (bulk onboarding)
+     * @param creditIds Credits being verified
+     * @param isVerified Verification result for each credit
+     * @param qualityScores Consensus quality score for each credit
+     * @param sources Registry sources that confirmed each credit
+     */
+    function submitAVSVerificationBatch(
+        uint256[] calldata creditIds,
+        bool[] calldata isVerified,
+        uint256[] calldata qualityScores,
+        string[][] calldata sources
+    ) external {
+        require(
+            isVerified.length == creditIds.length &&
+            qualityScores.length == creditIds.length &&
+            sources.length == creditIds.length,
+            "Batch length mismatch"
+        );
+        for (uint i = 0; i < creditIds.length; i++) {
+            _submitAVSVerification(creditIds[i], isVerified[i], qualityScores[i], sources[i]);
+        }
+    }
+
+    function _submitAVSVerification(
+        uint256 creditId,
+        bool isVerified,
+        uint256 qualityScore,
+        string[] memory sources
+    ) internal {
         // In production, add access control for AVS operators only
         avsVerified[creditId] = isVerified;
         avsQualityScore[creditId] = qualityScore;
@@ -237,10 +286,7 @@ contract CarbonFlowHook is BaseHook {
         override
         returns (bytes4, BeforeSwapDelta, uint24)
     {
-        uint256 creditId = 1; // Default
-        if (hookData.length > 0) {
-            creditId = abi.decode(hookData, (uint256));
-        }
+        (uint256 creditId,,) = _decodeHookData(hookData, address(0));
 
         // Ensure AVS verification before any swap
         _requestAVSVerification(creditId);
@@ -274,42 +320,88 @@ contract CarbonFlowHook is BaseHook {
         }
 
         emit DynamicFeeApplied(creditId, dynamicFee, reason);
-        return (BaseHook.beforeSwap.selector, BeforeSwapDeltaLibrary.ZERO_DELTA, dynamicFee);
+        // The override only takes effect in pools created with the dynamic fee flag
+        return (
+            BaseHook.beforeSwap.selector,
+            BeforeSwapDeltaLibrary.ZERO_DELTA,
+            dynamicFee | LPFeeLibrary.OVERRIDE_FEE_FLAG
+        );
     }
 
     function _afterSwap(
         address sender,
         PoolKey calldata,
-        SwapParams calldata,
+        SwapParams calldata params,
         BalanceDelta delta,
         bytes calldata hookData
     ) internal override returns (bytes4, int128) {
-        // Track public purchase amount
-        uint256 amount = uint256(int256(-delta.amount1()));
-        purchasedCredits[sender] += amount;
+        (uint256 creditId, address buyer, uint256 minAmountOut) = _decodeHookData(hookData, sender);
 
-        uint256 creditId = 1;
-        if (hookData.length > 0) {
-            creditId = abi.decode(hookData, (uint256));
+        // Slippage protection for routers without a minimum output, e.g. a swap
+        // that stopped at its price limit and was only partly filled
+        if (minAmountOut > 0) {
+            int128 amountOut = params.zeroForOne ? delta.amount1() : delta.amount0();
+            require(amountOut > 0 && uint256(uint128(amountOut)) >= minAmountOut, "Output below minimum");
         }
 
-        emit CorporatePurchase(sender, amount, creditId, false);
+        // Track public purchase amount: CARBON (currency1) paid out to the swapper.
+        // Sells make amount1 negative and aren't purchases.
+        int128 carbonOut = delta.amount1();
+        if (carbonOut <= 0) {
+            return (BaseHook.afterSwap.selector, 0);
+        }
+        uint256 amount = uint256(uint128(carbonOut));
+        purchasedCredits[buyer] += amount;
+
+        emit CorporatePurchase(buyer, amount, creditId, false);
 
         // Auto-retirement for corporate ESG compliance
-        if (corporateBuyers[sender]) {
-            retiredCredits[sender] += amount;
-            emit AutoRetirement(sender, amount, "Corporate ESG compliance");
+        if (corporateBuyers[buyer]) {
+            retiredCredits[buyer] += amount;
+            emit AutoRetirement(buyer, amount, "Corporate ESG compliance");
         }
 
         return (BaseHook.afterSwap.selector, 0);
     }
 
+    /**
+     * @dev Swap parameters from hookData: abi.encode(creditId), abi.encode(creditId, buyer)
+     * or abi.encode(creditId, buyer, minAmountOut). Routers are the PoolManager's caller,
+     * so a router in trustedRouters, which must check that the buyer it names is the
+     * account paying, stands in for the end user. Any other sender could name someone
+     * else's account, so its purchases are attributed to the sender itself.
+     */
+    function _decodeHookData(bytes calldata hookData, address sender)
+        internal
+        view
+        returns (uint256 creditId, address buyer, uint256 minAmountOut)
+    {
+        creditId = 1; // Default
+        buyer = sender;
+        if (hookData.length >= 96) {
+            (creditId, buyer, minAmountOut) = abi.decode(hookData, (uint256, address, uint256));
+        } else if (hookData.length >= 64) {
+            (creditId, buyer) = abi.decode(hookData, (uint256, address));
+        } else if (hookData.length > 0) {
+            creditId = abi.decode(hookData, (uint256));
+        }
+        if (!trustedRouters[sender]) {
+            buyer = sender;
+        }
+    }
+
     // ============ ADMIN & UTILITY FUNCTIONS ============
 
     function addCorporateBuyer(address buyer) external {
         corporateBuyers[buyer] = true;
     }
 
+    function setTrustedRouter(address router, bool trusted) external {
+        require(msg.sender == owner, "Only owner");
+        trustedRouters[router] = trusted;
+        emit TrustedRouterSet(router, trusted);
+    }
+
     function getCorporateStats(address corporate) external view returns (
         uint256 purchased,
         uint256 retired,
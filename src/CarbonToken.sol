@@ -17,6 +17,8 @@ contract CarbonToken is ERC20 {
     
     event CreditCreated(uint256 indexed creditId, uint256 vintage, string projectType, uint256 quality);
     event CreditRetired(uint256 indexed creditId, address indexed retiredBy);
+    // Emitted alongside CreditRetired with what a retirement receipt needs
+    event CreditRetiredFor(uint256 indexed creditId, address indexed retiredBy, uint256 amount, string beneficiary);
     
     constructor() ERC20("Carbon Credit Token", "CARBON", 18) {
         owner = msg.sender;
@@ -45,11 +47,24 @@ contract CarbonToken is ERC20 {
     }
     
     function retireCredit(uint256 creditId, uint256 amount) external {
+        _retire(creditId, amount, "");
+    }
+
+    // Retire on behalf of a beneficiary (e.g. the company claiming the offset),
+    // recorded in the CreditRetiredFor event for retirement receipts
+    function retireCreditFor(uint256 creditId, uint256 amount, string calldata beneficiary) external {
+        _retire(creditId, amount, beneficiary);
+    }
+
+    function _retire(uint256 creditId, uint256 amount, string memory beneficiary) internal {
+        require(creditId > 0 && creditId < nextCreditId, "Unknown credit");
+        require(amount > 0, "Nothing to retire");
         require(balanceOf[msg.sender] >= amount, "Insufficient balance");
         require(!credits[creditId].isRetired, "Credit already retired");
         
         _burn(msg.sender, amount);
         credits[creditId].isRetired = true;
         emit CreditRetired(creditId, msg.sender);
+        emit CreditRetiredFor(creditId, msg.sender, amount, beneficiary);
     }
 }
\ No newline at end of file
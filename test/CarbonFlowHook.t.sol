@@ -1,11 +1,31 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import {Test} from "forge-std/Test.sol";
+import {Test, Vm} from "forge-std/Test.sol";
 import {CarbonToken} from "../src/CarbonToken.sol";
+import {CarbonFlowHook} from "../src/CarbonFlowHook.sol";
+import {PoolManager} from "v4-core/src/PoolManager.sol";
+import {Hooks} from "v4-core/src/libraries/Hooks.sol";
+import {IHooks} from "v4-core/src/interfaces/IHooks.sol";
+import {IPoolManager} from "v4-core/src/interfaces/IPoolManager.sol";
+import {LPFeeLibrary} from "v4-core/src/libraries/LPFeeLibrary.sol";
+import {TickMath} from "v4-core/src/libraries/TickMath.sol";
+import {PoolKey} from "v4-core/src/types/PoolKey.sol";
+import {Currency} from "v4-core/src/types/Currency.sol";
+import {ModifyLiquidityParams, SwapParams} from "v4-core/src/types/PoolOperation.sol";
+import {PoolSwapTest} from "v4-core/src/test/PoolSwapTest.sol";
+import {PoolModifyLiquidityTest} from "v4-core/src/test/PoolModifyLiquidityTest.sol";
 
 contract CarbonFlowTest is Test {
     CarbonToken carbonToken;
+    CarbonFlowHook hook;
+    PoolManager poolManager;
+
+    event AVSVerificationRequested(uint256 indexed creditId, address requester);
+    event DynamicFeeApplied(uint256 creditId, uint24 fee, string reason);
+    event CreditRetired(uint256 indexed creditId, address indexed retiredBy);
+    event CreditRetiredFor(uint256 indexed creditId, address indexed retiredBy, uint256 amount, string beneficiary);
+    event CorporatePurchase(address indexed buyer, uint256 amount, uint256 creditId, bool isPrivate);
 
     function setUp() public {
         // Deploy our carbon token
@@ -14,6 +34,16 @@ contract CarbonFlowTest is Test {
         // Create some test carbon credits
         carbonToken.createCredit(2023, "forestry", 4, 1000 ether);
         carbonToken.createCredit(2021, "solar", 2, 500 ether);
+
+        // Deploy the hook at an address carrying its permission flags
+        poolManager = new PoolManager(address(this));
+        address hookAddress = address(uint160(Hooks.BEFORE_SWAP_FLAG | Hooks.AFTER_SWAP_FLAG) ^ (0x4444 << 144));
+        deployCodeTo(
+            "CarbonFlowHook.sol:CarbonFlowHook",
+            abi.encode(address(poolManager), address(carbonToken), address(this)),
+            hookAddress
+        );
+        hook = CarbonFlowHook(hookAddress);
     }
     
     function test_carbonCredits() public {
@@ -42,4 +72,220 @@ contract CarbonFlowTest is Test {
         
         assertEq(carbonToken.balanceOf(address(this)), balance - 100 ether);
     }
-}
\ No newline at end of file
+
+    function test_creditRetirementForBeneficiary() public {
+        vm.expectEmit(true, true, false, true, address(carbonToken));
+        emit CreditRetired(2, address(this));
+        vm.expectEmit(true, true, false, true, address(carbonToken));
+        emit CreditRetiredFor(2, address(this), 50 ether, "Acme Corp FY2025");
+        carbonToken.retireCreditFor(2, 50 ether, "Acme Corp FY2025");
+
+        (,,, bool isRetired) = carbonToken.credits(2);
+        assertTrue(isRetired);
+
+        vm.expectRevert("Credit already retired");
+        carbonToken.retireCreditFor(2, 1 ether, "Acme Corp FY2025");
+    }
+
+    function test_creditRetirementOfUnknownCredit() public {
+        vm.expectRevert("Unknown credit");
+        carbonToken.retireCredit(3, 1 ether);
+    }
+
+    // ETH/CARBON pool on the hook with full-range liquidity, and a router to swap through it
+    function _seedPool() internal returns (PoolSwapTest swapRouter, PoolKey memory key) {
+        swapRouter = new PoolSwapTest(IPoolManager(address(poolManager)));
+        PoolModifyLiquidityTest liquidityRouter = new PoolModifyLiquidityTest(IPoolManager(address(poolManager)));
+        key = PoolKey({
+            currency0: Currency.wrap(address(0)),
+            currency1: Currency.wrap(address(carbonToken)),
+            fee: LPFeeLibrary.DYNAMIC_FEE_FLAG,
+            tickSpacing: 60,
+            hooks: IHooks(address(hook))
+        });
+        poolManager.initialize(key, 79228162514264337593543950336);
+
+        carbonToken.approve(address(liquidityRouter), type(uint256).max);
+        liquidityRouter.modifyLiquidity{value: 101 ether}(
+            key,
+            ModifyLiquidityParams({
+                tickLower: TickMath.minUsableTick(60),
+                tickUpper: TickMath.maxUsableTick(60),
+                liquidityDelta: 100 ether,
+                salt: 0
+            }),
+            ""
+        );
+    }
+
+    function _buyCarbon(PoolSwapTest swapRouter, PoolKey memory key, bytes memory hookData) internal {
+        swapRouter.swap{value: 1 ether}(
+            key,
+            SwapParams({zeroForOne: true, amountSpecified: -1 ether, sqrtPriceLimitX96: TickMath.MIN_SQRT_PRICE + 1}),
+            PoolSwapTest.TestSettings({takeClaims: false, settleUsingBurn: false}),
+            hookData
+        );
+    }
+
+    function test_swapThroughHookAppliesDynamicFee() public {
+        (PoolSwapTest swapRouter, PoolKey memory key) = _seedPool();
+        hook.setTrustedRouter(address(swapRouter), true);
+
+        // Credit 1 is premium quality with an AVS score of 85: 0.25% instead of 0.3%
+        uint256 balanceBefore = carbonToken.balanceOf(address(this));
+        vm.expectEmit(false, false, false, true, address(hook));
+        emit DynamicFeeApplied(1, 2500, "Premium quality + high AVS score");
+        _buyCarbon(swapRouter, key, abi.encode(uint256(1), address(this)));
+
+        uint256 received = carbonToken.balanceOf(address(this)) - balanceBefore;
+        assertGt(received, 0.98 ether);
+        assertLt(received, 0.99 ether);
+        // A trusted router's buyer is credited, not the router the hook sees
+        assertEq(hook.purchasedCredits(address(this)), received);
+        assertEq(hook.purchasedCredits(address(swapRouter)), 0);
+    }
+
+    function test_untrustedRouterCannotCreditAnotherAccount() public {
+        (PoolSwapTest swapRouter, PoolKey memory key) = _seedPool();
+        address corporate = address(0x1234567890123456789012345678901234567890);
+        address attacker = address(0xBAD);
+        vm.deal(attacker, 1 ether);
+
+        // The attacker names a corporate buyer to inflate its purchase and retirement stats
+        uint256 balanceBefore = carbonToken.balanceOf(attacker);
+        vm.prank(attacker);
+        _buyCarbon(swapRouter, key, abi.encode(uint256(1), corporate));
+
+        assertEq(hook.purchasedCredits(corporate), 0);
+        assertEq(hook.retiredCredits(corporate), 0);
+        assertEq(hook.purchasedCredits(address(swapRouter)), carbonToken.balanceOf(attacker) - balanceBefore);
+    }
+
+    function test_onlyOwnerSetsTrustedRouters() public {
+        vm.prank(address(0xBAD));
+        vm.expectRevert("Only owner");
+        hook.setTrustedRouter(address(0xBAD), true);
+
+        hook.setTrustedRouter(address(0xCAFE), true);
+        assertTrue(hook.trustedRouters(address(0xCAFE)));
+    }
+
+    function test_sellingCarbonIsNotAPurchase() public {
+        (PoolSwapTest swapRouter, PoolKey memory key) = _seedPool();
+        carbonToken.approve(address(swapRouter), 1 ether);
+
+        vm.recordLogs();
+        swapRouter.swap(
+            key,
+            SwapParams({zeroForOne: false, amountSpecified: -1 ether, sqrtPriceLimitX96: TickMath.MAX_SQRT_PRICE - 1}),
+            PoolSwapTest.TestSettings({takeClaims: false, settleUsingBurn: false}),
+            abi.encode(uint256(1))
+        );
+
+        Vm.Log[] memory logs = vm.getRecordedLogs();
+        for (uint256 i = 0; i < logs.length; i++) {
+            assertTrue(logs[i].topics[0] != CorporatePurchase.selector);
+        }
+        assertEq(hook.purchasedCredits(address(swapRouter)), 0);
+    }
+
+    function test_swapWithoutBuyerIsAttributedToTheRouter() public {
+        (PoolSwapTest swapRouter, PoolKey memory key) = _seedPool();
+
+        uint256 balanceBefore = carbonToken.balanceOf(address(this));
+        _buyCarbon(swapRouter, key, abi.encode(uint256(1)));
+
+        assertEq(hook.purchasedCredits(address(swapRouter)), carbonToken.balanceOf(address(this)) - balanceBefore);
+        assertEq(hook.purchasedCredits(address(this)), 0);
+    }
+
+    function test_swapBelowMinimumOutputReverts() public {
+        (PoolSwapTest swapRouter, PoolKey memory key) = _seedPool();
+
+        // 1 ETH buys about 0.985 CARBON; the PoolManager wraps the hook's revert reason
+        vm.expectRevert();
+        _buyCarbon(swapRouter, key, abi.encode(uint256(1), address(this), 0.99 ether));
+
+        _buyCarbon(swapRouter, key, abi.encode(uint256(1), address(this), 0.98 ether));
+        assertGt(hook.purchasedCredits(address(swapRouter)), 0.98 ether);
+    }
+
+    function test_requestAVSVerification() public {
+        address requester = address(0xBEEF);
+
+        vm.expectEmit(true, false, false, true, address(hook));
+        emit AVSVerificationRequested(4, requester);
+        vm.prank(requester);
+        hook.requestAVSVerification(4);
+
+        assertEq(hook.verificationRequester(4), requester);
+        assertFalse(hook.avsVerified(4));
+    }
+
+    function test_requestAVSVerificationOnlyOnce() public {
+        hook.requestAVSVerification(4);
+
+        // A second request neither emits nor changes the requester
+        vm.recordLogs();
+        vm.prank(address(0xBEEF));
+        hook.requestAVSVerification(4);
+
+        assertEq(vm.getRecordedLogs().length, 0);
+        assertEq(hook.verificationRequester(4), address(this));
+    }
+
+    function test_submitAVSVerification() public {
+        string[] memory sources = new string[](2);
+        sources[0] = "Verra";
+        sources[1] = "Gold Standard";
+
+        hook.requestAVSVerification(4);
+        hook.submitAVSVerification(4, true, 77, sources);
+
+        (bool verified, uint256 qualityScore, string[] memory stored) = hook.getAVSVerificationDetails(4);
+        assertTrue(verified);
+        assertEq(qualityScore, 77);
+        assertEq(stored.length, 2);
+        assertEq(stored[1], "Gold Standard");
+    }
+
+    function test_submitAVSVerificationBatch() public {
+        uint256[] memory creditIds = new uint256[](2);
+        creditIds[0] = 4;
+        creditIds[1] = 9;
+        bool[] memory verified = new bool[](2);
+        verified[0] = true;
+        uint256[] memory scores = new uint256[](2);
+        scores[0] = 80;
+        string[][] memory sources = new string[][](2);
+        sources[0] = new string[](2);
+        sources[0][0] = "Verra";
+        sources[0][1] = "Gold Standard";
+        sources[1] = new string[](1);
+        sources[1][0] = "unmapped_credit";
+
+        hook.submitAVSVerificationBatch(creditIds, verified, scores, sources);
+
+        (bool verified4, uint256 score4, string[] memory stored4) = hook.getAVSVerificationDetails(4);
+        assertTrue(verified4);
+        assertEq(score4, 80);
+        assertEq(stored4.length, 2);
+        (bool verified9, uint256 score9, string[] memory stored9) = hook.getAVSVerificationDetails(9);
+        assertFalse(verified9);
+        assertEq(score9, 0);
+        assertEq(stored9[0], "unmapped_credit");
+    }
+
+    function test_submitAVSVerificationBatchLengthMismatch() public {
+        uint256[] memory creditIds = new uint256[](2);
+        bool[] memory verified = new bool[](1);
+        uint256[] memory scores = new uint256[](2);
+        string[][] memory sources = new string[][](2);
+
+        vm.expectRevert("Batch length mismatch");
+        hook.submitAVSVerificationBatch(creditIds, verified, scores, sources);
+    }
+
+    // Routers refund unspent ETH to the caller
+    receive() external payable {}
+}